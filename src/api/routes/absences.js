@@ -0,0 +1,26 @@
+const absenceDetection = require("../../services/absenceDetection")
+const { broadcastUpdate } = require("../../services/websocket")
+
+// Runs the end-of-day check now for every ended day not checked yet
+async function runAbsenceDetection() {
+  try {
+    const result = absenceDetection.runPendingAbsenceDetection()
+
+    if (result.absences > 0) {
+      broadcastUpdate("attendance_update", {
+        type: "absences",
+        dates: result.dates,
+        absences: result.absences,
+      })
+    }
+
+    return result
+  } catch (error) {
+    console.error("Error running absence detection:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  runAbsenceDetection,
+}
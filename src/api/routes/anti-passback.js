@@ -0,0 +1,15 @@
+const { getAntiPassbackLog } = require("../../services/antiPassback")
+
+// Punches turned away (or queued for review) by the anti-passback rules, newest first
+async function getAntiPassbackAttempts(event, filters = {}) {
+  try {
+    return { success: true, data: getAntiPassbackLog(filters || {}) }
+  } catch (error) {
+    console.error("Error getting anti-passback log:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getAntiPassbackAttempts,
+}
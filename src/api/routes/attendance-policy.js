@@ -0,0 +1,49 @@
+const attendancePolicy = require("../../services/attendancePolicy")
+
+async function getPolicyRules(event, options = {}) {
+  try {
+    return {
+      success: true,
+      data: attendancePolicy.getPolicyRules(options || {}),
+      metrics: Object.fromEntries(Object.entries(attendancePolicy.POLICY_METRICS).map(([key, metric]) => [key, metric.label])),
+    }
+  } catch (error) {
+    console.error("Error getting policy rules:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function savePolicyRule(event, rule) {
+  try {
+    return attendancePolicy.savePolicyRule(rule || {})
+  } catch (error) {
+    console.error("Error saving policy rule:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function getPolicyIncidents(event, filters = {}) {
+  try {
+    return { success: true, data: attendancePolicy.getPolicyIncidents(filters || {}) }
+  } catch (error) {
+    console.error("Error getting policy incidents:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Gated by the admin PIN in the renderer
+async function reviewPolicyIncident(event, { id, status, reviewedBy = null, notes = null } = {}) {
+  try {
+    return attendancePolicy.reviewPolicyIncident(id, status, { reviewedBy, notes })
+  } catch (error) {
+    console.error("Error reviewing policy incident:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getPolicyRules,
+  savePolicyRule,
+  getPolicyIncidents,
+  reviewPolicyIncident,
+}
@@ -1,7 +1,38 @@
 const { getDatabase } = require("../../database/setup")
 const fetch = require('node-fetch')
+const trustedTime = require('../../services/trustedTime')
 // Import the daily summary sync functions
 const { syncDailySummaryToServer } = require('./summary-sync')
+const { syncPunchCorrectionsToServer } = require('../../services/punchCorrections')
+const { syncLeaveToServer } = require('../../services/leaveManagement')
+
+// Correction requests and their log go up after the punches they created
+async function syncCorrectionsAfterAttendance() {
+  try {
+    return await syncPunchCorrectionsToServer()
+  } catch (error) {
+    console.error('Error syncing punch corrections:', error)
+    return {
+      success: false,
+      message: `Punch correction sync failed: ${error.message}`,
+      syncedCount: 0
+    }
+  }
+}
+
+// Leave requests and balances go up with the attendance they explain
+async function syncLeaveAfterAttendance() {
+  try {
+    return await syncLeaveToServer()
+  } catch (error) {
+    console.error('Error syncing leave records:', error)
+    return {
+      success: false,
+      message: `Leave sync failed: ${error.message}`,
+      syncedCount: 0
+    }
+  }
+}
 
 
 async function syncAttendanceToServer() {
@@ -30,11 +61,25 @@ async function syncAttendanceToServer() {
         employee_uid,
         id_number,
         clock_type,
+        direction,
+        sequence,
+        kiosk_action,
         clock_time,
+        rounded_clock_time,
         regular_hours,
         overtime_hours,
         date,
         is_late,
+        late_minutes,
+        undertime_minutes,
+        clock_flagged,
+        clock_offset_ms,
+        device_clock_time,
+        auto_clock_out,
+        auto_clock_out_reviewed_at,
+        break_punch,
+        job_code,
+        punch_method,
         created_at
       FROM attendance 
       WHERE is_synced = 0
@@ -47,13 +92,18 @@ async function syncAttendanceToServer() {
       // Even if no attendance records to sync, try to sync daily summary
       console.log('No attendance records to sync, checking daily summary...')
       
+      const correctionResult = await syncCorrectionsAfterAttendance()
+      const leaveResult = await syncLeaveAfterAttendance()
+      
       try {
         const summaryResult = await syncDailySummaryToServer()
         return {
           success: true,
           message: `No attendance records to sync. Daily summary sync: ${summaryResult.message}`,
           syncedCount: 0,
-          summarySyncResult: summaryResult
+          summarySyncResult: summaryResult,
+          correctionSyncResult: correctionResult,
+          leaveSyncResult: leaveResult
         }
       } catch (summaryError) {
         console.error('Error syncing daily summary:', summaryError)
@@ -61,7 +111,9 @@ async function syncAttendanceToServer() {
           success: true,
           message: 'No attendance records to sync, but daily summary sync failed',
           syncedCount: 0,
-          summaryError: summaryError.message
+          summaryError: summaryError.message,
+          correctionSyncResult: correctionResult,
+          leaveSyncResult: leaveResult
         }
       }
     }
@@ -79,6 +131,8 @@ async function syncAttendanceToServer() {
       })
     })
     
+    trustedTime.recordServerTime(response, 'attendance-sync')
+    
     if (!response.ok) {
       const errorText = await response.text()
       throw new Error(`Server responded with status ${response.status}: ${errorText}`)
@@ -98,6 +152,9 @@ async function syncAttendanceToServer() {
     
     updateTransaction(unsyncedRecords)
     
+    const correctionResult = await syncCorrectionsAfterAttendance()
+    const leaveResult = await syncLeaveAfterAttendance()
+    
     // After successful attendance sync, also sync daily summary
     let summaryResult = null
     try {
@@ -118,7 +175,9 @@ async function syncAttendanceToServer() {
       message: `Successfully synced ${unsyncedRecords.length} attendance records. ${summaryResult ? summaryResult.message : 'Daily summary sync skipped.'}`,
       syncedCount: unsyncedRecords.length,
       serverResponse: result,
-      summarySyncResult: summaryResult
+      summarySyncResult: summaryResult,
+      correctionSyncResult: correctionResult,
+      leaveSyncResult: leaveResult
     }
     
   } catch (error) {
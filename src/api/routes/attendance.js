@@ -1,10 +1,8 @@
 const Attendance = require("../../database/models/attendancedb")
 const Employee = require("../../database/models/employee")
 const { 
-  determineClockType, 
   getPendingClockOut, 
   getTodaysCompletedSessions,
-  calculateHoursWithStats,
   getEmployeeStatistics
 } = require("../../services/timeCalculator")
 const { 
@@ -14,11 +12,42 @@ const {
   rebuildDailyAttendanceSummary
 } = require("../../database/setup")
 const { broadcastUpdate } = require("../../services/websocket")
-const profileService = require("../../services/profileService")
 const dateService = require("../../services/dateService")
-
-async function clockAttendance(event, { input, inputType = "barcode" }) {
+const { parseTimestamp } = require("../../services/siteTime")
+const { KIOSK_ACTIONS, getKioskActionMode, parseActionBarcode } = require("../../services/kioskActions")
+const {
+  getSessionState,
+  getSessionEvent,
+  planTransition,
+  recordTransition,
+} = require("../../services/sessionStateMachine")
+const {
+  getAntiPassbackSettings,
+  checkAntiPassback,
+  getNextPunchAllowedAt,
+  handleAntiPassbackViolation,
+} = require("../../services/antiPassback")
+const { getActiveJobCode, getJobHours } = require("../../services/jobCodes")
+const { verifyEmployeePin, KIOSK_PUNCH_METHODS } = require("../../services/kioskPins")
+
+// `method` is how the punch came in (barcode, camera - see KIOSK_PUNCH_METHODS); an ID number
+// typed in instead of a badge needs the employee's kiosk `pin` and is recorded as a "pin" punch
+async function clockAttendance(event, { input, inputType = "barcode", action = null, jobCode = null, method = null, pin = null }) {
   try {
+    // An action prefix on the scanned value ("OUT+12345") picks the action like the kiosk buttons
+    const parsedInput = parseActionBarcode(input)
+    input = parsedInput.input
+    action = action ? String(action).toLowerCase() : parsedInput.action
+
+    if (method !== null && !KIOSK_PUNCH_METHODS.includes(method)) {
+      return {
+        success: false,
+        error: `Unknown punch method "${method}". Scan your badge or use the camera.`,
+        input: input,
+        inputType: inputType,
+      }
+    }
+
     // Find employee by barcode or ID number
     let employee
     if (inputType === "barcode") {
@@ -40,376 +69,235 @@ async function clockAttendance(event, { input, inputType = "barcode" }) {
       }
     }
 
+    // ✅ NEW: Check if employee status is Inactive - before the PIN, so a disabled account
+    // neither uses up nor resets its PIN attempts
+    if (employee.status === 'Inactive') {
+      console.log(`⛔ Inactive employee attempted to clock: ${employee.first_name} ${employee.last_name} (ID: ${employee.uid})`)
+      return {
+        success: false,
+        error: `Employee ${employee.first_name} ${employee.last_name} account has been disabled. Please proceed to the admin office to verify.`,
+        isInactive: true,
+        employeeName: `${employee.first_name} ${employee.last_name}`,
+        input: input,
+        inputType: inputType,
+      }
+    }
 
-
-    // ✅ NEW: Check if employee status is Inactive
-      if (employee.status === 'Inactive') {
-        console.log(`⛔ Inactive employee attempted to clock: ${employee.first_name} ${employee.last_name} (ID: ${employee.uid})`)
+    // Anyone can know a colleague's ID number, so the typed-in fallback needs their PIN
+    if (inputType !== "barcode") {
+      const pinCheck = pin ? verifyEmployeePin(employee.uid, String(pin)) : { success: false, error: "Enter your PIN" }
+      if (!pinCheck.success) {
+        console.log(`⚠️ Kiosk PIN check failed for employee ${employee.uid}: ${pinCheck.error}`)
         return {
           success: false,
-          error: `Employee ${employee.first_name} ${employee.last_name} account has been disabled. Please proceed to the admin office to verify.`,
-          isInactive: true,
-          employeeName: `${employee.first_name} ${employee.last_name}`,
+          error: pinCheck.error,
+          pinRequired: true,
+          pinLocked: !!pinCheck.locked,
+          noPin: !!pinCheck.noPin,
+          attemptsLeft: pinCheck.attemptsLeft ?? null,
           input: input,
           inputType: inputType,
         }
       }
 
-    const today = dateService.getCurrentDate()
-    const currentDateTime = new Date(dateService.getCurrentDateTime())
+      method = "pin"
+    }
+
+    // Clocking is one unit of work: the punches, their hours and statistics and the daily
+    // summary commit together or not at all. IMMEDIATE takes the write lock before the
+    // duplicate and open-session checks, so two scans cannot both pass them
     const db = getDatabase()
+    const broadcasts = []
+    const result = db
+      .transaction(() => recordClocking(employee, { input, inputType, action, jobCode, method: method || "barcode", broadcasts, db }))
+      .immediate()
 
-    console.log(`=== CLOCKING ATTENDANCE FOR EMPLOYEE ${employee.uid} ===`)
-    console.log(`Employee: ${employee.first_name} ${employee.last_name}`)
-    console.log(`Current time: ${currentDateTime.toISOString()}`)
-    console.log(`Current date: ${today}`)
+    // The kiosk and the other screens only hear about committed punches
+    broadcasts.forEach((payload) => broadcastUpdate("attendance_update", payload))
 
-    // DUPLICATE PREVENTION: Check for recent scans within 5 seconds
-    const duplicateCheckQuery = db.prepare(`
-      SELECT id, clock_type, clock_time
-      FROM attendance 
-      WHERE employee_uid = ? 
-        AND date = ?
-        AND ABS((julianday(?) - julianday(clock_time)) * 86400) < 5
-      ORDER BY clock_time DESC 
-      LIMIT 1
-    `)
-    
-    const recentDuplicate = duplicateCheckQuery.get(
-      employee.uid, 
-      today,
-      currentDateTime.toISOString()
-    )
-    
-    if (recentDuplicate) {
-      console.log(`⚠️ DUPLICATE SCAN DETECTED - Ignoring duplicate entry`)
-      console.log(`Recent scan: ${recentDuplicate.clock_type} at ${recentDuplicate.clock_time}`)
-      
+    return result
+  } catch (error) {
+    console.error("Error clocking attendance:", error)
+    return { 
+      success: false, 
+      error: error.message,
+      stack: error.stack
+    }
+  }
+}
+
+/**
+ * Synchronous body of clockAttendance, run inside its transaction. Returns the IPC result;
+ * attendance_update payloads go to `broadcasts` and are sent once the transaction commits.
+ */
+function recordClocking(employee, { input, inputType, action, jobCode, method, broadcasts, db }) {
+  const today = dateService.getCurrentDate()
+  const currentDateTime = parseTimestamp(dateService.getCurrentDateTime())
+
+  // A job picked or scanned at the kiosk must be an active job code
+  let job = null
+  if (jobCode) {
+    job = getActiveJobCode(jobCode, db)
+    if (!job) {
       return {
         success: false,
-        error: "Duplicate scan detected. Please wait a few seconds before scanning again.",
-        isDuplicate: true,
-        recentScan: {
-          clockType: recentDuplicate.clock_type,
-          clockTime: recentDuplicate.clock_time,
-          sessionType: getSessionType(recentDuplicate.clock_type)
-        },
+        error: `Job code "${jobCode}" does not exist or is no longer active.`,
+        invalidJobCode: true,
         input: input,
         inputType: inputType,
       }
     }
+  }
 
-    // FIXED: Check for any pending clock-out from the SAME DAY only
-    const pendingClockOut = getPendingClockOut(employee.uid, today, db)
-    
-    if (pendingClockOut) {
-      console.log(`Found pending clock from SAME DAY: ${pendingClockOut.clockType} from ${pendingClockOut.clockTime}`)
-      
-      // Calculate hours for the pending session WITH STATISTICS
-      const clockType = pendingClockOut.expectedClockOut
-      console.log(`Processing clock-out: ${clockType}`)
-
-      // Record the clock-out first to get the attendance ID and clock_out ID
-      const attendanceRecord = await Attendance.clockIn(
-        employee, 
-        clockType, 
-        profileService.ensureProfilesDirectory(),
-        pendingClockOut.clockTime,
-        input
-      )
-
-      // Use calculateHoursWithStats for enhanced calculation
-      const hoursResult = calculateHoursWithStats(
-        clockType, 
-        currentDateTime, 
-        pendingClockOut.clockTime,
-        employee.uid,
-        pendingClockOut.id,
-        attendanceRecord.id,
-        db,
-        input
-      )
-      
-      console.log(`Hours calculation result with statistics:`, hoursResult)
-
-      // Update the hours if they weren't calculated correctly
-      if ((attendanceRecord.regular_hours === 0 && attendanceRecord.overtime_hours === 0) && 
-          (hoursResult.regularHours > 0 || hoursResult.overtimeHours > 0)) {
-        const updateQuery = db.prepare(`
-          UPDATE attendance 
-          SET regular_hours = ?, overtime_hours = ?
-          WHERE id = ?
-        `)
-        updateQuery.run(hoursResult.regularHours, hoursResult.overtimeHours, attendanceRecord.id)
-        
-        attendanceRecord.regular_hours = hoursResult.regularHours
-        attendanceRecord.overtime_hours = hoursResult.overtimeHours
-        
-        console.log(`✓ Updated attendance record with Regular=${hoursResult.regularHours}, Overtime=${hoursResult.overtimeHours}`)
-      }
-
-      // ENHANCED: Update daily attendance summary after successful clock-out
-      setTimeout(() => {
-        updateDailyAttendanceSummary(employee.uid, today, db)
-        // console.log(`✓ Daily attendance summary updated for employee ${employee.uid}`)
-      }, 100)
-
-      // Broadcast clock-out message
-      broadcastUpdate("attendance_update", {
-        type: "clock_out",
-        sessionType: getSessionType(clockType),
-        employee: employee,
-        clockType: clockType,
-        time: currentDateTime.toISOString(),
-        regularHours: attendanceRecord.regular_hours,
-        overtimeHours: attendanceRecord.overtime_hours,
-        attendanceRecord: attendanceRecord,
-        isPendingResolution: true,
-        originalClockIn: {
-          type: pendingClockOut.clockType,
-          time: pendingClockOut.clockTime.toISOString()
-        },
-        hasDetailedStats: true,
-        dailySummaryUpdated: true
-      })
+  if (action && !KIOSK_ACTIONS.includes(action)) {
+    return {
+      success: false,
+      error: `Unknown action "${action}". Choose IN, OUT or BREAK.`,
+      invalidAction: true,
+      action: action,
+      input: input,
+      inputType: inputType,
+    }
+  }
 
-      return {
-        success: true,
-        data: {
-          employee: attendanceRecord.employee,
-          clockType: clockType,
-          sessionType: getSessionType(clockType),
-          clockTime: attendanceRecord.clock_time,
-          regularHours: attendanceRecord.regular_hours,
-          overtimeHours: attendanceRecord.overtime_hours,
-          isOvertimeSession: isOvertimeSession(clockType),
-          resolvedPendingClock: true,
-          originalClockIn: {
-            type: pendingClockOut.clockType,
-            time: pendingClockOut.clockTime.toISOString()
-          },
-          statisticsRecorded: true,
-          dailySummaryUpdated: true
-        },
-      }
+  // A job without an action is enough to transfer an open session to it
+  if (!action && !job && getKioskActionMode(db) === "explicit") {
+    return {
+      success: false,
+      error: "Choose IN, OUT or BREAK before scanning.",
+      actionRequired: true,
+      input: input,
+      inputType: inputType,
     }
+  }
 
-    // Get last clock type to determine next action
-    const getLastClockTypeQuery = db.prepare(`
-      SELECT clock_type, clock_time 
-      FROM attendance 
-      WHERE employee_uid = ? 
-        AND date = ?
-      ORDER BY clock_time DESC 
-      LIMIT 1
-    `)
+  console.log(`=== CLOCKING ATTENDANCE FOR EMPLOYEE ${employee.uid} ===`)
+  console.log(`Employee: ${employee.first_name} ${employee.last_name}`)
+  console.log(`Current time: ${currentDateTime.toISOString()}`)
+  console.log(`Current date: ${today}`)
 
-    const lastClockRecord = getLastClockTypeQuery.get(employee.uid, today)
-    const lastClockType = lastClockRecord ? lastClockRecord.clock_type : null
-    const lastClockTime = lastClockRecord ? new Date(lastClockRecord.clock_time) : null
+  // The punch is a transition of the employee's session state (see sessionStateMachine);
+  // overnight sessions from yesterday still count as open inside the configured window
+  const current = getSessionState(employee.uid, { date: today, now: currentDateTime }, db)
+  const event = getSessionEvent(current.state, { action, job })
+  const transition = planTransition(current, event, { employeeUid: employee.uid, now: currentDateTime, job }, db)
 
-    console.log(`Last clock record for ${today}: ${lastClockType} at ${lastClockTime}`)
+  if (!transition.success) {
+    console.log(`⚠️ ${event.toUpperCase()} rejected for employee ${employee.uid} (${current.state}): ${transition.error}`)
+    return {
+      success: false,
+      error: transition.error,
+      invalidAction: true,
+      sessionState: current.state,
+      action: action,
+      input: input,
+      inputType: inputType,
+    }
+  }
 
-    // Determine next clock type
-    const clockType = determineClockType(
-      lastClockType, 
-      currentDateTime, 
-      lastClockTime, 
-      employee.uid,
+  // Anti-passback: the same rules for every input method, checked before anything is recorded
+  const antiPassback = getAntiPassbackSettings(db)
+  const violation = checkAntiPassback(employee.uid, transition, { now: currentDateTime, date: today }, antiPassback, db)
+  if (violation) {
+    const handled = handleAntiPassbackViolation(
+      employee,
+      violation,
+      transition,
+      { method, inputType, action, now: currentDateTime },
+      antiPassback,
       db
     )
-    console.log(`Determined clock type: ${clockType}`)
-
-    // Handle clock-out validation
-    if (isValidClockOut(clockType)) {
-      // FIXED: Double-check for missed pending clock-ins from SAME DAY only
-      const doubleCheckPendingQuery = db.prepare(`
-        SELECT 
-          id, clock_type, clock_time, date
-        FROM attendance 
-        WHERE employee_uid = ? 
-          AND clock_type LIKE '%_in'
-          AND date = ?
-          AND NOT EXISTS (
-            SELECT 1 FROM attendance a2
-            WHERE a2.employee_uid = ? 
-              AND a2.clock_type = REPLACE(attendance.clock_type, '_in', '_out')
-              AND a2.clock_time > attendance.clock_time
-              AND a2.date = attendance.date
-              AND a2.date = ?
-          )
-        ORDER BY clock_time DESC 
-        LIMIT 1
-      `)
-      
-      const missedPendingClock = doubleCheckPendingQuery.get(employee.uid, today, employee.uid, today)
-      
-      if (missedPendingClock) {
-        console.log(`Found missed pending clock-in from SAME DAY: ${missedPendingClock.clock_type} at ${missedPendingClock.clock_time}`)
-        
-        // Process the missed clock-out
-        const expectedClockOut = {
-          id: missedPendingClock.id,
-          clockType: missedPendingClock.clock_type,
-          clockTime: new Date(missedPendingClock.clock_time),
-          date: missedPendingClock.date,
-          expectedClockOut: missedPendingClock.clock_type.replace('_in', '_out')
-        }
-        
-        const attendanceRecord = await Attendance.clockIn(
-          employee, 
-          expectedClockOut.expectedClockOut, 
-          profileService.ensureProfilesDirectory,
-          expectedClockOut.clockTime,
-          input
-        )
-
-        const hoursResult = calculateHoursWithStats(
-          expectedClockOut.expectedClockOut, 
-          currentDateTime, 
-          expectedClockOut.clockTime,
-          employee.uid,
-          expectedClockOut.id,
-          attendanceRecord.id,
-          db,
-          input
-        )
-        
-        // Update hours in database
-        if ((attendanceRecord.regular_hours === 0 && attendanceRecord.overtime_hours === 0) && 
-            (hoursResult.regularHours > 0 || hoursResult.overtimeHours > 0)) {
-          const updateQuery = db.prepare(`
-            UPDATE attendance 
-            SET regular_hours = ?, overtime_hours = ?
-            WHERE id = ?
-          `)
-          updateQuery.run(hoursResult.regularHours, hoursResult.overtimeHours, attendanceRecord.id)
-          
-          attendanceRecord.regular_hours = hoursResult.regularHours
-          attendanceRecord.overtime_hours = hoursResult.overtimeHours
-        }
 
-        // ENHANCED: Update daily attendance summary
-        setTimeout(() => {
-          updateDailyAttendanceSummary(employee.uid, today, db)
-        }, 100)
-
-        // Broadcast successful recovery
-        broadcastUpdate("attendance_update", {
-          type: "clock_out",
-          sessionType: getSessionType(expectedClockOut.expectedClockOut),
-          employee: employee,
-          clockType: expectedClockOut.expectedClockOut,
-          time: currentDateTime.toISOString(),
-          regularHours: attendanceRecord.regular_hours,
-          overtimeHours: attendanceRecord.overtime_hours,
-          attendanceRecord: attendanceRecord,
-          isPendingResolution: true,
-          originalClockIn: {
-            type: expectedClockOut.clockType,
-            time: expectedClockOut.clockTime.toISOString()
-          },
-          hasDetailedStats: true,
-          wasRecoveredSession: true,
-          dailySummaryUpdated: true
-        })
-
-        return {
-          success: true,
-          data: {
-            employee: attendanceRecord.employee,
-            clockType: expectedClockOut.expectedClockOut,
-            sessionType: getSessionType(expectedClockOut.expectedClockOut),
-            clockTime: attendanceRecord.clock_time,
-            regularHours: attendanceRecord.regular_hours,
-            overtimeHours: attendanceRecord.overtime_hours,
-            isOvertimeSession: isOvertimeSession(expectedClockOut.expectedClockOut),
-            resolvedPendingClock: true,
-            wasRecoveredSession: true,
-            originalClockIn: {
-              type: expectedClockOut.clockType,
-              time: expectedClockOut.clockTime.toISOString()
-            },
-            statisticsRecorded: true,
-            dailySummaryUpdated: true
-          },
-        }
-      }
-      
-      // Error case: invalid clock-out without pending session
-      let errorMessage = "Cannot clock out without an active session from today. "
-      
-      if (lastClockType && lastClockType.endsWith('_out')) {
-        errorMessage += `Your last action was clocking out (${getSessionType(lastClockType)}). Please clock in first.`
-      } else if (!lastClockType) {
-        errorMessage += "No previous clock records found for today. Please clock in first."
-      } else {
-        errorMessage += `Last recorded action: ${getSessionType(lastClockType)}. Please contact administrator if this seems incorrect.`
-      }
-      
-      return {
-        success: false,
-        error: errorMessage,
-        input: input,
-        inputType: inputType,
-        debugInfo: {
-          determinedClockType: clockType,
-          lastClockType: lastClockType,
-          lastClockTime: lastClockTime?.toISOString(),
-          currentTime: currentDateTime.toISOString(),
-          currentDate: today
-        }
-      }
+    return {
+      success: false,
+      error: handled.outcome === "queued"
+        ? `${violation.message} The punch was sent to an administrator for review.`
+        : violation.message,
+      antiPassback: true,
+      rule: violation.rule,
+      queuedForReview: handled.outcome === "queued",
+      correctionId: handled.correctionId,
+      retryAfterSeconds: violation.retryAfterSeconds,
+      nextPunchAllowedAt: new Date(currentDateTime.getTime() + violation.retryAfterSeconds * 1000).toISOString(),
+      employeeName: `${employee.first_name} ${employee.last_name}`,
+      input: input,
+      inputType: inputType,
     }
+  }
 
-    // Process normal clock-in
-    const completedSessions = getTodaysCompletedSessions(employee.uid, today, db)
-    const attendanceRecord = await Attendance.clockIn(employee, clockType, profileService.ensureProfilesDirectory(), null, input)
-
-    console.log(`Successfully clocked in with type: ${clockType}`)
-
-    // ENHANCED: Update daily attendance summary after clock-in
-    setTimeout(() => {
-      updateDailyAttendanceSummary(employee.uid, today, db)
-    }, 100)
-
-    broadcastUpdate("attendance_update", {
-      type: "clock_in",
-      sessionType: getSessionType(clockType),
-      employee: employee,
-      clockType: clockType,
-      time: currentDateTime.toISOString(),
-      regularHours: 0,
-      overtimeHours: 0,
-      attendanceRecord: attendanceRecord,
-      todaysCompletedSessions: completedSessions.length,
-      dailySummaryUpdated: true
-    })
+  console.log(`Session ${transition.from} --${transition.event}--> ${transition.to}`)
+
+  const completedSessions = current.sessions.filter((session) => session.clockIn && session.clockOut)
+  const records = recordTransition(employee, transition, { now: currentDateTime, db, punchMethod: method })
+
+  // The session belongs to the day it started on; the daily summary commits with the punch
+  const businessDate = transition.closes ? transition.closes.date : today
+  updateDailyAttendanceSummary(employee.uid, businessDate, db)
+
+  const closing = transition.closes ? records[0] : null
+  const latest = records[records.length - 1]
+  const data = {
+    employee: latest.employee,
+    clockType: latest.clock_type,
+    sessionType: getSessionType(latest.clock_type),
+    clockTime: latest.clock_time,
+    regularHours: closing ? closing.regular_hours : 0,
+    overtimeHours: closing ? closing.overtime_hours : 0,
+    isOvertimeSession: isOvertimeSession(latest.clock_type),
+    sessionState: transition.to,
+    previousSessionState: transition.from,
+    kioskAction: action,
+    punchMethod: method,
+    jobCode: latest.job_code,
+    jobName: job ? job.name : null,
+    businessDate: businessDate,
+    nextPunchAllowedAt: getNextPunchAllowedAt(transition, currentDateTime, antiPassback),
+    dailySummaryUpdated: true
+  }
 
-    return {
-      success: true,
-      data: {
-        employee: attendanceRecord.employee,
-        clockType: clockType,
-        sessionType: getSessionType(clockType),
-        clockTime: attendanceRecord.clock_time,
-        regularHours: 0,
-        overtimeHours: 0,
-        isOvertimeSession: isOvertimeSession(clockType),
-        isNewClockIn: true,
-        todaysCompletedSessions: completedSessions.length,
-        dailySummaryUpdated: true
+  if (transition.event === "transfer") {
+    Object.assign(data, { jobTransfer: true, fromJobCode: transition.closes.jobCode })
+  } else if (closing) {
+    Object.assign(data, {
+      resolvedPendingClock: true,
+      isOvernight: transition.closes.isOvernight,
+      originalClockIn: {
+        type: transition.closes.clockType,
+        time: transition.closes.clockTime.toISOString()
       },
-    }
-
-  } catch (error) {
-    console.error("Error clocking attendance:", error)
-    return { 
-      success: false, 
-      error: error.message,
-      stack: error.stack
-    }
+      breakStarted: transition.breakStarted,
+      statisticsRecorded: true
+    })
+  } else {
+    Object.assign(data, {
+      isNewClockIn: true,
+      breakEnded: transition.breakEnded,
+      todaysCompletedSessions: completedSessions.length
+    })
   }
+
+  broadcasts.push({
+    type: transition.event === "transfer" ? "job_transfer" : closing ? "clock_out" : "clock_in",
+    sessionType: data.sessionType,
+    employee: employee,
+    clockType: data.clockType,
+    time: currentDateTime.toISOString(),
+    regularHours: data.regularHours,
+    overtimeHours: data.overtimeHours,
+    attendanceRecord: latest,
+    sessionState: transition.to,
+    isPendingResolution: !!closing,
+    isOvernight: !!transition.closes?.isOvernight,
+    businessDate: businessDate,
+    originalClockIn: data.originalClockIn,
+    fromJobCode: data.fromJobCode,
+    jobCode: data.jobCode,
+    todaysCompletedSessions: completedSessions.length,
+    hasDetailedStats: !!closing,
+    dailySummaryUpdated: true
+  })
+
+  return { success: true, data }
 }
 
 // ENHANCED: New function to get readable daily attendance summary
@@ -599,7 +487,7 @@ async function getTodayAttendance() {
 
     const enhancedCurrentlyClocked = await Promise.all(
       currentlyClocked.map(async (record) => {
-        const pendingClockOut = getPendingClockOut(record.uid, db)
+        const pendingClockOut = getPendingClockOut(record.employee_uid, today, db)
         
         return {
           ...record,
@@ -743,9 +631,14 @@ async function generateAttendanceReportWithSummaries(event, { startDate, endDate
       summary.departmentStats[dept].employeeCount = summary.departmentStats[dept].employeeCount.size
     })
 
+    // Hours per job code (sessions without a job are reported under a null job code)
+    const jobHours = getJobHours({ startDate, endDate, employeeUids }, db)
+    summary.jobStats = jobHours.jobs
+
     let reportData = {
       summary: summary,
       readableSummaries: filteredSummaries,
+      jobHours: jobHours.rows,
       format: format,
       filters: { employeeUids, includeStatistics }
     }
@@ -795,10 +688,6 @@ async function generateAttendanceReportWithSummaries(event, { startDate, endDate
 }
 
 
-function isValidClockOut(clockType) {
-  return clockType.endsWith("_out")
-}
-
 function getSessionType(clockType) {
   if (clockType.startsWith("morning")) return "Morning"
   if (clockType.startsWith("afternoon")) return "Afternoon"
@@ -817,7 +706,7 @@ async function getEmployeeStatus(employeeUid) {
     const db = getDatabase()
     const today = dateService.getCurrentDate()
     
-    const pendingClockOut = getPendingClockOut(employeeUid, db)
+    const pendingClockOut = getPendingClockOut(employeeUid, today, db)
     const completedSessions = getTodaysCompletedSessions(employeeUid, today, db)
     
     const dailyTotals = completedSessions.reduce(
@@ -877,7 +766,7 @@ async function getTodayStatistics() {
     
     const pendingClockOuts = await Promise.all(
       currentlyClocked.map(async (record) => {
-        const pending = getPendingClockOut(record.uid, db)
+        const pending = getPendingClockOut(record.employee_uid, dateService.getCurrentDate(), db)
         return pending ? { ...record, pending } : null
       })
     )
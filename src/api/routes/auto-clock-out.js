@@ -0,0 +1,49 @@
+const autoClockOut = require("../../services/autoClockOut")
+const { broadcastUpdate } = require("../../services/websocket")
+
+// Sessions missing their clock-out plus auto clock-outs; defaults to the last 31 days
+async function getIncompletePunches(event, filters = {}) {
+  try {
+    return { success: true, data: autoClockOut.getIncompletePunches(filters || {}) }
+  } catch (error) {
+    console.error("Error getting incomplete punches:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function runAutoClockOut() {
+  try {
+    const result = autoClockOut.runAutoClockOut()
+
+    if (result.closed.length > 0) {
+      broadcastUpdate("attendance_update", { type: "auto_clock_out", closed: result.closed.length })
+    }
+
+    return result
+  } catch (error) {
+    console.error("Error running auto clock-out:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Gated by the admin PIN in the renderer
+async function reviewAutoClockOut(event, { id, reviewedBy = null, clockTime = null } = {}) {
+  try {
+    const result = autoClockOut.reviewAutoClockOut(id, { reviewedBy, clockTime })
+
+    if (result.success) {
+      broadcastUpdate("attendance_update", { type: "auto_clock_out_review", attendanceId: id })
+    }
+
+    return result
+  } catch (error) {
+    console.error("Error reviewing auto clock-out:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getIncompletePunches,
+  runAutoClockOut,
+  reviewAutoClockOut,
+}
@@ -39,14 +39,9 @@ async function getTodayStatistics() {
   }
 }
 
+// Legacy entry point - clocking goes through the session state machine in the attendance route
 async function clockAttendance(event, attendanceData) {
-  try {
-    // Implementation would depend on your existing clock attendance logic
-    return { success: true, message: "Attendance clocked successfully" }
-  } catch (error) {
-    console.error("Error clocking attendance:", error)
-    throw error
-  }
+  return require("./attendance").clockAttendance(event, attendanceData || {})
 }
 
 module.exports = {
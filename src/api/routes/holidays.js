@@ -0,0 +1,238 @@
+const { getDatabase, updateDailyAttendanceSummary } = require("../../database/setup")
+const {
+  HOLIDAY_TYPES,
+  normalizeHolidayType,
+  normalizeHolidayDate,
+  validateHoliday,
+} = require("../../services/holidayCalendar")
+
+function toHolidayValues(holiday) {
+  const multiplier = (value) => (value === null || value === undefined || value === "" ? null : Number(value))
+
+  return {
+    date: normalizeHolidayDate(holiday.date),
+    name: String(holiday.name).trim(),
+    holiday_type: normalizeHolidayType(holiday.holiday_type),
+    regular_multiplier: multiplier(holiday.regular_multiplier),
+    overtime_multiplier: multiplier(holiday.overtime_multiplier),
+    is_recurring: holiday.is_recurring ? 1 : 0,
+    is_active: holiday.is_active === undefined || holiday.is_active ? 1 : 0,
+  }
+}
+
+// Rebuild the summaries a holiday touches so the holiday buckets stay current
+function refreshHolidaySummaries(db, holidays) {
+  const summaryQuery = db.prepare(`
+    SELECT DISTINCT employee_uid, date FROM daily_attendance_summary
+    WHERE date = ? OR (? = 1 AND substr(date, 6) = ?)
+  `)
+
+  let refreshed = 0
+  holidays.forEach((holiday) => {
+    if (!holiday || !holiday.date) return
+
+    summaryQuery.all(holiday.date, holiday.is_recurring ? 1 : 0, holiday.date.substring(5)).forEach((row) => {
+      if (updateDailyAttendanceSummary(row.employee_uid, row.date, db)) {
+        refreshed++
+      }
+    })
+  })
+
+  if (refreshed > 0) {
+    console.log(`✓ Refreshed ${refreshed} daily summaries for holiday changes`)
+  }
+
+  return refreshed
+}
+
+async function getHolidays(event, options = {}) {
+  try {
+    const db = getDatabase()
+    const { year = null } = options || {}
+
+    let query = "SELECT * FROM holidays"
+    const params = []
+
+    if (year) {
+      // Recurring holidays apply to every year
+      query += " WHERE substr(date, 1, 4) = ? OR is_recurring = 1"
+      params.push(String(year))
+    }
+
+    query += " ORDER BY substr(date, 6) ASC, date ASC"
+
+    const holidays = db.prepare(query).all(...params)
+
+    return { success: true, data: holidays, types: HOLIDAY_TYPES }
+  } catch (error) {
+    console.error("Error getting holidays:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function saveHoliday(event, holiday) {
+  try {
+    const errors = validateHoliday(holiday)
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(", ") }
+    }
+
+    const db = getDatabase()
+    const values = toHolidayValues(holiday)
+    const previous = holiday.id ? db.prepare("SELECT * FROM holidays WHERE id = ?").get(holiday.id) : null
+
+    const duplicate = db.prepare("SELECT id FROM holidays WHERE date = ? AND id != ?").get(values.date, holiday.id || 0)
+    if (duplicate) {
+      return { success: false, error: `A holiday already exists on ${values.date}` }
+    }
+
+    let holidayId = holiday.id
+    if (holidayId) {
+      db.prepare(`
+        UPDATE holidays SET
+          date = ?, name = ?, holiday_type = ?,
+          regular_multiplier = ?, overtime_multiplier = ?,
+          is_recurring = ?, is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(
+        values.date, values.name, values.holiday_type,
+        values.regular_multiplier, values.overtime_multiplier,
+        values.is_recurring, values.is_active,
+        holidayId,
+      )
+    } else {
+      const result = db.prepare(`
+        INSERT INTO holidays (
+          date, name, holiday_type, regular_multiplier, overtime_multiplier, is_recurring, is_active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        values.date, values.name, values.holiday_type,
+        values.regular_multiplier, values.overtime_multiplier,
+        values.is_recurring, values.is_active,
+      )
+      holidayId = result.lastInsertRowid
+    }
+
+    console.log(`✓ Holiday saved: ${values.name} on ${values.date} (ID: ${holidayId})`)
+    const summariesUpdated = refreshHolidaySummaries(db, [previous, values])
+
+    return {
+      success: true,
+      data: { id: holidayId },
+      summariesUpdated,
+      message: "Holiday saved successfully",
+    }
+  } catch (error) {
+    console.error("Error saving holiday:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function deleteHoliday(event, holidayId) {
+  try {
+    const db = getDatabase()
+    const holiday = db.prepare("SELECT * FROM holidays WHERE id = ?").get(holidayId)
+
+    if (!holiday) {
+      return { success: false, message: "Holiday not found" }
+    }
+
+    db.prepare("DELETE FROM holidays WHERE id = ?").run(holidayId)
+    const summariesUpdated = refreshHolidaySummaries(db, [holiday])
+
+    return { success: true, summariesUpdated, message: "Holiday deleted" }
+  } catch (error) {
+    console.error("Error deleting holiday:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+/**
+ * Import holidays parsed from an XLSX/CSV sheet in the renderer.
+ * Rows need date, name and type columns (header names are matched loosely);
+ * an existing holiday on the same date is updated.
+ */
+async function importHolidays(event, rows = []) {
+  try {
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return { success: false, error: "No holiday rows to import" }
+    }
+
+    const db = getDatabase()
+    const pick = (row, keys) => {
+      const match = Object.keys(row).find((key) => keys.includes(key.trim().toLowerCase().replace(/[\s-]+/g, "_")))
+      return match !== undefined ? row[match] : undefined
+    }
+
+    const upsert = db.prepare(`
+      INSERT INTO holidays (
+        date, name, holiday_type, regular_multiplier, overtime_multiplier, is_recurring, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (date) DO UPDATE SET
+        name = excluded.name,
+        holiday_type = excluded.holiday_type,
+        regular_multiplier = excluded.regular_multiplier,
+        overtime_multiplier = excluded.overtime_multiplier,
+        is_recurring = excluded.is_recurring,
+        is_active = 1,
+        updated_at = CURRENT_TIMESTAMP
+    `)
+
+    const imported = []
+    const errors = []
+
+    const transaction = db.transaction((sheetRows) => {
+      sheetRows.forEach((row, index) => {
+        const recurring = String(pick(row, ["recurring", "is_recurring", "every_year"]) ?? "").trim().toLowerCase()
+        const holiday = {
+          date: pick(row, ["date", "holiday_date"]),
+          name: pick(row, ["name", "holiday", "holiday_name", "description"]),
+          holiday_type: pick(row, ["type", "holiday_type"]) || "regular",
+          regular_multiplier: pick(row, ["regular_multiplier", "multiplier", "rate"]),
+          overtime_multiplier: pick(row, ["overtime_multiplier", "ot_multiplier", "ot_rate"]),
+          is_recurring: ["1", "true", "yes", "y"].includes(recurring),
+        }
+
+        const rowErrors = validateHoliday(holiday)
+        if (rowErrors.length > 0) {
+          // Row 1 is the header in the spreadsheet
+          errors.push(`Row ${index + 2}: ${rowErrors.join(", ")}`)
+          return
+        }
+
+        const values = toHolidayValues(holiday)
+        upsert.run(
+          values.date, values.name, values.holiday_type,
+          values.regular_multiplier, values.overtime_multiplier,
+          values.is_recurring, values.is_active,
+        )
+        imported.push(values)
+      })
+    })
+
+    transaction(rows)
+
+    const summariesUpdated = refreshHolidaySummaries(db, imported)
+    console.log(`✓ Imported ${imported.length} holidays (${errors.length} rows skipped)`)
+
+    return {
+      success: imported.length > 0,
+      importedCount: imported.length,
+      skippedCount: errors.length,
+      errors,
+      summariesUpdated,
+      message: `Imported ${imported.length} holidays${errors.length > 0 ? `, skipped ${errors.length} rows` : ""}`,
+    }
+  } catch (error) {
+    console.error("Error importing holidays:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getHolidays,
+  saveHoliday,
+  deleteHoliday,
+  importHolidays,
+}
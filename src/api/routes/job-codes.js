@@ -0,0 +1,111 @@
+const { getDatabase } = require("../../database/setup")
+const { normalizeJobCode, validateJobCode, getJobHours } = require("../../services/jobCodes")
+
+async function getJobCodes(event, options = {}) {
+  try {
+    const db = getDatabase()
+    const { activeOnly = false } = options || {}
+
+    const jobCodes = db
+      .prepare(`SELECT * FROM job_codes ${activeOnly ? "WHERE is_active = 1" : ""} ORDER BY code ASC`)
+      .all()
+
+    return { success: true, data: jobCodes }
+  } catch (error) {
+    console.error("Error getting job codes:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function saveJobCode(event, job) {
+  try {
+    const errors = validateJobCode(job)
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(", ") }
+    }
+
+    const db = getDatabase()
+    const code = normalizeJobCode(job.code)
+    const name = String(job.name).trim()
+    const customer = job.customer ? String(job.customer).trim() : null
+    const isActive = job.is_active === undefined || job.is_active ? 1 : 0
+
+    const duplicate = db.prepare("SELECT id FROM job_codes WHERE code = ? AND id != ?").get(code, job.id || 0)
+    if (duplicate) {
+      return { success: false, error: `Job code ${code} already exists` }
+    }
+
+    let jobId = job.id
+    if (jobId) {
+      const previous = db.prepare("SELECT code FROM job_codes WHERE id = ?").get(jobId)
+      if (!previous) {
+        return { success: false, error: "Job code not found" }
+      }
+
+      // Punches keep the code they were made with, so a used code cannot be renamed
+      const used = previous.code !== code && db.prepare("SELECT 1 FROM attendance WHERE job_code = ? LIMIT 1").get(previous.code)
+      if (used) {
+        return { success: false, error: `Job code ${previous.code} has punches and cannot be changed; add a new code instead` }
+      }
+
+      db.prepare(`
+        UPDATE job_codes SET code = ?, name = ?, customer = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(code, name, customer, isActive, jobId)
+    } else {
+      const result = db.prepare(`
+        INSERT INTO job_codes (code, name, customer, is_active) VALUES (?, ?, ?, ?)
+      `).run(code, name, customer, isActive)
+      jobId = result.lastInsertRowid
+    }
+
+    console.log(`✓ Job code saved: ${code} - ${name} (ID: ${jobId})`)
+
+    return { success: true, data: { id: jobId, code }, message: "Job code saved successfully" }
+  } catch (error) {
+    console.error("Error saving job code:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// A job code with punches is only deactivated, so the hours-per-job reports keep its name
+async function deleteJobCode(event, jobId) {
+  try {
+    const db = getDatabase()
+    const job = db.prepare("SELECT * FROM job_codes WHERE id = ?").get(jobId)
+
+    if (!job) {
+      return { success: false, message: "Job code not found" }
+    }
+
+    const used = db.prepare("SELECT 1 FROM attendance WHERE job_code = ? LIMIT 1").get(job.code)
+    if (used) {
+      db.prepare("UPDATE job_codes SET is_active = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?").run(jobId)
+      return { success: true, deactivated: true, message: `Job code ${job.code} has punches, so it was deactivated` }
+    }
+
+    db.prepare("DELETE FROM job_codes WHERE id = ?").run(jobId)
+
+    return { success: true, message: "Job code deleted" }
+  } catch (error) {
+    console.error("Error deleting job code:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function getJobHoursReport(event, { startDate = null, endDate = null, employeeUid = null, jobCode = null } = {}) {
+  try {
+    const report = getJobHours({ startDate, endDate, employeeUids: employeeUid ? [employeeUid] : [], jobCode }, getDatabase())
+    return { success: true, data: report }
+  } catch (error) {
+    console.error("Error getting hours per job:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getJobCodes,
+  saveJobCode,
+  deleteJobCode,
+  getJobHoursReport,
+}
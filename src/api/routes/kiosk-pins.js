@@ -0,0 +1,61 @@
+const {
+  getKioskPinStatus,
+  setEmployeePin,
+  clearEmployeePin,
+  unlockEmployeePin,
+  getPunchMethodReport,
+} = require("../../services/kioskPins")
+
+async function getKioskPins() {
+  try {
+    return { success: true, data: getKioskPinStatus() }
+  } catch (error) {
+    console.error("Error getting kiosk PINs:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function setKioskPin(event, { employeeUid, pin } = {}) {
+  try {
+    return setEmployeePin(employeeUid, pin)
+  } catch (error) {
+    console.error("Error setting kiosk PIN:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function clearKioskPin(event, employeeUid) {
+  try {
+    return clearEmployeePin(employeeUid)
+  } catch (error) {
+    console.error("Error clearing kiosk PIN:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function unlockKioskPin(event, employeeUid) {
+  try {
+    return unlockEmployeePin(employeeUid)
+  } catch (error) {
+    console.error("Error unlocking kiosk PIN:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Punches per employee and method (barcode, pin, camera, ...) for auditing the PIN fallback
+async function getPunchMethods(event, filters = {}) {
+  try {
+    return { success: true, data: getPunchMethodReport(filters || {}) }
+  } catch (error) {
+    console.error("Error getting punch method report:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getKioskPins,
+  setKioskPin,
+  clearKioskPin,
+  unlockKioskPin,
+  getPunchMethods,
+}
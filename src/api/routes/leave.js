@@ -0,0 +1,109 @@
+const leaveManagement = require("../../services/leaveManagement")
+const { broadcastUpdate } = require("../../services/websocket")
+
+async function getLeaveTypes(event, options = {}) {
+  try {
+    return { success: true, data: leaveManagement.getLeaveTypes(options || {}) }
+  } catch (error) {
+    console.error("Error getting leave types:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function saveLeaveType(event, leaveType) {
+  try {
+    return leaveManagement.saveLeaveType(leaveType || {})
+  } catch (error) {
+    console.error("Error saving leave type:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function getLeaveBalances(event, { employeeUid, year } = {}) {
+  try {
+    if (!employeeUid) {
+      return { success: false, error: "Employee is required" }
+    }
+
+    const balances = year
+      ? leaveManagement.getLeaveBalances(Number.parseInt(employeeUid), Number.parseInt(year))
+      : leaveManagement.getLeaveBalances(Number.parseInt(employeeUid))
+
+    return { success: true, data: balances }
+  } catch (error) {
+    console.error("Error getting leave balances:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function getLeaveRequests(event, filters = {}) {
+  try {
+    return { success: true, data: leaveManagement.getLeaveRequests(filters || {}) }
+  } catch (error) {
+    console.error("Error getting leave requests:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function fileLeaveRequest(event, request) {
+  try {
+    return leaveManagement.fileLeaveRequest(request || {})
+  } catch (error) {
+    console.error("Error filing leave request:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Approving or cancelling approved leave rewrites the daily summaries it covers
+function reviewLeave(id, status, { reviewedBy = null, notes = null } = {}) {
+  const result = leaveManagement.reviewLeaveRequest(id, status, { reviewedBy, notes })
+
+  if (result.success && result.summariesUpdated > 0) {
+    broadcastUpdate("attendance_update", {
+      type: "leave",
+      leaveRequestId: id,
+      status,
+    })
+  }
+
+  return result
+}
+
+// Review actions are gated by the admin PIN in the renderer
+async function approveLeaveRequest(event, { id, reviewedBy = null, notes = null } = {}) {
+  try {
+    return reviewLeave(id, "approved", { reviewedBy, notes })
+  } catch (error) {
+    console.error("Error approving leave request:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function rejectLeaveRequest(event, { id, reviewedBy = null, notes = null } = {}) {
+  try {
+    return reviewLeave(id, "rejected", { reviewedBy, notes })
+  } catch (error) {
+    console.error("Error rejecting leave request:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function cancelLeaveRequest(event, { id, reviewedBy = null, notes = null } = {}) {
+  try {
+    return reviewLeave(id, "cancelled", { reviewedBy, notes })
+  } catch (error) {
+    console.error("Error cancelling leave request:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getLeaveTypes,
+  saveLeaveType,
+  getLeaveBalances,
+  getLeaveRequests,
+  fileLeaveRequest,
+  approveLeaveRequest,
+  rejectLeaveRequest,
+  cancelLeaveRequest,
+}
@@ -0,0 +1,75 @@
+const overtimeAuthorization = require("../../services/overtimeAuthorization")
+const dateService = require("../../services/dateService")
+const { addDays } = require("../../services/siteTime")
+const { broadcastUpdate } = require("../../services/websocket")
+
+async function getOvertimeAuthorizations(event, filters = {}) {
+  try {
+    return { success: true, data: overtimeAuthorization.getOvertimeAuthorizations(filters || {}) }
+  } catch (error) {
+    console.error("Error getting overtime authorizations:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Saving and revoking are gated by the admin PIN in the renderer
+async function saveOvertimeAuthorization(event, authorization) {
+  try {
+    const result = overtimeAuthorization.saveOvertimeAuthorization(authorization || {})
+
+    if (result.success && result.summariesUpdated > 0) {
+      broadcastUpdate("attendance_update", {
+        type: "overtime_authorization",
+        authorizationId: result.id,
+      })
+    }
+
+    return result
+  } catch (error) {
+    console.error("Error saving overtime authorization:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function revokeOvertimeAuthorization(event, { id, revokedBy = null } = {}) {
+  try {
+    const result = overtimeAuthorization.revokeOvertimeAuthorization(id, { revokedBy })
+
+    if (result.success && result.summariesUpdated > 0) {
+      broadcastUpdate("attendance_update", {
+        type: "overtime_authorization",
+        authorizationId: id,
+        status: "revoked",
+      })
+    }
+
+    return result
+  } catch (error) {
+    console.error("Error revoking overtime authorization:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Defaults to the last 30 days
+async function getUnapprovedOvertime(event, { startDate = null, endDate = null, employeeUid = null } = {}) {
+  try {
+    const end = endDate || dateService.getCurrentDate()
+    const start = startDate || addDays(end, -29)
+
+    return {
+      success: true,
+      data: overtimeAuthorization.getUnapprovedOvertime({ startDate: start, endDate: end, employeeUid }),
+      dateRange: { startDate: start, endDate: end },
+    }
+  } catch (error) {
+    console.error("Error getting unapproved overtime:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getOvertimeAuthorizations,
+  saveOvertimeAuthorization,
+  revokeOvertimeAuthorization,
+  getUnapprovedOvertime,
+}
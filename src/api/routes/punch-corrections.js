@@ -0,0 +1,66 @@
+const punchCorrections = require("../../services/punchCorrections")
+const { broadcastUpdate } = require("../../services/websocket")
+
+async function getPunchCorrections(event, options = {}) {
+  try {
+    return { success: true, data: punchCorrections.getCorrectionRequests(options || {}) }
+  } catch (error) {
+    console.error("Error getting punch corrections:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function getPunchCorrectionLog(event, options = {}) {
+  try {
+    return { success: true, data: punchCorrections.getCorrectionLog(options || {}) }
+  } catch (error) {
+    console.error("Error getting punch correction log:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function createPunchCorrection(event, request) {
+  try {
+    return punchCorrections.createCorrectionRequest(request || {})
+  } catch (error) {
+    console.error("Error creating punch correction:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Approval and rejection are gated by the admin PIN in the renderer
+async function approvePunchCorrection(event, { id, reviewedBy = null, notes = null } = {}) {
+  try {
+    const result = punchCorrections.approveCorrectionRequest(id, { reviewedBy, notes })
+
+    if (result.success) {
+      broadcastUpdate("attendance_update", {
+        type: "punch_correction",
+        correctionId: id,
+        attendanceId: result.attendanceId,
+      })
+    }
+
+    return result
+  } catch (error) {
+    console.error("Error approving punch correction:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function rejectPunchCorrection(event, { id, reviewedBy = null, notes = null } = {}) {
+  try {
+    return punchCorrections.rejectCorrectionRequest(id, { reviewedBy, notes })
+  } catch (error) {
+    console.error("Error rejecting punch correction:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getPunchCorrections,
+  getPunchCorrectionLog,
+  createPunchCorrection,
+  approvePunchCorrection,
+  rejectPunchCorrection,
+}
@@ -1,4 +1,18 @@
 const { getDatabase } = require("../../database/setup")
+const { SITE_TIMEZONE_SETTING, isValidTimeZone, clearSiteTimeZoneCache } = require("../../services/siteTime")
+const { KIOSK_ACTION_MODE_SETTING, KIOSK_ACTION_MODES } = require("../../services/kioskActions")
+const { validateRoundingSettings } = require("../../services/timeRounding")
+const {
+  WEEKLY_OVERTIME_SETTING_KEYS,
+  validateWeeklyOvertimeSettings,
+  rebuildWeeklyOvertime,
+} = require("../../services/weeklyOvertime")
+const { validateAutoClockOutSettings } = require("../../services/autoClockOut")
+const { validateBreakSettings } = require("../../services/breakTracking")
+const { validateAntiPassbackSettings } = require("../../services/antiPassback")
+const { validateKioskPinSettings } = require("../../services/kioskPins")
+const dateService = require("../../services/dateService")
+const { addDays } = require("../../services/siteTime")
 
 async function getSettings() {
   try {
@@ -20,7 +34,56 @@ async function getSettings() {
 
 async function updateSettings(event, settings) {
   try {
+    const siteTimeZone = settings[SITE_TIMEZONE_SETTING]
+    if (siteTimeZone !== undefined && !isValidTimeZone(siteTimeZone)) {
+      return { success: false, error: `Unknown timezone "${siteTimeZone}" - use an IANA name such as Asia/Manila` }
+    }
+
+    const driftThreshold = settings.clock_drift_threshold_seconds
+    if (driftThreshold !== undefined && !(Number.parseFloat(driftThreshold) > 0)) {
+      return { success: false, error: "Clock drift threshold must be a positive number of seconds" }
+    }
+
+    const kioskActionMode = settings[KIOSK_ACTION_MODE_SETTING]
+    if (kioskActionMode !== undefined && !KIOSK_ACTION_MODES.includes(kioskActionMode)) {
+      return { success: false, error: `Kiosk action mode must be one of ${KIOSK_ACTION_MODES.join(", ")}` }
+    }
+
+    const roundingError = validateRoundingSettings(settings)
+    if (roundingError) {
+      return { success: false, error: roundingError }
+    }
+
+    const weeklyOvertimeError = validateWeeklyOvertimeSettings(settings)
+    if (weeklyOvertimeError) {
+      return { success: false, error: weeklyOvertimeError }
+    }
+
+    const autoClockOutError = validateAutoClockOutSettings(settings)
+    if (autoClockOutError) {
+      return { success: false, error: autoClockOutError }
+    }
+
+    const breakError = validateBreakSettings(settings)
+    if (breakError) {
+      return { success: false, error: breakError }
+    }
+
+    const antiPassbackError = validateAntiPassbackSettings(settings)
+    if (antiPassbackError) {
+      return { success: false, error: antiPassbackError }
+    }
+
+    const kioskPinError = validateKioskPinSettings(settings)
+    if (kioskPinError) {
+      return { success: false, error: kioskPinError }
+    }
+
     const db = getDatabase()
+    const currentValue = db.prepare("SELECT value FROM settings WHERE key = ?")
+    const weeklyRulesChanged = WEEKLY_OVERTIME_SETTING_KEYS.some(
+      (key) => settings[key] !== undefined && String(settings[key]) !== currentValue.get(key)?.value,
+    )
     const stmt = db.prepare("INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)")
 
     const transaction = db.transaction((settings) => {
@@ -31,6 +94,16 @@ async function updateSettings(event, settings) {
 
     transaction(settings)
 
+    if (siteTimeZone !== undefined) {
+      clearSiteTimeZoneCache()
+    }
+
+    // Apply changed weekly overtime rules to the recent weeks straight away
+    if (weeklyRulesChanged) {
+      const today = dateService.getCurrentDate()
+      rebuildWeeklyOvertime(addDays(today, -90), today, db)
+    }
+
     return { success: true, message: "Settings updated successfully" }
   } catch (error) {
     console.error("Error updating settings:", error)
@@ -0,0 +1,210 @@
+const { getDatabase } = require("../../database/setup")
+const { validateSchedule, validateScheduleAssignment, clearScheduleCache } = require("../../services/shiftSchedule")
+
+async function getShiftSchedules() {
+  try {
+    const db = getDatabase()
+    const schedules = db
+      .prepare("SELECT * FROM shift_schedules ORDER BY is_active DESC, is_default DESC, name ASC")
+      .all()
+
+    return { success: true, data: schedules }
+  } catch (error) {
+    console.error("Error getting shift schedules:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function saveShiftSchedule(event, schedule) {
+  try {
+    const errors = validateSchedule(schedule)
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(", ") }
+    }
+
+    const db = getDatabase()
+    const values = [
+      String(schedule.name).trim(),
+      schedule.days_of_week,
+      schedule.start_time,
+      schedule.end_time,
+      schedule.lunch_start || null,
+      schedule.lunch_end || null,
+      Number(schedule.grace_period),
+      schedule.early_ot_start || null,
+      schedule.overtime_cutoff || null,
+      Number(schedule.evening_grace ?? 15),
+      schedule.allow_overtime ? 1 : 0,
+      schedule.is_default ? 1 : 0,
+      schedule.is_active === undefined || schedule.is_active ? 1 : 0,
+    ]
+
+    let scheduleId = schedule.id
+    if (scheduleId) {
+      db.prepare(`
+        UPDATE shift_schedules SET
+          name = ?, days_of_week = ?, start_time = ?, end_time = ?,
+          lunch_start = ?, lunch_end = ?, grace_period = ?,
+          early_ot_start = ?, overtime_cutoff = ?, evening_grace = ?,
+          allow_overtime = ?, is_default = ?, is_active = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, scheduleId)
+    } else {
+      const result = db.prepare(`
+        INSERT INTO shift_schedules (
+          name, days_of_week, start_time, end_time, lunch_start, lunch_end,
+          grace_period, early_ot_start, overtime_cutoff, evening_grace,
+          allow_overtime, is_default, is_active
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(...values)
+      scheduleId = result.lastInsertRowid
+    }
+
+    clearScheduleCache()
+    console.log(`✓ Shift schedule saved: ${values[0]} (ID: ${scheduleId})`)
+
+    return { success: true, data: { id: scheduleId }, message: "Shift schedule saved successfully" }
+  } catch (error) {
+    console.error("Error saving shift schedule:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function deleteShiftSchedule(event, scheduleId) {
+  try {
+    const db = getDatabase()
+    const assignmentCount = db.prepare("SELECT COUNT(*) as count FROM schedule_assignments WHERE schedule_id = ?").get(scheduleId)
+
+    if (assignmentCount.count > 0) {
+      // Assignments keep history for recalculation - deactivate the schedule instead
+      return { success: false, error: `Schedule is used by ${assignmentCount.count} assignment(s); mark it inactive instead` }
+    }
+
+    const activeCount = db.prepare("SELECT COUNT(*) as count FROM shift_schedules WHERE is_active = 1 AND id != ?").get(scheduleId)
+
+    if (activeCount.count === 0) {
+      return { success: false, error: "At least one active shift schedule is required" }
+    }
+
+    const result = db.prepare("DELETE FROM shift_schedules WHERE id = ?").run(scheduleId)
+    clearScheduleCache()
+
+    return { success: result.changes > 0, message: result.changes > 0 ? "Shift schedule deleted" : "Shift schedule not found" }
+  } catch (error) {
+    console.error("Error deleting shift schedule:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function getScheduleAssignments(event, filters = {}) {
+  try {
+    const db = getDatabase()
+    const { employeeUid = null, department = null } = filters || {}
+
+    let query = `
+      SELECT
+        sa.*,
+        s.name AS schedule_name,
+        e.first_name,
+        e.last_name,
+        e.id_number
+      FROM schedule_assignments sa
+      JOIN shift_schedules s ON s.id = sa.schedule_id
+      LEFT JOIN employees e ON e.uid = sa.employee_uid
+      WHERE 1=1
+    `
+    const params = []
+
+    if (employeeUid) {
+      query += " AND sa.employee_uid = ?"
+      params.push(employeeUid)
+    }
+
+    if (department) {
+      query += " AND sa.department = ?"
+      params.push(department)
+    }
+
+    query += " ORDER BY sa.employee_uid IS NOT NULL, sa.department, e.last_name, sa.effective_from DESC"
+
+    return { success: true, data: db.prepare(query).all(...params) }
+  } catch (error) {
+    console.error("Error getting schedule assignments:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function saveScheduleAssignment(event, assignment) {
+  try {
+    const errors = validateScheduleAssignment(assignment)
+    if (errors.length > 0) {
+      return { success: false, error: errors.join(", ") }
+    }
+
+    const db = getDatabase()
+    const schedule = db.prepare("SELECT id FROM shift_schedules WHERE id = ?").get(assignment.schedule_id)
+    if (!schedule) {
+      return { success: false, error: "Shift schedule not found" }
+    }
+
+    const values = [
+      Number(assignment.schedule_id),
+      assignment.employee_uid ? null : String(assignment.department).trim(),
+      assignment.employee_uid ? Number(assignment.employee_uid) : null,
+      assignment.effective_from,
+      assignment.effective_to || null,
+      assignment.notes || null,
+    ]
+
+    let assignmentId = assignment.id
+    if (assignmentId) {
+      db.prepare(`
+        UPDATE schedule_assignments SET
+          schedule_id = ?, department = ?, employee_uid = ?,
+          effective_from = ?, effective_to = ?, notes = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, assignmentId)
+    } else {
+      const result = db.prepare(`
+        INSERT INTO schedule_assignments (
+          schedule_id, department, employee_uid, effective_from, effective_to, notes
+        ) VALUES (?, ?, ?, ?, ?, ?)
+      `).run(...values)
+      assignmentId = result.lastInsertRowid
+    }
+
+    const target = values[2] ? `employee ${values[2]}` : `department ${values[1]}`
+    console.log(`✓ Schedule assignment saved: schedule ${values[0]} → ${target} from ${values[3]} (ID: ${assignmentId})`)
+
+    return { success: true, data: { id: assignmentId }, message: "Schedule assignment saved successfully" }
+  } catch (error) {
+    console.error("Error saving schedule assignment:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function deleteScheduleAssignment(event, assignmentId) {
+  try {
+    const db = getDatabase()
+    const result = db.prepare("DELETE FROM schedule_assignments WHERE id = ?").run(assignmentId)
+
+    return {
+      success: result.changes > 0,
+      message: result.changes > 0 ? "Schedule assignment deleted" : "Schedule assignment not found",
+    }
+  } catch (error) {
+    console.error("Error deleting schedule assignment:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getShiftSchedules,
+  saveShiftSchedule,
+  deleteShiftSchedule,
+  getScheduleAssignments,
+  saveScheduleAssignment,
+  deleteScheduleAssignment,
+}
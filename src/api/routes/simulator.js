@@ -0,0 +1,15 @@
+const { simulatePunches: runSimulation } = require("../../services/punchSimulator")
+
+// What-if punch simulator - never writes to the live database
+async function simulatePunches(event, payload) {
+  try {
+    return runSimulation(payload || {})
+  } catch (error) {
+    console.error("Error simulating punches:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  simulatePunches,
+}
@@ -1,5 +1,6 @@
 const { getDatabase, updateDailyAttendanceSummary } = require("../../database/setup")
 const fetch = require('node-fetch')
+const trustedTime = require('../../services/trustedTime')
 
 async function syncDailySummaryToServer(ignoreTransactionErrors = false) {
   const db = getDatabase()
@@ -52,6 +53,24 @@ async function syncDailySummaryToServer(ignoreTransactionErrors = false) {
         afternoon_hours,
         evening_hours,
         overtime_session_hours,
+        holiday_name,
+        holiday_type,
+        holiday_regular_hours,
+        holiday_overtime_hours,
+        holiday_regular_multiplier,
+        holiday_overtime_multiplier,
+        night_differential_hours,
+        leave_type,
+        leave_name,
+        leave_days,
+        leave_hours,
+        is_absent,
+        late_minutes,
+        undertime_minutes,
+        approved_overtime_hours,
+        unapproved_overtime_hours,
+        schedule_name,
+        is_rest_day,
         is_incomplete,
         has_late_entry,
         has_overtime,
@@ -59,8 +78,14 @@ async function syncDailySummaryToServer(ignoreTransactionErrors = false) {
         total_sessions,
         completed_sessions,
         pending_sessions,
+        auto_clock_out_sessions,
+        session_details,
         total_minutes_worked,
         break_time_minutes,
+        paid_break_minutes,
+        missed_break,
+        long_break,
+        break_details,
         last_updated,
         created_at
       FROM daily_attendance_summary 
@@ -90,6 +115,8 @@ async function syncDailySummaryToServer(ignoreTransactionErrors = false) {
       })
     })
     
+    trustedTime.recordServerTime(response, 'summary-sync')
+    
     if (!response.ok) {
       const errorText = await response.text()
       throw new Error(`Server responded with status ${response.status}: ${errorText}`)
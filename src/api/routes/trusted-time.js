@@ -0,0 +1,26 @@
+const trustedTime = require("../../services/trustedTime")
+
+// Kiosk clock status against server/monotonic time
+async function getClockStatus() {
+  try {
+    return { success: true, data: trustedTime.checkClockDrift() }
+  } catch (error) {
+    console.error("Error getting clock status:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+// Audit trail of clock jumps, threshold crossings and flagged punches
+async function getClockDriftEvents(event, options = {}) {
+  try {
+    return { success: true, data: trustedTime.getDriftEvents(options || {}) }
+  } catch (error) {
+    console.error("Error getting clock drift events:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getClockStatus,
+  getClockDriftEvents,
+}
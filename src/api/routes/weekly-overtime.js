@@ -0,0 +1,37 @@
+const weeklyOvertime = require("../../services/weeklyOvertime")
+const dateService = require("../../services/dateService")
+const { addDays } = require("../../services/siteTime")
+
+// Weeks overlapping the range; defaults to the last 4 weeks
+async function getWeeklyOvertime(event, { startDate = null, endDate = null, employeeUid = null, warningsOnly = false } = {}) {
+  try {
+    const end = endDate || dateService.getCurrentDate()
+    const start = startDate || addDays(end, -27)
+
+    return {
+      success: true,
+      data: weeklyOvertime.getWeeklyOvertimeSummaries({ startDate: start, endDate: end, employeeUid, warningsOnly }),
+      settings: weeklyOvertime.getWeeklyOvertimeSettings(),
+      dateRange: { startDate: start, endDate: end },
+    }
+  } catch (error) {
+    console.error("Error getting weekly overtime:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+async function rebuildWeeklyOvertime(event, { startDate = null, endDate = null } = {}) {
+  try {
+    const end = endDate || dateService.getCurrentDate()
+    const weeks = weeklyOvertime.rebuildWeeklyOvertime(startDate || addDays(end, -27), end)
+    return { success: true, weeks }
+  } catch (error) {
+    console.error("Error rebuilding weekly overtime:", error)
+    return { success: false, error: error.message }
+  }
+}
+
+module.exports = {
+  getWeeklyOvertime,
+  rebuildWeeklyOvertime,
+}
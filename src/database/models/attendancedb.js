@@ -1,6 +1,16 @@
 const { getDatabase } = require("../setup");
-const { calculateHours, isLate } = require("../../services/timeCalculator");
+const {
+  calculateHours,
+  getLateMinutes,
+  getUndertimeMinutes,
+  getPunchDirection,
+  getDaySessions,
+  getSessionStartRule,
+} = require("../../services/timeCalculator");
 const dateService = require("../../services/dateService");
+const { parseTimestamp, formatTimestamp, toBusinessDate } = require("../../services/siteTime");
+const trustedTime = require("../../services/trustedTime");
+const { getRoundingPolicy, getRoundedClockTime } = require("../../services/timeRounding");
 
 class Attendance {
   static getTodayAttendance() {
@@ -269,154 +279,133 @@ class Attendance {
     }
   }
 
-  // UPDATED: Clock in method now uses bulk profile downloading
-  static async clockIn(employee, clockType, profileService, serverUrl) {
-    const db = getDatabase();
-    const clockTime = dateService.getCurrentDateTime();
-    const createdAt = dateService.getCurrentDateTime();
-    const today = dateService.getCurrentDate();
-
-    // Check if we have the profile locally first
-    let profilePath = null;
-    if (profileService) {
-      try {
-        const existingProfilePath = profileService.ensureProfilesDirectory(
-          employee.id_number
-        );
-        const profileExists = await profileService.profileExists(
-          employee.id_number
-        );
-
-        if (profileExists) {
-          profilePath = existingProfilePath;
-          console.log(
-            `Using existing profile for employee ${employee.id_number}`
-          );
-        } else if (serverUrl) {
-          // If profile doesn't exist locally, trigger a bulk download for today's employees
-          console.log(
-            `Profile not found for employee ${employee.id_number}, triggering bulk download...`
-          );
-
-          // This will download profiles for all employees who clocked in today (including this one)
-          const bulkResult = await this.ensureTodayProfilesDownloaded(
-            profileService,
-            serverUrl,
-            (progress) => {
-              console.log(
-                `Bulk download progress: ${progress.stage} - ${progress.message}`
-              );
-            }
-          );
-
-          if (
-            bulkResult.success &&
-            bulkResult.profiles &&
-            bulkResult.profiles[employee.id_number]
-          ) {
-            profilePath = bulkResult.profiles[employee.id_number].path;
-            console.log(
-              `Downloaded profile for employee ${employee.id_number} via bulk download`
-            );
-          } else {
-            // Fallback to individual download if bulk fails
-            console.warn(
-              `Bulk download failed for employee ${employee.id_number}, attempting individual download...`
-            );
-            profilePath = await profileService.downloadAndStoreProfile(
-              employee.id_number,
-              serverUrl
-            );
-          }
-        }
-      } catch (error) {
-        console.error(
-          `Error handling profile for employee ${employee.id_number}:`,
-          error
-        );
-      }
-    }
-
-    const now = new Date(clockTime);
+  // Write one punch. Synchronous, so the clocking pipeline can run it inside its transaction.
+  // Punches go through the session state machine (sessionStateMachine.recordTransition)
+  // options.businessDate: record the punch under the date its session started
+  // (an overnight clock-out belongs to the previous day's summary)
+  // options.jobCode: job of a clock-in; a clock-out takes the job of the session it closes
+  // options.punchMethod: how the punch came in (barcode, pin, camera, correction, auto_clock_out)
+  // options.clockTime: time of a punch recorded after the fact; the kiosk clock is only checked
+  // for punches happening now
+  // options.db: database to write to (the simulator's in-memory copy)
+  // options.id, createdAt, isSynced, scannedBarcode: kept from a punch downloaded from the server
+  // options.autoClockOutPolicy: marks an auto clock-out and the policy that timed it
+  static recordPunch(employee, clockType, options = {}) {
+    const db = options.db || getDatabase();
+    // Check the kiosk clock first - this also refreshes the correction dateService applies
+    const clockCheck = options.clockTime
+      ? { flagged: false, corrected: false, offsetMs: null, deviceTime: null }
+      : trustedTime.assessPunchTime();
+    const clockTime = options.clockTime
+      ? formatTimestamp(options.clockTime)
+      : dateService.getCurrentDateTime();
+    const createdAt = options.createdAt || dateService.getCurrentDateTime();
+    const today = options.businessDate ||
+      (options.clockTime ? toBusinessDate(options.clockTime) : dateService.getCurrentDate());
+
+    const now = parseTimestamp(clockTime);
     let regularHours = 0;
     let overtimeHours = 0;
 
+    // A clock-in starts the next numbered session of the day, a clock-out closes the open one
+    const direction = getPunchDirection(clockType);
+    const sessions = getDaySessions(db, employee.uid, today, options.clockTime ? now : null);
+    const lastSession = sessions[sessions.length - 1];
+    const openSession = lastSession && lastSession.clockIn && !lastSession.clockOut ? lastSession : null;
+    const sequence = direction === "out" && openSession ? openSession.sequence : sessions.length + 1;
+
+    // Only the first clock-in of a window can be late (coming back to it or from a break is not)
     let isEmployeeLate = 0;
-    if (clockType.endsWith("_in")) {
-      isEmployeeLate = isLate(clockType, now) ? 1 : 0;
+    let lateMinutes = 0;
+    let undertimeMinutes = 0;
+    if (direction === "in") {
+      const returning = !!getSessionStartRule(clockType, now, employee.uid, db)?.continuation;
+      lateMinutes = returning ? 0 : getLateMinutes(clockType, now, employee.uid, db);
+      isEmployeeLate = lateMinutes > 0 ? 1 : 0;
+    } else {
+      undertimeMinutes = getUndertimeMinutes(clockType, now, today, employee.uid, db);
     }
 
-    if (clockType.endsWith("_out")) {
-      // Get the corresponding clock_in time
-      const clockInStmt = db.prepare(`
-        SELECT clock_time FROM attendance 
-        WHERE employee_uid = ? AND date = ? AND clock_type = ?
-        ORDER BY clock_time DESC
-        LIMIT 1
-      `);
+    const jobCode = direction === "out" ? openSession?.clockIn.job_code || null : options.jobCode || null;
 
-      let clockInType;
-      switch (clockType) {
-        case "morning_out":
-          clockInType = "morning_in";
-          break;
-        case "afternoon_out":
-          clockInType = "afternoon_in";
-          break;
-        case "evening_out":
-          clockInType = "evening_in";
-          break;
-        case "overtime_out":
-          clockInType = "overtime_in";
-          break;
-        default:
-          clockInType = clockType.replace("_out", "_in");
-      }
-
-      const clockInRecord = clockInStmt.get(employee.uid, today, clockInType);
-
-      if (clockInRecord) {
-        const clockInTime = new Date(clockInRecord.clock_time);
-        const result = calculateHours(clockType, now, clockInTime);
-        regularHours = result.regularHours;
-        overtimeHours = result.overtimeHours;
-      }
+    if (direction === "out" && openSession) {
+      const clockInTime = parseTimestamp(openSession.clockIn.clock_time);
+      const result = calculateHours(clockType, now, clockInTime, employee.uid, db);
+      regularHours = result.regularHours;
+      overtimeHours = result.overtimeHours;
     }
     // For clock_in types, hours remain 0
 
+    // Raw punch time plus the time the rounding policy turns it into, for payroll audits
+    const roundedClockTime = getRoundedClockTime(clockType, clockTime, getRoundingPolicy(db));
+
     const stmt = db.prepare(`
       INSERT INTO attendance 
-      (employee_uid, id_number, clock_type, clock_time, regular_hours, overtime_hours, is_late, date, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (id, employee_uid, id_number, scanned_barcode, clock_type, direction, sequence, clock_time, rounded_clock_time,
+       regular_hours, overtime_hours, is_late, late_minutes, undertime_minutes, date, created_at, clock_flagged,
+       clock_offset_ms, device_clock_time, kiosk_action, job_code, punch_method, is_synced, auto_clock_out,
+       auto_clock_out_policy)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
+    const clockFlagged = clockCheck.flagged ? 1 : 0;
     const result = stmt.run(
+      options.id || null,
       employee.uid,
       employee.id_number,
+      options.scannedBarcode || null,
       clockType,
+      direction,
+      sequence,
       clockTime,
+      roundedClockTime,
       regularHours,
       overtimeHours,
       isEmployeeLate,
+      lateMinutes,
+      undertimeMinutes,
       today,
-      createdAt
+      createdAt,
+      clockFlagged,
+      clockCheck.offsetMs,
+      clockCheck.flagged || clockCheck.corrected ? clockCheck.deviceTime : null,
+      options.kioskAction || null,
+      jobCode,
+      options.punchMethod || null,
+      options.isSynced ? 1 : 0,
+      options.autoClockOutPolicy ? 1 : 0,
+      options.autoClockOutPolicy || null
     );
 
+    if (clockCheck.flagged) {
+      console.warn(
+        `Punch ${result.lastInsertRowid} flagged: kiosk clock off by ${Math.round(clockCheck.offsetMs / 1000)}s`
+      );
+      trustedTime.recordFlaggedPunch(result.lastInsertRowid, employee.uid, clockCheck);
+    }
+
     return {
       id: result.lastInsertRowid,
       employee_uid: employee.uid,
       id_number: employee.id_number,
       clock_type: clockType,
+      direction,
+      sequence,
       clock_time: clockTime,
+      rounded_clock_time: roundedClockTime,
       regular_hours: regularHours,
       overtime_hours: overtimeHours,
       is_late: isEmployeeLate,
+      late_minutes: lateMinutes,
+      undertime_minutes: undertimeMinutes,
+      clock_flagged: clockFlagged,
+      kiosk_action: options.kioskAction || null,
+      job_code: jobCode,
+      punch_method: options.punchMethod || null,
       date: today,
       created_at: createdAt,
-      employee: {
-        ...employee,
-        local_profile_path: profilePath,
-      },
+      auto_clock_out: options.autoClockOutPolicy ? 1 : 0,
+      employee,
     };
   }
 
@@ -460,7 +449,7 @@ class Attendance {
     const stmt = db.prepare(`
       SELECT clock_type FROM attendance 
       WHERE employee_uid = ? AND date = ?
-      ORDER BY clock_time DESC
+      ORDER BY clock_time DESC, id DESC
       LIMIT 1
     `);
 
@@ -474,13 +463,15 @@ class Attendance {
     const stmt = db.prepare(`
       SELECT * FROM attendance 
       WHERE employee_uid = ? AND date = ?
-      ORDER BY clock_time DESC
+      ORDER BY clock_time DESC, id DESC
       LIMIT 1
     `);
 
     return stmt.get(employeeUid, date);
   }
 
+  // A job transfer records its clock-out and the next clock-in at the same time, so the latest
+  // punch is the last one written (id) among those at the latest time
   static getCurrentlyClocked() {
     const db = getDatabase();
     const today = dateService.getCurrentDate();
@@ -496,7 +487,7 @@ class Attendance {
           e.profile_picture,
           a.clock_type as last_clock_type,
           a.clock_time as last_clock_time,
-          ROW_NUMBER() OVER (PARTITION BY a.employee_uid ORDER BY a.clock_time DESC) as rn
+          ROW_NUMBER() OVER (PARTITION BY a.employee_uid ORDER BY a.clock_time DESC, a.id DESC) as rn
         FROM attendance a
         JOIN employees e ON a.employee_uid = e.uid
         WHERE a.date = ?
@@ -694,8 +685,8 @@ class Attendance {
     const stmt = db.prepare(`
       SELECT DISTINCT a.employee_uid, e.first_name, e.last_name, e.department, e.profile_picture,
              MAX(a.clock_time) as last_clock_time,
-             (SELECT clock_type FROM attendance WHERE employee_uid = a.employee_uid AND date = ? ORDER BY clock_time DESC LIMIT 1) as last_clock_type,
-             (SELECT clock_time FROM attendance WHERE employee_uid = a.employee_uid AND date = ? AND clock_type LIKE '%_in' ORDER BY clock_time DESC LIMIT 1) as clock_in_time
+             (SELECT clock_type FROM attendance WHERE employee_uid = a.employee_uid AND date = ? ORDER BY clock_time DESC, id DESC LIMIT 1) as last_clock_type,
+             (SELECT clock_time FROM attendance WHERE employee_uid = a.employee_uid AND date = ? AND clock_type LIKE '%_in' ORDER BY clock_time DESC, id DESC LIMIT 1) as clock_in_time
       FROM attendance a
       JOIN employees e ON a.employee_uid = e.uid
       WHERE a.date = ? AND a.clock_type IN ('evening_in', 'evening_out', 'overtime_in', 'overtime_out')
@@ -854,6 +845,22 @@ class Attendance {
       afternoon_hours,
       evening_hours,
       overtime_session_hours,
+      holiday_name,
+      holiday_type,
+      holiday_regular_hours,
+      holiday_overtime_hours,
+      holiday_regular_multiplier,
+      holiday_overtime_multiplier,
+      night_differential_hours,
+      leave_type,
+      leave_name,
+      leave_days,
+      leave_hours,
+      is_absent,
+      late_minutes,
+      undertime_minutes,
+      schedule_name,
+      is_rest_day,
       is_incomplete,
       has_late_entry,
       has_overtime,
@@ -861,8 +868,14 @@ class Attendance {
       total_sessions,
       completed_sessions,
       pending_sessions,
+      auto_clock_out_sessions,
+      session_details,
       total_minutes_worked,
       break_time_minutes,
+      paid_break_minutes,
+      missed_break,
+      long_break,
+      break_details,
       last_updated,
       created_at
     FROM daily_attendance_summary
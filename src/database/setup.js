@@ -2,6 +2,23 @@ const Database = require("better-sqlite3")
 const path = require("path")
 const fs = require("fs")
 const { app } = require("electron")
+const { getHolidayForDate, bucketHolidayHours } = require("../services/holidayCalendar")
+const { getLeaveForDate } = require("../services/leaveManagement")
+const { shouldRecordAbsence } = require("../services/absenceDetection")
+const { evaluatePolicyRules } = require("../services/attendancePolicy")
+const { updateWeeklyOvertimeSummary, rebuildWeeklyOvertime } = require("../services/weeklyOvertime")
+const { splitOvertimeHours } = require("../services/overtimeAuthorization")
+const { getBreakSettings, analyzeBreaks } = require("../services/breakTracking")
+const { updateJobTimeSegments } = require("../services/jobCodes")
+const { getRoundingPolicy, getRoundedClockTime } = require("../services/timeRounding")
+const { getScheduleForEmployee } = require("../services/shiftSchedule")
+const { getLateMinutes, getUndertimeMinutes, getSessionStartRule, pairSessions, determineSessionType } = require("../services/timeCalculator")
+const {
+  getNightDifferentialSettings,
+  calculateNightDifferentialMinutes,
+  getScheduleBreaks
+} = require("../services/nightDifferential")
+const { parseTimestamp, getSystemTimeZone, clearSiteTimeZoneCache, toBusinessDate, addDays } = require("../services/siteTime")
 
 let db
 
@@ -150,18 +167,29 @@ function createTables() {
         employee_uid INTEGER,
         id_number TEXT,
         scanned_barcode TEXT,
-        clock_type TEXT CHECK(clock_type IN (
-          'morning_in', 'morning_out', 
-          'afternoon_in', 'afternoon_out',
-          'evening_in', 'evening_out',
-          'overtime_in', 'overtime_out'
-        )),
+        clock_type TEXT, -- Session label + direction (e.g. morning_in), derived by the rules engine
+        direction TEXT CHECK(direction IN ('in', 'out')),
+        sequence INTEGER, -- Session number within the business date; an IN and its OUT share it
+        kiosk_action TEXT, -- Action picked at the kiosk (in / out / break), 'transfer' for job transfers; NULL when the clock type was guessed
+        job_code TEXT, -- Job / cost center of the punch's session (see services/jobCodes)
         clock_time DATETIME,
+        rounded_clock_time DATETIME, -- clock_time after the rounding policy; hours are calculated from it
+        break_punch TEXT, -- 'out' / 'in' when the punch starts / ends a break, derived by the summary builder
         regular_hours REAL DEFAULT 0,
         overtime_hours REAL DEFAULT 0,
         date TEXT,
         is_late INTEGER DEFAULT 0,
+        late_minutes INTEGER DEFAULT 0, -- Clock-ins: minutes after the scheduled start
+        undertime_minutes INTEGER DEFAULT 0, -- Clock-outs: minutes before the scheduled end
         is_synced INTEGER DEFAULT 0,
+        clock_flagged INTEGER DEFAULT 0, -- Punched while the kiosk clock was off by more than the drift threshold
+        clock_offset_ms INTEGER, -- Trusted time minus kiosk time when punched
+        device_clock_time DATETIME, -- Kiosk time when clock_time was corrected
+        auto_clock_out INTEGER DEFAULT 0, -- Clock-out written by the auto clock-out job for a forgotten punch
+        auto_clock_out_policy TEXT, -- scheduled_end / zero_hours
+        auto_clock_out_reviewed_by TEXT,
+        auto_clock_out_reviewed_at DATETIME, -- NULL until HR has reviewed the auto clock-out
+        punch_method TEXT, -- How the punch came in: barcode, pin, camera, correction, auto_clock_out
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (employee_uid) REFERENCES employees (uid)
       )
@@ -196,6 +224,8 @@ function createTables() {
         evening_session_hours REAL DEFAULT 0,
         regular_overtime_hours REAL DEFAULT 0,
         night_shift_hours REAL DEFAULT 0,
+        approved_overtime_hours REAL DEFAULT 0, -- Overtime inside an authorized window
+        unapproved_overtime_hours REAL DEFAULT 0,
         
         -- Special rules applied
         early_morning_rule_applied INTEGER DEFAULT 0,
@@ -211,6 +241,7 @@ function createTables() {
         
         -- Grace periods and adjustments
         lateness_minutes INTEGER DEFAULT 0,
+        undertime_minutes INTEGER DEFAULT 0,
         grace_period_minutes INTEGER DEFAULT 0,
         session_grace_period INTEGER DEFAULT 0,
         
@@ -272,14 +303,37 @@ function createTables() {
         has_overtime INTEGER DEFAULT 0,
         has_evening_session INTEGER DEFAULT 0,
         
+        -- Approved leave (see services/leaveManagement)
+        leave_type TEXT, -- Leave type code, NULL when not on leave
+        leave_name TEXT,
+        leave_days REAL DEFAULT 0, -- 1 or 0.5
+        leave_hours REAL DEFAULT 0, -- Credited hours for paid leave
+        
+        -- Scheduled working day with no punches and no leave (see services/absenceDetection)
+        is_absent INTEGER DEFAULT 0,
+        
+        -- Tardiness, summed over the day's sessions
+        late_minutes INTEGER DEFAULT 0,
+        undertime_minutes INTEGER DEFAULT 0,
+        
+        -- Overtime split by authorization (see services/overtimeAuthorization)
+        approved_overtime_hours REAL DEFAULT 0,
+        unapproved_overtime_hours REAL DEFAULT 0,
+        
         -- Metadata
         total_sessions INTEGER DEFAULT 0,
         completed_sessions INTEGER DEFAULT 0,
         pending_sessions INTEGER DEFAULT 0,
+        auto_clock_out_sessions INTEGER DEFAULT 0, -- Sessions closed by the auto clock-out job, not yet reviewed
+        session_details TEXT, -- JSON: every IN/OUT session of the day in sequence order
         
         -- Time calculations
         total_minutes_worked INTEGER DEFAULT 0,
-        break_time_minutes INTEGER DEFAULT 0, -- Future: track lunch breaks
+        break_time_minutes INTEGER DEFAULT 0, -- Meal and rest breaks (see services/breakTracking)
+        paid_break_minutes INTEGER DEFAULT 0, -- Rest-break minutes credited to regular hours
+        missed_break INTEGER DEFAULT 0, -- Long day without the minimum break
+        long_break INTEGER DEFAULT 0, -- A break ran longer than allowed
+        break_details TEXT, -- JSON: every break of the day
         
         -- Sync and audit
         last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -315,7 +369,39 @@ function createTables() {
       ["overtime_grace", "5"], // 5 minutes grace for overtime
       ["overtime_session_grace", "15"], // 15 minutes grace for overtime sessions
       ["regular_grace", "5"], // 5 minutes grace for regular hours
-      ["face_detection_enabled", "true"]
+      ["face_detection_enabled", "true"],
+      ["overnight_shift_enabled", "true"], // Allow sessions to close after midnight
+      ["overnight_window_hours", "16"], // How far back an open clock-in can be closed
+      ["night_differential_enabled", "true"],
+      ["night_differential_start", "22:00"], // Night premium window, may cross midnight
+      ["night_differential_end", "06:00"],
+      ["site_timezone", getSystemTimeZone()], // IANA zone for business dates (e.g. Asia/Manila)
+      ["clock_drift_threshold_seconds", "120"], // Flag punches when the kiosk clock is off by more
+      ["clock_correction_enabled", "false"], // Stamp punches with trusted time instead of kiosk time
+      ["absence_detection_enabled", "true"], // Record absences for scheduled employees after each day
+      ["kiosk_action_mode", "auto"], // "explicit": employees pick IN / OUT / BREAK before scanning
+      ["rounding_clock_in_minutes", "0"], // Payroll rounding interval, 0 = off
+      ["rounding_clock_in_mode", "up"], // up / down / nearest
+      ["rounding_clock_out_minutes", "0"],
+      ["rounding_clock_out_mode", "down"],
+      ["rounding_overtime_minutes", "0"], // Overtime counted in whole blocks of this size
+      ["rounding_overtime_mode", "down"],
+      ["weekly_overtime_after_hours", "48"], // Regular hours per week before the rest is overtime, 0 = off
+      ["consecutive_day_premium_day", "7"], // Nth consecutive working day earns the premium, 0 = off
+      ["daily_overtime_cap_hours", "4"], // Warn above this much overtime in a day, 0 = off
+      ["weekly_overtime_cap_hours", "12"], // Warn above this much overtime in a week, 0 = off
+      ["auto_clock_out_enabled", "false"], // Close sessions still open long after the shift end
+      ["auto_clock_out_after_hours", "4"], // Hours after the shift end before a session is closed
+      ["auto_clock_out_policy", "scheduled_end"], // Clock-out at the scheduled end, or zero_hours
+      ["paid_break_minutes", "0"], // Rest-break minutes per day counted as worked time
+      ["maximum_break_minutes", "0"], // Flag rest breaks longer than this, 0 = off
+      ["minimum_break_minutes", "0"], // Break a long day must include, 0 = off
+      ["minimum_break_after_hours", "6"], // Worked hours after which the minimum break applies
+      ["anti_passback_min_interval_seconds", "5"], // Shortest time between two punches, 0 = off
+      ["anti_passback_min_session_minutes", "0"], // Shortest session before a clock-out, 0 = off
+      ["anti_passback_action", "reject"], // Punches breaking a rule: reject, or review (punch correction)
+      ["kiosk_pin_max_attempts", "5"], // Wrong kiosk PINs in a row before the PIN locks
+      ["kiosk_pin_lockout_minutes", "15"]
     ]
 
     defaultSettings.forEach(([key, value]) => {
@@ -327,6 +413,349 @@ function createTables() {
       }
     })
 
+    // Shift schedules table (working hours used by timeCalculator)
+    console.log('Creating shift_schedules table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS shift_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        days_of_week TEXT NOT NULL DEFAULT '1,2,3,4,5,6', -- 0 = Sunday ... 6 = Saturday
+        start_time TEXT NOT NULL, -- HH:MM
+        end_time TEXT NOT NULL,
+        lunch_start TEXT,
+        lunch_end TEXT,
+        grace_period INTEGER DEFAULT 5,
+        early_ot_start TEXT, -- NULL disables early-morning overtime
+        overtime_cutoff TEXT, -- Regular OT ends / night OT starts
+        evening_grace INTEGER DEFAULT 15, -- Evening session starts at end_time + grace
+        allow_overtime INTEGER DEFAULT 1,
+        is_default INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    console.log('✓ Shift schedules table created')
+
+    // Schedule assignments (department-wide or per employee, with effective dates)
+    console.log('Creating schedule_assignments table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schedule_assignments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        schedule_id INTEGER NOT NULL,
+        department TEXT, -- Set for department-level assignments
+        employee_uid INTEGER, -- Set for employee overrides
+        effective_from TEXT NOT NULL, -- YYYY-MM-DD
+        effective_to TEXT, -- NULL = open-ended
+        notes TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (schedule_id) REFERENCES shift_schedules (id),
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid) ON DELETE CASCADE,
+        CHECK ((department IS NULL) != (employee_uid IS NULL))
+      )
+    `)
+    console.log('✓ Schedule assignments table created')
+
+    // Holiday calendar (drives holiday regular / holiday OT buckets in the summary)
+    console.log('Creating holidays table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS holidays (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL UNIQUE, -- YYYY-MM-DD
+        name TEXT NOT NULL,
+        holiday_type TEXT NOT NULL DEFAULT 'regular' CHECK(holiday_type IN (
+          'regular', 'special_non_working', 'company_shutdown'
+        )),
+        regular_multiplier REAL, -- NULL uses the holiday type default
+        overtime_multiplier REAL,
+        is_recurring INTEGER DEFAULT 0, -- Repeats every year on the same month/day
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    console.log('✓ Holidays table created')
+
+    // Kiosk clock audit trail (see services/trustedTime)
+    console.log('Creating clock_drift_events table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS clock_drift_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_type TEXT NOT NULL, -- clock_jump, drift_exceeded, drift_recovered, punch_flagged, punch_corrected, system_resume
+        source TEXT, -- server, monotonic or the sync service that saw the server time
+        device_time DATETIME, -- Kiosk clock at the event
+        trusted_time DATETIME,
+        offset_ms INTEGER, -- Trusted time minus kiosk time
+        drift_ms INTEGER, -- Size of a detected clock jump
+        attendance_id INTEGER,
+        employee_uid INTEGER,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    console.log('✓ Clock drift events table created')
+
+    // Missed-punch correction requests (see services/punchCorrections)
+    console.log('Creating punch_corrections table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS punch_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        date TEXT NOT NULL, -- Business date of the session
+        clock_type TEXT NOT NULL,
+        requested_time DATETIME NOT NULL, -- Stored timestamp format (site time + offset)
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected')),
+        requested_by TEXT,
+        reviewed_by TEXT,
+        review_notes TEXT,
+        reviewed_at DATETIME,
+        attendance_id INTEGER, -- Punch inserted on approval
+        is_synced INTEGER DEFAULT 0,
+        created_at DATETIME,
+        updated_at DATETIME,
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid)
+      )
+    `)
+    console.log('✓ Punch corrections table created')
+
+    // Every step taken on a correction request (requested, approved, punch_inserted, ...)
+    console.log('Creating punch_correction_log table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS punch_correction_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        correction_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        actor TEXT,
+        details TEXT, -- JSON
+        is_synced INTEGER DEFAULT 0,
+        created_at DATETIME,
+        FOREIGN KEY (correction_id) REFERENCES punch_corrections (id)
+      )
+    `)
+    console.log('✓ Punch correction log table created')
+
+    // Leave types, yearly balances and leave requests (see services/leaveManagement)
+    console.log('Creating leave tables...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_types (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE, -- e.g. VL, SL
+        name TEXT NOT NULL,
+        is_paid INTEGER DEFAULT 1, -- Paid leave credits the scheduled hours in the summary
+        annual_days REAL DEFAULT 0, -- Yearly accrual; 0 = not limited by a balance
+        max_carry_over_days REAL DEFAULT 0, -- Unused days moved to the next year
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_balances (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        leave_type_id INTEGER NOT NULL,
+        year INTEGER NOT NULL,
+        accrued_days REAL DEFAULT 0,
+        carried_over_days REAL DEFAULT 0,
+        is_synced INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (employee_uid, leave_type_id, year),
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid) ON DELETE CASCADE,
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types (id)
+      )
+    `)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS leave_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        leave_type_id INTEGER NOT NULL,
+        start_date TEXT NOT NULL, -- YYYY-MM-DD
+        end_date TEXT NOT NULL,
+        is_half_day INTEGER DEFAULT 0,
+        days REAL NOT NULL, -- Working days charged (rest days and holidays excluded)
+        days_by_year TEXT, -- JSON {"2026": 2} - charged per balance year
+        reason TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'approved', 'rejected', 'cancelled')),
+        filed_by TEXT,
+        reviewed_by TEXT,
+        review_notes TEXT,
+        reviewed_at DATETIME,
+        is_synced INTEGER DEFAULT 0,
+        created_at DATETIME,
+        updated_at DATETIME,
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid),
+        FOREIGN KEY (leave_type_id) REFERENCES leave_types (id)
+      )
+    `)
+    console.log('✓ Leave tables created')
+
+    // Tardiness / undertime policy rules and the incidents they raise (see services/attendancePolicy)
+    console.log('Creating attendance policy tables...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS attendance_policy_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        metric TEXT NOT NULL CHECK(metric IN (
+          'late_count', 'late_minutes', 'undertime_count', 'undertime_minutes', 'absence_count'
+        )),
+        threshold REAL NOT NULL, -- Breached when the period total is greater than this
+        period TEXT NOT NULL DEFAULT 'month' CHECK(period IN ('week', 'month')),
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS policy_incidents (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        period_start TEXT NOT NULL, -- YYYY-MM-DD
+        period_end TEXT NOT NULL,
+        metric TEXT NOT NULL,
+        threshold REAL NOT NULL, -- Copied from the rule when raised
+        value REAL NOT NULL, -- Period total, kept current as summaries change
+        dates TEXT, -- JSON list of the dates that count towards the value
+        status TEXT NOT NULL DEFAULT 'open' CHECK(status IN ('open', 'reviewed', 'dismissed', 'void')),
+        reviewed_by TEXT,
+        review_notes TEXT,
+        reviewed_at DATETIME,
+        created_at DATETIME,
+        updated_at DATETIME,
+        UNIQUE (rule_id, employee_uid, period_start),
+        FOREIGN KEY (rule_id) REFERENCES attendance_policy_rules (id),
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid)
+      )
+    `)
+    console.log('✓ Attendance policy tables created')
+
+    // Overtime pre-approvals - only overtime inside an authorized window counts as approved
+    console.log('Creating overtime authorizations table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS overtime_authorizations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        date TEXT NOT NULL, -- Business date the overtime belongs to (YYYY-MM-DD)
+        start_time TEXT NOT NULL, -- HH:MM; an end before the start runs past midnight
+        end_time TEXT NOT NULL,
+        reason TEXT,
+        approved_by TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'approved' CHECK(status IN ('approved', 'revoked')),
+        revoked_by TEXT,
+        revoked_at DATETIME,
+        created_at DATETIME,
+        updated_at DATETIME,
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid)
+      )
+    `)
+    console.log('✓ Overtime authorizations table created')
+
+    // Weekly overtime - period-level totals and warnings built from the daily summaries (see services/weeklyOvertime)
+    console.log('Creating weekly overtime summary table...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS weekly_overtime_summary (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        week_start TEXT NOT NULL, -- Monday (YYYY-MM-DD)
+        week_end TEXT NOT NULL, -- Sunday
+        days_worked INTEGER DEFAULT 0,
+        regular_hours REAL DEFAULT 0, -- Sum of the daily regular hours
+        daily_overtime_hours REAL DEFAULT 0, -- Sum of the daily overtime hours
+        weekly_overtime_hours REAL DEFAULT 0, -- Regular hours beyond the weekly threshold
+        payable_regular_hours REAL DEFAULT 0, -- regular_hours - weekly_overtime_hours
+        total_overtime_hours REAL DEFAULT 0, -- daily + weekly overtime
+        max_consecutive_days INTEGER DEFAULT 0, -- Longest run of worked days reaching into the week
+        premium_dates TEXT, -- JSON list of dates worked on the premium consecutive day or later
+        premium_hours REAL DEFAULT 0, -- Hours worked on those dates
+        weekly_threshold_hours REAL, -- Threshold in effect when the week was built
+        warnings TEXT, -- JSON list of cap / consecutive day warnings
+        warning_count INTEGER DEFAULT 0,
+        last_updated DATETIME,
+        UNIQUE (employee_uid, week_start),
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid)
+      )
+    `)
+    console.log('✓ Weekly overtime summary table created')
+
+    // Job codes - customer jobs / cost centers punches are allocated to (see services/jobCodes)
+    console.log('Creating job code tables...')
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE, -- Upper case; printed on job cards as JOB+<code>
+        name TEXT NOT NULL,
+        customer TEXT,
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_time_segments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        date TEXT NOT NULL, -- Business date of the session
+        sequence INTEGER NOT NULL, -- Session number within the date
+        job_code TEXT, -- NULL when the session had no job
+        clock_in_id INTEGER,
+        clock_out_id INTEGER,
+        start_time DATETIME,
+        end_time DATETIME,
+        regular_hours REAL DEFAULT 0,
+        overtime_hours REAL DEFAULT 0,
+        last_updated DATETIME,
+        UNIQUE (employee_uid, date, sequence),
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid)
+      )
+    `)
+    console.log('✓ Job code tables created')
+
+    // Punches turned away by the anti-passback rules (see services/antiPassback)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS anti_passback_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        employee_uid INTEGER NOT NULL,
+        id_number TEXT,
+        method TEXT, -- How the punch came in: barcode, pin, camera
+        input_type TEXT,
+        requested_action TEXT, -- in / out / break picked at the kiosk, NULL in auto mode
+        clock_type TEXT, -- Punch the attempt would have recorded
+        date TEXT NOT NULL, -- Business date of that punch
+        rule TEXT NOT NULL, -- min_interval, min_session
+        message TEXT,
+        outcome TEXT NOT NULL, -- rejected, queued (filed as a punch correction)
+        correction_id INTEGER,
+        attempted_at DATETIME NOT NULL,
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid),
+        FOREIGN KEY (correction_id) REFERENCES punch_corrections (id)
+      )
+    `)
+    console.log('✓ Anti-passback log table created')
+
+    // Hashed kiosk PINs for punching without a badge (see services/kioskPins); kept out of
+    // employees, which the server sync rewrites
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS employee_kiosk_pins (
+        employee_uid INTEGER PRIMARY KEY,
+        pin_hash TEXT NOT NULL, -- scrypt hash of the PIN, hex
+        pin_salt TEXT NOT NULL,
+        failed_attempts INTEGER DEFAULT 0, -- Wrong PINs in a row
+        locked_until DATETIME, -- Set when failed_attempts reaches kiosk_pin_max_attempts
+        last_failed_at DATETIME,
+        last_used_at DATETIME,
+        updated_at DATETIME,
+        FOREIGN KEY (employee_uid) REFERENCES employees (uid)
+      )
+    `)
+    console.log('✓ Employee kiosk PINs table created')
+
     // Create database version tracking table
     console.log('Creating database version table...')
     db.exec(`
@@ -354,6 +783,7 @@ function createIndexes() {
       "CREATE INDEX IF NOT EXISTS idx_attendance_clock_time ON attendance (clock_time)",
       "CREATE INDEX IF NOT EXISTS idx_attendance_clock_type ON attendance (clock_type)",
       "CREATE INDEX IF NOT EXISTS idx_attendance_employee_date ON attendance (employee_uid, date)",
+      "CREATE INDEX IF NOT EXISTS idx_attendance_employee_date_sequence ON attendance (employee_uid, date, sequence)",
       // REMOVED: Problematic partial index with LIKE
       // "CREATE INDEX IF NOT EXISTS idx_attendance_overtime ON attendance (clock_type) WHERE clock_type LIKE '%overtime%' OR clock_type LIKE '%evening%'",
       "CREATE INDEX IF NOT EXISTS idx_attendance_id_barcode ON attendance (scanned_barcode)",
@@ -382,7 +812,48 @@ function createIndexes() {
       "CREATE INDEX IF NOT EXISTS idx_daily_summary_incomplete ON daily_attendance_summary (is_incomplete)",
       "CREATE INDEX IF NOT EXISTS idx_daily_summary_total_hours ON daily_attendance_summary (total_hours)",
       "CREATE INDEX IF NOT EXISTS idx_daily_summary_name ON daily_attendance_summary (employee_name)",
-      "CREATE INDEX IF NOT EXISTS idx_daily_summary_last_updated ON daily_attendance_summary (last_updated)"
+      "CREATE INDEX IF NOT EXISTS idx_daily_summary_last_updated ON daily_attendance_summary (last_updated)",
+
+      // Holiday calendar
+      "CREATE INDEX IF NOT EXISTS idx_holidays_date ON holidays (date)",
+
+      // Schedule assignments
+      "CREATE INDEX IF NOT EXISTS idx_schedule_assignments_employee ON schedule_assignments (employee_uid, effective_from)",
+      "CREATE INDEX IF NOT EXISTS idx_schedule_assignments_department ON schedule_assignments (department, effective_from)",
+
+      // Indexes for clock drift audit
+      "CREATE INDEX IF NOT EXISTS idx_clock_drift_events_type ON clock_drift_events (event_type, created_at)",
+      "CREATE INDEX IF NOT EXISTS idx_clock_drift_events_attendance ON clock_drift_events (attendance_id)",
+
+      // Indexes for punch corrections
+      "CREATE INDEX IF NOT EXISTS idx_punch_corrections_status ON punch_corrections (status, created_at)",
+      "CREATE INDEX IF NOT EXISTS idx_punch_corrections_employee_date ON punch_corrections (employee_uid, date)",
+      "CREATE INDEX IF NOT EXISTS idx_punch_correction_log_correction ON punch_correction_log (correction_id)",
+
+      // Indexes for leave
+      "CREATE INDEX IF NOT EXISTS idx_leave_requests_employee_dates ON leave_requests (employee_uid, start_date, end_date)",
+      "CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests (status)",
+
+      // Indexes for policy incidents
+      "CREATE INDEX IF NOT EXISTS idx_policy_incidents_status ON policy_incidents (status)",
+      "CREATE INDEX IF NOT EXISTS idx_policy_incidents_employee ON policy_incidents (employee_uid, period_start)",
+
+      // Indexes for overtime authorizations
+      "CREATE INDEX IF NOT EXISTS idx_overtime_authorizations_employee_date ON overtime_authorizations (employee_uid, date)",
+
+      // Indexes for weekly overtime
+      "CREATE INDEX IF NOT EXISTS idx_weekly_overtime_week ON weekly_overtime_summary (week_start)",
+
+      // Indexes for job time segments
+      "CREATE INDEX IF NOT EXISTS idx_job_time_segments_job_date ON job_time_segments (job_code, date)",
+      "CREATE INDEX IF NOT EXISTS idx_job_time_segments_date ON job_time_segments (date)",
+
+      // Indexes for the anti-passback log
+      "CREATE INDEX IF NOT EXISTS idx_anti_passback_log_employee_date ON anti_passback_log (employee_uid, date)",
+      "CREATE INDEX IF NOT EXISTS idx_anti_passback_log_date ON anti_passback_log (date)",
+
+      // Index for the punch method report
+      "CREATE INDEX IF NOT EXISTS idx_attendance_punch_method_date ON attendance (punch_method, date)"
     ]
 
     indexes.forEach((indexQuery, i) => {
@@ -743,10 +1214,14 @@ if (currentVersion < 9) {
       )
     `);
     
-    // Copy data
+    // Copy data. A fresh install creates the summary with columns added after this migration;
+    // those are dropped here and come back through their own ALTER TABLE migrations
+    const newColumns = db.prepare("PRAGMA table_info(daily_attendance_summary_new)").all().map(col => col.name);
+    const oldColumns = new Set(db.prepare("PRAGMA table_info(daily_attendance_summary)").all().map(col => col.name));
+    const copiedColumns = newColumns.filter(column => oldColumns.has(column)).join(", ");
     db.exec(`
-      INSERT INTO daily_attendance_summary_new 
-      SELECT * FROM daily_attendance_summary
+      INSERT INTO daily_attendance_summary_new (${copiedColumns})
+      SELECT ${copiedColumns} FROM daily_attendance_summary
     `);
     
     // Drop old and rename
@@ -775,7 +1250,695 @@ if (currentVersion < 9) {
   insertVersion.run(9, "Updated foreign key constraints to use CASCADE DELETE")
 }
 
-    console.log('✓ All migrations completed successfully')
+    // Migration 10: Seed shift schedules with the previously hard-coded hours
+    if (currentVersion < 10) {
+      console.log('Running migration 10: Seeding shift schedules...')
+      try {
+        const { DEFAULT_SHIFT_SCHEDULES } = require("../services/shiftSchedule")
+        const insertSchedule = db.prepare(`
+          INSERT OR IGNORE INTO shift_schedules (
+            name, days_of_week, start_time, end_time, lunch_start, lunch_end,
+            grace_period, early_ot_start, overtime_cutoff, evening_grace,
+            allow_overtime, is_default, is_active
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `)
+
+        DEFAULT_SHIFT_SCHEDULES.forEach((schedule) => {
+          insertSchedule.run(
+            schedule.name,
+            schedule.days_of_week,
+            schedule.start_time,
+            schedule.end_time,
+            schedule.lunch_start,
+            schedule.lunch_end,
+            schedule.grace_period,
+            schedule.early_ot_start,
+            schedule.overtime_cutoff,
+            schedule.evening_grace,
+            schedule.allow_overtime,
+            schedule.is_default,
+            schedule.is_active
+          )
+          console.log(`✓ Migration 10: ${schedule.name} schedule added`)
+        })
+      } catch (error) {
+        console.error('Error in migration 10:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(10, "Added shift_schedules table with default Weekday and Sunday schedules")
+    }
+
+    // Migration 11: Overnight shift settings (cross-midnight sessions)
+    if (currentVersion < 11) {
+      console.log('Running migration 11: Adding overnight shift settings...')
+
+      const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+
+      const newSettings = [
+        ["overnight_shift_enabled", "true"],
+        ["overnight_window_hours", "16"]
+      ]
+
+      newSettings.forEach(([key, value]) => {
+        try {
+          insertSetting.run(key, value)
+          console.log(`✓ Added setting: ${key}`)
+        } catch (error) {
+          console.log(`- Setting already exists: ${key}`)
+        }
+      })
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(11, "Added overnight shift settings")
+
+      console.log('✓ Migration 11: Overnight shift settings added')
+    }
+
+    // Migration 12: Holiday buckets on daily_attendance_summary
+    // (holidays table itself is created in createTables)
+    if (currentVersion < 12) {
+      console.log('Running migration 12: Adding holiday columns to daily_attendance_summary...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(daily_attendance_summary)").all()
+        const holidayColumns = [
+          ["holiday_name", "TEXT"],
+          ["holiday_type", "TEXT"],
+          ["holiday_regular_hours", "REAL DEFAULT 0"],
+          ["holiday_overtime_hours", "REAL DEFAULT 0"],
+          ["holiday_regular_multiplier", "REAL"],
+          ["holiday_overtime_multiplier", "REAL"]
+        ]
+
+        holidayColumns.forEach(([column, definition]) => {
+          if (!tableInfo.find(col => col.name === column)) {
+            db.exec(`ALTER TABLE daily_attendance_summary ADD COLUMN ${column} ${definition}`)
+            console.log(`✓ Migration 12: ${column} column added`)
+          } else {
+            console.log(`- Migration 12: ${column} column already exists`)
+          }
+        })
+      } catch (error) {
+        console.error('Error in migration 12:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(12, "Added holiday bucket columns to daily_attendance_summary")
+
+      console.log('✓ Migration 12: Holiday columns migration completed')
+    }
+
+    // Migration 13: Schedule used for each summary day (schedule_assignments is created in createTables)
+    if (currentVersion < 13) {
+      console.log('Running migration 13: Adding schedule columns to daily_attendance_summary...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(daily_attendance_summary)").all()
+        const scheduleColumns = [
+          ["schedule_name", "TEXT"],
+          ["is_rest_day", "INTEGER DEFAULT 0"]
+        ]
+
+        scheduleColumns.forEach(([column, definition]) => {
+          if (!tableInfo.find(col => col.name === column)) {
+            db.exec(`ALTER TABLE daily_attendance_summary ADD COLUMN ${column} ${definition}`)
+            console.log(`✓ Migration 13: ${column} column added`)
+          } else {
+            console.log(`- Migration 13: ${column} column already exists`)
+          }
+        })
+      } catch (error) {
+        console.error('Error in migration 13:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(13, "Added schedule_assignments table and schedule columns to daily_attendance_summary")
+
+      console.log('✓ Migration 13: Schedule assignment migration completed')
+    }
+
+    // Migration 14: Night differential window settings and summary bucket
+    if (currentVersion < 14) {
+      console.log('Running migration 14: Adding night differential settings and summary column...')
+
+      const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+
+      const newSettings = [
+        ["night_differential_enabled", "true"],
+        ["night_differential_start", "22:00"],
+        ["night_differential_end", "06:00"]
+      ]
+
+      newSettings.forEach(([key, value]) => {
+        try {
+          insertSetting.run(key, value)
+          console.log(`✓ Added setting: ${key}`)
+        } catch (error) {
+          console.log(`- Setting already exists: ${key}`)
+        }
+      })
+
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(daily_attendance_summary)").all()
+        if (!tableInfo.find(col => col.name === 'night_differential_hours')) {
+          db.exec(`ALTER TABLE daily_attendance_summary ADD COLUMN night_differential_hours REAL DEFAULT 0`)
+          console.log('✓ Migration 14: night_differential_hours column added')
+        } else {
+          console.log('- Migration 14: night_differential_hours column already exists')
+        }
+      } catch (error) {
+        console.error('Error in migration 14:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(14, "Added night differential settings and night_differential_hours to daily_attendance_summary")
+
+      console.log('✓ Migration 14: Night differential migration completed')
+    }
+
+    // Migration 15: Persist the calculation trace behind each clock-out
+    if (currentVersion < 15) {
+      console.log('Running migration 15: Adding calculation_trace column to attendance_statistics...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(attendance_statistics)").all()
+        if (!tableInfo.find(col => col.name === 'calculation_trace')) {
+          db.exec(`ALTER TABLE attendance_statistics ADD COLUMN calculation_trace TEXT`)
+          console.log('✓ Migration 15: calculation_trace column added')
+        } else {
+          console.log('- Migration 15: calculation_trace column already exists')
+        }
+      } catch (error) {
+        console.error('Error in migration 15:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(15, "Added calculation_trace (JSON) to attendance_statistics")
+
+      console.log('✓ Migration 15: Calculation trace migration completed')
+    }
+
+    // Migration 16: Site timezone - business dates no longer depend on the process timezone
+    if (currentVersion < 16) {
+      console.log('Running migration 16: Adding site timezone setting...')
+      try {
+        // Existing sites keep the timezone their clock_time values were recorded in
+        db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)").run('site_timezone', getSystemTimeZone())
+        clearSiteTimeZoneCache()
+        console.log(`✓ Migration 16: site_timezone set to ${getSystemTimeZone()}`)
+      } catch (error) {
+        console.error('Error in migration 16:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(16, "Added site_timezone setting; clock_time stored with UTC offset")
+
+      console.log('✓ Migration 16: Site timezone migration completed')
+    }
+
+    if (currentVersion < 17) {
+      console.log('Running migration 17: Adding trusted time settings and clock flags...')
+
+      const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+
+      const newSettings = [
+        ["clock_drift_threshold_seconds", "120"],
+        ["clock_correction_enabled", "false"]
+      ]
+
+      newSettings.forEach(([key, value]) => {
+        try {
+          insertSetting.run(key, value)
+          console.log(`✓ Added setting: ${key}`)
+        } catch (error) {
+          console.log(`- Setting already exists: ${key}`)
+        }
+      })
+
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(attendance)").all()
+        const newColumns = [
+          ['clock_flagged', 'INTEGER DEFAULT 0'],
+          ['clock_offset_ms', 'INTEGER'],
+          ['device_clock_time', 'DATETIME']
+        ]
+
+        newColumns.forEach(([column, definition]) => {
+          if (!tableInfo.find(col => col.name === column)) {
+            db.exec(`ALTER TABLE attendance ADD COLUMN ${column} ${definition}`)
+            console.log(`✓ Migration 17: ${column} column added`)
+          } else {
+            console.log(`- Migration 17: ${column} column already exists`)
+          }
+        })
+      } catch (error) {
+        console.error('Error in migration 17:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(17, "Added clock_drift_events, trusted time settings and attendance clock flags")
+
+      console.log('✓ Migration 17: Trusted time migration completed')
+    }
+
+    // Migration 18: Leave on daily_attendance_summary and default leave types
+    // (leave tables are created in createTables)
+    if (currentVersion < 18) {
+      console.log('Running migration 18: Adding leave columns and default leave types...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(daily_attendance_summary)").all()
+        const leaveColumns = [
+          ["leave_type", "TEXT"],
+          ["leave_name", "TEXT"],
+          ["leave_days", "REAL DEFAULT 0"],
+          ["leave_hours", "REAL DEFAULT 0"]
+        ]
+
+        leaveColumns.forEach(([column, definition]) => {
+          if (!tableInfo.find(col => col.name === column)) {
+            db.exec(`ALTER TABLE daily_attendance_summary ADD COLUMN ${column} ${definition}`)
+            console.log(`✓ Migration 18: ${column} column added`)
+          } else {
+            console.log(`- Migration 18: ${column} column already exists`)
+          }
+        })
+
+        const { DEFAULT_LEAVE_TYPES } = require("../services/leaveManagement")
+        const insertLeaveType = db.prepare(`
+          INSERT OR IGNORE INTO leave_types (code, name, is_paid, annual_days, max_carry_over_days)
+          VALUES (?, ?, ?, ?, ?)
+        `)
+        DEFAULT_LEAVE_TYPES.forEach((type) => {
+          insertLeaveType.run(type.code, type.name, type.is_paid, type.annual_days, type.max_carry_over_days)
+        })
+        console.log(`✓ Migration 18: ${DEFAULT_LEAVE_TYPES.length} default leave types added`)
+      } catch (error) {
+        console.error('Error in migration 18:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(18, "Added leave columns to daily_attendance_summary and default leave types")
+
+      console.log('✓ Migration 18: Leave migration completed')
+    }
+
+    // Migration 19: Absence flag on daily_attendance_summary
+    if (currentVersion < 19) {
+      console.log('Running migration 19: Adding absence detection...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(daily_attendance_summary)").all()
+
+        if (!tableInfo.find(col => col.name === 'is_absent')) {
+          db.exec(`ALTER TABLE daily_attendance_summary ADD COLUMN is_absent INTEGER DEFAULT 0`)
+          console.log('✓ Migration 19: is_absent column added')
+        } else {
+          console.log('- Migration 19: is_absent column already exists')
+        }
+
+        db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)").run("absence_detection_enabled", "true")
+        console.log('✓ Migration 19: absence_detection_enabled setting added')
+      } catch (error) {
+        console.error('Error in migration 19:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(19, "Added is_absent to daily_attendance_summary and absence detection setting")
+
+      console.log('✓ Migration 19: Absence detection migration completed')
+    }
+
+    // Migration 20: Late / undertime minutes and default attendance policy rules
+    // (policy tables are created in createTables)
+    if (currentVersion < 20) {
+      console.log('Running migration 20: Adding late and undertime minutes...')
+      try {
+        const minuteColumns = {
+          attendance: ["late_minutes", "undertime_minutes"],
+          attendance_statistics: ["undertime_minutes"],
+          daily_attendance_summary: ["late_minutes", "undertime_minutes"]
+        }
+
+        Object.entries(minuteColumns).forEach(([table, columns]) => {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all()
+          columns.forEach((column) => {
+            if (!tableInfo.find(col => col.name === column)) {
+              db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} INTEGER DEFAULT 0`)
+              console.log(`✓ Migration 20: ${table}.${column} column added`)
+            } else {
+              console.log(`- Migration 20: ${table}.${column} column already exists`)
+            }
+          })
+        })
+
+        const { DEFAULT_POLICY_RULES } = require("../services/attendancePolicy")
+        const ruleCount = db.prepare("SELECT COUNT(*) AS count FROM attendance_policy_rules").get().count
+        if (ruleCount === 0) {
+          const insertRule = db.prepare("INSERT INTO attendance_policy_rules (name, metric, threshold, period) VALUES (?, ?, ?, ?)")
+          DEFAULT_POLICY_RULES.forEach((rule) => insertRule.run(rule.name, rule.metric, rule.threshold, rule.period))
+          console.log(`✓ Migration 20: ${DEFAULT_POLICY_RULES.length} default policy rules added`)
+        }
+      } catch (error) {
+        console.error('Error in migration 20:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(20, "Added late/undertime minutes and default attendance policy rules")
+
+      console.log('✓ Migration 20: Tardiness migration completed')
+    }
+
+    // Migration 21: Generic IN/OUT sessions - drop the fixed clock_type list, add direction and sequence
+    if (currentVersion < 21) {
+      console.log('Running migration 21: Converting punches to numbered IN/OUT sessions...')
+      try {
+        const attendanceTable = db.prepare(`
+          SELECT sql FROM sqlite_master
+          WHERE type='table' AND name='attendance'
+        `).get()
+
+        if (attendanceTable && /clock_type TEXT CHECK/i.test(attendanceTable.sql)) {
+          // Rebuild from the current definition so columns added by earlier migrations are kept
+          const newTableSql = attendanceTable.sql
+            .replace(/^CREATE TABLE\s+"?attendance"?/i, 'CREATE TABLE attendance_new')
+            .replace(/clock_type TEXT CHECK\s*\(clock_type IN \([^)]*\)\)/i, 'clock_type TEXT')
+          const columns = db.prepare('PRAGMA table_info(attendance)').all().map(col => col.name).join(', ')
+
+          db.exec('PRAGMA foreign_keys=OFF')
+          db.exec(newTableSql)
+          db.exec(`INSERT INTO attendance_new (${columns}) SELECT ${columns} FROM attendance`)
+          db.exec('DROP TABLE attendance')
+          db.exec('ALTER TABLE attendance_new RENAME TO attendance')
+          db.exec('PRAGMA foreign_keys=ON')
+          console.log('✓ Migration 21: clock_type constraint removed')
+        }
+
+        const tableInfo = db.prepare('PRAGMA table_info(attendance)').all()
+        if (!tableInfo.find(col => col.name === 'direction')) {
+          db.exec(`ALTER TABLE attendance ADD COLUMN direction TEXT CHECK(direction IN ('in', 'out'))`)
+          console.log('✓ Migration 21: direction column added')
+        }
+        if (!tableInfo.find(col => col.name === 'sequence')) {
+          db.exec(`ALTER TABLE attendance ADD COLUMN sequence INTEGER`)
+          console.log('✓ Migration 21: sequence column added')
+        }
+
+        const summaryInfo = db.prepare('PRAGMA table_info(daily_attendance_summary)').all()
+        if (!summaryInfo.find(col => col.name === 'session_details')) {
+          db.exec(`ALTER TABLE daily_attendance_summary ADD COLUMN session_details TEXT`)
+          console.log('✓ Migration 21: session_details column added')
+        }
+
+        // Number the existing punches of every employee and day
+        const days = db.prepare('SELECT DISTINCT employee_uid, date FROM attendance').all()
+        const updateSession = db.prepare('UPDATE attendance SET direction = ?, sequence = ? WHERE id = ?')
+        db.transaction(() => {
+          days.forEach(day => {
+            const records = db.prepare('SELECT id, clock_type, clock_time FROM attendance WHERE employee_uid = ? AND date = ?')
+              .all(day.employee_uid, day.date)
+            pairSessions(records)
+            records.forEach(record => updateSession.run(record.direction, record.sequence, record.id))
+          })
+        })()
+        console.log(`✓ Migration 21: Sessions numbered for ${days.length} employee-days`)
+
+        // Indexes were dropped with the old table
+        createIndexes()
+      } catch (error) {
+        console.error('Error in migration 21:', error)
+        db.exec('PRAGMA foreign_keys=ON')
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(21, "Punches stored as numbered IN/OUT sessions instead of fixed clock types")
+
+      console.log('✓ Migration 21: Session migration completed')
+    }
+
+    if (currentVersion < 22) {
+      console.log('Running migration 22: Adding kiosk action mode...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(attendance)").all()
+
+        if (!tableInfo.find(col => col.name === 'kiosk_action')) {
+          db.exec(`ALTER TABLE attendance ADD COLUMN kiosk_action TEXT`)
+          console.log('✓ Migration 22: kiosk_action column added')
+        } else {
+          console.log('- Migration 22: kiosk_action column already exists')
+        }
+
+        db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)").run("kiosk_action_mode", "auto")
+        console.log('✓ Migration 22: kiosk_action_mode setting added')
+      } catch (error) {
+        console.error('Error in migration 22:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(22, "Added kiosk_action to attendance and kiosk action mode setting")
+      console.log('✓ Migration 22 completed')
+    }
+
+    if (currentVersion < 23) {
+      console.log('Running migration 23: Adding approved / unapproved overtime hours...')
+      try {
+        const overtimeColumns = ["approved_overtime_hours", "unapproved_overtime_hours"]
+        const overtimeTables = ["attendance_statistics", "daily_attendance_summary"]
+
+        overtimeTables.forEach((table) => {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all()
+          overtimeColumns.forEach((column) => {
+            if (!tableInfo.find(col => col.name === column)) {
+              db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} REAL DEFAULT 0`)
+              console.log(`✓ Migration 23: ${table}.${column} column added`)
+            } else {
+              console.log(`- Migration 23: ${table}.${column} column already exists`)
+            }
+          })
+        })
+
+        // Existing overtime has no authorization - it shows as unapproved until summaries are rebuilt
+        db.exec(`UPDATE daily_attendance_summary SET unapproved_overtime_hours = overtime_hours WHERE overtime_hours > 0`)
+      } catch (error) {
+        console.error('Error in migration 23:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(23, "Added overtime authorizations and approved/unapproved overtime hours")
+      console.log('✓ Migration 23 completed')
+    }
+
+    if (currentVersion < 24) {
+      console.log('Running migration 24: Adding time rounding policy...')
+      try {
+        const tableInfo = db.prepare("PRAGMA table_info(attendance)").all()
+
+        if (!tableInfo.find(col => col.name === 'rounded_clock_time')) {
+          db.exec(`ALTER TABLE attendance ADD COLUMN rounded_clock_time DATETIME`)
+          console.log('✓ Migration 24: rounded_clock_time column added')
+        } else {
+          console.log('- Migration 24: rounded_clock_time column already exists')
+        }
+
+        // Punches recorded before rounding existed were calculated from the raw time
+        db.exec(`UPDATE attendance SET rounded_clock_time = clock_time WHERE rounded_clock_time IS NULL`)
+
+        const roundingSettings = [
+          ["rounding_clock_in_minutes", "0"],
+          ["rounding_clock_in_mode", "up"],
+          ["rounding_clock_out_minutes", "0"],
+          ["rounding_clock_out_mode", "down"],
+          ["rounding_overtime_minutes", "0"],
+          ["rounding_overtime_mode", "down"]
+        ]
+        const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+        roundingSettings.forEach(([key, value]) => insertSetting.run(key, value))
+        console.log('✓ Migration 24: rounding settings added')
+      } catch (error) {
+        console.error('Error in migration 24:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(24, "Added rounded_clock_time to attendance and time rounding settings")
+      console.log('✓ Migration 24 completed')
+    }
+
+    if (currentVersion < 25) {
+      console.log('Running migration 25: Adding weekly overtime rules...')
+      try {
+        const weeklySettings = [
+          ["weekly_overtime_after_hours", "48"],
+          ["consecutive_day_premium_day", "7"],
+          ["daily_overtime_cap_hours", "4"],
+          ["weekly_overtime_cap_hours", "12"]
+        ]
+        const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+        weeklySettings.forEach(([key, value]) => insertSetting.run(key, value))
+        console.log('✓ Migration 25: weekly overtime settings added')
+
+        // The table itself comes from createTables; fill in the recent weeks
+        const today = toBusinessDate()
+        rebuildWeeklyOvertime(addDays(today, -90), today, db)
+      } catch (error) {
+        console.error('Error in migration 25:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(25, "Added weekly_overtime_summary and weekly overtime settings")
+      console.log('✓ Migration 25 completed')
+    }
+
+    if (currentVersion < 26) {
+      console.log('Running migration 26: Adding automatic clock-out...')
+      try {
+        const autoClockOutColumns = {
+          attendance: [
+            ["auto_clock_out", "INTEGER DEFAULT 0"],
+            ["auto_clock_out_policy", "TEXT"],
+            ["auto_clock_out_reviewed_by", "TEXT"],
+            ["auto_clock_out_reviewed_at", "DATETIME"]
+          ],
+          daily_attendance_summary: [["auto_clock_out_sessions", "INTEGER DEFAULT 0"]]
+        }
+
+        Object.entries(autoClockOutColumns).forEach(([table, columns]) => {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all()
+          columns.forEach(([column, definition]) => {
+            if (!tableInfo.find(col => col.name === column)) {
+              db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+              console.log(`✓ Migration 26: ${table}.${column} column added`)
+            } else {
+              console.log(`- Migration 26: ${table}.${column} column already exists`)
+            }
+          })
+        })
+
+        const autoClockOutSettings = [
+          ["auto_clock_out_enabled", "false"],
+          ["auto_clock_out_after_hours", "4"],
+          ["auto_clock_out_policy", "scheduled_end"]
+        ]
+        const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+        autoClockOutSettings.forEach(([key, value]) => insertSetting.run(key, value))
+        console.log('✓ Migration 26: auto clock-out settings added')
+      } catch (error) {
+        console.error('Error in migration 26:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(26, "Added auto clock-out columns and settings")
+      console.log('✓ Migration 26 completed')
+    }
+
+    if (currentVersion < 27) {
+      console.log('Running migration 27: Adding break tracking...')
+      try {
+        const breakColumns = {
+          attendance: [["break_punch", "TEXT"]],
+          daily_attendance_summary: [
+            ["paid_break_minutes", "INTEGER DEFAULT 0"],
+            ["missed_break", "INTEGER DEFAULT 0"],
+            ["long_break", "INTEGER DEFAULT 0"],
+            ["break_details", "TEXT"]
+          ]
+        }
+
+        Object.entries(breakColumns).forEach(([table, columns]) => {
+          const tableInfo = db.prepare(`PRAGMA table_info(${table})`).all()
+          columns.forEach(([column, definition]) => {
+            if (!tableInfo.find(col => col.name === column)) {
+              db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`)
+              console.log(`✓ Migration 27: ${table}.${column} column added`)
+            } else {
+              console.log(`- Migration 27: ${table}.${column} column already exists`)
+            }
+          })
+        })
+
+        const breakSettings = [
+          ["paid_break_minutes", "0"],
+          ["maximum_break_minutes", "0"],
+          ["minimum_break_minutes", "0"],
+          ["minimum_break_after_hours", "6"]
+        ]
+        const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+        breakSettings.forEach(([key, value]) => insertSetting.run(key, value))
+        console.log('✓ Migration 27: break settings added')
+      } catch (error) {
+        console.error('Error in migration 27:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(27, "Added break tracking columns and settings")
+      console.log('✓ Migration 27 completed')
+    }
+
+    if (currentVersion < 28) {
+      console.log('Running migration 28: Adding job codes...')
+      try {
+        // The job_codes and job_time_segments tables come from createTables
+        const tableInfo = db.prepare("PRAGMA table_info(attendance)").all()
+        if (!tableInfo.find(col => col.name === 'job_code')) {
+          db.exec(`ALTER TABLE attendance ADD COLUMN job_code TEXT`)
+          console.log('✓ Migration 28: job_code column added')
+        } else {
+          console.log('- Migration 28: job_code column already exists')
+        }
+      } catch (error) {
+        console.error('Error in migration 28:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(28, "Added job codes, job_code to attendance and job time segments")
+      console.log('✓ Migration 28 completed')
+    }
+
+    if (currentVersion < 29) {
+      console.log('Running migration 29: Adding anti-passback settings...')
+      try {
+        // The anti_passback_log table comes from createTables
+        const antiPassbackSettings = [
+          ["anti_passback_min_interval_seconds", "5"],
+          ["anti_passback_min_session_minutes", "0"],
+          ["anti_passback_action", "reject"]
+        ]
+        const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+        antiPassbackSettings.forEach(([key, value]) => insertSetting.run(key, value))
+        console.log('✓ Migration 29: anti-passback settings added')
+      } catch (error) {
+        console.error('Error in migration 29:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(29, "Added anti-passback settings and log")
+      console.log('✓ Migration 29 completed')
+    }
+
+    if (currentVersion < 30) {
+      console.log('Running migration 30: Adding kiosk PINs and punch methods...')
+      try {
+        // The employee_kiosk_pins table comes from createTables
+        const tableInfo = db.prepare("PRAGMA table_info(attendance)").all()
+        if (!tableInfo.find(col => col.name === 'punch_method')) {
+          db.exec(`ALTER TABLE attendance ADD COLUMN punch_method TEXT`)
+          db.exec(`CREATE INDEX IF NOT EXISTS idx_attendance_punch_method_date ON attendance (punch_method, date)`)
+          console.log('✓ Migration 30: punch_method column added')
+        } else {
+          console.log('- Migration 30: punch_method column already exists')
+        }
+
+        const kioskPinSettings = [
+          ["kiosk_pin_max_attempts", "5"],
+          ["kiosk_pin_lockout_minutes", "15"]
+        ]
+        const insertSetting = db.prepare("INSERT OR IGNORE INTO settings (key, value) VALUES (?, ?)")
+        kioskPinSettings.forEach(([key, value]) => insertSetting.run(key, value))
+        console.log('✓ Migration 30: kiosk PIN settings added')
+      } catch (error) {
+        console.error('Error in migration 30:', error)
+      }
+
+      const insertVersion = db.prepare("INSERT OR IGNORE INTO database_version (version, description) VALUES (?, ?)")
+      insertVersion.run(30, "Added kiosk PINs and punch_method to attendance")
+      console.log('✓ Migration 30 completed')
+    }
+
 
   } catch (error) {
     console.error('Error running migrations:', error)
@@ -811,31 +1974,117 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
       ORDER BY clock_time ASC
     `).all(employeeUid, date)
 
+    // Order by the actual instant - older rows have no UTC offset in clock_time; a transfer's
+    // clock-out and clock-in can share it, the clock-out was written first
+    const clockInstant = (record) => parseTimestamp(record.clock_time).getTime()
+    attendanceRecords.sort((a, b) => clockInstant(a) - clockInstant(b) || a.id - b.id)
+    // Pay buckets follow the rounding policy, like the hours stored on each punch
+    const roundedTime = (record) => record.rounded_clock_time || record.clock_time
+
+    // Approved leave keeps a summary row even without punches
+    const leave = getLeaveForDate(employeeUid, date, db)
+
+    // A scheduled working day without punches or leave is kept as an absence once the day has been checked
+    const isAbsent = attendanceRecords.length === 0 && !leave && shouldRecordAbsence(employeeUid, date, db)
+
     // If no attendance records, DELETE the summary instead of keeping old data
-    if (attendanceRecords.length === 0) {
+    if (attendanceRecords.length === 0 && !leave && !isAbsent) {
       console.log(`No attendance records found for employee ${employeeUid} on ${date}, deleting summary`)
       db.prepare(`
         DELETE FROM daily_attendance_summary 
         WHERE employee_uid = ? AND date = ?
       `).run(employeeUid, date)
+      updateJobTimeSegments(employeeUid, date, [], db)
+      evaluatePolicyRules(employeeUid, date, db)
+      updateWeeklyOvertimeSummary(employeeUid, date, db)
       return true
     }
 
-    // Process attendance records to extract session times and calculate totals
+    // Pair the punches into numbered IN/OUT sessions - a day can have any number of them
+    const storedSessions = new Map(attendanceRecords.map(record => [record.id, `${record.direction}:${record.sequence}`]))
+    const sessions = pairSessions(attendanceRecords)
+    const updateSession = db.prepare("UPDATE attendance SET direction = ?, sequence = ? WHERE id = ?")
+    attendanceRecords.forEach(record => {
+      if (storedSessions.get(record.id) !== `${record.direction}:${record.sequence}`) {
+        updateSession.run(record.direction, record.sequence, record.id)
+      }
+    })
+
+    // First clock-in and last clock-out per session label - stepping out and back in during
+    // a session is neither late nor undertime, and neither is a session that continues the day
+    // (job transfer, back from a break - see getSessionStartRule)
+    const firstClockInIds = {}
+    const lastClockOutIds = {}
+    const startedLabels = new Set()
+    sessions.forEach(session => {
+      if (session.clockIn && !startedLabels.has(session.label)) {
+        startedLabels.add(session.label)
+        const startRule = getSessionStartRule(session.clockIn.clock_type, session.clockIn.clock_time, employeeUid, db)
+        if (!startRule?.continuation) firstClockInIds[session.label] = session.clockIn.id
+      }
+      if (session.clockOut) lastClockOutIds[session.label] = session.clockOut.id
+    })
+
+    // Late / undertime minutes per punch - recalculated here so edited and downloaded punches stay current
+    const updateTardiness = db.prepare("UPDATE attendance SET is_late = ?, late_minutes = ?, undertime_minutes = ? WHERE id = ?")
+    attendanceRecords.forEach(record => {
+      const punchTime = parseTimestamp(record.clock_time)
+      const label = determineSessionType(record.clock_type)
+      const recordLateMinutes = firstClockInIds[label] === record.id
+        ? getLateMinutes(record.clock_type, punchTime, employeeUid, db)
+        : 0
+      // An auto clock-out is a forgotten punch, not leaving early
+      const recordUndertimeMinutes = lastClockOutIds[label] === record.id && !record.auto_clock_out
+        ? getUndertimeMinutes(record.clock_type, punchTime, date, employeeUid, db)
+        : 0
+      const recordIsLate = recordLateMinutes > 0 ? 1 : 0
+
+      if (recordIsLate !== (record.is_late || 0) ||
+          recordLateMinutes !== (record.late_minutes || 0) ||
+          recordUndertimeMinutes !== (record.undertime_minutes || 0)) {
+        updateTardiness.run(recordIsLate, recordLateMinutes, recordUndertimeMinutes, record.id)
+        record.is_late = recordIsLate
+        record.late_minutes = recordLateMinutes
+        record.undertime_minutes = recordUndertimeMinutes
+      }
+    })
+
+    // Rounded punch times follow the rounding policy, so edited and downloaded punches get one too
+    const roundingPolicy = getRoundingPolicy(db)
+    const updateRoundedTime = db.prepare("UPDATE attendance SET rounded_clock_time = ? WHERE id = ?")
+    attendanceRecords.forEach(record => {
+      const roundedClockTime = getRoundedClockTime(record.clock_type, record.clock_time, roundingPolicy)
+      const stored = record.rounded_clock_time ? parseTimestamp(record.rounded_clock_time).getTime() : null
+      if (stored !== parseTimestamp(roundedClockTime).getTime()) {
+        updateRoundedTime.run(roundedClockTime, record.id)
+        record.rounded_clock_time = roundedClockTime
+      }
+    })
+
+    // Summary columns per label: first clock-in and last clock-out of the label's sessions
     const sessionTimes = {
       morning_in: null, morning_out: null,
       afternoon_in: null, afternoon_out: null,
       evening_in: null, evening_out: null,
       overtime_in: null, overtime_out: null
     }
+    sessions.forEach(session => {
+      const inKey = `${session.label}_in`
+      const outKey = `${session.label}_out`
+      if (session.clockIn && sessionTimes.hasOwnProperty(inKey) && !sessionTimes[inKey]) {
+        sessionTimes[inKey] = session.clockIn.clock_time
+      }
+      if (session.clockOut && sessionTimes.hasOwnProperty(outKey)) {
+        sessionTimes[outKey] = session.clockOut.clock_time
+      }
+    })
 
     // ✅ FIX: Only count hours from clock-OUT records
     let totalRegularHours = 0
     let totalOvertimeHours = 0
-    let totalSessions = 0
-    let completedSessions = 0
-    let pendingSessions = 0
     let hasLateEntry = false
+    let lateMinutes = 0
+    let undertimeMinutes = 0
     let hasOvertime = false
     let hasEveningSession = false
 
@@ -843,42 +2092,39 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
     attendanceRecords.forEach(record => {
       const clockType = record.clock_type
 
-      // Store session times
-      if (sessionTimes.hasOwnProperty(clockType)) {
-        sessionTimes[clockType] = record.clock_time
-      }
-
       // ✅ FIX: Only accumulate hours from clock-OUT records
-      if (clockType.endsWith('_out')) {
+      if (record.direction === 'out') {
         totalRegularHours += record.regular_hours || 0
         totalOvertimeHours += record.overtime_hours || 0
-        console.log(`  ${clockType}: Regular=${record.regular_hours || 0}h, OT=${record.overtime_hours || 0}h`)
-      }
-
-      // Track session counts and flags
-      if (clockType.endsWith('_in')) {
-        totalSessions++
-        // Check if there's a corresponding _out
-        const outType = clockType.replace('_in', '_out')
-        const hasOut = attendanceRecords.some(r => r.clock_type === outType && r.clock_time > record.clock_time)
-        if (hasOut) {
-          completedSessions++
-        } else {
-          pendingSessions++
-        }
+        console.log(`  #${record.sequence} ${clockType}: Regular=${record.regular_hours || 0}h, OT=${record.overtime_hours || 0}h`)
       }
 
       // Set flags
       if (record.is_late) hasLateEntry = true
+      lateMinutes += record.late_minutes || 0
+      undertimeMinutes += record.undertime_minutes || 0
       if (clockType.startsWith('overtime') || clockType.startsWith('evening')) {
         hasOvertime = true
         if (clockType.startsWith('evening')) hasEveningSession = true
       }
     })
 
+    // Sessions started by a clock-in; one without its clock-out is pending
+    const totalSessions = sessions.filter(session => session.clockIn).length
+    const completedSessions = sessions.filter(session => session.clockIn && session.clockOut).length
+    const pendingSessions = totalSessions - completedSessions
+    // Sessions the auto clock-out job closed keep the day incomplete until they are reviewed
+    const autoClockOutSessions = sessions.filter(session =>
+      session.clockOut && session.clockOut.auto_clock_out && !session.clockOut.auto_clock_out_reviewed_at).length
+
+    console.log(`  Sessions: ${sessions.length} (${completedSessions} complete, ${pendingSessions} pending)`)
+    if (autoClockOutSessions > 0) {
+      console.log(`  Auto clock-outs awaiting review: ${autoClockOutSessions}`)
+    }
     console.log(`  Total from clock-outs: Regular=${totalRegularHours}h, OT=${totalOvertimeHours}h`)
 
-    // ✅ FIX: Calculate session-specific hours ONLY from clock-out records
+    // ✅ FIX: Calculate session-specific hours ONLY from clock-out records -
+    // regular hours for morning/afternoon sessions, overtime for evening/OT sessions
     const sessionHours = {
       morning_hours: 0,
       afternoon_hours: 0,
@@ -886,52 +2132,118 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
       overtime_session_hours: 0
     }
 
-    // ✅ CORRECTED: Get regular hours only for morning/afternoon, overtime for evening/OT sessions
-    const morningOutRecord = attendanceRecords.find(r => r.clock_type === 'morning_out')
-    const afternoonOutRecord = attendanceRecords.find(r => r.clock_type === 'afternoon_out')
-    const eveningOutRecord = attendanceRecords.find(r => r.clock_type === 'evening_out')
-    const overtimeOutRecord = attendanceRecords.find(r => r.clock_type === 'overtime_out')
+    sessions.forEach(session => {
+      if (!session.clockOut) return
+
+      if (session.label === 'morning') sessionHours.morning_hours += session.clockOut.regular_hours || 0
+      if (session.label === 'afternoon') sessionHours.afternoon_hours += session.clockOut.regular_hours || 0
+      if (session.label === 'evening') sessionHours.evening_hours += session.clockOut.overtime_hours || 0
+      if (session.label === 'overtime') sessionHours.overtime_session_hours += session.clockOut.overtime_hours || 0
+    })
+
+    console.log(`  Session breakdown: Morning=${sessionHours.morning_hours}h, Afternoon=${sessionHours.afternoon_hours}h, Evening=${sessionHours.evening_hours}h, OT=${sessionHours.overtime_session_hours}h`)
 
-    // Morning hours = regular_hours from morning_out only
-    if (morningOutRecord) {
-      sessionHours.morning_hours = morningOutRecord.regular_hours || 0
+    // Overtime of each completed session split by the day's overtime authorizations
+    let approvedOvertimeHours = 0
+    let unapprovedOvertimeHours = 0
+    const overtimeSplits = new Map()
+    sessions.forEach(session => {
+      if (!session.clockIn || !session.clockOut) return
+
+      const split = splitOvertimeHours(
+        employeeUid, date, roundedTime(session.clockIn), roundedTime(session.clockOut), session.clockOut.overtime_hours || 0, db)
+      overtimeSplits.set(session.sequence, split)
+      approvedOvertimeHours += split.approvedHours
+      unapprovedOvertimeHours += split.unapprovedHours
+    })
+    // An out without its in (missed punch) has no window to check - its overtime is unapproved
+    sessions.forEach(session => {
+      if (!session.clockIn && session.clockOut) unapprovedOvertimeHours += session.clockOut.overtime_hours || 0
+    })
+    approvedOvertimeHours = Math.round(approvedOvertimeHours * 100) / 100
+    unapprovedOvertimeHours = Math.round(unapprovedOvertimeHours * 100) / 100
+    if (totalOvertimeHours > 0) {
+      console.log(`  Overtime: Approved=${approvedOvertimeHours}h, Unapproved=${unapprovedOvertimeHours}h`)
     }
 
-    // Afternoon hours = regular_hours from afternoon_out only
-    if (afternoonOutRecord) {
-      sessionHours.afternoon_hours = afternoonOutRecord.regular_hours || 0
+    // Schedule in effect for this employee on this date (assignment history aware)
+    const schedule = getScheduleForEmployee(employeeUid, date, db)
+    console.log(`  Schedule: ${schedule.name}${schedule.isRestDay ? ' (rest day)' : ''}`)
+
+    // Breaks between and inside the sessions; paid rest-break minutes count as regular hours
+    const breakAnalysis = analyzeBreaks(sessions, schedule, date, getBreakSettings(db))
+    const breakPunches = new Map()
+    breakAnalysis.breaks.forEach(entry => {
+      if (entry.break_out_id) breakPunches.set(entry.break_out_id, 'out')
+      if (entry.break_in_id) breakPunches.set(entry.break_in_id, 'in')
+    })
+    const updateBreakPunch = db.prepare("UPDATE attendance SET break_punch = ? WHERE id = ?")
+    attendanceRecords.forEach(record => {
+      const breakPunch = breakPunches.get(record.id) || null
+      if ((record.break_punch || null) !== breakPunch) {
+        updateBreakPunch.run(breakPunch, record.id)
+        record.break_punch = breakPunch
+      }
+    })
+    if (breakAnalysis.paidBreakMinutes > 0) {
+      totalRegularHours = Math.round((totalRegularHours + breakAnalysis.paidBreakMinutes / 60) * 100) / 100
+      // Paid break time also goes to the session it interrupted, so the session columns add up
+      breakAnalysis.breaks.forEach(entry => {
+        const key = `${entry.session}_hours`
+        if (entry.paid_minutes > 0 && (key === 'morning_hours' || key === 'afternoon_hours')) {
+          sessionHours[key] = Math.round((sessionHours[key] + entry.paid_minutes / 60) * 100) / 100
+        }
+      })
     }
+    if (breakAnalysis.breakMinutes > 0) {
+      console.log(`  Breaks: ${breakAnalysis.breakMinutes} min (meal ${breakAnalysis.mealBreakMinutes}, rest ${breakAnalysis.restBreakMinutes}, paid ${breakAnalysis.paidBreakMinutes})`)
+    }
+    breakAnalysis.messages.forEach(message => console.log(`  ⚠️ ${message}`))
 
-    // Evening hours = overtime_hours from evening_out (evening is always OT)
-    if (eveningOutRecord) {
-      sessionHours.evening_hours = eveningOutRecord.overtime_hours || 0
+    // Holiday buckets - hours worked on a holiday are also reported separately for premium pay
+    const holiday = getHolidayForDate(date, db)
+    const holidayHours = bucketHolidayHours(totalRegularHours, totalOvertimeHours, holiday)
+    if (holiday) {
+      console.log(`  Holiday: ${holiday.name} (${holiday.type}) - Holiday Regular=${holidayHours.holiday_regular_hours}h, Holiday OT=${holidayHours.holiday_overtime_hours}h`)
     }
 
-    // Overtime session hours = overtime_hours from overtime_out
-    if (overtimeOutRecord) {
-      sessionHours.overtime_session_hours = overtimeOutRecord.overtime_hours || 0
+    // Night differential - night-window time of each completed in/out pair (cross-midnight aware)
+    const nightSettings = getNightDifferentialSettings(db)
+    let nightDifferentialMinutes = 0
+    sessions.forEach(session => {
+      if (session.clockIn && session.clockOut) {
+        nightDifferentialMinutes += calculateNightDifferentialMinutes(
+          roundedTime(session.clockIn), roundedTime(session.clockOut), nightSettings, getScheduleBreaks(schedule, session.label))
+      }
+    })
+    const nightDifferentialHours = Math.round((nightDifferentialMinutes / 60) * 100) / 100
+    if (nightDifferentialMinutes > 0) {
+      console.log(`  Night differential (${nightSettings.start}-${nightSettings.end}): ${nightDifferentialMinutes} min = ${nightDifferentialHours}h`)
     }
 
-    console.log(`  Session breakdown: Morning=${sessionHours.morning_hours}h, Afternoon=${sessionHours.afternoon_hours}h, Evening=${sessionHours.evening_hours}h, OT=${sessionHours.overtime_session_hours}h`)
+    if (leave) {
+      console.log(`  Leave: ${leave.name} (${leave.days} day) - credited ${leave.creditedHours}h`)
+    }
+    if (isAbsent) {
+      console.log(`  Absent: scheduled for ${schedule.name} with no punches and no leave`)
+    }
 
     // Get first and last times
-    const firstClockIn = attendanceRecords.find(r => r.clock_type.endsWith('_in'))?.clock_time
-    const lastClockOut = [...attendanceRecords].reverse().find(r => r.clock_type.endsWith('_out'))?.clock_time
-
-    // Calculate total minutes worked
-    let totalMinutesWorked = 0
-    if (firstClockIn && lastClockOut) {
-      const firstTime = new Date(firstClockIn)
-      const lastTime = new Date(lastClockOut)
-      totalMinutesWorked = Math.round((lastTime - firstTime) / 60000)
-
-      // Subtract lunch break if both morning and afternoon sessions exist
-      const morningSession = sessionTimes.morning_in && sessionTimes.morning_out
-      const afternoonSession = sessionTimes.afternoon_in && sessionTimes.afternoon_out
-      if (morningSession && afternoonSession) {
-        totalMinutesWorked = Math.max(0, totalMinutesWorked - 60)
-      }
-    }
+    const firstClockIn = attendanceRecords.find(r => r.direction === 'in')?.clock_time ?? null
+    const lastClockOut = [...attendanceRecords].reverse().find(r => r.direction === 'out')?.clock_time ?? null
+
+    const sessionDetails = sessions.map(session => ({
+      sequence: session.sequence,
+      label: session.label,
+      clock_in: session.clockIn ? session.clockIn.clock_time : null,
+      clock_out: session.clockOut ? session.clockOut.clock_time : null,
+      rounded_clock_in: session.clockIn ? roundedTime(session.clockIn) : null,
+      rounded_clock_out: session.clockOut ? roundedTime(session.clockOut) : null,
+      regular_hours: session.clockOut ? session.clockOut.regular_hours || 0 : 0,
+      overtime_hours: session.clockOut ? session.clockOut.overtime_hours || 0 : 0,
+      approved_overtime_hours: overtimeSplits.get(session.sequence)?.approvedHours || 0,
+      auto_clock_out: session.clockOut ? !!session.clockOut.auto_clock_out : false
+    }))
 
     // Prepare data for insert/update
     const summaryData = {
@@ -950,16 +2262,34 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
       overtime_hours: totalOvertimeHours,
       total_hours: totalRegularHours + totalOvertimeHours,
       ...sessionHours,
-      is_incomplete: pendingSessions > 0 ? 1 : 0,
+      ...holidayHours,
+      night_differential_hours: nightDifferentialHours,
+      leave_type: leave ? leave.code : null,
+      leave_name: leave ? leave.name : null,
+      leave_days: leave ? leave.days : 0,
+      leave_hours: leave ? leave.creditedHours : 0,
+      is_absent: isAbsent ? 1 : 0,
+      late_minutes: lateMinutes,
+      undertime_minutes: undertimeMinutes,
+      approved_overtime_hours: approvedOvertimeHours,
+      unapproved_overtime_hours: unapprovedOvertimeHours,
+      is_incomplete: pendingSessions > 0 || autoClockOutSessions > 0 ? 1 : 0,
       has_late_entry: hasLateEntry ? 1 : 0,
       has_overtime: hasOvertime ? 1 : 0,
       has_evening_session: hasEveningSession ? 1 : 0,
       total_sessions: totalSessions,
       completed_sessions: completedSessions,
       pending_sessions: pendingSessions,
-      total_minutes_worked: totalMinutesWorked,
-      break_time_minutes: (sessionTimes.morning_in && sessionTimes.morning_out &&
-        sessionTimes.afternoon_in && sessionTimes.afternoon_out) ? 60 : 0,
+      auto_clock_out_sessions: autoClockOutSessions,
+      session_details: sessions.length > 0 ? JSON.stringify(sessionDetails) : null,
+      total_minutes_worked: breakAnalysis.workedMinutes,
+      break_time_minutes: breakAnalysis.breakMinutes,
+      paid_break_minutes: breakAnalysis.paidBreakMinutes,
+      missed_break: breakAnalysis.missedBreak ? 1 : 0,
+      long_break: breakAnalysis.longBreak ? 1 : 0,
+      break_details: breakAnalysis.breaks.length > 0 ? JSON.stringify(breakAnalysis.breaks) : null,
+      schedule_name: schedule.name,
+      is_rest_day: schedule.isRestDay ? 1 : 0,
       last_updated: new Date().toISOString()
     }
 
@@ -972,9 +2302,14 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
         evening_in, evening_out, overtime_in, overtime_out,
         regular_hours, overtime_hours, total_hours,
         morning_hours, afternoon_hours, evening_hours, overtime_session_hours,
+        holiday_name, holiday_type, holiday_regular_hours, holiday_overtime_hours,
+        holiday_regular_multiplier, holiday_overtime_multiplier, night_differential_hours,
+        leave_type, leave_name, leave_days, leave_hours, is_absent,
+        late_minutes, undertime_minutes, approved_overtime_hours, unapproved_overtime_hours,
         is_incomplete, has_late_entry, has_overtime, has_evening_session,
-        total_sessions, completed_sessions, pending_sessions,
-        total_minutes_worked, break_time_minutes, last_updated
+        total_sessions, completed_sessions, pending_sessions, auto_clock_out_sessions, session_details,
+        total_minutes_worked, break_time_minutes, paid_break_minutes, missed_break, long_break, break_details,
+        schedule_name, is_rest_day, last_updated
       ) VALUES (
         ?, ?, ?, ?, ?, ?, ?,
         ?, ?, ?,
@@ -984,7 +2319,12 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
         ?, ?, ?, ?,
         ?, ?, ?, ?,
         ?, ?, ?,
-        ?, ?, ?
+        ?, ?, ?, ?,
+        ?, ?, ?, ?, ?,
+        ?, ?, ?, ?,
+        ?, ?, ?, ?,
+        ?, ?, ?, ?, ?, ?,
+        ?, ?, ?, ?
       )
       ON CONFLICT (employee_uid, date) DO UPDATE SET
         id_number = excluded.id_number,
@@ -1010,6 +2350,22 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
         afternoon_hours = excluded.afternoon_hours,
         evening_hours = excluded.evening_hours,
         overtime_session_hours = excluded.overtime_session_hours,
+        holiday_name = excluded.holiday_name,
+        holiday_type = excluded.holiday_type,
+        holiday_regular_hours = excluded.holiday_regular_hours,
+        holiday_overtime_hours = excluded.holiday_overtime_hours,
+        holiday_regular_multiplier = excluded.holiday_regular_multiplier,
+        holiday_overtime_multiplier = excluded.holiday_overtime_multiplier,
+        night_differential_hours = excluded.night_differential_hours,
+        leave_type = excluded.leave_type,
+        leave_name = excluded.leave_name,
+        leave_days = excluded.leave_days,
+        leave_hours = excluded.leave_hours,
+        is_absent = excluded.is_absent,
+        late_minutes = excluded.late_minutes,
+        undertime_minutes = excluded.undertime_minutes,
+        approved_overtime_hours = excluded.approved_overtime_hours,
+        unapproved_overtime_hours = excluded.unapproved_overtime_hours,
         is_incomplete = excluded.is_incomplete,
         has_late_entry = excluded.has_late_entry,
         has_overtime = excluded.has_overtime,
@@ -1017,8 +2373,16 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
         total_sessions = excluded.total_sessions,
         completed_sessions = excluded.completed_sessions,
         pending_sessions = excluded.pending_sessions,
+        auto_clock_out_sessions = excluded.auto_clock_out_sessions,
+        session_details = excluded.session_details,
         total_minutes_worked = excluded.total_minutes_worked,
         break_time_minutes = excluded.break_time_minutes,
+        paid_break_minutes = excluded.paid_break_minutes,
+        missed_break = excluded.missed_break,
+        long_break = excluded.long_break,
+        break_details = excluded.break_details,
+        schedule_name = excluded.schedule_name,
+        is_rest_day = excluded.is_rest_day,
         last_updated = excluded.last_updated
     `)
 
@@ -1030,18 +2394,38 @@ function updateDailyAttendanceSummary(employeeUid, date, db = null) {
       summaryData.evening_in, summaryData.evening_out, summaryData.overtime_in, summaryData.overtime_out,
       summaryData.regular_hours, summaryData.overtime_hours, summaryData.total_hours,
       summaryData.morning_hours, summaryData.afternoon_hours, summaryData.evening_hours, summaryData.overtime_session_hours,
+      summaryData.holiday_name, summaryData.holiday_type, summaryData.holiday_regular_hours, summaryData.holiday_overtime_hours,
+      summaryData.holiday_regular_multiplier, summaryData.holiday_overtime_multiplier,
+      summaryData.night_differential_hours,
+      summaryData.leave_type, summaryData.leave_name, summaryData.leave_days, summaryData.leave_hours, summaryData.is_absent,
+      summaryData.late_minutes, summaryData.undertime_minutes,
+      summaryData.approved_overtime_hours, summaryData.unapproved_overtime_hours,
       summaryData.is_incomplete, summaryData.has_late_entry, summaryData.has_overtime, summaryData.has_evening_session,
       summaryData.total_sessions, summaryData.completed_sessions, summaryData.pending_sessions,
-      summaryData.total_minutes_worked, summaryData.break_time_minutes, summaryData.last_updated
+      summaryData.auto_clock_out_sessions, summaryData.session_details, summaryData.total_minutes_worked, summaryData.break_time_minutes,
+      summaryData.paid_break_minutes, summaryData.missed_break, summaryData.long_break, summaryData.break_details,
+      summaryData.schedule_name, summaryData.is_rest_day, summaryData.last_updated
     )
 
     console.log(`✓ Daily attendance summary updated for employee ${employeeUid} on ${date}`)
+
+    // Hours per job come from the same sessions
+    updateJobTimeSegments(employeeUid, date, sessions, db)
+
+    // Late / undertime / absence totals of the period may now breach a policy rule
+    evaluatePolicyRules(employeeUid, date, db)
+    // Weekly threshold, consecutive days and overtime caps look across the whole week
+    updateWeeklyOvertimeSummary(employeeUid, date, db)
     console.log(`  Final totals: Regular=${totalRegularHours}h, OT=${totalOvertimeHours}h, Total=${totalRegularHours + totalOvertimeHours}h`)
     
     return true
 
   } catch (error) {
     console.error(`Error updating daily attendance summary for employee ${employeeUid} on ${date}:`, error)
+    // Inside a unit of work (the clocking pipeline) the caller's transaction must roll back too
+    if (db.inTransaction) {
+      throw error
+    }
     return false
   }
 }
@@ -1,13 +1,16 @@
 
-const { app, BrowserWindow, ipcMain, Menu, dialog, systemPreferences } = require("electron")
+const { app, BrowserWindow, ipcMain, Menu, dialog, systemPreferences, powerMonitor } = require("electron")
 const path = require("path")
 const fs = require("fs")
 const { autoUpdater } = require("electron-updater")
 const LRU = require('lru-cache')
 const { getDatabase, updateDailyAttendanceSummary  } = require("./database/setup");
 const { getSettings  } = require("./api/routes/settings");
-const { startWebSocketServer } = require('./services/websocket');
+const { startWebSocketServer, broadcastUpdate } = require('./services/websocket');
 const Employee = require('./database/models/employee');
+const trustedTime = require('./services/trustedTime');
+const absenceDetection = require('./services/absenceDetection');
+const autoClockOut = require('./services/autoClockOut');
 
 // Configure auto-updater
 autoUpdater.autoDownload = false
@@ -942,7 +945,7 @@ async function loadModules() {
 function loadRoutes() {
   const routes = {}
 
-  const routeModules = ["employees", "attendance", "settings", "export", "attendance-sync", "getDailySummary", "attendancedb", "summary-sync", "validateTime", "polling"];
+  const routeModules = ["employees", "attendance", "settings", "export", "attendance-sync", "getDailySummary", "attendancedb", "summary-sync", "validateTime", "polling", "shift-schedules", "holidays", "simulator", "trusted-time", "punch-corrections", "leave", "absences", "attendance-policy", "overtime-authorizations", "weekly-overtime", "auto-clock-out", "job-codes", "anti-passback", "kiosk-pins"];
 
   routeModules.forEach((moduleName) => {
     try {
@@ -1743,6 +1746,22 @@ ipcMain.handle('get-attendance-record', async (event, id) => {
   }
 });
 
+// Explain the hours on a clock-out record (Data Editor "Explain hours")
+ipcMain.handle('get-calculation-trace', async (event, id) => {
+  try {
+    const db = getDatabase();
+    const { getCalculationTrace } = require('./services/timeCalculator');
+    const explanation = getCalculationTrace(id, db);
+
+    return explanation
+      ? { success: true, data: explanation }
+      : { success: false, error: 'Only clock-out records have calculated hours' };
+  } catch (error) {
+    console.error('Get calculation trace error:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Get multiple attendance records info
 ipcMain.handle('get-attendance-records-info', async (event, ids) => {
   try {
@@ -2545,6 +2564,58 @@ app.whenReady().then(async () => {
       }
     }, 60 * 60 * 1000); // 1 hour
 
+    // === STEP 8: Watch the System Clock ===
+    // A wall-clock jump against the monotonic clock means someone moved the kiosk time
+    setInterval(() => {
+      try {
+        trustedTime.checkClockDrift();
+      } catch (error) {
+        console.error("Clock drift check failed:", error);
+      }
+    }, 30 * 1000); // 30 seconds
+
+    // Sleep pauses the monotonic clock - re-anchor instead of reporting a jump
+    powerMonitor.on("resume", () => {
+      console.log("System resumed, re-anchoring trusted time");
+      trustedTime.handleSystemResume();
+    });
+
+    // === STEP 9: Yearly Leave Accrual ===
+    // Creates this year's balances (with carry-over) the first time the app runs in a new year
+    try {
+      const leaveManagement = require("./services/leaveManagement");
+      leaveManagement.runYearlyAccrual();
+    } catch (error) {
+      console.error("Leave accrual failed:", error);
+    }
+
+    // === STEP 10: End-of-day Absence Detection ===
+    // Checks each business date once it has ended (catches up after the kiosk was off)
+    const runAbsenceDetection = () => {
+      try {
+        absenceDetection.runPendingAbsenceDetection();
+      } catch (error) {
+        console.error("Absence detection failed:", error);
+      }
+    };
+    runAbsenceDetection();
+    setInterval(runAbsenceDetection, 15 * 60 * 1000); // 15 minutes
+
+    // === STEP 11: Auto Clock-Out of Forgotten Punches ===
+    // Closes sessions still open the configured time after their shift end (off by default)
+    const runAutoClockOut = () => {
+      try {
+        const result = autoClockOut.runAutoClockOut();
+        if (result.closed.length > 0) {
+          broadcastUpdate("attendance_update", { type: "auto_clock_out", closed: result.closed.length });
+        }
+      } catch (error) {
+        console.error("Auto clock-out failed:", error);
+      }
+    };
+    runAutoClockOut();
+    setInterval(runAutoClockOut, 15 * 60 * 1000); // 15 minutes
+
     console.log("✓ App initialization sequence completed");
     
   } catch (error) {
@@ -2892,6 +2963,112 @@ ipcMain.handle("get-profile-fast", async (event, barcode) => {
   safelyRegisterHandler("get-settings", settingsRoutes.getSettings, settingsRoutes, "getSettings")
   safelyRegisterHandler("update-settings", settingsRoutes.updateSettings, settingsRoutes, "updateSettings")
 
+  // Shift schedule route handlers
+  const shiftScheduleRoutes = routes["shift-schedules"] || {}
+  console.log("Shift schedule routes available:", Object.keys(shiftScheduleRoutes))
+  safelyRegisterHandler("get-shift-schedules", shiftScheduleRoutes.getShiftSchedules, shiftScheduleRoutes, "getShiftSchedules")
+  safelyRegisterHandler("save-shift-schedule", shiftScheduleRoutes.saveShiftSchedule, shiftScheduleRoutes, "saveShiftSchedule")
+  safelyRegisterHandler("delete-shift-schedule", shiftScheduleRoutes.deleteShiftSchedule, shiftScheduleRoutes, "deleteShiftSchedule")
+  safelyRegisterHandler("get-schedule-assignments", shiftScheduleRoutes.getScheduleAssignments, shiftScheduleRoutes, "getScheduleAssignments")
+  safelyRegisterHandler("save-schedule-assignment", shiftScheduleRoutes.saveScheduleAssignment, shiftScheduleRoutes, "saveScheduleAssignment")
+  safelyRegisterHandler("delete-schedule-assignment", shiftScheduleRoutes.deleteScheduleAssignment, shiftScheduleRoutes, "deleteScheduleAssignment")
+
+  // Holiday calendar route handlers
+  const holidayRoutes = routes.holidays || {}
+  console.log("Holiday routes available:", Object.keys(holidayRoutes))
+  safelyRegisterHandler("get-holidays", holidayRoutes.getHolidays, holidayRoutes, "getHolidays")
+  safelyRegisterHandler("save-holiday", holidayRoutes.saveHoliday, holidayRoutes, "saveHoliday")
+  safelyRegisterHandler("delete-holiday", holidayRoutes.deleteHoliday, holidayRoutes, "deleteHoliday")
+  safelyRegisterHandler("import-holidays", holidayRoutes.importHolidays, holidayRoutes, "importHolidays")
+
+  // Punch simulator route handlers
+  const simulatorRoutes = routes.simulator || {}
+  console.log("Simulator routes available:", Object.keys(simulatorRoutes))
+  safelyRegisterHandler("simulate-punches", simulatorRoutes.simulatePunches, simulatorRoutes, "simulatePunches")
+
+  // Trusted time route handlers
+  const trustedTimeRoutes = routes["trusted-time"] || {}
+  console.log("Trusted time routes available:", Object.keys(trustedTimeRoutes))
+  safelyRegisterHandler("get-clock-status", trustedTimeRoutes.getClockStatus, trustedTimeRoutes, "getClockStatus")
+  safelyRegisterHandler("get-clock-drift-events", trustedTimeRoutes.getClockDriftEvents, trustedTimeRoutes, "getClockDriftEvents")
+
+  // Missed-punch correction route handlers
+  const correctionRoutes = routes["punch-corrections"] || {}
+  console.log("Punch correction routes available:", Object.keys(correctionRoutes))
+  safelyRegisterHandler("get-punch-corrections", correctionRoutes.getPunchCorrections, correctionRoutes, "getPunchCorrections")
+  safelyRegisterHandler("get-punch-correction-log", correctionRoutes.getPunchCorrectionLog, correctionRoutes, "getPunchCorrectionLog")
+  safelyRegisterHandler("create-punch-correction", correctionRoutes.createPunchCorrection, correctionRoutes, "createPunchCorrection")
+  safelyRegisterHandler("approve-punch-correction", correctionRoutes.approvePunchCorrection, correctionRoutes, "approvePunchCorrection")
+  safelyRegisterHandler("reject-punch-correction", correctionRoutes.rejectPunchCorrection, correctionRoutes, "rejectPunchCorrection")
+
+  // Leave route handlers
+  const leaveRoutes = routes.leave || {}
+  console.log("Leave routes available:", Object.keys(leaveRoutes))
+  safelyRegisterHandler("get-leave-types", leaveRoutes.getLeaveTypes, leaveRoutes, "getLeaveTypes")
+  safelyRegisterHandler("save-leave-type", leaveRoutes.saveLeaveType, leaveRoutes, "saveLeaveType")
+  safelyRegisterHandler("get-leave-balances", leaveRoutes.getLeaveBalances, leaveRoutes, "getLeaveBalances")
+  safelyRegisterHandler("get-leave-requests", leaveRoutes.getLeaveRequests, leaveRoutes, "getLeaveRequests")
+  safelyRegisterHandler("file-leave-request", leaveRoutes.fileLeaveRequest, leaveRoutes, "fileLeaveRequest")
+  safelyRegisterHandler("approve-leave-request", leaveRoutes.approveLeaveRequest, leaveRoutes, "approveLeaveRequest")
+  safelyRegisterHandler("reject-leave-request", leaveRoutes.rejectLeaveRequest, leaveRoutes, "rejectLeaveRequest")
+  safelyRegisterHandler("cancel-leave-request", leaveRoutes.cancelLeaveRequest, leaveRoutes, "cancelLeaveRequest")
+
+  // Absence detection route handlers
+  const absenceRoutes = routes.absences || {}
+  console.log("Absence routes available:", Object.keys(absenceRoutes))
+  safelyRegisterHandler("run-absence-detection", absenceRoutes.runAbsenceDetection, absenceRoutes, "runAbsenceDetection")
+
+  // Attendance policy (tardiness / undertime) route handlers
+  const policyRoutes = routes["attendance-policy"] || {}
+  console.log("Attendance policy routes available:", Object.keys(policyRoutes))
+  safelyRegisterHandler("get-policy-rules", policyRoutes.getPolicyRules, policyRoutes, "getPolicyRules")
+  safelyRegisterHandler("save-policy-rule", policyRoutes.savePolicyRule, policyRoutes, "savePolicyRule")
+  safelyRegisterHandler("get-policy-incidents", policyRoutes.getPolicyIncidents, policyRoutes, "getPolicyIncidents")
+  safelyRegisterHandler("review-policy-incident", policyRoutes.reviewPolicyIncident, policyRoutes, "reviewPolicyIncident")
+
+  // Overtime pre-approval route handlers
+  const overtimeRoutes = routes["overtime-authorizations"] || {}
+  console.log("Overtime authorization routes available:", Object.keys(overtimeRoutes))
+  safelyRegisterHandler("get-overtime-authorizations", overtimeRoutes.getOvertimeAuthorizations, overtimeRoutes, "getOvertimeAuthorizations")
+  safelyRegisterHandler("save-overtime-authorization", overtimeRoutes.saveOvertimeAuthorization, overtimeRoutes, "saveOvertimeAuthorization")
+  safelyRegisterHandler("revoke-overtime-authorization", overtimeRoutes.revokeOvertimeAuthorization, overtimeRoutes, "revokeOvertimeAuthorization")
+  safelyRegisterHandler("get-unapproved-overtime", overtimeRoutes.getUnapprovedOvertime, overtimeRoutes, "getUnapprovedOvertime")
+
+  // Weekly overtime route handlers
+  const weeklyOvertimeRoutes = routes["weekly-overtime"] || {}
+  console.log("Weekly overtime routes available:", Object.keys(weeklyOvertimeRoutes))
+  safelyRegisterHandler("get-weekly-overtime", weeklyOvertimeRoutes.getWeeklyOvertime, weeklyOvertimeRoutes, "getWeeklyOvertime")
+  safelyRegisterHandler("rebuild-weekly-overtime", weeklyOvertimeRoutes.rebuildWeeklyOvertime, weeklyOvertimeRoutes, "rebuildWeeklyOvertime")
+
+  // Auto clock-out / incomplete punch route handlers
+  const autoClockOutRoutes = routes["auto-clock-out"] || {}
+  console.log("Auto clock-out routes available:", Object.keys(autoClockOutRoutes))
+  safelyRegisterHandler("get-incomplete-punches", autoClockOutRoutes.getIncompletePunches, autoClockOutRoutes, "getIncompletePunches")
+  safelyRegisterHandler("run-auto-clock-out", autoClockOutRoutes.runAutoClockOut, autoClockOutRoutes, "runAutoClockOut")
+  safelyRegisterHandler("review-auto-clock-out", autoClockOutRoutes.reviewAutoClockOut, autoClockOutRoutes, "reviewAutoClockOut")
+
+  // Job code route handlers
+  const jobCodeRoutes = routes["job-codes"] || {}
+  console.log("Job code routes available:", Object.keys(jobCodeRoutes))
+  safelyRegisterHandler("get-job-codes", jobCodeRoutes.getJobCodes, jobCodeRoutes, "getJobCodes")
+  safelyRegisterHandler("save-job-code", jobCodeRoutes.saveJobCode, jobCodeRoutes, "saveJobCode")
+  safelyRegisterHandler("delete-job-code", jobCodeRoutes.deleteJobCode, jobCodeRoutes, "deleteJobCode")
+  safelyRegisterHandler("get-job-hours", jobCodeRoutes.getJobHoursReport, jobCodeRoutes, "getJobHoursReport")
+
+  // Anti-passback route handlers
+  const antiPassbackRoutes = routes["anti-passback"] || {}
+  console.log("Anti-passback routes available:", Object.keys(antiPassbackRoutes))
+  safelyRegisterHandler("get-anti-passback-log", antiPassbackRoutes.getAntiPassbackAttempts, antiPassbackRoutes, "getAntiPassbackAttempts")
+
+  // Kiosk PIN route handlers
+  const kioskPinRoutes = routes["kiosk-pins"] || {}
+  console.log("Kiosk PIN routes available:", Object.keys(kioskPinRoutes))
+  safelyRegisterHandler("get-kiosk-pins", kioskPinRoutes.getKioskPins, kioskPinRoutes, "getKioskPins")
+  safelyRegisterHandler("set-kiosk-pin", kioskPinRoutes.setKioskPin, kioskPinRoutes, "setKioskPin")
+  safelyRegisterHandler("clear-kiosk-pin", kioskPinRoutes.clearKioskPin, kioskPinRoutes, "clearKioskPin")
+  safelyRegisterHandler("unlock-kiosk-pin", kioskPinRoutes.unlockKioskPin, kioskPinRoutes, "unlockKioskPin")
+  safelyRegisterHandler("get-punch-methods", kioskPinRoutes.getPunchMethods, kioskPinRoutes, "getPunchMethods")
+
   // Export route handlers
   const exportRoutes = routes.export || {}
   console.log("Export routes available:", Object.keys(exportRoutes))
@@ -20,6 +20,58 @@ contextBridge.exposeInMainWorld("electronAPI", {
   updateSettings: (settings) => ipcRenderer.invoke("update-settings", settings),
   openSettings: () => ipcRenderer.invoke("open-settings"),
 
+  // Shift schedule operations
+  getShiftSchedules: () => ipcRenderer.invoke("get-shift-schedules"),
+  saveShiftSchedule: (schedule) => ipcRenderer.invoke("save-shift-schedule", schedule),
+  deleteShiftSchedule: (scheduleId) => ipcRenderer.invoke("delete-shift-schedule", scheduleId),
+  getScheduleAssignments: (filters) => ipcRenderer.invoke("get-schedule-assignments", filters),
+  saveScheduleAssignment: (assignment) => ipcRenderer.invoke("save-schedule-assignment", assignment),
+  deleteScheduleAssignment: (assignmentId) => ipcRenderer.invoke("delete-schedule-assignment", assignmentId),
+  getHolidays: (options) => ipcRenderer.invoke("get-holidays", options),
+  saveHoliday: (holiday) => ipcRenderer.invoke("save-holiday", holiday),
+  deleteHoliday: (holidayId) => ipcRenderer.invoke("delete-holiday", holidayId),
+  importHolidays: (rows) => ipcRenderer.invoke("import-holidays", rows),
+  simulatePunches: (payload) => ipcRenderer.invoke("simulate-punches", payload),
+  getClockStatus: () => ipcRenderer.invoke("get-clock-status"),
+  getClockDriftEvents: (options) => ipcRenderer.invoke("get-clock-drift-events", options),
+  getPunchCorrections: (options) => ipcRenderer.invoke("get-punch-corrections", options),
+  getPunchCorrectionLog: (options) => ipcRenderer.invoke("get-punch-correction-log", options),
+  createPunchCorrection: (request) => ipcRenderer.invoke("create-punch-correction", request),
+  approvePunchCorrection: (review) => ipcRenderer.invoke("approve-punch-correction", review),
+  rejectPunchCorrection: (review) => ipcRenderer.invoke("reject-punch-correction", review),
+  getLeaveTypes: (options) => ipcRenderer.invoke("get-leave-types", options),
+  saveLeaveType: (leaveType) => ipcRenderer.invoke("save-leave-type", leaveType),
+  getLeaveBalances: (options) => ipcRenderer.invoke("get-leave-balances", options),
+  getLeaveRequests: (filters) => ipcRenderer.invoke("get-leave-requests", filters),
+  fileLeaveRequest: (request) => ipcRenderer.invoke("file-leave-request", request),
+  approveLeaveRequest: (review) => ipcRenderer.invoke("approve-leave-request", review),
+  rejectLeaveRequest: (review) => ipcRenderer.invoke("reject-leave-request", review),
+  cancelLeaveRequest: (review) => ipcRenderer.invoke("cancel-leave-request", review),
+  runAbsenceDetection: () => ipcRenderer.invoke("run-absence-detection"),
+  getPolicyRules: (options) => ipcRenderer.invoke("get-policy-rules", options),
+  savePolicyRule: (rule) => ipcRenderer.invoke("save-policy-rule", rule),
+  getPolicyIncidents: (filters) => ipcRenderer.invoke("get-policy-incidents", filters),
+  reviewPolicyIncident: (review) => ipcRenderer.invoke("review-policy-incident", review),
+  getOvertimeAuthorizations: (filters) => ipcRenderer.invoke("get-overtime-authorizations", filters),
+  saveOvertimeAuthorization: (authorization) => ipcRenderer.invoke("save-overtime-authorization", authorization),
+  revokeOvertimeAuthorization: (revoke) => ipcRenderer.invoke("revoke-overtime-authorization", revoke),
+  getUnapprovedOvertime: (filters) => ipcRenderer.invoke("get-unapproved-overtime", filters),
+  getWeeklyOvertime: (filters) => ipcRenderer.invoke("get-weekly-overtime", filters),
+  rebuildWeeklyOvertime: (range) => ipcRenderer.invoke("rebuild-weekly-overtime", range),
+  getIncompletePunches: (filters) => ipcRenderer.invoke("get-incomplete-punches", filters),
+  runAutoClockOut: () => ipcRenderer.invoke("run-auto-clock-out"),
+  reviewAutoClockOut: (review) => ipcRenderer.invoke("review-auto-clock-out", review),
+  getJobCodes: (options) => ipcRenderer.invoke("get-job-codes", options),
+  saveJobCode: (job) => ipcRenderer.invoke("save-job-code", job),
+  deleteJobCode: (jobId) => ipcRenderer.invoke("delete-job-code", jobId),
+  getJobHours: (filters) => ipcRenderer.invoke("get-job-hours", filters),
+  getAntiPassbackLog: (filters) => ipcRenderer.invoke("get-anti-passback-log", filters),
+  getKioskPins: () => ipcRenderer.invoke("get-kiosk-pins"),
+  setKioskPin: (request) => ipcRenderer.invoke("set-kiosk-pin", request),
+  clearKioskPin: (employeeUid) => ipcRenderer.invoke("clear-kiosk-pin", employeeUid),
+  unlockKioskPin: (employeeUid) => ipcRenderer.invoke("unlock-kiosk-pin", employeeUid),
+  getPunchMethods: (filters) => ipcRenderer.invoke("get-punch-methods", filters),
+
   // Export operations
   exportAttendanceData: (exportOptions) => ipcRenderer.invoke("export-attendance-data", exportOptions),
   getExportFormats: () => ipcRenderer.invoke("get-export-formats"),
@@ -107,8 +159,59 @@ invoke: (channel, ...args) => {
     'update-summary-field',
     'delete-summary-record',
     'bulk-delete-summary',
-    'recalculate-summaries'
-    
+    'recalculate-summaries',
+    'get-calculation-trace',
+    // Shift schedules
+    'get-shift-schedules',
+    'save-shift-schedule',
+    'delete-shift-schedule',
+    'get-schedule-assignments',
+    'save-schedule-assignment',
+    'delete-schedule-assignment',
+    'get-holidays',
+    'save-holiday',
+    'delete-holiday',
+    'import-holidays',
+    'simulate-punches',
+    'get-clock-status',
+    'get-clock-drift-events',
+    'get-punch-corrections',
+    'get-punch-correction-log',
+    'create-punch-correction',
+    'approve-punch-correction',
+    'reject-punch-correction',
+    'get-leave-types',
+    'save-leave-type',
+    'get-leave-balances',
+    'get-leave-requests',
+    'file-leave-request',
+    'approve-leave-request',
+    'reject-leave-request',
+    'cancel-leave-request',
+    'run-absence-detection',
+    'get-policy-rules',
+    'save-policy-rule',
+    'get-policy-incidents',
+    'review-policy-incident',
+    'get-overtime-authorizations',
+    'save-overtime-authorization',
+    'revoke-overtime-authorization',
+    'get-unapproved-overtime',
+    'get-weekly-overtime',
+    'rebuild-weekly-overtime',
+    'get-incomplete-punches',
+    'run-auto-clock-out',
+    'review-auto-clock-out',
+    'get-job-codes',
+    'save-job-code',
+    'delete-job-code',
+    'get-job-hours',
+    'get-anti-passback-log',
+    'get-kiosk-pins',
+    'set-kiosk-pin',
+    'clear-kiosk-pin',
+    'unlock-kiosk-pin',
+    'get-punch-methods'
   ];
   if (validChannels.includes(channel)) {
     return ipcRenderer.invoke(channel, ...args);
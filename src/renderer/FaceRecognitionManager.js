@@ -29,12 +29,9 @@ class FaceRecognitionManager {
     this.lastRecognitionTime = 0;
     this.recognitionCooldown = 5000;
 
-    // Employee-specific cooldown tracking
+    // UID -> time (ms) until which the anti-passback rules block the employee's next punch,
+    // as reported by clockAttendance. Keeps the camera from re-punching a face still in view
     this.employeeCooldowns = new Map();
-    this.employeeCooldownDuration = 60 * 60 * 1000; // 1 hour for camera
-
-    this.barcodeCooldowns = new Map();
-    this.barcodeCooldownDuration = 2000; // 2 seconds for barcode
 
     // Adaptive detection speed
     this.consecutiveNoFaceFrames = 0;
@@ -1906,7 +1903,7 @@ class FaceRecognitionManager {
       let isInCooldown = false;
       if (bestMatch.label !== 'unknown') {
         const uidString = String(bestMatch.label);
-        isInCooldown = this.isInCameraCooldown(uidString);
+        isInCooldown = this.isInCooldown(uidString);
       }
 
       this.drawDetectionBox(box, bestMatch, isInCooldown);
@@ -1926,15 +1923,12 @@ class FaceRecognitionManager {
     }
   }
 
-  isInCameraCooldown(uidString) {
+  isInCooldown(uidString) {
     if (!this.employeeCooldowns.has(uidString)) {
       return false;
     }
 
-    const lastScanTime = this.employeeCooldowns.get(uidString);
-    const timeSinceLastScan = Date.now() - lastScanTime;
-
-    if (timeSinceLastScan >= this.employeeCooldownDuration) {
+    if (Date.now() >= this.employeeCooldowns.get(uidString)) {
       this.employeeCooldowns.delete(uidString);
       return false;
     }
@@ -1942,20 +1936,21 @@ class FaceRecognitionManager {
     return true;
   }
 
-  isInBarcodeCooldown(uidString) {
-    if (!this.barcodeCooldowns.has(uidString)) {
-      return false;
-    }
-
-    const lastScanTime = this.barcodeCooldowns.get(uidString);
-    const timeSinceLastScan = Date.now() - lastScanTime;
+  // Hold the employee off until the server allows the next punch (nextPunchAllowedAt), after
+  // a recorded punch or one the anti-passback rules blocked
+  updateCooldownFromResult(uidString, result) {
+    const nextPunchAllowedAt = result.success ? result.data?.nextPunchAllowedAt : result.nextPunchAllowedAt;
+    const until = nextPunchAllowedAt ? new Date(nextPunchAllowedAt).getTime() : null;
 
-    if (timeSinceLastScan >= this.barcodeCooldownDuration) {
-      this.barcodeCooldowns.delete(uidString);
-      return false;
+    if (until && until > Date.now()) {
+      this.employeeCooldowns.set(uidString, until);
+      console.log(`Holding UID ${uidString} until ${new Date(until).toLocaleTimeString()}`);
     }
+  }
 
-    return true;
+  formatCooldown(uid) {
+    const seconds = this.getRemainingCooldown(uid);
+    return seconds < 120 ? `${seconds}s` : `${Math.ceil(seconds / 60)} min`;
   }
 
   drawDetectionBox(box, match, isInCooldown = false) {
@@ -2043,13 +2038,9 @@ class FaceRecognitionManager {
       return;
     }
 
-    if (this.isInCameraCooldown(uidString)) {
-      const lastScanTime = this.employeeCooldowns.get(uidString);
-      const timeSinceLastScan = currentTime - lastScanTime;
-      const remainingMinutes = Math.ceil((this.employeeCooldownDuration - timeSinceLastScan) / (60 * 1000));
-
+    if (this.isInCooldown(uidString)) {
       this.showStatus(
-        `⏱️ ${employeeData.name} recently clocked. Wait ${remainingMinutes} min`,
+        `⏱️ ${employeeData.name} recently clocked. Wait ${this.formatCooldown(uidString)}`,
         'info'
       );
 
@@ -2079,39 +2070,20 @@ class FaceRecognitionManager {
 
   clearEmployeeCooldown(uid) {
     const uidString = String(uid);
-    let cleared = false;
-
-    if (this.employeeCooldowns.has(uidString)) {
-      this.employeeCooldowns.delete(uidString);
-      cleared = true;
-    }
-
-    if (this.barcodeCooldowns.has(uidString)) {
-      this.barcodeCooldowns.delete(uidString);
-      cleared = true;
-    }
 
-    if (cleared) {
+    if (this.employeeCooldowns.delete(uidString)) {
       console.log(`Cleared cooldown for employee ${uid}`);
       return true;
     }
     return false;
   }
 
+  // Seconds until the employee may punch again
   getRemainingCooldown(uid) {
     const uidString = String(uid);
 
     if (this.employeeCooldowns.has(uidString)) {
-      const lastScanTime = this.employeeCooldowns.get(uidString);
-      const elapsed = Date.now() - lastScanTime;
-      const remaining = Math.max(0, this.employeeCooldownDuration - elapsed);
-      return Math.ceil(remaining / (60 * 1000));
-    }
-
-    if (this.barcodeCooldowns.has(uidString)) {
-      const lastScanTime = this.barcodeCooldowns.get(uidString);
-      const elapsed = Date.now() - lastScanTime;
-      const remaining = Math.max(0, this.barcodeCooldownDuration - elapsed);
+      const remaining = Math.max(0, this.employeeCooldowns.get(uidString) - Date.now());
       return Math.ceil(remaining / 1000);
     }
 
@@ -2180,25 +2152,17 @@ class FaceRecognitionManager {
 
   cleanupExpiredCooldowns() {
     const currentTime = Date.now();
-    const expiredCameraUIDs = [];
-    const expiredBarcodeUIDs = [];
+    const expiredUIDs = [];
 
-    for (const [uid, timestamp] of this.employeeCooldowns.entries()) {
-      if (currentTime - timestamp >= this.employeeCooldownDuration) {
-        expiredCameraUIDs.push(uid);
+    for (const [uid, until] of this.employeeCooldowns.entries()) {
+      if (currentTime >= until) {
+        expiredUIDs.push(uid);
       }
     }
 
-    for (const [uid, timestamp] of this.barcodeCooldowns.entries()) {
-      if (currentTime - timestamp >= this.barcodeCooldownDuration) {
-        expiredBarcodeUIDs.push(uid);
-      }
-    }
-
-    expiredCameraUIDs.forEach(uid => this.employeeCooldowns.delete(uid));
-    expiredBarcodeUIDs.forEach(uid => this.barcodeCooldowns.delete(uid));
+    expiredUIDs.forEach(uid => this.employeeCooldowns.delete(uid));
 
-    const totalExpired = expiredCameraUIDs.length + expiredBarcodeUIDs.length;
+    const totalExpired = expiredUIDs.length;
     if (totalExpired > 0) {
       console.log(`Cleaned up ${totalExpired} expired cooldowns`);
     }
@@ -2208,21 +2172,13 @@ class FaceRecognitionManager {
     try {
       const uidString = String(employee.uid);
 
-      // Check if already scanned in current session (recent scans)
-      const alreadyScanned = this.scanLog.find(entry =>
-        String(entry.uid) === uidString && entry.success === true
-      );
-
-      if (alreadyScanned) {
-        const employeeName = `${employee.first_name} ${employee.last_name}`;
-        const timeAgo = this.getTimeAgo(alreadyScanned.timestamp);
-
-        console.log(`🚫 ${employeeName} already scanned ${timeAgo} ago`);
-        this.showToast(
-          `${employeeName} already recorded ${timeAgo} ago`,
-          'error'
+      // Repeated punches are blocked by the anti-passback rules in clockAttendance; the camera
+      // only skips faces it already knows the server will reject
+      if (method === 'camera' && this.isInCooldown(uidString)) {
+        this.showStatus(
+          `⏱️ Please wait ${this.formatCooldown(uidString)}...`,
+          'info'
         );
-        this.playErrorSound();
         return;
       }
 
@@ -2237,30 +2193,6 @@ class FaceRecognitionManager {
 
       console.log(`🔒 Processing lock activated (method: ${method})`);
 
-      if (method === 'camera') {
-        if (this.isInCameraCooldown(uidString)) {
-          const lastScanTime = this.employeeCooldowns.get(uidString);
-          const timeSinceLastScan = Date.now() - lastScanTime;
-          const remainingMinutes = Math.ceil((this.employeeCooldownDuration - timeSinceLastScan) / (60 * 1000));
-
-          this.showStatus(
-            `⏱️ Please wait ${remainingMinutes} minutes...`,
-            'info'
-          );
-
-          return;
-        }
-      } else if (method === 'barcode') {
-        if (this.isInBarcodeCooldown(uidString)) {
-          this.showStatus(
-            `⏱️ Please wait 2 seconds...`,
-            'info'
-          );
-
-          return;
-        }
-      }
-
       this.showStatus(
         `⏳ Processing ${employee.first_name} ${employee.last_name}...`,
         'info'
@@ -2287,7 +2219,10 @@ class FaceRecognitionManager {
 
       const result = await this.electronAPI.clockAttendance({
         input: String(fullEmployee.id_barcode),
-        inputType: 'barcode'
+        inputType: 'barcode',
+        method: method === 'camera' ? 'camera' : 'barcode',
+        action: this.attendanceApp?.kioskAction?.selected || null, // IN / OUT / BREAK in explicit mode
+        jobCode: this.attendanceApp?.kioskJob?.selected || null // job picked at the kiosk (transfer when clocked in)
       });
 
       console.log('Clock result:', result.success ? 'SUCCESS' : 'FAILED');
@@ -2295,16 +2230,12 @@ class FaceRecognitionManager {
         console.error('Clock error:', result.error);
       }
 
+      this.updateCooldownFromResult(uidString, result);
+
       if (result.success) {
         const clockAction = this.getClockActionText(result.data.clockType);
-
-        if (method === 'camera') {
-          this.employeeCooldowns.set(uidString, Date.now());
-          console.log(`Added UID ${uidString} to camera cooldown (1 hour)`);
-        } else if (method === 'barcode') {
-          this.barcodeCooldowns.set(uidString, Date.now());
-          console.log(`Added UID ${uidString} to barcode cooldown (2 seconds)`);
-        }
+        this.attendanceApp?.selectKioskAction?.(null);
+        this.attendanceApp?.selectKioskJob?.(null);
 
         this.addToScanLog(employee, clockAction, method, true);
 
@@ -2324,6 +2255,10 @@ class FaceRecognitionManager {
           }
         }, 3000);
 
+      } else if (result.antiPassback) {
+        this.addToScanLog(employee, result.queuedForReview ? 'Sent for review' : 'Blocked', method, false);
+        this.showStatus(`⏱️ ${result.error}`, 'info');
+        this.playErrorSound();
       } else {
         this.addToScanLog(employee, 'Failed to clock', method, false);
         this.showStatus(`❌ Error: ${result.error}`, 'error');
@@ -2347,66 +2282,6 @@ class FaceRecognitionManager {
       const currentTime = Date.now();
       const trimmedBarcode = String(barcode).trim();
 
-      // ENHANCED: Pre-lookup employee to check cooldown BEFORE setting lock
-      let employeeUID = null;
-      const employeesResult = await this.electronAPI.getEmployees();
-
-      if (employeesResult.success && employeesResult.data) {
-        const employee = employeesResult.data.find(emp =>
-          String(emp.id_barcode) === trimmedBarcode
-        );
-
-        if (employee) {
-          const employeeUID = String(employee.uid);
-
-          // Check if already scanned in current session (recent scans)
-          const alreadyScanned = this.scanLog.find(entry =>
-            String(entry.uid) === employeeUID && entry.success === true
-          );
-
-          if (alreadyScanned) {
-            const employeeName = `${employee.first_name} ${employee.last_name}`;
-            const timeAgo = this.getTimeAgo(alreadyScanned.timestamp);
-
-            console.log(`🚫 ${employeeName} already scanned ${timeAgo} ago`);
-            this.showToast(
-              `${employeeName} already recorded ${timeAgo} ago`,
-              'error'
-            );
-            this.playErrorSound();
-            return;
-          }
-
-          // Check if in barcode cooldown
-          if (this.isInBarcodeCooldown(employeeUID)) {
-            const lastScanTime = this.barcodeCooldowns.get(employeeUID);
-            const timeSinceLastScan = currentTime - lastScanTime;
-            const remainingSeconds = Math.ceil((this.barcodeCooldownDuration - timeSinceLastScan) / 1000);
-
-            console.log(`🚫 Employee ${employee.first_name} ${employee.last_name} in barcode cooldown`);
-            this.showStatus(
-              `⏱️ ${employee.first_name} ${employee.last_name} - Wait ${remainingSeconds}s`,
-              'info'
-            );
-            return;
-          }
-        }
-      }
-
-      // Check if exact same barcode was just processed
-      if (this.lastProcessedInput === trimmedBarcode) {
-        const timeSinceLastProcess = currentTime - this.lastProcessedTime;
-
-        if (timeSinceLastProcess < 5000) {
-          console.log(`🚫 Duplicate barcode detected within 5 seconds - REJECTED`);
-          this.showStatus(
-            `⏸️ Please wait ${Math.ceil((5000 - timeSinceLastProcess) / 1000)}s before scanning again`,
-            'info'
-          );
-          return;
-        }
-      }
-
       // ENHANCED: Global processing lock - stricter check
       if (this.isProcessingAttendance) {
         const timeSinceLastProcess = currentTime - this.lastProcessedTime;
@@ -2421,49 +2296,6 @@ class FaceRecognitionManager {
         }
       }
 
-
-
-      if (employeesResult.success && employeesResult.data) {
-        const employee = employeesResult.data.find(emp =>
-          String(emp.id_barcode) === trimmedBarcode
-        );
-
-        if (employee) {
-          employeeUID = String(employee.uid);
-
-          // Check if employee is in barcode cooldown
-          if (this.isInBarcodeCooldown(employeeUID)) {
-            const lastScanTime = this.barcodeCooldowns.get(employeeUID);
-            const timeSinceLastScan = currentTime - lastScanTime;
-            const remainingSeconds = Math.ceil((this.barcodeCooldownDuration - timeSinceLastScan) / 1000);
-
-            console.log(`🚫 Employee ${employee.first_name} ${employee.last_name} in barcode cooldown`);
-            this.showStatus(
-              `⏱️ ${employee.first_name} ${employee.last_name} - Wait ${remainingSeconds}s`,
-              'info'
-            );
-            return;
-          }
-
-          // Check if employee already clocked via camera in this session
-          const employeeCameraScan = this.scanLog.find(entry =>
-            String(entry.uid) === employeeUID &&
-            entry.method === 'camera' &&
-            entry.success === true
-          );
-
-          if (employeeCameraScan) {
-            console.log(`🚫 Barcode blocked - Employee already clocked via camera in this session`);
-            this.showStatus(
-              `⚠️ ${employee.first_name} ${employee.last_name} already clocked via camera`,
-              'error'
-            );
-            this.playErrorSound();
-            return;
-          }
-        }
-      }
-
       // ENHANCED: Set processing lock AFTER all pre-checks pass
       this.isProcessingAttendance = true;
       this.lastProcessedInput = trimmedBarcode;
@@ -2476,7 +2308,10 @@ class FaceRecognitionManager {
       // ENHANCED: Call attendance API with trimmed barcode
       const result = await this.electronAPI.clockAttendance({
         input: trimmedBarcode,
-        inputType: 'barcode'
+        inputType: 'barcode',
+        method: 'barcode',
+        action: this.attendanceApp?.kioskAction?.selected || null, // IN / OUT / BREAK in explicit mode
+        jobCode: this.attendanceApp?.kioskJob?.selected || null // job picked at the kiosk (transfer when clocked in)
       });
 
       console.log(`Barcode Clock Result: ${result.success ? '✅ SUCCESS' : '❌ FAILED'}`);
@@ -2486,16 +2321,15 @@ class FaceRecognitionManager {
 
       if (result.success) {
         const clockAction = this.getClockActionText(result.data.clockType);
+        this.attendanceApp?.selectKioskAction?.(null);
+        this.attendanceApp?.selectKioskJob?.(null);
 
         const employeeName = result.data.employee
           ? `${result.data.employee.first_name} ${result.data.employee.last_name}`
           : 'Employee';
 
-        // ENHANCED: Set barcode cooldown with longer duration (5 seconds)
         if (result.data.employee && result.data.employee.uid) {
-          const uidString = String(result.data.employee.uid);
-          this.barcodeCooldowns.set(uidString, currentTime);
-          console.log(`✓ Added UID ${uidString} to barcode cooldown (5 seconds)`);
+          this.updateCooldownFromResult(String(result.data.employee.uid), result);
         }
 
         if (result.data.employee) {
@@ -2517,6 +2351,9 @@ class FaceRecognitionManager {
           }
         }, 3000);
 
+      } else if (result.antiPassback) {
+        this.showStatus(`⏱️ ${result.error}`, 'info');
+        this.playErrorSound();
       } else {
         // Handle error cases
         this.showStatus(`❌ Error: ${result.error}`, 'error');
@@ -2748,7 +2585,6 @@ class FaceRecognitionManager {
 
     this.faceDescriptors.clear();
     this.employeeCooldowns.clear();
-    this.barcodeCooldowns.clear();
     this.cachedFaceMatcher = null;
     console.log('FaceRecognitionManager destroyed');
   }
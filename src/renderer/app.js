@@ -1,4 +1,10 @@
 // Import SheetJS library
+
+// Action cards for the explicit kiosk mode - same prefixes as services/kioskActions.js
+const KIOSK_ACTION_CARDS = { "IN+": "in", "OUT+": "out", "BRK+": "break" };
+// Job cards pick the job for the next scan: "JOB+4471"
+const KIOSK_JOB_CARD_PREFIX = "JOB+";
+
 class AttendanceApp {
   constructor() {
     this.ws = null;
@@ -38,11 +44,25 @@ class AttendanceApp {
     };
     this.electronAPI = window.electronAPI; // Use the exposed API
 
-    // Duplicate prevention tracking
+    // Last scan, used to skip the loading screen during rapid scanning. Repeated punches
+    // are blocked by the anti-passback rules in the main process
     this.lastScanData = {
       input: null,
       timestamp: 0,
-      duplicatePreventionWindow: 60000, // 1 minute
+    };
+
+    // Explicit kiosk action mode - IN / OUT / BREAK picked before scanning
+    this.kioskAction = {
+      mode: "auto",
+      selected: null,
+      resetTimeout: null,
+    };
+
+    // Job code picked at the kiosk for the next scan
+    this.kioskJob = {
+      codes: [],
+      selected: null,
+      resetTimeout: null,
     };
 
     // Track when daily summary needs to be synced
@@ -1710,6 +1730,7 @@ async handleAttendanceDownloaded(data) {
             <th>ID</th>
             <th>Employee</th>
             <th>Date</th>
+            <th>Session</th>
             <th>Clock Type</th>
             <th>Clock Time</th>
             <th>Regular Hours</th>
@@ -1776,6 +1797,7 @@ async handleAttendanceDownloaded(data) {
         <td>${record.id}</td>
         <td style="font-weight: 600;">${record.first_name} ${record.last_name}</td>
         <td>${record.date}</td>
+        <td style="white-space: nowrap;">${record.sequence ? `#${record.sequence} ${record.direction === 'out' ? 'OUT' : 'IN'}` : '-'}</td>
         <td>
           <select class="editable-select" 
                   data-field="clock_type" data-id="${record.id}"
@@ -1809,6 +1831,10 @@ async handleAttendanceDownloaded(data) {
                           cursor: pointer;"
                    title="Click to edit date and time" />
           </div>
+          ${record.rounded_clock_time && record.rounded_clock_time !== record.clock_time ? `
+          <div style="font-size: 11px; color: #64748b;" title="Time used for hours by the rounding policy">
+            Rounded: ${this.formatClockTime(record.rounded_clock_time, record.date)}
+          </div>` : ''}
         </td>
         <td contenteditable="true" class="editable-cell" 
             data-field="regular_hours" data-id="${record.id}"
@@ -1827,8 +1853,27 @@ async handleAttendanceDownloaded(data) {
                 title="${isSynced ? 'This record was synced. Editing will mark it for re-sync.' : 'This record needs to be synced.'}">
             ${isSynced ? '🔄 Synced (Editable)' : '⏳ Pending'}
           </span>
+          ${record.clock_flagged ? `
+          <span class="status-badge error"
+                title="Kiosk clock was ${Math.round(Math.abs(record.clock_offset_ms || 0) / 1000)}s off from trusted time when punched${record.device_clock_time ? ` (kiosk showed ${record.device_clock_time})` : ''}">
+            ⚠️ Clock
+          </span>` : ''}
+          ${record.break_punch ? `
+          <span class="status-badge info" title="${record.break_punch === 'out' ? 'Starts a break' : 'Ends a break'}">
+            ☕ Break ${record.break_punch === 'out' ? 'Out' : 'In'}
+          </span>` : ''}
+          ${record.job_code ? `
+          <span class="status-badge info" title="${record.kiosk_action === 'transfer' ? 'Job transfer punch' : 'Job of this session'}">
+            💼 ${record.job_code}${record.kiosk_action === 'transfer' ? ' ⇄' : ''}
+          </span>` : ''}
         </td>
-        <td>
+        <td style="white-space: nowrap;">
+          ${record.clock_type && record.clock_type.endsWith('_out') ? `
+          <button class="explain-btn" data-id="${record.id}"
+                  style="padding: 6px 12px; border-radius: 4px; cursor: pointer; background: #2563eb; color: white; border: none; margin-right: 4px;"
+                  title="Explain how these hours were calculated">
+            ❔ Explain hours
+          </button>` : ''}
           <button class="delete-btn" data-id="${record.id}"
                   data-is-synced="${isSynced}"
                   style="padding: 6px 12px; border-radius: 4px; cursor: pointer; background: #ef4444; color: white; border: none;"
@@ -1883,6 +1928,7 @@ async handleAttendanceDownloaded(data) {
               <th>Regular Hours</th>
               <th>OT Hours</th>
               <th>Total Hours</th>
+              <th>Break (min)</th>
               <th>Status</th>
               <th>Actions</th>
             </tr>
@@ -1902,6 +1948,7 @@ async handleAttendanceDownloaded(data) {
                   ${record.overtime_hours || 0}
                 </td>
                 <td>${(record.total_hours || 0).toFixed(2)}</td>
+                <td title="${this.describeBreaks(record)}">${this.formatBreakSummary(record)}</td>
                 <td>
                   ${record.is_incomplete ?
         '<span class="status-badge warning">Incomplete</span>' :
@@ -2061,6 +2108,13 @@ async handleAttendanceDownloaded(data) {
     });
   });
 
+  // Explain hours buttons (clock-out records only)
+  document.querySelectorAll('.explain-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      await this.showCalculationTrace(e.currentTarget.dataset.id);
+    });
+  });
+
   // Delete buttons
   document.querySelectorAll('.delete-btn').forEach(btn => {
     btn.addEventListener('click', async (e) => {
@@ -2591,6 +2645,109 @@ async handleAttendanceDownloaded(data) {
     }
   }
 
+  /**
+   * Explain hours - show the calculation trace behind a clock-out record
+   */
+  async showCalculationTrace(id) {
+    try {
+      const result = await this.electronAPI.invoke('get-calculation-trace', parseInt(id));
+
+      if (!result || !result.success) {
+        throw new Error(result?.error || 'Failed to load calculation trace');
+      }
+
+      const explanation = result.data;
+      const formatTime = (value) => value ? new Date(value).toLocaleString() : '—';
+      const formatDetails = (step) => Object.entries(step)
+        .filter(([key]) => !['step', 'rule', 'description'].includes(key))
+        .map(([key, value]) => `<div><strong>${key}:</strong> ${value === null || value === undefined ? '—' : value}</div>`)
+        .join('');
+
+      const modal = document.createElement('div');
+      modal.className = 'modal show';
+      modal.id = 'calculationTraceModal';
+      modal.innerHTML = `
+      <div class="modal-content" style="max-width: 900px;">
+        <div class="modal-header">
+          <h2>❔ Explain Hours - ${explanation.clockOut.clock_type.replace('_', ' ')}</h2>
+          <button class="close-button" onclick="this.closest('.modal').remove()">×</button>
+        </div>
+        <div class="modal-body">
+          <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px; margin-bottom: 15px;">
+            <div><strong>Clock in:</strong> ${formatTime(explanation.clockIn?.clock_time)}</div>
+            <div><strong>Clock out:</strong> ${formatTime(explanation.clockOut.clock_time)}</div>
+            <div><strong>Calculated:</strong> ${explanation.calculatedHours
+              ? `${explanation.calculatedHours.regularHours}h reg, ${explanation.calculatedHours.overtimeHours}h OT`
+              : '—'}</div>
+            <div><strong>On record:</strong> ${explanation.storedHours.regularHours}h reg, ${explanation.storedHours.overtimeHours}h OT</div>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <span class="status-badge ${explanation.source === 'saved' ? 'success' : 'info'}">
+              ${explanation.source === 'saved' ? 'Saved at clock-out' : 'Recalculated from current punches'}
+            </span>
+            ${explanation.manuallyAdjusted ? `
+              <span class="status-badge warning" title="The hours on this record were edited after calculation">
+                Hours adjusted manually
+              </span>` : ''}
+          </div>
+
+          ${explanation.trace.length === 0 ? `
+            <div class="empty-state">
+              <p>No calculation trace is available for this record.</p>
+              <p>The matching clock-in could not be found.</p>
+            </div>
+          ` : `
+            <table class="data-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Rule</th>
+                  <th>Explanation</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${explanation.trace.map(step => `
+                  <tr>
+                    <td>${step.step}</td>
+                    <td><code>${step.rule}</code></td>
+                    <td>${step.description}</td>
+                    <td style="font-size: 12px;">${formatDetails(step)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+
+          ${explanation.specialNotes ? `
+            <div style="margin-top: 15px; padding: 10px; background: #f5f5f5; border-radius: 8px; font-size: 12px;">
+              <strong>Notes:</strong> ${explanation.specialNotes}
+            </div>
+          ` : ''}
+        </div>
+        <div class="modal-footer">
+          <button class="secondary-button" onclick="this.closest('.modal').remove()">
+            Close
+          </button>
+        </div>
+      </div>
+    `;
+
+      document.body.appendChild(modal);
+
+      // Close on background click
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+          modal.remove();
+        }
+      });
+    } catch (error) {
+      console.error('Error showing calculation trace:', error);
+      this.showStatus(`Failed to explain hours: ${error.message}`, 'error');
+    }
+  }
+
   /**
   * FIXED: showServerEditSyncHistory method
   * Now properly checks for API availability
@@ -3435,31 +3592,15 @@ async handleAttendanceDownloaded(data) {
           summarySyncInterval,
           "ms"
         );
+
+        this.applyKioskActionMode(result.data.kiosk_action_mode);
+        this.loadKioskJobCodes();
       }
     } catch (error) {
       console.error("Error loading sync settings:", error);
     }
   }
 
-  // Check if the current scan is a duplicate
-  isDuplicateScan(input) {
-    const currentTime = Date.now();
-    const timeDifference = currentTime - this.lastScanData.timestamp;
-
-    // Check if the same input was scanned within the prevention window
-    if (
-      this.lastScanData.input === input &&
-      timeDifference < this.lastScanData.duplicatePreventionWindow
-    ) {
-      console.log(
-        `Duplicate scan detected: "${input}" scanned ${timeDifference}ms ago (within ${this.lastScanData.duplicatePreventionWindow}ms window)`
-      );
-      return true;
-    }
-
-    return false;
-  }
-
   // Update the last scan data
   updateLastScanData(input) {
     this.lastScanData.input = input;
@@ -4477,6 +4618,53 @@ async saveAndSync() {
       "10";
 
     const faceRecognitionEnabled = document.getElementById("faceRecognitionToggle")?.checked || false;
+    const overnightShiftEnabled = document.getElementById("overnightShiftToggle")?.checked || false;
+    const overnightWindowInput =
+      formData.get("overnight_window_hours") ||
+      document.getElementById("overnightWindowHours")?.value ||
+      "16";
+    const nightDifferentialEnabled = document.getElementById("nightDifferentialToggle")?.checked || false;
+    const nightDifferentialStart = document.getElementById("nightDifferentialStart")?.value || "22:00";
+    const nightDifferentialEnd = document.getElementById("nightDifferentialEnd")?.value || "06:00";
+    const siteTimezone =
+      document.getElementById("siteTimezone")?.value.trim() ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const clockDriftThreshold = document.getElementById("clockDriftThreshold")?.value || "120";
+    const clockCorrectionEnabled = document.getElementById("clockCorrectionToggle")?.checked || false;
+    const absenceDetectionEnabled = document.getElementById("absenceDetectionToggle")?.checked ?? true;
+    const autoClockOutEnabled = document.getElementById("autoClockOutToggle")?.checked || false;
+    const autoClockOutAfterHours = document.getElementById("autoClockOutAfterHours")?.value || "4";
+    const autoClockOutPolicy = document.getElementById("autoClockOutPolicy")?.value || "scheduled_end";
+    const kioskActionMode = document.getElementById("kioskActionMode")?.value || "auto";
+    const antiPassback = {
+      anti_passback_min_interval_seconds: document.getElementById("antiPassbackMinInterval")?.value || "0",
+      anti_passback_min_session_minutes: document.getElementById("antiPassbackMinSession")?.value || "0",
+      anti_passback_action: document.getElementById("antiPassbackAction")?.value || "reject",
+    };
+    const kioskPins = {
+      kiosk_pin_max_attempts: document.getElementById("kioskPinMaxAttempts")?.value || "5",
+      kiosk_pin_lockout_minutes: document.getElementById("kioskPinLockoutMinutes")?.value || "15",
+    };
+    const rounding = {
+      rounding_clock_in_minutes: document.getElementById("roundingClockInMinutes")?.value || "0",
+      rounding_clock_in_mode: document.getElementById("roundingClockInMode")?.value || "up",
+      rounding_clock_out_minutes: document.getElementById("roundingClockOutMinutes")?.value || "0",
+      rounding_clock_out_mode: document.getElementById("roundingClockOutMode")?.value || "down",
+      rounding_overtime_minutes: document.getElementById("roundingOvertimeMinutes")?.value || "0",
+      rounding_overtime_mode: document.getElementById("roundingOvertimeMode")?.value || "down",
+    };
+    const weeklyOvertime = {
+      weekly_overtime_after_hours: document.getElementById("weeklyOvertimeAfterHours")?.value || "0",
+      consecutive_day_premium_day: document.getElementById("consecutiveDayPremiumDay")?.value || "0",
+      daily_overtime_cap_hours: document.getElementById("dailyOvertimeCapHours")?.value || "0",
+      weekly_overtime_cap_hours: document.getElementById("weeklyOvertimeCapHours")?.value || "0",
+    };
+    const breaks = {
+      paid_break_minutes: document.getElementById("paidBreakMinutes")?.value || "0",
+      maximum_break_minutes: document.getElementById("maximumBreakMinutes")?.value || "0",
+      minimum_break_minutes: document.getElementById("minimumBreakMinutes")?.value || "0",
+      minimum_break_after_hours: document.getElementById("minimumBreakAfterHours")?.value || "0",
+    };
     const authPinInput = formData.get("auth_pin") ||
       document.getElementById("authPin")?.value ||
       "1234";
@@ -4489,6 +4677,24 @@ async saveAndSync() {
       ).toString(),
       grace_period: gracePeriodInput,
       face_detection_enabled: faceRecognitionEnabled.toString(),
+      overnight_shift_enabled: overnightShiftEnabled.toString(),
+      overnight_window_hours: overnightWindowInput,
+      night_differential_enabled: nightDifferentialEnabled.toString(),
+      night_differential_start: nightDifferentialStart,
+      night_differential_end: nightDifferentialEnd,
+      site_timezone: siteTimezone,
+      clock_drift_threshold_seconds: clockDriftThreshold,
+      clock_correction_enabled: clockCorrectionEnabled.toString(),
+      absence_detection_enabled: absenceDetectionEnabled.toString(),
+      auto_clock_out_enabled: autoClockOutEnabled.toString(),
+      auto_clock_out_after_hours: autoClockOutAfterHours,
+      auto_clock_out_policy: autoClockOutPolicy,
+      kiosk_action_mode: kioskActionMode,
+      ...rounding,
+      ...weeklyOvertime,
+      ...breaks,
+      ...antiPassback,
+      ...kioskPins,
       auth_pin: authPinInput,
     };
 
@@ -4509,6 +4715,7 @@ async saveAndSync() {
 
     this.startAutoSync();
     this.startSummaryAutoSync();
+    this.applyKioskActionMode(settings.kiosk_action_mode);
 
     // ✅ NEW: Remove duplicates before validation
     syncNowBtn.textContent = "🗑️ Removing Duplicates...";
@@ -4721,6 +4928,25 @@ async saveAndSync() {
       }
     });
 
+    // Kiosk action buttons and their function keys (explicit action mode only)
+    document.querySelectorAll(".kiosk-action-btn").forEach((button) => {
+      button.addEventListener("click", () => this.selectKioskAction(button.dataset.action));
+    });
+
+    document.getElementById("kioskJobCode")?.addEventListener("change", (e) => {
+      this.selectKioskJob(e.target.value);
+    });
+
+    document.addEventListener("keydown", (e) => {
+      const keyActions = { F1: "in", F2: "out", F3: "break" };
+      if (this.kioskAction.mode !== "explicit" || !keyActions[e.key]) {
+        return;
+      }
+
+      e.preventDefault();
+      this.selectKioskAction(keyActions[e.key]);
+    });
+
     // Settings event listeners
     settingsBtn.addEventListener("click", () => {
       this.openSettings();
@@ -4756,6 +4982,18 @@ async saveAndSync() {
       downloadBtn.addEventListener("click", () => this.downloadExcel());
     }
 
+    document.getElementById("checkAbsencesBtn")?.addEventListener("click", () => {
+      this.checkAbsences();
+    });
+
+    document.getElementById("weeklyOvertimeWarningsOnly")?.addEventListener("change", () => {
+      this.loadWeeklyOvertime();
+    });
+
+    document.getElementById("rebuildWeeklyOvertimeBtn")?.addEventListener("click", () => {
+      this.rebuildWeeklyOvertime();
+    });
+
     const syncAttendanceBtn = document.getElementById("syncAttendanceBtn");
     if (syncAttendanceBtn) {
       syncAttendanceBtn.addEventListener("click", () => {
@@ -4785,6 +5023,244 @@ async saveAndSync() {
       });
     }
 
+    // Shift schedule editor
+    const shiftScheduleForm = document.getElementById("shiftScheduleForm");
+    if (shiftScheduleForm) {
+      shiftScheduleForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveShiftSchedule();
+      });
+    }
+
+    document.getElementById("newShiftScheduleBtn")?.addEventListener("click", () => {
+      this.showShiftScheduleForm(null);
+    });
+
+    document.getElementById("cancelShiftScheduleBtn")?.addEventListener("click", () => {
+      document.getElementById("shiftScheduleForm").style.display = "none";
+    });
+
+    const scheduleAssignmentForm = document.getElementById("scheduleAssignmentForm");
+    if (scheduleAssignmentForm) {
+      scheduleAssignmentForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveScheduleAssignment();
+      });
+    }
+
+    document.getElementById("newScheduleAssignmentBtn")?.addEventListener("click", () => {
+      this.showScheduleAssignmentForm(null);
+    });
+
+    document.getElementById("cancelScheduleAssignmentBtn")?.addEventListener("click", () => {
+      document.getElementById("scheduleAssignmentForm").style.display = "none";
+    });
+
+    document.getElementById("assignmentScope")?.addEventListener("change", (e) => {
+      this.toggleAssignmentScope(e.target.value);
+    });
+
+    const holidayForm = document.getElementById("holidayForm");
+    if (holidayForm) {
+      holidayForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveHoliday();
+      });
+    }
+
+    document.getElementById("newHolidayBtn")?.addEventListener("click", () => {
+      this.showHolidayForm(null);
+    });
+
+    document.getElementById("cancelHolidayBtn")?.addEventListener("click", () => {
+      document.getElementById("holidayForm").style.display = "none";
+    });
+
+    document.getElementById("holidayYearFilter")?.addEventListener("change", () => {
+      this.loadHolidays();
+    });
+
+    const jobCodeForm = document.getElementById("jobCodeForm");
+    if (jobCodeForm) {
+      jobCodeForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveJobCode();
+      });
+    }
+
+    document.getElementById("newJobCodeBtn")?.addEventListener("click", () => {
+      this.showJobCodeForm(null);
+    });
+
+    document.getElementById("cancelJobCodeBtn")?.addEventListener("click", () => {
+      document.getElementById("jobCodeForm").style.display = "none";
+    });
+
+    document.getElementById("loadJobHoursBtn")?.addEventListener("click", () => {
+      this.loadJobHours();
+    });
+
+    document.getElementById("exportJobHoursBtn")?.addEventListener("click", () => {
+      this.exportJobHours();
+    });
+
+    document.getElementById("kioskPinForm")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.saveKioskPin();
+    });
+
+    document.getElementById("cancelKioskPinBtn")?.addEventListener("click", () => {
+      document.getElementById("kioskPinForm").style.display = "none";
+    });
+
+    document.getElementById("loadPunchMethodsBtn")?.addEventListener("click", () => {
+      this.loadPunchMethods();
+    });
+
+    document.getElementById("importHolidaysBtn")?.addEventListener("click", () => {
+      document.getElementById("holidayImportFile").click();
+    });
+
+    document.getElementById("holidayImportFile")?.addEventListener("change", (e) => {
+      const file = e.target.files[0];
+      e.target.value = "";
+      if (file) this.importHolidays(file);
+    });
+
+    const punchCorrectionForm = document.getElementById("punchCorrectionForm");
+    if (punchCorrectionForm) {
+      punchCorrectionForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.createPunchCorrection();
+      });
+    }
+
+    document.getElementById("newPunchCorrectionBtn")?.addEventListener("click", () => {
+      this.showPunchCorrectionForm();
+    });
+
+    document.getElementById("cancelPunchCorrectionBtn")?.addEventListener("click", () => {
+      document.getElementById("punchCorrectionForm").style.display = "none";
+    });
+
+    document.getElementById("correctionStatusFilter")?.addEventListener("change", () => {
+      this.loadPunchCorrections();
+    });
+
+    document.getElementById("incompletePunchFilter")?.addEventListener("change", () => {
+      this.loadIncompletePunches();
+    });
+
+    document.getElementById("runAutoClockOutBtn")?.addEventListener("click", () => {
+      this.runAutoClockOut();
+    });
+
+    const leaveRequestForm = document.getElementById("leaveRequestForm");
+    if (leaveRequestForm) {
+      leaveRequestForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.fileLeaveRequest();
+      });
+    }
+
+    document.getElementById("newLeaveRequestBtn")?.addEventListener("click", () => {
+      this.showLeaveRequestForm();
+    });
+
+    document.getElementById("cancelLeaveRequestBtn")?.addEventListener("click", () => {
+      document.getElementById("leaveRequestForm").style.display = "none";
+    });
+
+    document.getElementById("leaveStatusFilter")?.addEventListener("change", () => {
+      this.loadLeaveRequests();
+    });
+
+    document.getElementById("leaveBalanceEmployee")?.addEventListener("change", () => {
+      this.loadLeaveBalances();
+    });
+
+    document.getElementById("leaveBalanceYear")?.addEventListener("change", () => {
+      this.loadLeaveBalances();
+    });
+
+    const leaveTypeForm = document.getElementById("leaveTypeForm");
+    if (leaveTypeForm) {
+      leaveTypeForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveLeaveType();
+      });
+    }
+
+    document.getElementById("newLeaveTypeBtn")?.addEventListener("click", () => {
+      this.showLeaveTypeForm();
+    });
+
+    document.getElementById("cancelLeaveTypeBtn")?.addEventListener("click", () => {
+      document.getElementById("leaveTypeForm").style.display = "none";
+    });
+
+    document.getElementById("policyIncidentStatusFilter")?.addEventListener("change", () => {
+      this.loadPolicyIncidents();
+    });
+
+    document.getElementById("exportPolicyIncidentsBtn")?.addEventListener("click", () => {
+      this.exportPolicyIncidents();
+    });
+
+    const policyRuleForm = document.getElementById("policyRuleForm");
+    if (policyRuleForm) {
+      policyRuleForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.savePolicyRule();
+      });
+    }
+
+    document.getElementById("newPolicyRuleBtn")?.addEventListener("click", () => {
+      this.showPolicyRuleForm();
+    });
+
+    document.getElementById("cancelPolicyRuleBtn")?.addEventListener("click", () => {
+      document.getElementById("policyRuleForm").style.display = "none";
+    });
+
+    const overtimeAuthorizationForm = document.getElementById("overtimeAuthorizationForm");
+    if (overtimeAuthorizationForm) {
+      overtimeAuthorizationForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveOvertimeAuthorization();
+      });
+    }
+
+    document.getElementById("newOvertimeAuthorizationBtn")?.addEventListener("click", () => {
+      this.showOvertimeAuthorizationForm();
+    });
+
+    document.getElementById("cancelOvertimeAuthorizationBtn")?.addEventListener("click", () => {
+      document.getElementById("overtimeAuthorizationForm").style.display = "none";
+    });
+
+    document.getElementById("overtimeAuthorizationStatusFilter")?.addEventListener("change", () => {
+      this.loadOvertimeAuthorizations();
+    });
+
+    ["unapprovedOvertimeStart", "unapprovedOvertimeEnd"].forEach((id) => {
+      document.getElementById(id)?.addEventListener("change", () => {
+        this.loadUnapprovedOvertime();
+      });
+    });
+
+    document.getElementById("exportUnapprovedOvertimeBtn")?.addEventListener("click", () => {
+      this.exportUnapprovedOvertime();
+    });
+
+    const simulatorForm = document.getElementById("simulatorForm");
+    if (simulatorForm) {
+      simulatorForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.runPunchSimulation();
+      });
+    }
+
     const faceRecognitionBtn = document.getElementById('openFaceRecognition');
     if (faceRecognitionBtn) {
       faceRecognitionBtn.addEventListener('click', () => {
@@ -5041,6 +5517,8 @@ async saveAndSync() {
     // Focus input immediately for next scan
     this.focusInput();
 
+    this.setupKioskPinPad();
+
     // Handle input type changes
     const inputTypeRadios = document.querySelectorAll('input[name="inputType"]');
     inputTypeRadios.forEach((radio) => {
@@ -5162,11 +5640,56 @@ openSettings() {
         } else if (tab.dataset.tab === "editor") {
           // ✅ NEW: Load data editor when tab is opened
           this.loadLocalDataEditor();
+        } else if (tab.dataset.tab === "schedules") {
+          this.loadShiftSchedules();
+          this.loadScheduleAssignments();
+        } else if (tab.dataset.tab === "holidays") {
+          this.loadHolidays();
+        } else if (tab.dataset.tab === "jobs") {
+          this.loadJobCodes();
+          this.loadJobHours();
+        } else if (tab.dataset.tab === "pins") {
+          this.loadKioskPins();
+          this.loadPunchMethods();
+        } else if (tab.dataset.tab === "corrections") {
+          this.loadPunchCorrections();
+        } else if (tab.dataset.tab === "leave") {
+          this.loadLeaveManagement();
+        } else if (tab.dataset.tab === "policy") {
+          this.loadAttendancePolicy();
+        } else if (tab.dataset.tab === "overtime") {
+          this.loadOvertimeApproval();
+        } else if (tab.dataset.tab === "simulator") {
+          this.loadPunchSimulator();
         }
       });
     });
   }
 
+  // Show how far this computer's clock is from trusted (server) time
+  async loadClockStatus() {
+    const statusText = document.getElementById("clockStatusText");
+    if (!statusText || !this.electronAPI) return;
+
+    try {
+      const result = await this.electronAPI.getClockStatus();
+      if (!result.success) {
+        statusText.textContent = "";
+        return;
+      }
+
+      const status = result.data;
+      const seconds = Math.round(Math.abs(status.offsetMs) / 1000);
+      const direction = status.offsetMs > 0 ? "behind" : "ahead of";
+      const reference = status.source === "server" ? "server time" : "the time at startup (no server time yet)";
+
+      statusText.textContent = `${status.exceedsThreshold ? "⚠️" : "✓"} Clock is ${seconds}s ${direction} ${reference}`;
+      statusText.style.color = status.exceedsThreshold ? "#dc2626" : "";
+    } catch (error) {
+      console.error("Error loading clock status:", error);
+    }
+  }
+
   async loadSettings() {
     if (!this.electronAPI) {
       // Demo values
@@ -5175,6 +5698,15 @@ openSettings() {
       document.getElementById("gracePeriod").value = "5";
       document.getElementById("summarySyncInterval").value = "10";
       document.getElementById("faceRecognitionToggle").checked = true; // Demo face recognition enabled
+      document.getElementById("overnightShiftToggle").checked = true;
+      document.getElementById("overnightWindowHours").value = "16";
+      document.getElementById("nightDifferentialToggle").checked = true;
+      document.getElementById("nightDifferentialStart").value = "22:00";
+      document.getElementById("nightDifferentialEnd").value = "06:00";
+      document.getElementById("siteTimezone").value = "Asia/Manila";
+      document.getElementById("clockDriftThreshold").value = "120";
+      document.getElementById("clockCorrectionToggle").checked = false;
+      document.getElementById("absenceDetectionToggle").checked = true;
       return;
     }
 
@@ -5199,6 +5731,62 @@ openSettings() {
         document.getElementById("faceRecognitionToggle").checked = faceRecognitionEnabled;
         console.log("Face Recognition loaded:", faceRecognitionEnabled);
 
+        // Load overnight shift settings
+        document.getElementById("overnightShiftToggle").checked = settings.overnight_shift_enabled !== "false";
+        document.getElementById("overnightWindowHours").value = settings.overnight_window_hours || 16;
+
+        // Load night differential window
+        document.getElementById("nightDifferentialToggle").checked = settings.night_differential_enabled !== "false";
+        document.getElementById("nightDifferentialStart").value = settings.night_differential_start || "22:00";
+        document.getElementById("nightDifferentialEnd").value = settings.night_differential_end || "06:00";
+
+        // Load site timezone (suggest every zone the runtime knows)
+        const timezoneList = document.getElementById("siteTimezoneList");
+        if (timezoneList && !timezoneList.children.length && Intl.supportedValuesOf) {
+          timezoneList.innerHTML = Intl.supportedValuesOf("timeZone")
+            .map((zone) => `<option value="${zone}"></option>`)
+            .join("");
+        }
+        document.getElementById("siteTimezone").value =
+          settings.site_timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+        // Load trusted time settings
+        document.getElementById("clockDriftThreshold").value = settings.clock_drift_threshold_seconds || 120;
+        document.getElementById("clockCorrectionToggle").checked = settings.clock_correction_enabled === "true";
+        this.loadClockStatus();
+        document.getElementById("absenceDetectionToggle").checked = settings.absence_detection_enabled !== "false";
+        document.getElementById("autoClockOutToggle").checked = settings.auto_clock_out_enabled === "true";
+        document.getElementById("autoClockOutAfterHours").value = settings.auto_clock_out_after_hours || "4";
+        document.getElementById("autoClockOutPolicy").value =
+          settings.auto_clock_out_policy === "zero_hours" ? "zero_hours" : "scheduled_end";
+        document.getElementById("kioskActionMode").value = settings.kiosk_action_mode === "explicit" ? "explicit" : "auto";
+
+        // Load anti-passback rules
+        document.getElementById("antiPassbackMinInterval").value = settings.anti_passback_min_interval_seconds ?? "5";
+        document.getElementById("antiPassbackMinSession").value = settings.anti_passback_min_session_minutes ?? "0";
+        document.getElementById("antiPassbackAction").value =
+          settings.anti_passback_action === "review" ? "review" : "reject";
+        document.getElementById("kioskPinMaxAttempts").value = settings.kiosk_pin_max_attempts || "5";
+        document.getElementById("kioskPinLockoutMinutes").value = settings.kiosk_pin_lockout_minutes || "15";
+
+        // Load time rounding rules
+        document.getElementById("roundingClockInMinutes").value = settings.rounding_clock_in_minutes || "0";
+        document.getElementById("roundingClockInMode").value = settings.rounding_clock_in_mode || "up";
+        document.getElementById("roundingClockOutMinutes").value = settings.rounding_clock_out_minutes || "0";
+        document.getElementById("roundingClockOutMode").value = settings.rounding_clock_out_mode || "down";
+        document.getElementById("roundingOvertimeMinutes").value = settings.rounding_overtime_minutes || "0";
+        document.getElementById("roundingOvertimeMode").value = settings.rounding_overtime_mode || "down";
+
+        // Load weekly overtime rules
+        document.getElementById("weeklyOvertimeAfterHours").value = settings.weekly_overtime_after_hours ?? "48";
+        document.getElementById("consecutiveDayPremiumDay").value = settings.consecutive_day_premium_day ?? "7";
+        document.getElementById("dailyOvertimeCapHours").value = settings.daily_overtime_cap_hours ?? "4";
+        document.getElementById("weeklyOvertimeCapHours").value = settings.weekly_overtime_cap_hours ?? "12";
+        document.getElementById("paidBreakMinutes").value = settings.paid_break_minutes ?? "0";
+        document.getElementById("maximumBreakMinutes").value = settings.maximum_break_minutes ?? "0";
+        document.getElementById("minimumBreakMinutes").value = settings.minimum_break_minutes ?? "0";
+        document.getElementById("minimumBreakAfterHours").value = settings.minimum_break_after_hours ?? "6";
+
         // Load auth PIN setting
         const authPin = settings.auth_pin || "1234";
         const authPinInput = document.getElementById("authPin");
@@ -5224,33 +5812,2176 @@ openSettings() {
     }
   }
 
-  // PERFORMANCE: Enhanced sync info with cache stats
-  async loadSyncInfo() {
-    if (!this.electronAPI) {
-      document.getElementById("employeeCount").textContent =
-        "Employees in database: 25 (Demo)";
-      document.getElementById("lastSync").textContent =
-        "Last sync: Just now (Demo)";
-      document.getElementById("profileStatus").textContent =
-        "Profile images: 20/25 downloaded (Demo)";
-      document.getElementById("syncInfo").style.display = "block";
-      return;
-    }
+  // Shift schedules: list, edit and delete the working-hours patterns
+  async loadShiftSchedules() {
+    const tbody = document.getElementById("shiftSchedulesTableBody");
+    if (!tbody || !this.electronAPI) return;
 
     try {
-      const employeesResult = await this.electronAPI.getEmployees();
+      const result = await this.electronAPI.getShiftSchedules();
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="9" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
 
-      if (employeesResult.success) {
-        document.getElementById(
-          "employeeCount"
-        ).textContent = `Employees in database: ${employeesResult.data.length}`;
+      this.shiftSchedules = result.data;
 
-        const settingsResult = await this.electronAPI.invoke('get-settings');
-        if (settingsResult.success && settingsResult.data.last_sync) {
-          const lastSync = new Date(
-            Number.parseInt(settingsResult.data.last_sync)
-          );
-          document.getElementById(
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="loading">No shift schedules defined</td></tr>';
+        return;
+      }
+
+      const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+      tbody.innerHTML = result.data
+        .map((schedule) => {
+          const days = String(schedule.days_of_week || "")
+            .split(",")
+            .map((day) => dayNames[Number.parseInt(day)] || "")
+            .join(", ");
+          const lunch = schedule.lunch_start && schedule.lunch_end
+            ? `${schedule.lunch_start} - ${schedule.lunch_end}`
+            : "None";
+
+          return `
+            <tr>
+              <td>${schedule.name}${schedule.is_default ? " ⭐" : ""}</td>
+              <td>${days}</td>
+              <td>${schedule.start_time} - ${schedule.end_time}</td>
+              <td>${lunch}</td>
+              <td>${schedule.grace_period} min</td>
+              <td>${schedule.allow_overtime && schedule.early_ot_start ? schedule.early_ot_start : "-"}</td>
+              <td>${schedule.allow_overtime ? schedule.overtime_cutoff || "-" : "No overtime"}</td>
+              <td>${schedule.is_active ? "Active" : "Inactive"}</td>
+              <td>
+                <button class="btn btn-outline btn-sm" data-action="edit-schedule" data-id="${schedule.id}">✏️</button>
+                <button class="btn btn-outline btn-sm" data-action="delete-schedule" data-id="${schedule.id}">🗑️</button>
+              </td>
+            </tr>
+          `;
+        })
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-schedule"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const schedule = this.shiftSchedules.find((s) => s.id === Number.parseInt(btn.dataset.id));
+          this.showShiftScheduleForm(schedule);
+        });
+      });
+
+      tbody.querySelectorAll('[data-action="delete-schedule"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.deleteShiftSchedule(Number.parseInt(btn.dataset.id)));
+      });
+    } catch (error) {
+      console.error("Error loading shift schedules:", error);
+      this.showSettingsStatus("Error loading shift schedules", "error");
+    }
+  }
+
+  showShiftScheduleForm(schedule) {
+    const form = document.getElementById("shiftScheduleForm");
+    if (!form) return;
+
+    const selectedDays = String(schedule?.days_of_week ?? "1,2,3,4,5,6").split(",");
+
+    document.getElementById("shiftScheduleId").value = schedule?.id || "";
+    document.getElementById("shiftScheduleName").value = schedule?.name || "";
+    document.getElementById("shiftStartTime").value = schedule?.start_time || "08:00";
+    document.getElementById("shiftEndTime").value = schedule?.end_time || "17:00";
+    document.getElementById("shiftLunchStart").value = schedule ? schedule.lunch_start || "" : "12:00";
+    document.getElementById("shiftLunchEnd").value = schedule ? schedule.lunch_end || "" : "13:00";
+    document.getElementById("shiftGracePeriod").value = schedule?.grace_period ?? 5;
+    document.getElementById("shiftEarlyOtStart").value = schedule?.early_ot_start || "";
+    document.getElementById("shiftOvertimeCutoff").value = schedule ? schedule.overtime_cutoff || "" : "22:00";
+    document.getElementById("shiftAllowOvertime").checked = schedule ? !!schedule.allow_overtime : true;
+    document.getElementById("shiftIsDefault").checked = !!schedule?.is_default;
+    document.getElementById("shiftIsActive").checked = schedule ? !!schedule.is_active : true;
+
+    document.querySelectorAll("#shiftScheduleDays input[type=checkbox]").forEach((checkbox) => {
+      checkbox.checked = selectedDays.includes(checkbox.value);
+    });
+
+    form.style.display = "block";
+  }
+
+  async saveShiftSchedule() {
+    const authenticated = await this.twoFactorAuth.show("Saving shift schedule");
+    if (!authenticated) return;
+
+    const days = Array.from(document.querySelectorAll("#shiftScheduleDays input[type=checkbox]:checked"))
+      .map((checkbox) => checkbox.value)
+      .join(",");
+    const scheduleId = document.getElementById("shiftScheduleId").value;
+
+    const schedule = {
+      id: scheduleId ? Number.parseInt(scheduleId) : null,
+      name: document.getElementById("shiftScheduleName").value.trim(),
+      days_of_week: days,
+      start_time: document.getElementById("shiftStartTime").value,
+      end_time: document.getElementById("shiftEndTime").value,
+      lunch_start: document.getElementById("shiftLunchStart").value || null,
+      lunch_end: document.getElementById("shiftLunchEnd").value || null,
+      grace_period: Number.parseInt(document.getElementById("shiftGracePeriod").value || "5"),
+      early_ot_start: document.getElementById("shiftEarlyOtStart").value || null,
+      overtime_cutoff: document.getElementById("shiftOvertimeCutoff").value || null,
+      allow_overtime: document.getElementById("shiftAllowOvertime").checked,
+      is_default: document.getElementById("shiftIsDefault").checked,
+      is_active: document.getElementById("shiftIsActive").checked,
+    };
+
+    try {
+      const result = await this.electronAPI.saveShiftSchedule(schedule);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving shift schedule", "error");
+        return;
+      }
+
+      this.showSettingsStatus("Shift schedule saved", "success");
+      document.getElementById("shiftScheduleForm").style.display = "none";
+      await this.loadShiftSchedules();
+    } catch (error) {
+      console.error("Error saving shift schedule:", error);
+      this.showSettingsStatus(`Error saving shift schedule: ${error.message}`, "error");
+    }
+  }
+
+  async deleteShiftSchedule(scheduleId) {
+    if (!confirm("Delete this shift schedule?")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Deleting shift schedule");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.deleteShiftSchedule(scheduleId);
+      this.showSettingsStatus(
+        result.success ? "Shift schedule deleted" : result.error || result.message,
+        result.success ? "success" : "error"
+      );
+      await this.loadShiftSchedules();
+    } catch (error) {
+      console.error("Error deleting shift schedule:", error);
+      this.showSettingsStatus(`Error deleting shift schedule: ${error.message}`, "error");
+    }
+  }
+
+  // Schedule assignments: which schedule a department or employee works, by date range
+  async loadScheduleAssignments() {
+    const tbody = document.getElementById("scheduleAssignmentsTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    try {
+      const result = await this.electronAPI.getScheduleAssignments();
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="6" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.scheduleAssignments = result.data;
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">No assignments - everyone uses the default schedules</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((assignment) => {
+          const appliesTo = assignment.employee_uid
+            ? `👤 ${assignment.first_name || ""} ${assignment.last_name || ""} (${assignment.id_number || assignment.employee_uid})`
+            : `🏢 ${assignment.department}`;
+
+          return `
+            <tr>
+              <td>${appliesTo}</td>
+              <td>${assignment.schedule_name}</td>
+              <td>${assignment.effective_from}</td>
+              <td>${assignment.effective_to || "Open-ended"}</td>
+              <td>${assignment.notes || ""}</td>
+              <td>
+                <button class="btn btn-outline btn-sm" data-action="edit-assignment" data-id="${assignment.id}">✏️</button>
+                <button class="btn btn-outline btn-sm" data-action="delete-assignment" data-id="${assignment.id}">🗑️</button>
+              </td>
+            </tr>
+          `;
+        })
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-assignment"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const assignment = this.scheduleAssignments.find((a) => a.id === Number.parseInt(btn.dataset.id));
+          this.showScheduleAssignmentForm(assignment);
+        });
+      });
+
+      tbody.querySelectorAll('[data-action="delete-assignment"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.deleteScheduleAssignment(Number.parseInt(btn.dataset.id)));
+      });
+    } catch (error) {
+      console.error("Error loading schedule assignments:", error);
+      this.showSettingsStatus("Error loading schedule assignments", "error");
+    }
+  }
+
+  toggleAssignmentScope(scope) {
+    document.getElementById("assignmentDepartmentGroup").style.display = scope === "department" ? "block" : "none";
+    document.getElementById("assignmentEmployeeGroup").style.display = scope === "employee" ? "block" : "none";
+  }
+
+  async showScheduleAssignmentForm(assignment) {
+    const form = document.getElementById("scheduleAssignmentForm");
+    if (!form) return;
+
+    // Schedules, employees and departments for the pickers
+    if (!this.shiftSchedules) {
+      await this.loadShiftSchedules();
+    }
+    const employeesResult = await this.electronAPI.getEmployees();
+    const employees = employeesResult.success ? employeesResult.data : [];
+    const departments = [...new Set(employees.map((emp) => emp.department).filter(Boolean))].sort();
+
+    document.getElementById("assignmentSchedule").innerHTML = (this.shiftSchedules || [])
+      .map((schedule) => `<option value="${schedule.id}">${schedule.name}${schedule.is_active ? "" : " (inactive)"}</option>`)
+      .join("");
+    document.getElementById("assignmentEmployee").innerHTML = employees
+      .map((emp) => `<option value="${emp.uid}">${emp.last_name}, ${emp.first_name} (${emp.id_number || emp.uid})</option>`)
+      .join("");
+    document.getElementById("assignmentDepartmentList").innerHTML = departments
+      .map((department) => `<option value="${department}"></option>`)
+      .join("");
+
+    const scope = assignment?.employee_uid ? "employee" : "department";
+    document.getElementById("scheduleAssignmentId").value = assignment?.id || "";
+    document.getElementById("assignmentScope").value = scope;
+    document.getElementById("assignmentDepartment").value = assignment?.department || "";
+    if (assignment?.employee_uid) {
+      document.getElementById("assignmentEmployee").value = assignment.employee_uid;
+    }
+    if (assignment?.schedule_id) {
+      document.getElementById("assignmentSchedule").value = assignment.schedule_id;
+    }
+    document.getElementById("assignmentEffectiveFrom").value =
+      assignment?.effective_from || new Date().toISOString().split("T")[0];
+    document.getElementById("assignmentEffectiveTo").value = assignment?.effective_to || "";
+    document.getElementById("assignmentNotes").value = assignment?.notes || "";
+    this.toggleAssignmentScope(scope);
+
+    form.style.display = "block";
+  }
+
+  async saveScheduleAssignment() {
+    const authenticated = await this.twoFactorAuth.show("Saving schedule assignment");
+    if (!authenticated) return;
+
+    const assignmentId = document.getElementById("scheduleAssignmentId").value;
+    const scope = document.getElementById("assignmentScope").value;
+
+    const assignment = {
+      id: assignmentId ? Number.parseInt(assignmentId) : null,
+      schedule_id: Number.parseInt(document.getElementById("assignmentSchedule").value),
+      department: scope === "department" ? document.getElementById("assignmentDepartment").value.trim() : null,
+      employee_uid: scope === "employee" ? Number.parseInt(document.getElementById("assignmentEmployee").value) : null,
+      effective_from: document.getElementById("assignmentEffectiveFrom").value,
+      effective_to: document.getElementById("assignmentEffectiveTo").value || null,
+      notes: document.getElementById("assignmentNotes").value.trim() || null,
+    };
+
+    try {
+      const result = await this.electronAPI.saveScheduleAssignment(assignment);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving schedule assignment", "error");
+        return;
+      }
+
+      this.showSettingsStatus("Schedule assignment saved", "success");
+      document.getElementById("scheduleAssignmentForm").style.display = "none";
+      await this.loadScheduleAssignments();
+    } catch (error) {
+      console.error("Error saving schedule assignment:", error);
+      this.showSettingsStatus(`Error saving schedule assignment: ${error.message}`, "error");
+    }
+  }
+
+  async deleteScheduleAssignment(assignmentId) {
+    if (!confirm("Delete this schedule assignment?")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Deleting schedule assignment");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.deleteScheduleAssignment(assignmentId);
+      this.showSettingsStatus(
+        result.success ? "Schedule assignment deleted" : result.error || result.message,
+        result.success ? "success" : "error"
+      );
+      await this.loadScheduleAssignments();
+    } catch (error) {
+      console.error("Error deleting schedule assignment:", error);
+      this.showSettingsStatus(`Error deleting schedule assignment: ${error.message}`, "error");
+    }
+  }
+
+  // Holiday calendar: list, edit, delete and import holidays
+  async loadHolidays() {
+    const tbody = document.getElementById("holidaysTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    const yearFilter = document.getElementById("holidayYearFilter");
+    if (yearFilter && !yearFilter.value) {
+      yearFilter.value = new Date().getFullYear();
+    }
+
+    try {
+      const result = await this.electronAPI.getHolidays({ year: yearFilter?.value || null });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="7" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.holidays = result.data;
+      this.holidayTypes = result.types || {};
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">No holidays defined for this year</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((holiday) => {
+          const type = this.holidayTypes[holiday.holiday_type] || {};
+
+          return `
+            <tr>
+              <td>${holiday.is_recurring ? `Every ${holiday.date.substring(5)}` : holiday.date}</td>
+              <td>${holiday.name}</td>
+              <td>${type.label || holiday.holiday_type}</td>
+              <td>${holiday.regular_multiplier ?? type.regularMultiplier ?? "-"}</td>
+              <td>${holiday.overtime_multiplier ?? type.overtimeMultiplier ?? "-"}</td>
+              <td>${holiday.is_active ? "Active" : "Inactive"}</td>
+              <td>
+                <button class="btn btn-outline btn-sm" data-action="edit-holiday" data-id="${holiday.id}">✏️</button>
+                <button class="btn btn-outline btn-sm" data-action="delete-holiday" data-id="${holiday.id}">🗑️</button>
+              </td>
+            </tr>
+          `;
+        })
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-holiday"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const holiday = this.holidays.find((h) => h.id === Number.parseInt(btn.dataset.id));
+          this.showHolidayForm(holiday);
+        });
+      });
+
+      tbody.querySelectorAll('[data-action="delete-holiday"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.deleteHoliday(Number.parseInt(btn.dataset.id)));
+      });
+    } catch (error) {
+      console.error("Error loading holidays:", error);
+      this.showSettingsStatus("Error loading holidays", "error");
+    }
+  }
+
+  showHolidayForm(holiday) {
+    const form = document.getElementById("holidayForm");
+    if (!form) return;
+
+    document.getElementById("holidayId").value = holiday?.id || "";
+    document.getElementById("holidayDate").value = holiday?.date || "";
+    document.getElementById("holidayName").value = holiday?.name || "";
+    document.getElementById("holidayType").value = holiday?.holiday_type || "regular";
+    document.getElementById("holidayRegularMultiplier").value = holiday?.regular_multiplier ?? "";
+    document.getElementById("holidayOvertimeMultiplier").value = holiday?.overtime_multiplier ?? "";
+    document.getElementById("holidayIsRecurring").checked = !!holiday?.is_recurring;
+    document.getElementById("holidayIsActive").checked = holiday ? !!holiday.is_active : true;
+
+    form.style.display = "block";
+  }
+
+  async saveHoliday() {
+    const authenticated = await this.twoFactorAuth.show("Saving holiday");
+    if (!authenticated) return;
+
+    const holidayId = document.getElementById("holidayId").value;
+    const holiday = {
+      id: holidayId ? Number.parseInt(holidayId) : null,
+      date: document.getElementById("holidayDate").value,
+      name: document.getElementById("holidayName").value.trim(),
+      holiday_type: document.getElementById("holidayType").value,
+      regular_multiplier: document.getElementById("holidayRegularMultiplier").value || null,
+      overtime_multiplier: document.getElementById("holidayOvertimeMultiplier").value || null,
+      is_recurring: document.getElementById("holidayIsRecurring").checked,
+      is_active: document.getElementById("holidayIsActive").checked,
+    };
+
+    try {
+      const result = await this.electronAPI.saveHoliday(holiday);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving holiday", "error");
+        return;
+      }
+
+      this.showSettingsStatus(
+        `Holiday saved${result.summariesUpdated ? ` (${result.summariesUpdated} summaries updated)` : ""}`,
+        "success"
+      );
+      document.getElementById("holidayForm").style.display = "none";
+      await this.loadHolidays();
+    } catch (error) {
+      console.error("Error saving holiday:", error);
+      this.showSettingsStatus(`Error saving holiday: ${error.message}`, "error");
+    }
+  }
+
+  async deleteHoliday(holidayId) {
+    if (!confirm("Delete this holiday?")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Deleting holiday");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.deleteHoliday(holidayId);
+      this.showSettingsStatus(
+        result.success ? "Holiday deleted" : result.error || result.message,
+        result.success ? "success" : "error"
+      );
+      await this.loadHolidays();
+    } catch (error) {
+      console.error("Error deleting holiday:", error);
+      this.showSettingsStatus(`Error deleting holiday: ${error.message}`, "error");
+    }
+  }
+
+  async importHolidays(file) {
+    const authenticated = await this.twoFactorAuth.show("Importing holidays");
+    if (!authenticated) return;
+
+    try {
+      // XLSX reads both spreadsheets and CSV files
+      const buffer = await file.arrayBuffer();
+      const workbook = XLSX.read(buffer, { type: "array", cellDates: true });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+
+      if (rows.length === 0) {
+        this.showSettingsStatus("The selected file has no holiday rows", "error");
+        return;
+      }
+
+      const result = await this.electronAPI.importHolidays(rows);
+      if (result.errors && result.errors.length > 0) {
+        console.warn("Holiday import skipped rows:", result.errors);
+      }
+
+      this.showSettingsStatus(
+        result.message || result.error || "Holiday import finished",
+        result.success ? "success" : "error"
+      );
+      await this.loadHolidays();
+    } catch (error) {
+      console.error("Error importing holidays:", error);
+      this.showSettingsStatus(`Error importing holidays: ${error.message}`, "error");
+    }
+  }
+
+  async loadJobCodes() {
+    const tbody = document.getElementById("jobCodesTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    try {
+      const result = await this.electronAPI.getJobCodes();
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="5" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.jobCodes = result.data;
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="loading">No job codes defined</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map(
+          (job) => `
+            <tr>
+              <td>${job.code}</td>
+              <td>${job.name}</td>
+              <td>${job.customer || "-"}</td>
+              <td>${job.is_active ? "Active" : "Inactive"}</td>
+              <td>
+                <button class="btn btn-outline btn-sm" data-action="edit-job-code" data-id="${job.id}">✏️</button>
+                <button class="btn btn-outline btn-sm" data-action="delete-job-code" data-id="${job.id}">🗑️</button>
+              </td>
+            </tr>
+          `
+        )
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-job-code"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const job = this.jobCodes.find((j) => j.id === Number.parseInt(btn.dataset.id));
+          this.showJobCodeForm(job);
+        });
+      });
+
+      tbody.querySelectorAll('[data-action="delete-job-code"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.deleteJobCode(Number.parseInt(btn.dataset.id)));
+      });
+    } catch (error) {
+      console.error("Error loading job codes:", error);
+      this.showSettingsStatus("Error loading job codes", "error");
+    }
+  }
+
+  showJobCodeForm(job) {
+    const form = document.getElementById("jobCodeForm");
+    if (!form) return;
+
+    document.getElementById("jobCodeId").value = job?.id || "";
+    document.getElementById("jobCodeCode").value = job?.code || "";
+    document.getElementById("jobCodeName").value = job?.name || "";
+    document.getElementById("jobCodeCustomer").value = job?.customer || "";
+    document.getElementById("jobCodeIsActive").checked = job ? !!job.is_active : true;
+
+    form.style.display = "block";
+  }
+
+  async saveJobCode() {
+    const authenticated = await this.twoFactorAuth.show("Saving job code");
+    if (!authenticated) return;
+
+    const jobId = document.getElementById("jobCodeId").value;
+    const job = {
+      id: jobId ? Number.parseInt(jobId) : null,
+      code: document.getElementById("jobCodeCode").value.trim(),
+      name: document.getElementById("jobCodeName").value.trim(),
+      customer: document.getElementById("jobCodeCustomer").value.trim() || null,
+      is_active: document.getElementById("jobCodeIsActive").checked,
+    };
+
+    try {
+      const result = await this.electronAPI.saveJobCode(job);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving job code", "error");
+        return;
+      }
+
+      this.showSettingsStatus(`Job code ${result.data.code} saved`, "success");
+      document.getElementById("jobCodeForm").style.display = "none";
+      await this.loadJobCodes();
+      await this.loadKioskJobCodes();
+    } catch (error) {
+      console.error("Error saving job code:", error);
+      this.showSettingsStatus(`Error saving job code: ${error.message}`, "error");
+    }
+  }
+
+  async deleteJobCode(jobId) {
+    if (!confirm("Delete this job code? Codes with punches are deactivated instead.")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Deleting job code");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.deleteJobCode(jobId);
+      this.showSettingsStatus(
+        result.success ? result.message : result.error || result.message,
+        result.success ? (result.deactivated ? "info" : "success") : "error"
+      );
+      await this.loadJobCodes();
+      await this.loadKioskJobCodes();
+    } catch (error) {
+      console.error("Error deleting job code:", error);
+      this.showSettingsStatus(`Error deleting job code: ${error.message}`, "error");
+    }
+  }
+
+  // Hours per job for the selected dates; defaults to the current month
+  async loadJobHours() {
+    const tbody = document.getElementById("jobHoursTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    const startInput = document.getElementById("jobHoursStartDate");
+    const endInput = document.getElementById("jobHoursEndDate");
+    if (!startInput.value && !endInput.value) {
+      const today = new Date().toISOString().split("T")[0];
+      startInput.value = `${today.substring(0, 8)}01`;
+      endInput.value = today;
+    }
+
+    try {
+      const result = await this.electronAPI.getJobHours({
+        startDate: startInput.value || null,
+        endDate: endInput.value || null,
+      });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="6" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.jobHours = result.data;
+
+      if (result.data.jobs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">No completed sessions in this period</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data.jobs
+        .map(
+          (job) => `
+            <tr>
+              <td>${job.job_code ? `${job.job_code} - ${job.job_name || "(deleted)"}` : "Unassigned"}</td>
+              <td>${job.customer || "-"}</td>
+              <td>${job.employees}</td>
+              <td>${job.regular_hours.toFixed(2)}</td>
+              <td>${job.overtime_hours.toFixed(2)}</td>
+              <td>${job.total_hours.toFixed(2)}</td>
+            </tr>
+          `
+        )
+        .join("");
+    } catch (error) {
+      console.error("Error loading hours per job:", error);
+      this.showSettingsStatus("Error loading hours per job", "error");
+    }
+  }
+
+  async loadKioskPins() {
+    const tbody = document.getElementById("kioskPinsTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    try {
+      const result = await this.electronAPI.getKioskPins();
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="6" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.kioskPins = result.data;
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">No employees</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map(
+          (emp) => `
+            <tr>
+              <td>${emp.last_name}, ${emp.first_name}</td>
+              <td>${emp.id_number || "-"}</td>
+              <td>${emp.has_pin ? "Set" : "-"}</td>
+              <td>${emp.last_used_at ? this.formatDateTime(emp.last_used_at) : "-"}</td>
+              <td>${emp.is_locked ? `🔒 Locked until ${this.formatDateTime(emp.locked_until)}` : emp.has_pin ? "Active" : "No PIN"}</td>
+              <td>
+                <button class="btn btn-outline btn-sm" data-action="set-kiosk-pin" data-uid="${emp.uid}">✏️</button>
+                ${emp.is_locked ? `<button class="btn btn-outline btn-sm" data-action="unlock-kiosk-pin" data-uid="${emp.uid}">🔓</button>` : ""}
+                ${emp.has_pin ? `<button class="btn btn-outline btn-sm" data-action="clear-kiosk-pin" data-uid="${emp.uid}">🗑️</button>` : ""}
+              </td>
+            </tr>
+          `
+        )
+        .join("");
+
+      tbody.querySelectorAll('[data-action="set-kiosk-pin"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const emp = this.kioskPins.find((e) => e.uid === Number.parseInt(btn.dataset.uid));
+          this.showKioskPinForm(emp);
+        });
+      });
+
+      tbody.querySelectorAll('[data-action="unlock-kiosk-pin"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.unlockKioskPin(Number.parseInt(btn.dataset.uid)));
+      });
+
+      tbody.querySelectorAll('[data-action="clear-kiosk-pin"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.clearKioskPin(Number.parseInt(btn.dataset.uid)));
+      });
+    } catch (error) {
+      console.error("Error loading kiosk PINs:", error);
+      this.showSettingsStatus("Error loading kiosk PINs", "error");
+    }
+  }
+
+  showKioskPinForm(emp) {
+    const form = document.getElementById("kioskPinForm");
+    if (!form || !emp) return;
+
+    document.getElementById("kioskPinEmployeeUid").value = emp.uid;
+    document.getElementById("kioskPinEmployeeName").textContent =
+      `${emp.last_name}, ${emp.first_name} (${emp.id_number || emp.uid})`;
+    document.getElementById("kioskPinValue").value = "";
+    document.getElementById("kioskPinConfirm").value = "";
+
+    form.style.display = "block";
+    document.getElementById("kioskPinValue").focus();
+  }
+
+  async saveKioskPin() {
+    const pin = document.getElementById("kioskPinValue").value.trim();
+    if (pin !== document.getElementById("kioskPinConfirm").value.trim()) {
+      this.showSettingsStatus("The PINs do not match", "error");
+      return;
+    }
+
+    const authenticated = await this.twoFactorAuth.show("Setting kiosk PIN");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.setKioskPin({
+        employeeUid: Number.parseInt(document.getElementById("kioskPinEmployeeUid").value),
+        pin,
+      });
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error setting kiosk PIN", "error");
+        return;
+      }
+
+      this.showSettingsStatus("Kiosk PIN saved", "success");
+      document.getElementById("kioskPinForm").style.display = "none";
+      await this.loadKioskPins();
+    } catch (error) {
+      console.error("Error setting kiosk PIN:", error);
+      this.showSettingsStatus(`Error setting kiosk PIN: ${error.message}`, "error");
+    }
+  }
+
+  async clearKioskPin(employeeUid) {
+    if (!confirm("Remove this employee's kiosk PIN? They will need their badge to punch.")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Removing kiosk PIN");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.clearKioskPin(employeeUid);
+      this.showSettingsStatus(
+        result.success ? "Kiosk PIN removed" : result.error,
+        result.success ? "success" : "error"
+      );
+      await this.loadKioskPins();
+    } catch (error) {
+      console.error("Error removing kiosk PIN:", error);
+      this.showSettingsStatus(`Error removing kiosk PIN: ${error.message}`, "error");
+    }
+  }
+
+  async unlockKioskPin(employeeUid) {
+    const authenticated = await this.twoFactorAuth.show("Unlocking kiosk PIN");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.unlockKioskPin(employeeUid);
+      this.showSettingsStatus(
+        result.success ? "Kiosk PIN unlocked" : result.error,
+        result.success ? "success" : "error"
+      );
+      await this.loadKioskPins();
+    } catch (error) {
+      console.error("Error unlocking kiosk PIN:", error);
+      this.showSettingsStatus(`Error unlocking kiosk PIN: ${error.message}`, "error");
+    }
+  }
+
+  // Punches per employee and method for the selected dates; defaults to the current month
+  async loadPunchMethods() {
+    const tbody = document.getElementById("punchMethodsTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    const startInput = document.getElementById("punchMethodsStartDate");
+    const endInput = document.getElementById("punchMethodsEndDate");
+    if (!startInput.value && !endInput.value) {
+      const today = new Date().toISOString().split("T")[0];
+      startInput.value = `${today.substring(0, 8)}01`;
+      endInput.value = today;
+    }
+
+    try {
+      const result = await this.electronAPI.getPunchMethods({
+        startDate: startInput.value || null,
+        endDate: endInput.value || null,
+      });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="7" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      if (result.data.rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">No punches in this period</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data.rows
+        .map((row) => {
+          const { barcode = 0, pin = 0, camera = 0 } = row.methods;
+          return `
+            <tr>
+              <td>${row.last_name}, ${row.first_name}</td>
+              <td>${barcode}</td>
+              <td>${pin}</td>
+              <td>${camera}</td>
+              <td>${row.total - barcode - pin - camera}</td>
+              <td>${row.total}</td>
+              <td>${row.pin_share}%</td>
+            </tr>
+          `;
+        })
+        .join("");
+    } catch (error) {
+      console.error("Error loading punch methods:", error);
+      this.showSettingsStatus("Error loading punch methods", "error");
+    }
+  }
+
+  // Rows of the "Hours by Job" sheet: one line per job, employee and date
+  buildJobHoursSheet(rows) {
+    const sheetRows = [
+      ["JOB_CODE", "JOB_NAME", "CUSTOMER", "EMPLOYEE_NAME", "ID_NUMBER", "DEPARTMENT", "DATE",
+       "SEGMENTS", "REGULAR_HOURS", "OVERTIME_HOURS", "TOTAL_HOURS"],
+      ...rows.map((row) => [
+        row.job_code || "UNASSIGNED",
+        row.job_name || "",
+        row.customer || "",
+        `${row.last_name}, ${row.first_name}`,
+        row.id_number || "",
+        row.department || "",
+        row.date,
+        row.segments,
+        row.regular_hours,
+        row.overtime_hours,
+        row.total_hours,
+      ]),
+    ];
+
+    const worksheet = XLSX.utils.aoa_to_sheet(sheetRows);
+    worksheet["!cols"] = [
+      { wch: 14 }, { wch: 24 }, { wch: 20 }, { wch: 28 }, { wch: 12 }, { wch: 16 }, { wch: 12 },
+      { wch: 10 }, { wch: 14 }, { wch: 14 }, { wch: 12 },
+    ];
+    return worksheet;
+  }
+
+  async exportJobHours() {
+    const rows = this.jobHours?.rows || [];
+    if (rows.length === 0) {
+      this.showSettingsStatus("No job hours to export", "error");
+      return;
+    }
+
+    try {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(workbook, this.buildJobHoursSheet(rows), "Hours by Job");
+
+      const start = document.getElementById("jobHoursStartDate").value || "all";
+      const end = document.getElementById("jobHoursEndDate").value || "latest";
+      const filename = `hours_by_job_${start}_to_${end}.xlsx`;
+      XLSX.writeFile(workbook, filename);
+      this.showSettingsStatus(`Exported ${rows.length} job hour rows to ${filename}`, "success");
+    } catch (error) {
+      console.error("Error exporting hours per job:", error);
+      this.showSettingsStatus(`Error exporting hours per job: ${error.message}`, "error");
+    }
+  }
+
+  // Missed-punch corrections: file, approve and reject correction requests
+  async loadPunchCorrections() {
+    const tbody = document.getElementById("punchCorrectionsTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    const status = document.getElementById("correctionStatusFilter")?.value || null;
+
+    try {
+      const result = await this.electronAPI.getPunchCorrections({ status });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="8" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="loading">No correction requests</td></tr>';
+      } else {
+        const statusBadges = { pending: "warning", approved: "success", rejected: "error" };
+
+        tbody.innerHTML = result.data
+          .map((correction) => `
+            <tr>
+              <td>${correction.last_name ? `${correction.last_name}, ${correction.first_name}` : correction.employee_uid}</td>
+              <td>${correction.date}</td>
+              <td>${correction.clock_type.replace("_", " ")}</td>
+              <td>${this.formatDateTime(correction.requested_time)}</td>
+              <td>${correction.reason}</td>
+              <td>${correction.requested_by || "-"}</td>
+              <td>
+                <span class="status-badge ${statusBadges[correction.status]}"
+                      title="${correction.reviewed_by ? `By ${correction.reviewed_by}` : ""}${correction.review_notes ? ` - ${correction.review_notes}` : ""}">
+                  ${correction.status}
+                </span>
+              </td>
+              <td>
+                ${correction.status === "pending" ? `
+                <button class="btn btn-outline btn-sm" data-action="approve-correction" data-id="${correction.id}">✅</button>
+                <button class="btn btn-outline btn-sm" data-action="reject-correction" data-id="${correction.id}">❌</button>` : ""}
+              </td>
+            </tr>
+          `)
+          .join("");
+
+        tbody.querySelectorAll('[data-action="approve-correction"]').forEach((btn) => {
+          btn.addEventListener("click", () => this.reviewPunchCorrection(Number.parseInt(btn.dataset.id), true));
+        });
+
+        tbody.querySelectorAll('[data-action="reject-correction"]').forEach((btn) => {
+          btn.addEventListener("click", () => this.reviewPunchCorrection(Number.parseInt(btn.dataset.id), false));
+        });
+      }
+
+      await this.loadIncompletePunches();
+      await this.loadPunchCorrectionLog();
+      await this.loadAntiPassbackLog();
+    } catch (error) {
+      console.error("Error loading punch corrections:", error);
+      this.showSettingsStatus("Error loading punch corrections", "error");
+    }
+  }
+
+  async loadPunchCorrectionLog() {
+    const tbody = document.getElementById("punchCorrectionLogBody");
+    if (!tbody) return;
+
+    const result = await this.electronAPI.getPunchCorrectionLog({ limit: 50 });
+    if (!result.success || result.data.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="5" class="loading">${result.success ? "No entries yet" : `Error: ${result.error}`}</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = result.data
+      .map((entry) => {
+        let details = entry.details || "";
+        try {
+          details = Object.entries(JSON.parse(entry.details || "{}"))
+            .filter(([, value]) => value !== null && value !== "")
+            .map(([key, value]) => `${key}: ${value}`)
+            .join(", ");
+        } catch (error) {
+          // Show the raw text
+        }
+
+        return `
+          <tr>
+            <td>${this.formatDateTime(entry.created_at)}</td>
+            <td>#${entry.correction_id} ${entry.clock_type ? entry.clock_type.replace("_", " ") : ""} ${entry.date || ""}</td>
+            <td>${entry.action.replace("_", " ")}</td>
+            <td>${entry.actor || "-"}</td>
+            <td>${details}</td>
+          </tr>
+        `;
+      })
+      .join("");
+  }
+
+  async loadAntiPassbackLog() {
+    const tbody = document.getElementById("antiPassbackLogTableBody");
+    if (!tbody) return;
+
+    const result = await this.electronAPI.getAntiPassbackLog({ limit: 50 });
+    if (!result.success || result.data.length === 0) {
+      tbody.innerHTML = `<tr><td colspan="7" class="loading">${result.success ? "No blocked punches" : `Error: ${result.error}`}</td></tr>`;
+      return;
+    }
+
+    tbody.innerHTML = result.data
+      .map((entry) => `
+        <tr>
+          <td>${entry.last_name ? `${entry.last_name}, ${entry.first_name}` : entry.employee_uid}</td>
+          <td>${this.formatDateTime(entry.attempted_at)}</td>
+          <td>${entry.method || entry.input_type || "-"}</td>
+          <td>${entry.clock_type ? entry.clock_type.replace("_", " ") : "-"}${entry.requested_action ? ` (${entry.requested_action})` : ""}</td>
+          <td>${entry.rule === "min_session" ? "Minimum session" : "Minimum interval"}</td>
+          <td>${entry.message}</td>
+          <td>${entry.outcome === "queued" ? `Sent for review (#${entry.correction_id})` : "Rejected"}</td>
+        </tr>
+      `)
+      .join("");
+  }
+
+  async showPunchCorrectionForm() {
+    const form = document.getElementById("punchCorrectionForm");
+    const select = document.getElementById("correctionEmployee");
+    if (!form || !select) return;
+
+    if (select.options.length === 0) {
+      const result = await this.electronAPI.getEmployees();
+      const employees = result.success ? result.data : [];
+      select.innerHTML = employees
+        .map((emp) => `<option value="${emp.uid}">${emp.last_name}, ${emp.first_name} (${emp.id_number || emp.uid})</option>`)
+        .join("");
+    }
+
+    document.getElementById("correctionDate").value = new Date().toISOString().split("T")[0];
+    document.getElementById("correctionTime").value = "";
+    document.getElementById("correctionNextDay").checked = false;
+    document.getElementById("correctionReason").value = "";
+
+    form.style.display = "block";
+  }
+
+  async createPunchCorrection() {
+    const date = document.getElementById("correctionDate").value;
+    const time = document.getElementById("correctionTime").value;
+    let requestedTime = time;
+
+    // Overnight clock-outs are entered as a time on the following day
+    if (document.getElementById("correctionNextDay").checked) {
+      const [year, month, day] = date.split("-").map(Number);
+      const nextDay = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().split("T")[0];
+      requestedTime = `${nextDay}T${time}`;
+    }
+
+    const request = {
+      employee_uid: Number.parseInt(document.getElementById("correctionEmployee").value),
+      date,
+      clock_type: document.getElementById("correctionClockType").value,
+      requested_time: requestedTime,
+      reason: document.getElementById("correctionReason").value.trim(),
+      requested_by: document.getElementById("correctionRequestedBy").value.trim() || null,
+    };
+
+    try {
+      const result = await this.electronAPI.createPunchCorrection(request);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error filing correction request", "error");
+        return;
+      }
+
+      this.showSettingsStatus(`Correction request #${result.id} filed`, "success");
+      document.getElementById("punchCorrectionForm").style.display = "none";
+      await this.loadPunchCorrections();
+    } catch (error) {
+      console.error("Error filing punch correction:", error);
+      this.showSettingsStatus(`Error filing correction request: ${error.message}`, "error");
+    }
+  }
+
+  async reviewPunchCorrection(correctionId, approve) {
+    if (!confirm(approve ? "Approve this request and add the punch?" : "Reject this request?")) return;
+
+    const authenticated = await this.twoFactorAuth.show(
+      approve ? "Approving punch correction" : "Rejecting punch correction"
+    );
+    if (!authenticated) return;
+
+    const review = {
+      id: correctionId,
+      reviewedBy: document.getElementById("correctionReviewer")?.value.trim() || null,
+      notes: document.getElementById("correctionReviewNotes")?.value.trim() || null,
+    };
+
+    try {
+      const result = approve
+        ? await this.electronAPI.approvePunchCorrection(review)
+        : await this.electronAPI.rejectPunchCorrection(review);
+
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error reviewing correction request", "error");
+        return;
+      }
+
+      this.showSettingsStatus(
+        approve ? `Request approved - punch added (record ${result.attendanceId})` : "Request rejected",
+        "success"
+      );
+      document.getElementById("correctionReviewNotes").value = "";
+      await this.loadPunchCorrections();
+    } catch (error) {
+      console.error("Error reviewing punch correction:", error);
+      this.showSettingsStatus(`Error reviewing correction request: ${error.message}`, "error");
+    }
+  }
+
+  // Incomplete punches: sessions missing their clock-out and auto clock-outs to review
+  async loadIncompletePunches() {
+    const tbody = document.getElementById("incompletePunchesTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    const pendingOnly = document.getElementById("incompletePunchFilter")?.value === "pending";
+    const result = await this.electronAPI.getIncompletePunches({ pendingOnly });
+    if (!result.success) {
+      tbody.innerHTML = `<tr><td colspan="8" class="loading">Error: ${result.error}</td></tr>`;
+      return;
+    }
+
+    if (result.data.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="8" class="loading">No incomplete punches</td></tr>';
+      return;
+    }
+
+    const statuses = {
+      open: { class: "error", text: "Missing clock-out" },
+      auto_closed: { class: "warning", text: "Auto clock-out" },
+      reviewed: { class: "success", text: "Reviewed" },
+    };
+
+    tbody.innerHTML = result.data
+      .map((session) => {
+        const status = statuses[session.status];
+        const hours = session.status === "open" ? "-" : ((session.regular_hours || 0) + (session.overtime_hours || 0)).toFixed(2);
+
+        return `
+          <tr>
+            <td>${session.last_name ? `${session.last_name}, ${session.first_name}` : session.employee_uid}</td>
+            <td>${session.date}</td>
+            <td>#${session.sequence} ${session.clock_type.replace(/_(in|out)$/, "")}</td>
+            <td>${session.clock_in ? this.formatDateTime(session.clock_in) : "-"}</td>
+            <td>${session.clock_out ? this.formatDateTime(session.clock_out) : "-"}</td>
+            <td>${hours}</td>
+            <td>
+              <span class="status-badge ${status.class}"
+                    title="${session.auto_clock_out_policy ? `Policy: ${session.auto_clock_out_policy.replace("_", " ")}` : ""}${session.auto_clock_out_reviewed_by ? ` - reviewed by ${session.auto_clock_out_reviewed_by}` : ""}">
+                ${status.text}
+              </span>
+            </td>
+            <td>
+              ${session.status === "open" ? `
+              <button class="btn btn-outline btn-sm" data-action="request-correction" data-employee="${session.employee_uid}"
+                      data-date="${session.date}" data-clock-type="${session.clock_type.replace("_in", "_out")}">📝 Request</button>` : ""}
+              ${session.status === "auto_closed" ? `
+              <button class="btn btn-outline btn-sm" data-action="review-auto-clock-out" data-id="${session.attendance_id}">✅ Review</button>` : ""}
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    tbody.querySelectorAll('[data-action="request-correction"]').forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        await this.showPunchCorrectionForm();
+        document.getElementById("correctionEmployee").value = btn.dataset.employee;
+        document.getElementById("correctionDate").value = btn.dataset.date;
+        document.getElementById("correctionClockType").value = btn.dataset.clockType;
+        document.getElementById("punchCorrectionForm").scrollIntoView({ behavior: "smooth" });
+      });
+    });
+
+    tbody.querySelectorAll('[data-action="review-auto-clock-out"]').forEach((btn) => {
+      btn.addEventListener("click", () => this.reviewAutoClockOut(Number.parseInt(btn.dataset.id)));
+    });
+  }
+
+  async reviewAutoClockOut(attendanceId) {
+    const clockTime = document.getElementById("autoClockOutActualTime")?.value || null;
+    if (!confirm(clockTime
+      ? `Set the clock-out to ${clockTime.replace("T", " ")} and mark it reviewed?`
+      : "Keep the automatic clock-out and mark it reviewed?")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Reviewing auto clock-out");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.reviewAutoClockOut({
+        id: attendanceId,
+        reviewedBy: document.getElementById("correctionReviewer")?.value.trim() || null,
+        clockTime,
+      });
+
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error reviewing auto clock-out", "error");
+        return;
+      }
+
+      this.showSettingsStatus(clockTime ? "Clock-out corrected and reviewed" : "Auto clock-out reviewed", "success");
+      document.getElementById("autoClockOutActualTime").value = "";
+      await this.loadIncompletePunches();
+    } catch (error) {
+      console.error("Error reviewing auto clock-out:", error);
+      this.showSettingsStatus(`Error reviewing auto clock-out: ${error.message}`, "error");
+    }
+  }
+
+  async runAutoClockOut() {
+    try {
+      const result = await this.electronAPI.runAutoClockOut();
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error running auto clock-out", "error");
+        return;
+      }
+
+      this.showSettingsStatus(
+        result.skipped
+          ? "Auto clock-out is turned off in General settings"
+          : `Auto clock-out closed ${result.closed.length} session(s)`,
+        result.skipped ? "info" : "success"
+      );
+      await this.loadIncompletePunches();
+    } catch (error) {
+      console.error("Error running auto clock-out:", error);
+      this.showSettingsStatus(`Error running auto clock-out: ${error.message}`, "error");
+    }
+  }
+
+  // Leave: leave types, balances and leave requests
+  async loadLeaveManagement() {
+    if (!this.electronAPI) return;
+
+    const employeeSelects = [document.getElementById("leaveEmployee"), document.getElementById("leaveBalanceEmployee")];
+    if (employeeSelects.some((select) => select && select.options.length === 0)) {
+      const result = await this.electronAPI.getEmployees();
+      const options = (result.success ? result.data : [])
+        .map((emp) => `<option value="${emp.uid}">${emp.last_name}, ${emp.first_name} (${emp.id_number || emp.uid})</option>`)
+        .join("");
+      employeeSelects.forEach((select) => {
+        if (select) select.innerHTML = options;
+      });
+    }
+
+    const yearInput = document.getElementById("leaveBalanceYear");
+    if (yearInput && !yearInput.value) {
+      yearInput.value = new Date().getFullYear();
+    }
+
+    await this.loadLeaveTypes();
+    await this.loadLeaveRequests();
+    await this.loadLeaveBalances();
+  }
+
+  async loadLeaveTypes() {
+    const tbody = document.getElementById("leaveTypesTableBody");
+    if (!tbody) return;
+
+    try {
+      const result = await this.electronAPI.getLeaveTypes();
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="7" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.leaveTypes = result.data;
+
+      const typeSelect = document.getElementById("leaveTypeSelect");
+      if (typeSelect) {
+        typeSelect.innerHTML = result.data
+          .filter((type) => type.is_active)
+          .map((type) => `<option value="${type.id}">${type.code} - ${type.name}</option>`)
+          .join("");
+      }
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">No leave types</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((type) => `
+          <tr>
+            <td>${type.code}</td>
+            <td>${type.name}</td>
+            <td>${type.is_paid ? "Yes" : "No"}</td>
+            <td>${type.annual_days || "Not limited"}</td>
+            <td>${type.max_carry_over_days}</td>
+            <td>
+              <span class="status-badge ${type.is_active ? "success" : "info"}">${type.is_active ? "active" : "inactive"}</span>
+            </td>
+            <td>
+              <button class="btn btn-outline btn-sm" data-action="edit-leave-type" data-id="${type.id}">✏️</button>
+            </td>
+          </tr>
+        `)
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-leave-type"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          this.showLeaveTypeForm(this.leaveTypes.find((type) => type.id === Number.parseInt(btn.dataset.id)));
+        });
+      });
+    } catch (error) {
+      console.error("Error loading leave types:", error);
+      this.showSettingsStatus("Error loading leave types", "error");
+    }
+  }
+
+  showLeaveTypeForm(leaveType = null) {
+    const form = document.getElementById("leaveTypeForm");
+    if (!form) return;
+
+    document.getElementById("leaveTypeId").value = leaveType ? leaveType.id : "";
+    document.getElementById("leaveTypeCode").value = leaveType ? leaveType.code : "";
+    document.getElementById("leaveTypeName").value = leaveType ? leaveType.name : "";
+    document.getElementById("leaveTypeAnnualDays").value = leaveType ? leaveType.annual_days : 0;
+    document.getElementById("leaveTypeCarryOver").value = leaveType ? leaveType.max_carry_over_days : 0;
+    document.getElementById("leaveTypePaid").checked = leaveType ? !!leaveType.is_paid : true;
+    document.getElementById("leaveTypeActive").checked = leaveType ? !!leaveType.is_active : true;
+
+    form.style.display = "block";
+  }
+
+  async saveLeaveType() {
+    const id = document.getElementById("leaveTypeId").value;
+    const leaveType = {
+      id: id ? Number.parseInt(id) : null,
+      code: document.getElementById("leaveTypeCode").value.trim(),
+      name: document.getElementById("leaveTypeName").value.trim(),
+      annual_days: Number.parseFloat(document.getElementById("leaveTypeAnnualDays").value) || 0,
+      max_carry_over_days: Number.parseFloat(document.getElementById("leaveTypeCarryOver").value) || 0,
+      is_paid: document.getElementById("leaveTypePaid").checked,
+      is_active: document.getElementById("leaveTypeActive").checked,
+    };
+
+    try {
+      const result = await this.electronAPI.saveLeaveType(leaveType);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving leave type", "error");
+        return;
+      }
+
+      this.showSettingsStatus(`Leave type ${leaveType.code.toUpperCase()} saved`, "success");
+      document.getElementById("leaveTypeForm").style.display = "none";
+      await this.loadLeaveTypes();
+      await this.loadLeaveBalances();
+    } catch (error) {
+      console.error("Error saving leave type:", error);
+      this.showSettingsStatus(`Error saving leave type: ${error.message}`, "error");
+    }
+  }
+
+  async loadLeaveRequests() {
+    const tbody = document.getElementById("leaveRequestsTableBody");
+    if (!tbody) return;
+
+    const status = document.getElementById("leaveStatusFilter")?.value || null;
+
+    try {
+      const result = await this.electronAPI.getLeaveRequests({ status });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="9" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="loading">No leave requests</td></tr>';
+        return;
+      }
+
+      const statusBadges = { pending: "warning", approved: "success", rejected: "error", cancelled: "info" };
+
+      tbody.innerHTML = result.data
+        .map((request) => `
+          <tr>
+            <td>${request.last_name ? `${request.last_name}, ${request.first_name}` : request.employee_uid}</td>
+            <td title="${request.leave_name}">${request.leave_code}</td>
+            <td>${request.start_date}</td>
+            <td>${request.end_date}</td>
+            <td>${request.days}${request.is_half_day ? " (half day)" : ""}</td>
+            <td>${request.reason || "-"}</td>
+            <td>${request.filed_by || "-"}</td>
+            <td>
+              <span class="status-badge ${statusBadges[request.status]}"
+                    title="${request.reviewed_by ? `By ${request.reviewed_by}` : ""}${request.review_notes ? ` - ${request.review_notes}` : ""}">
+                ${request.status}
+              </span>
+            </td>
+            <td>
+              ${request.status === "pending" ? `
+              <button class="btn btn-outline btn-sm" data-action="review-leave" data-status="approved" data-id="${request.id}">✅</button>
+              <button class="btn btn-outline btn-sm" data-action="review-leave" data-status="rejected" data-id="${request.id}">❌</button>` : ""}
+              ${request.status === "pending" || request.status === "approved" ? `
+              <button class="btn btn-outline btn-sm" data-action="review-leave" data-status="cancelled" data-id="${request.id}" title="Cancel">🚫</button>` : ""}
+            </td>
+          </tr>
+        `)
+        .join("");
+
+      tbody.querySelectorAll('[data-action="review-leave"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.reviewLeaveRequest(Number.parseInt(btn.dataset.id), btn.dataset.status));
+      });
+    } catch (error) {
+      console.error("Error loading leave requests:", error);
+      this.showSettingsStatus("Error loading leave requests", "error");
+    }
+  }
+
+  async loadLeaveBalances() {
+    const tbody = document.getElementById("leaveBalancesTableBody");
+    const employeeUid = document.getElementById("leaveBalanceEmployee")?.value;
+    if (!tbody || !employeeUid) return;
+
+    const year = document.getElementById("leaveBalanceYear")?.value || null;
+
+    try {
+      const result = await this.electronAPI.getLeaveBalances({ employeeUid, year });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="6" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">No active leave types</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((balance) => `
+          <tr>
+            <td>${balance.code} - ${balance.name}</td>
+            <td>${balance.accrued_days}</td>
+            <td>${balance.carried_over_days}</td>
+            <td>${balance.used_days}</td>
+            <td>${balance.pending_days}</td>
+            <td>${balance.is_limited ? balance.available_days : "Not limited"}</td>
+          </tr>
+        `)
+        .join("");
+    } catch (error) {
+      console.error("Error loading leave balances:", error);
+      this.showSettingsStatus("Error loading leave balances", "error");
+    }
+  }
+
+  showLeaveRequestForm() {
+    const form = document.getElementById("leaveRequestForm");
+    if (!form) return;
+
+    const today = new Date().toISOString().split("T")[0];
+    document.getElementById("leaveStartDate").value = today;
+    document.getElementById("leaveEndDate").value = today;
+    document.getElementById("leaveHalfDay").checked = false;
+    document.getElementById("leaveReason").value = "";
+
+    form.style.display = "block";
+  }
+
+  async fileLeaveRequest() {
+    const request = {
+      employee_uid: Number.parseInt(document.getElementById("leaveEmployee").value),
+      leave_type_id: Number.parseInt(document.getElementById("leaveTypeSelect").value),
+      start_date: document.getElementById("leaveStartDate").value,
+      end_date: document.getElementById("leaveEndDate").value,
+      is_half_day: document.getElementById("leaveHalfDay").checked,
+      reason: document.getElementById("leaveReason").value.trim() || null,
+      filed_by: document.getElementById("leaveFiledBy").value.trim() || null,
+    };
+
+    try {
+      const result = await this.electronAPI.fileLeaveRequest(request);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error filing leave", "error");
+        return;
+      }
+
+      this.showSettingsStatus(`Leave request #${result.id} filed (${result.days} day(s))`, "success");
+      document.getElementById("leaveRequestForm").style.display = "none";
+      await this.loadLeaveRequests();
+      await this.loadLeaveBalances();
+    } catch (error) {
+      console.error("Error filing leave request:", error);
+      this.showSettingsStatus(`Error filing leave: ${error.message}`, "error");
+    }
+  }
+
+  async reviewLeaveRequest(requestId, status) {
+    const actions = {
+      approved: { confirm: "Approve this leave request?", label: "Approving leave", api: "approveLeaveRequest" },
+      rejected: { confirm: "Reject this leave request?", label: "Rejecting leave", api: "rejectLeaveRequest" },
+      cancelled: { confirm: "Cancel this leave? Approved days go back to the balance.", label: "Cancelling leave", api: "cancelLeaveRequest" },
+    };
+    const action = actions[status];
+    if (!action || !confirm(action.confirm)) return;
+
+    const authenticated = await this.twoFactorAuth.show(action.label);
+    if (!authenticated) return;
+
+    const review = {
+      id: requestId,
+      reviewedBy: document.getElementById("leaveReviewer")?.value.trim() || null,
+      notes: document.getElementById("leaveReviewNotes")?.value.trim() || null,
+    };
+
+    try {
+      const result = await this.electronAPI[action.api](review);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error reviewing leave request", "error");
+        return;
+      }
+
+      this.showSettingsStatus(
+        `Leave request ${status}${result.summariesUpdated ? ` - ${result.summariesUpdated} daily summaries updated` : ""}`,
+        "success"
+      );
+      document.getElementById("leaveReviewNotes").value = "";
+      await this.loadLeaveRequests();
+      await this.loadLeaveBalances();
+    } catch (error) {
+      console.error("Error reviewing leave request:", error);
+      this.showSettingsStatus(`Error reviewing leave request: ${error.message}`, "error");
+    }
+  }
+
+  // Tardiness / undertime policy: rules and the incidents they raise
+  async loadAttendancePolicy() {
+    if (!this.electronAPI) return;
+
+    await this.loadPolicyRules();
+    await this.loadPolicyIncidents();
+  }
+
+  async loadPolicyRules() {
+    const tbody = document.getElementById("policyRulesTableBody");
+    if (!tbody) return;
+
+    try {
+      const result = await this.electronAPI.getPolicyRules();
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="6" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.policyRules = result.data;
+      this.policyMetrics = result.metrics || {};
+
+      const metricSelect = document.getElementById("policyRuleMetric");
+      if (metricSelect && metricSelect.options.length === 0) {
+        metricSelect.innerHTML = Object.entries(this.policyMetrics)
+          .map(([value, label]) => `<option value="${value}">${label}</option>`)
+          .join("");
+      }
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="loading">No policy rules</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((rule) => `
+          <tr>
+            <td>${rule.name}</td>
+            <td>${this.policyMetrics[rule.metric] || rule.metric}</td>
+            <td>${rule.threshold}</td>
+            <td>${rule.period}</td>
+            <td>
+              <span class="status-badge ${rule.is_active ? "success" : "info"}">${rule.is_active ? "active" : "inactive"}</span>
+            </td>
+            <td>
+              <button class="btn btn-outline btn-sm" data-action="edit-policy-rule" data-id="${rule.id}">✏️</button>
+            </td>
+          </tr>
+        `)
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-policy-rule"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          this.showPolicyRuleForm(this.policyRules.find((rule) => rule.id === Number.parseInt(btn.dataset.id)));
+        });
+      });
+    } catch (error) {
+      console.error("Error loading policy rules:", error);
+      this.showSettingsStatus("Error loading policy rules", "error");
+    }
+  }
+
+  showPolicyRuleForm(rule = null) {
+    const form = document.getElementById("policyRuleForm");
+    if (!form) return;
+
+    document.getElementById("policyRuleId").value = rule ? rule.id : "";
+    document.getElementById("policyRuleName").value = rule ? rule.name : "";
+    document.getElementById("policyRuleMetric").value = rule ? rule.metric : "late_count";
+    document.getElementById("policyRuleThreshold").value = rule ? rule.threshold : 3;
+    document.getElementById("policyRulePeriod").value = rule ? rule.period : "month";
+    document.getElementById("policyRuleActive").checked = rule ? !!rule.is_active : true;
+
+    form.style.display = "block";
+  }
+
+  async savePolicyRule() {
+    const id = document.getElementById("policyRuleId").value;
+    const rule = {
+      id: id ? Number.parseInt(id) : null,
+      name: document.getElementById("policyRuleName").value.trim(),
+      metric: document.getElementById("policyRuleMetric").value,
+      threshold: document.getElementById("policyRuleThreshold").value,
+      period: document.getElementById("policyRulePeriod").value,
+      is_active: document.getElementById("policyRuleActive").checked,
+    };
+
+    try {
+      const result = await this.electronAPI.savePolicyRule(rule);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving policy rule", "error");
+        return;
+      }
+
+      this.showSettingsStatus(`Policy rule "${rule.name}" saved`, "success");
+      document.getElementById("policyRuleForm").style.display = "none";
+      await this.loadAttendancePolicy();
+    } catch (error) {
+      console.error("Error saving policy rule:", error);
+      this.showSettingsStatus(`Error saving policy rule: ${error.message}`, "error");
+    }
+  }
+
+  async loadPolicyIncidents() {
+    const tbody = document.getElementById("policyIncidentsTableBody");
+    if (!tbody) return;
+
+    const status = document.getElementById("policyIncidentStatusFilter")?.value || null;
+
+    try {
+      const result = await this.electronAPI.getPolicyIncidents({ status });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="8" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.policyIncidents = result.data;
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="loading">No policy incidents</td></tr>';
+        return;
+      }
+
+      const statusBadges = { open: "warning", reviewed: "success", dismissed: "info", void: "info" };
+
+      tbody.innerHTML = result.data
+        .map((incident) => `
+          <tr>
+            <td>${incident.last_name ? `${incident.last_name}, ${incident.first_name}` : incident.employee_uid}</td>
+            <td title="${incident.metric_label}">${incident.rule_name}</td>
+            <td>${incident.period_start} to ${incident.period_end}</td>
+            <td>${incident.value}</td>
+            <td>${incident.threshold}</td>
+            <td>${incident.dates.join(", ")}</td>
+            <td>
+              <span class="status-badge ${statusBadges[incident.status]}"
+                    title="${incident.reviewed_by ? `By ${incident.reviewed_by}` : ""}${incident.review_notes ? ` - ${incident.review_notes}` : ""}">
+                ${incident.status}
+              </span>
+            </td>
+            <td>
+              ${incident.status === "open" ? `
+              <button class="btn btn-outline btn-sm" data-action="review-incident" data-status="reviewed" data-id="${incident.id}" title="Mark reviewed">✅</button>
+              <button class="btn btn-outline btn-sm" data-action="review-incident" data-status="dismissed" data-id="${incident.id}" title="Dismiss">🚫</button>` : ""}
+            </td>
+          </tr>
+        `)
+        .join("");
+
+      tbody.querySelectorAll('[data-action="review-incident"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.reviewPolicyIncident(Number.parseInt(btn.dataset.id), btn.dataset.status));
+      });
+    } catch (error) {
+      console.error("Error loading policy incidents:", error);
+      this.showSettingsStatus("Error loading policy incidents", "error");
+    }
+  }
+
+  async reviewPolicyIncident(incidentId, status) {
+    if (!confirm(status === "reviewed" ? "Mark this incident as reviewed?" : "Dismiss this incident?")) return;
+
+    const authenticated = await this.twoFactorAuth.show(status === "reviewed" ? "Reviewing incident" : "Dismissing incident");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.reviewPolicyIncident({
+        id: incidentId,
+        status,
+        reviewedBy: document.getElementById("policyReviewer")?.value.trim() || null,
+        notes: document.getElementById("policyReviewNotes")?.value.trim() || null,
+      });
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error reviewing incident", "error");
+        return;
+      }
+
+      this.showSettingsStatus(`Incident ${status}`, "success");
+      document.getElementById("policyReviewNotes").value = "";
+      await this.loadPolicyIncidents();
+    } catch (error) {
+      console.error("Error reviewing policy incident:", error);
+      this.showSettingsStatus(`Error reviewing incident: ${error.message}`, "error");
+    }
+  }
+
+  // Export the incidents currently listed (respects the status filter) for HR
+  exportPolicyIncidents() {
+    const incidents = this.policyIncidents || [];
+    if (incidents.length === 0) {
+      this.showSettingsStatus("No incidents to export", "error");
+      return;
+    }
+
+    try {
+      const rows = [
+        ["EMPLOYEE_NAME", "ID_NUMBER", "DEPARTMENT", "RULE", "METRIC", "PERIOD_START", "PERIOD_END",
+         "VALUE", "THRESHOLD", "DATES", "STATUS", "REVIEWED_BY", "REVIEW_NOTES", "REVIEWED_AT"],
+        ...incidents.map((incident) => [
+          incident.last_name ? `${incident.last_name}, ${incident.first_name}` : String(incident.employee_uid),
+          incident.id_number || "",
+          incident.department || "",
+          incident.rule_name,
+          incident.metric_label,
+          incident.period_start,
+          incident.period_end,
+          incident.value,
+          incident.threshold,
+          incident.dates.join(", "),
+          incident.status.toUpperCase(),
+          incident.reviewed_by || "",
+          incident.review_notes || "",
+          incident.reviewed_at || "",
+        ]),
+      ];
+
+      const workbook = XLSX.utils.book_new();
+      const worksheet = XLSX.utils.aoa_to_sheet(rows);
+      worksheet["!cols"] = [
+        { wch: 28 }, { wch: 12 }, { wch: 16 }, { wch: 34 }, { wch: 22 }, { wch: 12 }, { wch: 12 },
+        { wch: 8 }, { wch: 10 }, { wch: 40 }, { wch: 10 }, { wch: 18 }, { wch: 30 }, { wch: 20 },
+      ];
+      XLSX.utils.book_append_sheet(workbook, worksheet, "Policy Incidents");
+
+      const filename = `policy_incidents_${new Date().toISOString().split("T")[0]}.xlsx`;
+      XLSX.writeFile(workbook, filename);
+      this.showSettingsStatus(`Exported ${incidents.length} incidents to ${filename}`, "success");
+    } catch (error) {
+      console.error("Error exporting policy incidents:", error);
+      this.showSettingsStatus(`Error exporting incidents: ${error.message}`, "error");
+    }
+  }
+
+  // Overtime pre-approval: authorized windows and the overtime worked outside them
+  async loadOvertimeApproval() {
+    if (!this.electronAPI) return;
+
+    const employeeSelect = document.getElementById("overtimeEmployee");
+    if (employeeSelect && employeeSelect.options.length === 0) {
+      const result = await this.electronAPI.getEmployees();
+      employeeSelect.innerHTML = (result.success ? result.data : [])
+        .map((emp) => `<option value="${emp.uid}">${emp.last_name}, ${emp.first_name} (${emp.id_number || emp.uid})</option>`)
+        .join("");
+    }
+
+    await this.loadOvertimeAuthorizations();
+    await this.loadUnapprovedOvertime();
+  }
+
+  async loadOvertimeAuthorizations() {
+    const tbody = document.getElementById("overtimeAuthorizationsTableBody");
+    if (!tbody) return;
+
+    const status = document.getElementById("overtimeAuthorizationStatusFilter")?.value || null;
+
+    try {
+      const result = await this.electronAPI.getOvertimeAuthorizations({ status });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="7" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.overtimeAuthorizations = result.data;
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="loading">No overtime authorizations</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((auth) => `
+          <tr>
+            <td>${auth.last_name ? `${auth.last_name}, ${auth.first_name}` : auth.employee_uid}</td>
+            <td>${auth.date}</td>
+            <td>${auth.start_time} - ${auth.end_time}${auth.end_time <= auth.start_time ? " (+1 day)" : ""}</td>
+            <td>${auth.reason || "-"}</td>
+            <td>${auth.approved_by}</td>
+            <td>
+              <span class="status-badge ${auth.status === "approved" ? "success" : "info"}"
+                    title="${auth.revoked_by ? `Revoked by ${auth.revoked_by}` : ""}${auth.revoked_at ? ` on ${auth.revoked_at}` : ""}">
+                ${auth.status}
+              </span>
+            </td>
+            <td>
+              ${auth.status === "approved" ? `
+              <button class="btn btn-outline btn-sm" data-action="edit-overtime-authorization" data-id="${auth.id}" title="Edit">✏️</button>
+              <button class="btn btn-outline btn-sm" data-action="revoke-overtime-authorization" data-id="${auth.id}" title="Revoke">🚫</button>` : ""}
+            </td>
+          </tr>
+        `)
+        .join("");
+
+      tbody.querySelectorAll('[data-action="edit-overtime-authorization"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          this.showOvertimeAuthorizationForm(
+            this.overtimeAuthorizations.find((auth) => auth.id === Number.parseInt(btn.dataset.id))
+          );
+        });
+      });
+
+      tbody.querySelectorAll('[data-action="revoke-overtime-authorization"]').forEach((btn) => {
+        btn.addEventListener("click", () => this.revokeOvertimeAuthorization(Number.parseInt(btn.dataset.id)));
+      });
+    } catch (error) {
+      console.error("Error loading overtime authorizations:", error);
+      this.showSettingsStatus("Error loading overtime authorizations", "error");
+    }
+  }
+
+  // `prefill` is an existing authorization, or { employee_uid, date } from an unapproved OT row
+  showOvertimeAuthorizationForm(prefill = null) {
+    const form = document.getElementById("overtimeAuthorizationForm");
+    if (!form) return;
+
+    const editing = prefill && prefill.id;
+    document.getElementById("overtimeAuthorizationId").value = editing ? prefill.id : "";
+    if (prefill?.employee_uid) {
+      document.getElementById("overtimeEmployee").value = prefill.employee_uid;
+    }
+    document.getElementById("overtimeDate").value = prefill?.date || new Date().toISOString().split("T")[0];
+    document.getElementById("overtimeStartTime").value = editing ? prefill.start_time : "17:00";
+    document.getElementById("overtimeEndTime").value = editing ? prefill.end_time : "20:00";
+    document.getElementById("overtimeReason").value = editing ? prefill.reason || "" : "";
+    if (editing) {
+      document.getElementById("overtimeApprovedBy").value = prefill.approved_by;
+    }
+
+    form.style.display = "block";
+  }
+
+  async saveOvertimeAuthorization() {
+    const authenticated = await this.twoFactorAuth.show("Authorizing overtime");
+    if (!authenticated) return;
+
+    const id = document.getElementById("overtimeAuthorizationId").value;
+    const authorization = {
+      id: id ? Number.parseInt(id) : null,
+      employee_uid: Number.parseInt(document.getElementById("overtimeEmployee").value),
+      date: document.getElementById("overtimeDate").value,
+      start_time: document.getElementById("overtimeStartTime").value,
+      end_time: document.getElementById("overtimeEndTime").value,
+      reason: document.getElementById("overtimeReason").value.trim() || null,
+      approved_by: document.getElementById("overtimeApprovedBy").value.trim(),
+    };
+
+    try {
+      const result = await this.electronAPI.saveOvertimeAuthorization(authorization);
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error saving overtime authorization", "error");
+        return;
+      }
+
+      this.showSettingsStatus(
+        `Overtime authorization #${result.id} saved${result.summariesUpdated ? ` - ${result.summariesUpdated} daily summaries updated` : ""}`,
+        "success"
+      );
+      document.getElementById("overtimeAuthorizationForm").style.display = "none";
+      await this.loadOvertimeAuthorizations();
+      await this.loadUnapprovedOvertime();
+    } catch (error) {
+      console.error("Error saving overtime authorization:", error);
+      this.showSettingsStatus(`Error saving overtime authorization: ${error.message}`, "error");
+    }
+  }
+
+  async revokeOvertimeAuthorization(authorizationId) {
+    if (!confirm("Revoke this overtime authorization? Overtime in its window becomes unapproved.")) return;
+
+    const authenticated = await this.twoFactorAuth.show("Revoking overtime authorization");
+    if (!authenticated) return;
+
+    try {
+      const result = await this.electronAPI.revokeOvertimeAuthorization({
+        id: authorizationId,
+        revokedBy: document.getElementById("overtimeApprovedBy")?.value.trim() || null,
+      });
+      if (!result.success) {
+        this.showSettingsStatus(result.error || "Error revoking overtime authorization", "error");
+        return;
+      }
+
+      this.showSettingsStatus("Overtime authorization revoked", "success");
+      await this.loadOvertimeAuthorizations();
+      await this.loadUnapprovedOvertime();
+    } catch (error) {
+      console.error("Error revoking overtime authorization:", error);
+      this.showSettingsStatus(`Error revoking overtime authorization: ${error.message}`, "error");
+    }
+  }
+
+  async loadUnapprovedOvertime() {
+    const tbody = document.getElementById("unapprovedOvertimeTableBody");
+    if (!tbody) return;
+
+    const startInput = document.getElementById("unapprovedOvertimeStart");
+    const endInput = document.getElementById("unapprovedOvertimeEnd");
+
+    try {
+      const result = await this.electronAPI.getUnapprovedOvertime({
+        startDate: startInput?.value || null,
+        endDate: endInput?.value || null,
+      });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="8" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      if (startInput && !startInput.value) startInput.value = result.dateRange.startDate;
+      if (endInput && !endInput.value) endInput.value = result.dateRange.endDate;
+      this.unapprovedOvertime = result.data;
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="loading">No unapproved overtime</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((row, index) => `
+          <tr>
+            <td>${row.employee_name || `${row.last_name}, ${row.first_name}`}</td>
+            <td>${row.date}</td>
+            <td>${this.formatDateTime(row.first_clock_in)}</td>
+            <td>${this.formatDateTime(row.last_clock_out)}</td>
+            <td>${row.overtime_hours}</td>
+            <td>${row.approved_overtime_hours || 0}</td>
+            <td><span class="status-badge warning">${row.unapproved_overtime_hours}</span></td>
+            <td>
+              <button class="btn btn-outline btn-sm" data-action="authorize-overtime" data-index="${index}" title="Authorize">✅</button>
+            </td>
+          </tr>
+        `)
+        .join("");
+
+      tbody.querySelectorAll('[data-action="authorize-overtime"]').forEach((btn) => {
+        btn.addEventListener("click", () => {
+          const row = this.unapprovedOvertime[Number.parseInt(btn.dataset.index)];
+          this.showOvertimeAuthorizationForm({ employee_uid: row.employee_uid, date: row.date });
+        });
+      });
+    } catch (error) {
+      console.error("Error loading unapproved overtime:", error);
+      this.showSettingsStatus("Error loading unapproved overtime", "error");
+    }
+  }
+
+  exportUnapprovedOvertime() {
+    const rows = this.unapprovedOvertime || [];
+    if (rows.length === 0) {
+      this.showSettingsStatus("No unapproved overtime to export", "error");
+      return;
+    }
+
+    try {
+      const sheetRows = [
+        ["EMPLOYEE_NAME", "ID_NUMBER", "DEPARTMENT", "DATE", "FIRST_IN", "LAST_OUT",
+         "OVERTIME_HOURS", "APPROVED_OT_HOURS", "UNAPPROVED_OT_HOURS"],
+        ...rows.map((row) => [
+          row.employee_name || `${row.last_name}, ${row.first_name}`,
+          row.id_number || "",
+          row.department || "",
+          row.date,
+          row.first_clock_in || "",
+          row.last_clock_out || "",
+          row.overtime_hours,
+          row.approved_overtime_hours || 0,
+          row.unapproved_overtime_hours,
+        ]),
+      ];
+
+      const workbook = XLSX.utils.book_new();
+      const worksheet = XLSX.utils.aoa_to_sheet(sheetRows);
+      worksheet["!cols"] = [
+        { wch: 28 }, { wch: 12 }, { wch: 16 }, { wch: 12 }, { wch: 20 }, { wch: 20 },
+        { wch: 14 }, { wch: 18 }, { wch: 20 },
+      ];
+      XLSX.utils.book_append_sheet(workbook, worksheet, "Unapproved Overtime");
+
+      const filename = `unapproved_overtime_${new Date().toISOString().split("T")[0]}.xlsx`;
+      XLSX.writeFile(workbook, filename);
+      this.showSettingsStatus(`Exported ${rows.length} days to ${filename}`, "success");
+    } catch (error) {
+      console.error("Error exporting unapproved overtime:", error);
+      this.showSettingsStatus(`Error exporting unapproved overtime: ${error.message}`, "error");
+    }
+  }
+
+  // What-if punch simulator: replays punches on an in-memory copy of the data
+  async loadPunchSimulator() {
+    const select = document.getElementById("simulatorEmployee");
+    if (!select || !this.electronAPI) return;
+
+    const dateInput = document.getElementById("simulatorDate");
+    if (dateInput && !dateInput.value) {
+      dateInput.value = new Date().toISOString().split("T")[0];
+    }
+
+    if (select.options.length > 0) return;
+
+    try {
+      const result = await this.electronAPI.getEmployees();
+      const employees = result.success ? result.data : [];
+      select.innerHTML = employees
+        .map((emp) => `<option value="${emp.uid}">${emp.last_name}, ${emp.first_name} (${emp.id_number || emp.uid})</option>`)
+        .join("");
+    } catch (error) {
+      console.error("Error loading employees for simulator:", error);
+      this.showSettingsStatus("Error loading employees", "error");
+    }
+  }
+
+  getSimulatorOverrides() {
+    const schedule = {};
+    const number = (id) => document.getElementById(id)?.value;
+
+    if (number("simulatorGracePeriod") !== "") schedule.grace_period = Number(number("simulatorGracePeriod"));
+    if (number("simulatorEveningGrace") !== "") schedule.evening_grace = Number(number("simulatorEveningGrace"));
+    if (number("simulatorEarlyOtStart")) schedule.early_ot_start = number("simulatorEarlyOtStart");
+    if (number("simulatorOvertimeCutoff")) schedule.overtime_cutoff = number("simulatorOvertimeCutoff");
+    if (number("simulatorAllowOvertime") !== "") schedule.allow_overtime = number("simulatorAllowOvertime") === "1";
+
+    return Object.keys(schedule).length > 0 ? { schedule } : null;
+  }
+
+  async runPunchSimulation() {
+    const results = document.getElementById("simulatorResults");
+    if (!results || !this.electronAPI) return;
+
+    const payload = {
+      employeeUid: Number.parseInt(document.getElementById("simulatorEmployee").value),
+      date: document.getElementById("simulatorDate").value,
+      punches: document.getElementById("simulatorPunches").value.split("\n"),
+      overrides: this.getSimulatorOverrides(),
+    };
+
+    results.innerHTML = '<div class="loading">Running simulation...</div>';
+
+    try {
+      const result = await this.electronAPI.simulatePunches(payload);
+      if (!result.success) {
+        results.innerHTML = "";
+        this.showSettingsStatus(`Simulation failed: ${result.error}`, "error");
+        return;
+      }
+
+      const { baseline, whatIf } = result.data;
+      results.innerHTML =
+        this.renderSimulationScenario("Current settings", baseline) +
+        (whatIf ? this.renderSimulationScenario("With changes", whatIf, baseline) : "");
+    } catch (error) {
+      console.error("Error running punch simulation:", error);
+      results.innerHTML = "";
+      this.showSettingsStatus(`Simulation failed: ${error.message}`, "error");
+    }
+  }
+
+  renderSimulationScenario(title, scenario, baseline = null) {
+    const formatTime = (value) => (value ? value.replace("T", " ").substring(0, 16) : "-");
+    const statusLabels = { recorded: "✓", rejected: "⛔ Rejected" };
+
+    const punchRows = scenario.punches
+      .map((punch) => {
+        const steps = (punch.trace || []).map((step) => `${step.step}. ${step.description}`).join("\n");
+        return `
+          <tr title="${steps.replace(/"/g, "&quot;")}">
+            <td>${formatTime(punch.clockTime)}</td>
+            <td>${punch.clockType ? `${punch.sequence ? `#${punch.sequence} ` : ""}${punch.clockType}` : "-"}${punch.isLate ? " (late)" : ""}</td>
+            <td>${punch.businessDate}</td>
+            <td>${punch.clockType && punch.clockType.endsWith("_out") ? punch.regularHours : "-"}</td>
+            <td>${punch.clockType && punch.clockType.endsWith("_out") ? punch.overtimeHours : "-"}</td>
+            <td>${punch.calculationMethod || "-"}</td>
+            <td>${statusLabels[punch.status] || punch.status}${punch.message ? ` - ${punch.message}` : ""}</td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    // Show the change against the current settings next to each total
+    const compare = (summary, field) => {
+      const value = summary[field] || 0;
+      const before = baseline?.summaries.find((row) => row.date === summary.date);
+      if (!before) return value;
+
+      const delta = Math.round((value - (before[field] || 0)) * 100) / 100;
+      return delta === 0 ? value : `${value} (${delta > 0 ? "+" : ""}${delta})`;
+    };
+
+    const summaryRows = scenario.summaries
+      .map(
+        (summary) => `
+          <tr>
+            <td>${summary.date}</td>
+            <td>${summary.schedule_name || "-"}</td>
+            <td>${formatTime(summary.first_clock_in)}</td>
+            <td>${formatTime(summary.last_clock_out)}</td>
+            <td>${compare(summary, "regular_hours")}</td>
+            <td>${compare(summary, "overtime_hours")}</td>
+            <td>${compare(summary, "night_differential_hours")}</td>
+            <td>${compare(summary, "total_hours")}</td>
+            <td>${summary.has_late_entry ? `Yes${summary.late_minutes ? ` (${summary.late_minutes}m)` : ""}` : "No"}</td>
+          </tr>
+        `,
+      )
+      .join("");
+
+    return `
+      <h4 style="margin: 16px 0 8px">${title}</h4>
+      <div class="summary-table-container">
+        <table class="summary-table">
+          <thead>
+            <tr>
+              <th>Punch</th>
+              <th>Clock Type</th>
+              <th>Business Date</th>
+              <th>Regular</th>
+              <th>Overtime</th>
+              <th>Method</th>
+              <th>Result</th>
+            </tr>
+          </thead>
+          <tbody>${punchRows}</tbody>
+        </table>
+      </div>
+      <div class="summary-table-container" style="margin-top: 8px">
+        <table class="summary-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Schedule</th>
+              <th>First In</th>
+              <th>Last Out</th>
+              <th>Regular</th>
+              <th>Overtime</th>
+              <th>Night Diff</th>
+              <th>Total</th>
+              <th>Late</th>
+            </tr>
+          </thead>
+          <tbody>${summaryRows || '<tr><td colspan="9" class="loading">No summary row</td></tr>'}</tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  // PERFORMANCE: Enhanced sync info with cache stats
+  async loadSyncInfo() {
+    if (!this.electronAPI) {
+      document.getElementById("employeeCount").textContent =
+        "Employees in database: 25 (Demo)";
+      document.getElementById("lastSync").textContent =
+        "Last sync: Just now (Demo)";
+      document.getElementById("profileStatus").textContent =
+        "Profile images: 20/25 downloaded (Demo)";
+      document.getElementById("syncInfo").style.display = "block";
+      return;
+    }
+
+    try {
+      const employeesResult = await this.electronAPI.getEmployees();
+
+      if (employeesResult.success) {
+        document.getElementById(
+          "employeeCount"
+        ).textContent = `Employees in database: ${employeesResult.data.length}`;
+
+        const settingsResult = await this.electronAPI.invoke('get-settings');
+        if (settingsResult.success && settingsResult.data.last_sync) {
+          const lastSync = new Date(
+            Number.parseInt(settingsResult.data.last_sync)
+          );
+          document.getElementById(
             "lastSync"
           ).textContent = `Last sync: ${lastSync.toLocaleString()}`;
         } else {
@@ -5593,22 +8324,47 @@ openSettings() {
       return;
     }
 
-    // OPTIMIZED: Reduced duplicate prevention window for faster scanning
-    const currentTime = Date.now();
-    const timeDifference = currentTime - this.lastScanData.timestamp;
-    const duplicateWindow = 3000; // Reduced from 60000ms to 3000ms (3 seconds)
+    // An action card (IN+, OUT+, BRK+ with no badge) selects the action for the next scan
+    const actionCard = KIOSK_ACTION_CARDS[input.toUpperCase()];
+    if (actionCard) {
+      this.selectKioskAction(actionCard);
+      this.clearInput();
+      return;
+    }
 
-    if (this.lastScanData.input === input && timeDifference < duplicateWindow) {
-      console.log(
-        `Duplicate scan blocked: "${input}" (${timeDifference}ms ago)`
-      );
-      this.clearInput(); // Clear input immediately for next scan
-      return; // Silent return - no status message for faster UX
+    // A job card selects the job for the next scan
+    if (input.toUpperCase().startsWith(KIOSK_JOB_CARD_PREFIX)) {
+      this.selectKioskJob(input.substring(KIOSK_JOB_CARD_PREFIX.length).trim().toUpperCase());
+      this.clearInput();
+      return;
     }
 
-    // Update scan tracking immediately
-    this.lastScanData.input = input;
-    this.lastScanData.timestamp = currentTime;
+    const action = this.kioskAction.selected;
+    const jobCode = this.kioskJob.selected;
+    const hasActionPrefix = Object.keys(KIOSK_ACTION_CARDS).some((prefix) =>
+      input.toUpperCase().startsWith(prefix)
+    );
+    // A job alone is enough to transfer an open session
+    if (this.kioskAction.mode === "explicit" && !action && !hasActionPrefix && !jobCode) {
+      this.showStatus("Choose IN, OUT or BREAK before scanning", "warning");
+      this.focusInput();
+      return;
+    }
+
+    // A typed-in ID number is the badge-less fallback and needs the employee's kiosk PIN
+    let pin = null;
+    if (inputType !== "barcode") {
+      pin = await this.promptKioskPin(input);
+      if (!pin) {
+        this.clearInput();
+        this.focusInput();
+        return;
+      }
+    }
+
+    // Repeated scans are rejected (or sent for review) by the anti-passback rules in clockAttendance
+    const timeDifference = Date.now() - this.lastScanData.timestamp;
+    this.updateLastScanData(input);
 
     // OPTIMIZED: Skip loading screen for rapid scanning
     const shouldShowLoading = timeDifference > 5000; // Only show loading if last scan was >5s ago
@@ -5632,6 +8388,9 @@ openSettings() {
       const clockPromise = this.electronAPI.clockAttendance({
         input: input,
         inputType: inputType,
+        action: action,
+        jobCode: jobCode,
+        pin: pin,
       });
 
       const timeoutPromise = new Promise((_, reject) =>
@@ -5650,7 +8409,20 @@ openSettings() {
         // OPTIMIZED: Immediate feedback without blocking
         this.showEmployeeDisplay(result.data);
         this.clearInput();
-        this.showStatus("✓ Recorded", "success");
+        this.selectKioskAction(null);
+        this.selectKioskJob(null);
+        this.showStatus(
+          result.data.jobTransfer
+            ? `✓ Transferred to job ${result.data.jobCode}`
+            : result.data.breakStarted
+              ? "✓ Break started"
+              : result.data.breakEnded
+                ? "✓ Back from break"
+                : result.data.isNewClockIn && result.data.jobCode
+                  ? `✓ Recorded on job ${result.data.jobCode}`
+                  : "✓ Recorded",
+          "success"
+        );
 
         // OPTIMIZED: Defer heavy operations
         this.deferredOperations(result.data);
@@ -5665,6 +8437,12 @@ openSettings() {
           // Show prominent alert for inactive employees
           this.showInactiveEmployeeAlert(result.employeeName);
           this.showStatus(`⛔ Account Disabled: ${result.employeeName}`, "error");
+        } else if (result.antiPassback) {
+          this.clearInput();
+          this.showStatus(result.error, result.queuedForReview ? "info" : "warning");
+        } else if (result.pinRequired) {
+          this.clearInput();
+          this.showStatus(result.error, result.pinLocked ? "error" : "warning");
         } else {
           // Handle other errors normally
           this.showStatus(result.error || "Employee not found", "error");
@@ -5697,6 +8475,143 @@ openSettings() {
     }
   }
 
+  // Keypad for the ID number + PIN fallback: on-screen keys or the keyboard
+  setupKioskPinPad() {
+    const modal = document.getElementById("kioskPinModal");
+    const pinInput = document.getElementById("kioskPinInput");
+    if (!modal || !pinInput) return;
+
+    const finish = (pin) => {
+      modal.style.display = "none";
+      if (this.kioskPinResolve) {
+        this.kioskPinResolve(pin);
+        this.kioskPinResolve = null;
+      }
+    };
+
+    modal.querySelectorAll(".kiosk-pin-key").forEach((key) => {
+      key.addEventListener("click", () => {
+        if (key.dataset.key === "enter") {
+          finish(pinInput.value || null);
+        } else if (key.dataset.key === "clear") {
+          pinInput.value = pinInput.value.slice(0, -1);
+        } else if (pinInput.value.length < 8) {
+          pinInput.value += key.dataset.key;
+        }
+        pinInput.focus();
+      });
+    });
+
+    pinInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        finish(pinInput.value || null);
+      } else if (e.key === "Escape") {
+        finish(null);
+      }
+    });
+
+    document.getElementById("kioskPinCancel")?.addEventListener("click", () => finish(null));
+  }
+
+  // Ask for the PIN of a typed-in ID number; resolves to the PIN, or null when cancelled
+  promptKioskPin(idNumber) {
+    const modal = document.getElementById("kioskPinModal");
+    const pinInput = document.getElementById("kioskPinInput");
+
+    document.getElementById("kioskPinIdNumber").textContent = idNumber;
+    pinInput.value = "";
+    modal.style.display = "flex";
+    setTimeout(() => pinInput.focus(), 50);
+
+    return new Promise((resolve) => {
+      this.kioskPinResolve = resolve;
+    });
+  }
+
+  // Show or hide the IN / OUT / BREAK buttons for the configured kiosk action mode
+  applyKioskActionMode(mode) {
+    this.kioskAction.mode = mode === "explicit" ? "explicit" : "auto";
+
+    const actions = document.getElementById("kioskActions");
+    if (actions) {
+      actions.style.display = this.kioskAction.mode === "explicit" ? "flex" : "none";
+    }
+
+    this.selectKioskAction(null);
+  }
+
+  // Pick the action for the next scan; the choice resets after a punch or 15 seconds
+  selectKioskAction(action) {
+    if (this.kioskAction.resetTimeout) {
+      clearTimeout(this.kioskAction.resetTimeout);
+      this.kioskAction.resetTimeout = null;
+    }
+
+    this.kioskAction.selected = action || null;
+    document.querySelectorAll(".kiosk-action-btn").forEach((button) => {
+      button.classList.toggle("selected", button.dataset.action === this.kioskAction.selected);
+    });
+
+    if (!this.kioskAction.selected) {
+      return;
+    }
+
+    this.showStatus(`${this.kioskAction.selected.toUpperCase()} selected - scan your badge`, "info");
+    this.kioskAction.resetTimeout = setTimeout(() => this.selectKioskAction(null), 15000);
+    this.focusInput();
+  }
+
+  // Fill the kiosk job picker with the active job codes; hidden while there are none
+  async loadKioskJobCodes() {
+    const picker = document.getElementById("kioskJob");
+    const select = document.getElementById("kioskJobCode");
+    if (!picker || !select || !this.electronAPI) return;
+
+    try {
+      const result = await this.electronAPI.getJobCodes({ activeOnly: true });
+      this.kioskJob.codes = result.success ? result.data : [];
+    } catch (error) {
+      console.error("Error loading job codes:", error);
+      this.kioskJob.codes = [];
+    }
+
+    select.innerHTML = [
+      '<option value="">No job</option>',
+      ...this.kioskJob.codes.map((job) => `<option value="${job.code}">${job.code} - ${job.name}</option>`),
+    ].join("");
+    picker.style.display = this.kioskJob.codes.length > 0 ? "flex" : "none";
+    this.selectKioskJob(null);
+  }
+
+  // Pick the job for the next scan; like the action it resets after a punch or 15 seconds
+  selectKioskJob(jobCode) {
+    if (this.kioskJob.resetTimeout) {
+      clearTimeout(this.kioskJob.resetTimeout);
+      this.kioskJob.resetTimeout = null;
+    }
+
+    const job = jobCode ? this.kioskJob.codes.find((code) => code.code === jobCode) : null;
+    if (jobCode && !job) {
+      this.showStatus(`Unknown job code ${jobCode}`, "error");
+    }
+
+    this.kioskJob.selected = job ? job.code : null;
+    const select = document.getElementById("kioskJobCode");
+    if (select) {
+      select.value = this.kioskJob.selected || "";
+      select.classList.toggle("selected", !!this.kioskJob.selected);
+    }
+
+    if (!job) {
+      return;
+    }
+
+    this.showStatus(`Job ${job.code} (${job.name}) selected - scan your badge`, "info");
+    this.kioskJob.resetTimeout = setTimeout(() => this.selectKioskJob(null), 15000);
+    this.focusInput();
+  }
+
   showInactiveEmployeeAlert(employeeName) {
     // Create modal/alert overlay
     const alertOverlay = document.createElement('div');
@@ -6175,6 +9090,33 @@ async performImmediateSync() {
     this.loadDailySummary();
   }
 
+  // Runs the end-of-day absence check now instead of waiting for the next scheduled run
+  async checkAbsences() {
+    try {
+      const result = await this.electronAPI.runAbsenceDetection();
+      if (!result.success) {
+        this.showStatus(result.error || "Absence check failed", "error");
+        return;
+      }
+
+      if (result.skipped) {
+        this.showStatus("Absence detection is turned off in Settings", "info");
+        return;
+      }
+
+      this.showStatus(
+        result.dates.length === 0
+          ? "All ended days have already been checked"
+          : `Checked ${result.dates.length} day(s): ${result.absences} absence(s) recorded`,
+        "success"
+      );
+      await this.loadDailySummary();
+    } catch (error) {
+      console.error("Error checking absences:", error);
+      this.showStatus(`Absence check failed: ${error.message}`, "error");
+    }
+  }
+
   async loadDailySummary() {
     try {
       const result = await this.electronAPI.getDailySummary(
@@ -6188,6 +9130,7 @@ async performImmediateSync() {
         this.summaryData = result.data;
         this.updateDailySummaryTable(result.data);
         this.updateSummaryStats(result.data);
+        this.loadWeeklyOvertime();
       } else {
         console.error("Failed to load daily summary:", result.error);
         this.showStatus("Failed to load daily summary", "error");
@@ -6197,7 +9140,7 @@ async performImmediateSync() {
       const tbody = document.getElementById("summaryTableBody");
       if (tbody) {
         tbody.innerHTML =
-          '<tr><td colspan="20" class="loading">Error loading summary</td></tr>';
+          '<tr><td colspan="21" class="loading">Error loading summary</td></tr>';
       }
     }
   }
@@ -6227,6 +9170,11 @@ async performImmediateSync() {
       dateRangeTextEl.textContent = rangeText;
     }
 
+    const absenceCountEl = document.getElementById("absenceCount");
+    if (absenceCountEl) {
+      absenceCountEl.textContent = summaryData.filter((record) => record.is_absent).length.toLocaleString();
+    }
+
     // Calculate and update total hours
     if (totalHoursEl) {
       const totalHours = summaryData.reduce((sum, record) => {
@@ -6241,7 +9189,7 @@ async performImmediateSync() {
 
     if (!summaryData || summaryData.length === 0) {
       tbody.innerHTML =
-        '<tr><td colspan="20" class="loading">No summary data available for the selected date range</td></tr>';
+        '<tr><td colspan="21" class="loading">No summary data available for the selected date range</td></tr>';
       return;
     }
 
@@ -6270,6 +9218,7 @@ async performImmediateSync() {
           <td>${(record.regular_hours || 0).toFixed(2)}</td>
           <td>${(record.overtime_hours || 0).toFixed(2)}</td>
           <td>${(record.total_hours || 0).toFixed(2)}</td>
+          <td>${this.formatBreakSummary(record)}</td>
           <td><span class="status-badge ${status.class}">${status.text
           }</span></td>
         </tr>
@@ -6278,6 +9227,109 @@ async performImmediateSync() {
       .join("");
   }
 
+  // Tooltip listing each break of a summary row
+  describeBreaks(record) {
+    try {
+      const breaks = JSON.parse(record.break_details || "[]");
+      return breaks
+        .map((entry) => `${entry.type === "meal" ? "Meal" : "Rest"}${entry.unpunched ? " (not punched)" : ""}: ${entry.minutes} min${entry.long ? " - too long" : ""}`)
+        .join("&#10;");
+    } catch {
+      return "";
+    }
+  }
+
+  // Break minutes of a summary row with its paid part and missed / long break flags
+  formatBreakSummary(record) {
+    const minutes = record.break_time_minutes || 0;
+    const paid = record.paid_break_minutes > 0 ? ` <small>(${record.paid_break_minutes} paid)</small>` : "";
+    const flags = [
+      record.missed_break ? '<span class="status-badge error">Missed</span>' : "",
+      record.long_break ? '<span class="status-badge warning">Long</span>' : "",
+    ].join(" ");
+
+    return `${minutes}${paid} ${flags}`.trim();
+  }
+
+  // Weekly overtime report for the weeks overlapping the selected date range
+  async loadWeeklyOvertime() {
+    const tbody = document.getElementById("weeklyOvertimeTableBody");
+    if (!tbody || !this.electronAPI) return;
+
+    try {
+      const result = await this.electronAPI.getWeeklyOvertime({
+        startDate: this.currentDateRange.startDate || null,
+        endDate: this.currentDateRange.endDate || null,
+        warningsOnly: document.getElementById("weeklyOvertimeWarningsOnly")?.checked || false,
+      });
+      if (!result.success) {
+        tbody.innerHTML = `<tr><td colspan="10" class="loading">Error: ${result.error}</td></tr>`;
+        return;
+      }
+
+      this.weeklyOvertimeData = result.data;
+
+      const rules = document.getElementById("weeklyOvertimeRules");
+      if (rules) {
+        const { settings } = result;
+        const describe = (value, text) => (value > 0 ? text : "off");
+        rules.textContent =
+          `Weekly OT after ${describe(settings.weekly_overtime_after_hours, `${settings.weekly_overtime_after_hours}h`)} · ` +
+          `premium from day ${describe(settings.consecutive_day_premium_day, settings.consecutive_day_premium_day)} · ` +
+          `caps ${describe(settings.daily_overtime_cap_hours, `${settings.daily_overtime_cap_hours}h/day`)}, ` +
+          `${describe(settings.weekly_overtime_cap_hours, `${settings.weekly_overtime_cap_hours}h/week`)}`;
+      }
+
+      if (result.data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="10" class="loading">No weekly overtime for the selected range</td></tr>';
+        return;
+      }
+
+      tbody.innerHTML = result.data
+        .map((week) => `
+          <tr>
+            <td>${week.last_name ? `${week.last_name}, ${week.first_name}` : week.employee_uid}</td>
+            <td>${week.week_start} to ${week.week_end}</td>
+            <td>${week.days_worked}</td>
+            <td>${week.regular_hours.toFixed(2)}</td>
+            <td>${week.daily_overtime_hours.toFixed(2)}</td>
+            <td>${week.weekly_overtime_hours.toFixed(2)}</td>
+            <td>${week.total_overtime_hours.toFixed(2)}</td>
+            <td>${week.max_consecutive_days}</td>
+            <td title="${week.premium_dates.join(", ")}">${week.premium_hours.toFixed(2)}</td>
+            <td>
+              ${week.warnings.length > 0
+                ? `<span class="status-badge warning" title="${week.warnings.map((warning) => warning.message).join("\n")}">⚠️ ${week.warnings.length}</span>`
+                : '<span class="status-badge success">OK</span>'}
+            </td>
+          </tr>
+        `)
+        .join("");
+    } catch (error) {
+      console.error("Error loading weekly overtime:", error);
+      tbody.innerHTML = '<tr><td colspan="10" class="loading">Error loading weekly overtime</td></tr>';
+    }
+  }
+
+  async rebuildWeeklyOvertime() {
+    try {
+      const result = await this.electronAPI.rebuildWeeklyOvertime({
+        startDate: this.currentDateRange.startDate || null,
+        endDate: this.currentDateRange.endDate || null,
+      });
+      if (!result.success) {
+        this.showStatus(result.error || "Error rebuilding weekly overtime", "error");
+        return;
+      }
+
+      this.showStatus(`Weekly overtime rebuilt (${result.weeks} employee weeks)`, "success");
+      await this.loadWeeklyOvertime();
+    } catch (error) {
+      console.error("Error rebuilding weekly overtime:", error);
+      this.showStatus(`Error rebuilding weekly overtime: ${error.message}`, "error");
+    }
+  }
+
   formatDateTime(dateTimeString) {
     if (!dateTimeString) return "-";
 
@@ -6382,7 +9434,13 @@ async performImmediateSync() {
   }
 
   getEmployeeStatus(record) {
-    if (record.has_overtime) {
+    if (record.is_absent) {
+      return { class: "absent", text: "Absent" };
+    } else if (record.leave_type && !record.first_clock_in) {
+      return { class: "leave", text: `On Leave (${record.leave_type})` };
+    } else if (record.auto_clock_out_sessions > 0) {
+      return { class: "incomplete", text: "Auto Clock-Out" };
+    } else if (record.has_overtime) {
       return { class: "overtime", text: "Overtime" };
     } else if (record.is_incomplete) {
       return { class: "incomplete", text: "Incomplete" };
@@ -6428,13 +9486,37 @@ async performImmediateSync() {
       const generateRemarks = (summary) => {
         const remarks = [];
 
+        // Scheduled working day with no punches and no approved leave
+        if (summary.is_absent) {
+          return "ABSENT";
+        }
+
         // Check for clock records existence
         const hasAnyClockIn = summary.morning_in || summary.afternoon_in || summary.evening_in;
         const hasAnyClockOut = summary.morning_out || summary.afternoon_out || summary.evening_out;
 
+        // Holiday work is always called out for payroll
+        const holidayRemark = summary.holiday_type
+          ? `HOLIDAY - ${summary.holiday_name || summary.holiday_type.replace(/_/g, " ").toUpperCase()}`
+          : "";
+
+        // Approved leave explains the day for payroll
+        const leaveRemark = summary.leave_type
+          ? `ON LEAVE - ${summary.leave_name || summary.leave_type}${summary.leave_days < 1 ? " (HALF DAY)" : ""}`
+          : "";
+
         // Check for perfect attendance first - if perfect, return empty
-        if (summary.total_hours >= 8 && !summary.has_late_entry && hasAnyClockIn && hasAnyClockOut) {
-          return ""; // Perfect attendance = no remarks
+        if (!leaveRemark && summary.total_hours >= 8 && !summary.has_late_entry && !summary.undertime_minutes &&
+          !summary.missed_break && !summary.long_break && hasAnyClockIn && hasAnyClockOut) {
+          return holidayRemark; // Perfect attendance = no remarks
+        }
+
+        if (holidayRemark) {
+          remarks.push(holidayRemark);
+        }
+
+        if (leaveRemark) {
+          remarks.push(leaveRemark);
         }
 
         // Check specific incomplete cycles
@@ -6470,9 +9552,32 @@ async performImmediateSync() {
           remarks.push("INCOMPLETE - Missing " + missingIns.join(", "));
         }
 
+        // Closed by the auto clock-out job and not reviewed yet
+        if (summary.auto_clock_out_sessions > 0) {
+          remarks.push("INCOMPLETE - Auto clock-out, needs review");
+        }
+
+        // Break rules from Settings (see services/breakTracking)
+        if (summary.missed_break) {
+          remarks.push("MISSED BREAK");
+        }
+        if (summary.long_break) {
+          remarks.push(`LONG BREAK (${summary.break_time_minutes || 0} min total)`);
+        }
+
         // Check for late entry
         if (summary.has_late_entry) {
-          remarks.push("LATE ARRIVAL");
+          remarks.push(summary.late_minutes > 0 ? `LATE ARRIVAL (${summary.late_minutes} min)` : "LATE ARRIVAL");
+        }
+
+        // Left before the scheduled end of the session
+        if (summary.undertime_minutes > 0) {
+          remarks.push(`UNDERTIME (${summary.undertime_minutes} min)`);
+        }
+
+        // Overtime worked outside any pre-approval window
+        if (summary.unapproved_overtime_hours > 0) {
+          remarks.push(`UNAPPROVED OT (${summary.unapproved_overtime_hours}h)`);
         }
 
         // Check for overtime without regular hours
@@ -6497,8 +9602,13 @@ async performImmediateSync() {
           remarks.push("WEEKEND WORK");
         }
 
-        // Check for no activity
-        if (!hasAnyClockIn && !hasAnyClockOut && (summary.total_hours === 0 || !summary.total_hours)) {
+        // Worked on a rest day of the employee's assigned schedule
+        if (summary.is_rest_day && (summary.total_hours > 0)) {
+          remarks.push("REST DAY WORK");
+        }
+
+        // Check for no activity (a day on leave is not an absence)
+        if (!leaveRemark && !hasAnyClockIn && !hasAnyClockOut && (summary.total_hours === 0 || !summary.total_hours)) {
           remarks.push("NO ACTIVITY");
         }
 
@@ -6508,7 +9618,7 @@ async performImmediateSync() {
       const employeeSummaryHeaders = [
         "EMPLOYEE_NAME", "DATE_OF_LOG", "MORNING_IN", "MORNING_OUT",
         "AFTERNOON_IN", "AFTERNOON_OUT", "OVERTIME_IN", "OVERTIME_OUT",
-        "REG HRS", "OT HRS", "SUNDAY", "REMARKS"
+        "REG HRS", "OT HRS", "NIGHT DIFF", "LEAVE HRS", "BREAK MIN", "SUNDAY", "REMARKS"
       ];
 
       const employeeSummaryData = [];
@@ -6537,10 +9647,14 @@ async performImmediateSync() {
       // Track totals
       let grandTotalRegularHours = 0;
       let grandTotalOvertimeHours = 0;
+      let grandTotalNightDiffHours = 0;
+      let grandTotalLeaveHours = 0;
+      let grandTotalBreakMinutes = 0;
       let grandTotalSundayHours = 0;
       let totalLateCount = 0;
       let totalIncompleteCount = 0;
       let totalPerfectAttendanceCount = 0;
+      let totalAbsentCount = 0;
 
       // Process each employee group
       Object.keys(groupedByEmployee).sort().forEach((employeeKey, groupIndex) => {
@@ -6548,22 +9662,26 @@ async performImmediateSync() {
 
         // Add empty row before new employee section (except for first employee)
         if (groupIndex > 0) {
-          employeeSummaryData.push(["", "", "", "", "", "", "", "", "", "", "", ""]);
+          employeeSummaryData.push(["", "", "", "", "", "", "", "", "", "", "", "", "", "", ""]);
         }
 
         // Add the header row for this employee section
         employeeSummaryData.push([
           "EMPLOYEE_NAME", "DATE_OF_LOG", "MORNING_IN", "MORNING_OUT",
           "AFTERNOON_IN", "AFTERNOON_OUT", "OVERTIME_IN", "OVERTIME_OUT",
-          "REG HRS", "OT HRS", "SUNDAY", "REMARKS"
+          "REG HRS", "OT HRS", "NIGHT DIFF", "LEAVE HRS", "BREAK MIN", "SUNDAY", "REMARKS"
         ]);
 
         let subtotalRegularHours = 0;
         let subtotalOvertimeHours = 0;
+        let subtotalNightDiffHours = 0;
+        let subtotalLeaveHours = 0;
+        let subtotalBreakMinutes = 0;
         let subtotalSundayHours = 0;
         let employeeLateCount = 0;
         let employeeIncompleteCount = 0;
         let employeePerfectCount = 0;
+        let employeeAbsentCount = 0;
 
         // Add employee records
         employeeRecords.forEach((summary) => {
@@ -6574,17 +9692,24 @@ async performImmediateSync() {
           const sundayHours = getSundayHours(summary.date, summary.regular_hours, summary.overtime_hours);
           const regularHours = summary.regular_hours || 0;
           const overtimeHours = summary.overtime_hours || 0;
+          const nightDiffHours = summary.night_differential_hours || 0;
+          const leaveHours = summary.leave_hours || 0;
+          const breakMinutes = summary.break_time_minutes || 0;
           const remarks = generateRemarks(summary);
 
           // Track statistics
           subtotalRegularHours += regularHours;
           subtotalOvertimeHours += overtimeHours;
+          subtotalNightDiffHours += nightDiffHours;
+          subtotalLeaveHours += leaveHours;
+          subtotalBreakMinutes += breakMinutes;
           if (sundayHours) {
             subtotalSundayHours += parseFloat(sundayHours);
           }
           if (summary.has_late_entry) employeeLateCount++;
           if (remarks.includes("INCOMPLETE")) employeeIncompleteCount++;
           if (!remarks || remarks === "") employeePerfectCount++;
+          if (summary.is_absent) employeeAbsentCount++;
 
           employeeSummaryData.push([
             employeeName,
@@ -6597,6 +9722,9 @@ async performImmediateSync() {
             formatTimeOnly(summary.evening_out || summary.overtime_out),
             regularHours.toFixed(1),
             overtimeHours.toFixed(1),
+            nightDiffHours > 0 ? nightDiffHours.toFixed(2) : "",
+            leaveHours > 0 ? leaveHours.toFixed(1) : "",
+            breakMinutes > 0 ? breakMinutes : "",
             sundayHours,
             remarks
           ]);
@@ -6608,28 +9736,38 @@ async performImmediateSync() {
           "TOTAL HOURS",
           subtotalRegularHours.toFixed(1),
           subtotalOvertimeHours.toFixed(1),
+          subtotalNightDiffHours > 0 ? subtotalNightDiffHours.toFixed(2) : "",
+          subtotalLeaveHours > 0 ? subtotalLeaveHours.toFixed(1) : "",
+          subtotalBreakMinutes > 0 ? subtotalBreakMinutes : "",
           subtotalSundayHours > 0 ? subtotalSundayHours.toFixed(1) : "",
-          `Late: ${employeeLateCount} | Inc: ${employeeIncompleteCount} | Perfect: ${employeePerfectCount}`
+          `Late: ${employeeLateCount} | Inc: ${employeeIncompleteCount} | Abs: ${employeeAbsentCount} | Perfect: ${employeePerfectCount}`
         ]);
 
         // Add to grand totals
         grandTotalRegularHours += subtotalRegularHours;
         grandTotalOvertimeHours += subtotalOvertimeHours;
+        grandTotalNightDiffHours += subtotalNightDiffHours;
+        grandTotalLeaveHours += subtotalLeaveHours;
+        grandTotalBreakMinutes += subtotalBreakMinutes;
         grandTotalSundayHours += subtotalSundayHours;
         totalLateCount += employeeLateCount;
         totalIncompleteCount += employeeIncompleteCount;
         totalPerfectAttendanceCount += employeePerfectCount;
+        totalAbsentCount += employeeAbsentCount;
       });
 
       // Add final totals
-      employeeSummaryData.push(["", "", "", "", "", "", "", "", "", "", "", ""]);
+      employeeSummaryData.push(["", "", "", "", "", "", "", "", "", "", "", "", "", "", ""]);
       employeeSummaryData.push([
         "", "", "", "", "", "", "",
         "GRAND TOTALS",
         grandTotalRegularHours.toFixed(1),
         grandTotalOvertimeHours.toFixed(1),
+        grandTotalNightDiffHours > 0 ? grandTotalNightDiffHours.toFixed(2) : "",
+        grandTotalLeaveHours > 0 ? grandTotalLeaveHours.toFixed(1) : "",
+        grandTotalBreakMinutes > 0 ? grandTotalBreakMinutes : "",
         grandTotalSundayHours > 0 ? grandTotalSundayHours.toFixed(1) : "",
-        `Late: ${totalLateCount} | Inc: ${totalIncompleteCount} | Perfect: ${totalPerfectAttendanceCount}`
+        `Late: ${totalLateCount} | Inc: ${totalIncompleteCount} | Abs: ${totalAbsentCount} | Perfect: ${totalPerfectAttendanceCount}`
       ]);
 
       const employeeSummarySheet = XLSX.utils.aoa_to_sheet(employeeSummaryData);
@@ -6689,11 +9827,58 @@ async performImmediateSync() {
       employeeSummarySheet["!cols"] = [
         { wch: 20 }, { wch: 12 }, { wch: 10 }, { wch: 10 }, { wch: 10 },
         { wch: 10 }, { wch: 10 }, { wch: 25 }, { wch: 10 }, { wch: 8 },
-        { wch: 8 }, { wch: 40 }
+        { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 8 }, { wch: 40 }
       ];
 
       XLSX.utils.book_append_sheet(workbook, employeeSummarySheet, "Employee Summary");
 
+      // Weekly overtime sheet
+      const weeklyResult = await this.electronAPI.getWeeklyOvertime({
+        startDate: this.currentDateRange.startDate || null,
+        endDate: this.currentDateRange.endDate || null,
+      });
+      if (weeklyResult.success && weeklyResult.data.length > 0) {
+        const weeklyData = [[
+          "Employee", "ID Number", "Week Start", "Week End", "Days Worked", "Regular Hours",
+          "Payable Regular", "Daily OT", "Weekly OT", "Total OT", "Consecutive Days",
+          "Premium Hours", "Premium Dates", "Warnings"
+        ]];
+        weeklyResult.data.forEach((week) => {
+          weeklyData.push([
+            week.last_name ? `${week.last_name}, ${week.first_name}` : week.employee_uid,
+            week.id_number || "",
+            week.week_start,
+            week.week_end,
+            week.days_worked,
+            week.regular_hours,
+            week.payable_regular_hours,
+            week.daily_overtime_hours,
+            week.weekly_overtime_hours,
+            week.total_overtime_hours,
+            week.max_consecutive_days,
+            week.premium_hours,
+            week.premium_dates.join(", "),
+            week.warnings.map((warning) => warning.message).join("; ")
+          ]);
+        });
+
+        const weeklySheet = XLSX.utils.aoa_to_sheet(weeklyData);
+        weeklySheet["!cols"] = [
+          { wch: 20 }, { wch: 12 }, { wch: 12 }, { wch: 12 }, { wch: 10 }, { wch: 10 }, { wch: 10 },
+          { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 10 }, { wch: 25 }, { wch: 50 }
+        ];
+        XLSX.utils.book_append_sheet(workbook, weeklySheet, "Weekly Overtime");
+      }
+
+      // Hours by job sheet
+      const jobHoursResult = await this.electronAPI.getJobHours({
+        startDate: this.currentDateRange.startDate || null,
+        endDate: this.currentDateRange.endDate || null,
+      });
+      if (jobHoursResult.success && jobHoursResult.data.rows.length > 0) {
+        XLSX.utils.book_append_sheet(workbook, this.buildJobHoursSheet(jobHoursResult.data.rows), "Hours by Job");
+      }
+
       // Generate filename
       let filename = "Employee_Attendance_Summary";
 
@@ -7901,15 +11086,6 @@ class OptimizedAttendanceApp extends AttendanceApp {
       return;
     }
 
-    if (this.isDuplicateScan(input)) {
-      this.showStatus(
-        "Duplicate scan detected - please wait before scanning again",
-        "warning"
-      );
-      this.focusInput();
-      return;
-    }
-
     this.updateLastScanData(input);
     this.showLoadingScreen();
 
@@ -0,0 +1,152 @@
+// Absence detection - an employee who never scans has no attendance rows, so once a
+// business date is over every active employee expected to work that day (schedule,
+// rest days, holidays and approved leave considered) gets an explicit absent row in
+// daily_attendance_summary. The row is a normal summary row with is_absent = 1, so it
+// shows in the reports and the Excel export and goes to the server with the summary sync.
+const dateService = require("./dateService")
+const { addDays } = require("./siteTime")
+const { getScheduleForEmployee } = require("./shiftSchedule")
+const { getHolidayForDate } = require("./holidayCalendar")
+
+const ABSENCE_DETECTION_ENABLED_SETTING = "absence_detection_enabled"
+// First and last business dates that have been checked - the summary builder keeps
+// absent rows only inside this window, so days before the feature existed stay untouched
+const ABSENCE_START_DATE_SETTING = "absence_detection_start_date"
+const ABSENCE_LAST_DATE_SETTING = "absence_detection_last_date"
+
+// How many missed days are caught up when the kiosk was off for a while
+const MAX_CATCH_UP_DAYS = 31
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function getAbsenceSettings(database) {
+  const rows = database
+    .prepare("SELECT key, value FROM settings WHERE key IN (?, ?, ?)")
+    .all(ABSENCE_DETECTION_ENABLED_SETTING, ABSENCE_START_DATE_SETTING, ABSENCE_LAST_DATE_SETTING)
+  const settings = Object.fromEntries(rows.map((row) => [row.key, row.value]))
+
+  return {
+    enabled: settings[ABSENCE_DETECTION_ENABLED_SETTING] !== "false",
+    startDate: settings[ABSENCE_START_DATE_SETTING] || null,
+    lastDate: settings[ABSENCE_LAST_DATE_SETTING] || null,
+  }
+}
+
+/**
+ * Active employee with a working schedule on the date that is not a rest day or holiday
+ */
+function isScheduledToWork(employeeUid, date, db = null) {
+  const database = getDatabaseConnection(db)
+  const employee = database.prepare("SELECT status FROM employees WHERE uid = ?").get(employeeUid)
+  if (!employee || employee.status !== "Active") {
+    return false
+  }
+
+  const schedule = getScheduleForEmployee(employeeUid, date, database)
+  return !!schedule && !schedule.isRestDay && !getHolidayForDate(date, database)
+}
+
+/**
+ * Whether a day with no punches and no leave is an absence. Used by the summary builder,
+ * so deleting punches or cancelling leave on a checked date turns the day back into an absence.
+ */
+function shouldRecordAbsence(employeeUid, date, db = null) {
+  const database = getDatabaseConnection(db)
+  const { enabled, startDate, lastDate } = getAbsenceSettings(database)
+
+  if (!enabled || !startDate || !lastDate || date < startDate || date > lastDate) {
+    return false
+  }
+
+  return isScheduledToWork(employeeUid, date, database)
+}
+
+/**
+ * Write absent rows for one business date. Employees who already have a summary row
+ * (punches, leave or an earlier absence) are skipped.
+ */
+function runAbsenceDetection(date, db = null) {
+  const database = getDatabaseConnection(db)
+  const { updateDailyAttendanceSummary } = require("../database/setup")
+  const { startDate, lastDate } = getAbsenceSettings(database)
+
+  const saveSetting = database.prepare("INSERT OR REPLACE INTO settings (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)")
+  const employees = database
+    .prepare(`
+      SELECT e.uid FROM employees e
+      WHERE e.status = 'Active'
+        AND NOT EXISTS (SELECT 1 FROM daily_attendance_summary s WHERE s.employee_uid = e.uid AND s.date = ?)
+    `)
+    .all(date)
+  const isAbsent = database.prepare("SELECT is_absent FROM daily_attendance_summary WHERE employee_uid = ? AND date = ?")
+
+  let absences = 0
+  const detect = database.transaction(() => {
+    if (!startDate || date < startDate) saveSetting.run(ABSENCE_START_DATE_SETTING, date)
+    if (!lastDate || date > lastDate) saveSetting.run(ABSENCE_LAST_DATE_SETTING, date)
+
+    employees.forEach((employee) => {
+      if (!isScheduledToWork(employee.uid, date, database)) {
+        return
+      }
+
+      updateDailyAttendanceSummary(employee.uid, date, database)
+      if (isAbsent.get(employee.uid, date)?.is_absent) {
+        absences++
+      }
+    })
+  })
+
+  detect()
+  console.log(`✓ Absence detection for ${date}: ${absences} absent of ${employees.length} employees without a summary`)
+
+  return { date, absences }
+}
+
+/**
+ * End-of-day job: check every business date that has ended since the last run
+ * (yesterday on a normal day). Safe to call repeatedly.
+ */
+function runPendingAbsenceDetection(db = null) {
+  const database = getDatabaseConnection(db)
+  const { enabled, lastDate } = getAbsenceSettings(database)
+
+  if (!enabled) {
+    return { success: true, skipped: true, dates: [], absences: 0 }
+  }
+
+  const yesterday = addDays(dateService.getCurrentDate(), -1)
+  const earliest = addDays(yesterday, -(MAX_CATCH_UP_DAYS - 1))
+  let date = lastDate ? addDays(lastDate, 1) : yesterday
+
+  if (date < earliest) {
+    console.log(`Absence detection: skipping ${date} to ${addDays(earliest, -1)} (more than ${MAX_CATCH_UP_DAYS} days ago)`)
+    date = earliest
+  }
+
+  const results = []
+  for (; date <= yesterday; date = addDays(date, 1)) {
+    results.push(runAbsenceDetection(date, database))
+  }
+
+  return {
+    success: true,
+    dates: results.map((result) => result.date),
+    absences: results.reduce((sum, result) => sum + result.absences, 0),
+  }
+}
+
+module.exports = {
+  ABSENCE_DETECTION_ENABLED_SETTING,
+  isScheduledToWork,
+  shouldRecordAbsence,
+  runAbsenceDetection,
+  runPendingAbsenceDetection,
+}
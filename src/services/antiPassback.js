@@ -0,0 +1,243 @@
+// Anti-passback - one policy for every way a punch comes in (badge scan, ID number, face
+// recognition, job card): a minimum interval between two punches of an employee, and a minimum
+// session length before a clock-out. A punch breaking a rule is rejected, or in "review" mode
+// filed as a pending punch correction an admin can approve. Both outcomes are kept in
+// anti_passback_log.
+const { createCorrectionRequest } = require("./punchCorrections")
+const dateService = require("./dateService")
+const { parseTimestamp, formatTimestamp } = require("./siteTime")
+
+const ANTI_PASSBACK_ACTIONS = ["reject", "review"]
+
+// Settings keys and defaults; 0 turns a rule off
+const ANTI_PASSBACK_SETTINGS = {
+  anti_passback_min_interval_seconds: 5, // Shortest time between two punches of an employee
+  anti_passback_min_session_minutes: 0, // Shortest session a clock-out (or break) may close
+  anti_passback_action: "reject", // What happens to a punch breaking a rule: reject | review
+}
+
+const ANTI_PASSBACK_SETTING_KEYS = Object.keys(ANTI_PASSBACK_SETTINGS)
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function getAntiPassbackSettings(db = null) {
+  const settings = { ...ANTI_PASSBACK_SETTINGS }
+
+  try {
+    getDatabaseConnection(db)
+      .prepare(`SELECT key, value FROM settings WHERE key IN (${ANTI_PASSBACK_SETTING_KEYS.map(() => "?").join(", ")})`)
+      .all(...ANTI_PASSBACK_SETTING_KEYS)
+      .forEach((row) => {
+        if (row.key === "anti_passback_action") {
+          if (ANTI_PASSBACK_ACTIONS.includes(row.value)) settings.anti_passback_action = row.value
+          return
+        }
+
+        const value = Number(row.value)
+        if (row.value !== "" && Number.isFinite(value) && value >= 0) {
+          settings[row.key] = value
+        }
+      })
+  } catch (error) {
+    console.error("Error reading anti-passback settings, using defaults:", error.message)
+  }
+
+  return settings
+}
+
+/**
+ * Error message for invalid anti-passback values in a settings update, or null
+ */
+function validateAntiPassbackSettings(settings) {
+  const action = settings.anti_passback_action
+  if (action !== undefined && !ANTI_PASSBACK_ACTIONS.includes(action)) {
+    return `Anti-passback action must be one of ${ANTI_PASSBACK_ACTIONS.join(", ")}`
+  }
+
+  const invalid = ["anti_passback_min_interval_seconds", "anti_passback_min_session_minutes"].find((key) => {
+    if (settings[key] === undefined) return false
+    const value = Number(settings[key])
+    return settings[key] === "" || !Number.isFinite(value) || value < 0
+  })
+
+  if (invalid) {
+    return "Anti-passback intervals must be zero (off) or more"
+  }
+
+  return null
+}
+
+// Latest punch of the employee (yesterday's count for overnight sessions); older rows have no
+// UTC offset in clock_time, so the instants are compared rather than the text
+function getLastPunchTime(db, employeeUid, date) {
+  const times = db
+    .prepare("SELECT clock_time FROM attendance WHERE employee_uid = ? AND date >= date(?, '-1 day')")
+    .all(employeeUid, date)
+    .map((record) => parseTimestamp(record.clock_time).getTime())
+
+  return times.length > 0 ? Math.max(...times) : null
+}
+
+/**
+ * Rule a planned session transition (see sessionStateMachine.planTransition) breaks, or null:
+ * { rule: "min_interval" | "min_session", message, retryAfterSeconds }
+ */
+function checkAntiPassback(employeeUid, transition, { now, date }, settings, db = null) {
+  const database = getDatabaseConnection(db)
+  const minInterval = settings.anti_passback_min_interval_seconds
+  const minSession = settings.anti_passback_min_session_minutes
+
+  const lastPunch = minInterval > 0 ? getLastPunchTime(database, employeeUid, date) : null
+  if (lastPunch !== null) {
+    // Either direction: a kiosk clock set back must not let the punch through
+    const elapsed = Math.abs(now.getTime() - lastPunch) / 1000
+    if (elapsed < minInterval) {
+      const retryAfterSeconds = Math.ceil(minInterval - elapsed)
+      return {
+        rule: "min_interval",
+        message: `Already punched ${Math.floor(elapsed)} seconds ago. Please wait ${retryAfterSeconds} seconds before punching again.`,
+        retryAfterSeconds,
+      }
+    }
+  }
+
+  // Switching jobs is not a clock-out, so short job segments are allowed
+  const clocksOut = transition.closes && transition.event !== "transfer"
+  if (minSession > 0 && clocksOut) {
+    const sessionMinutes = (now.getTime() - transition.closes.clockTime.getTime()) / 60000
+    if (sessionMinutes < minSession) {
+      return {
+        rule: "min_session",
+        message: `Clocked in only ${Math.max(0, Math.floor(sessionMinutes))} minutes ago. Sessions must last at least ${minSession} minutes before clocking out.`,
+        retryAfterSeconds: Math.ceil((minSession - sessionMinutes) * 60),
+      }
+    }
+  }
+
+  return null
+}
+
+/**
+ * Earliest time the employee's next punch passes the rules, after a transition was recorded.
+ * Kiosks hold the employee off until then (e.g. the face camera)
+ */
+function getNextPunchAllowedAt(transition, now, settings) {
+  let waitSeconds = settings.anti_passback_min_interval_seconds
+  if (transition.to === "working" && transition.event !== "transfer") {
+    waitSeconds = Math.max(waitSeconds, settings.anti_passback_min_session_minutes * 60)
+  }
+
+  return new Date(now.getTime() + waitSeconds * 1000).toISOString()
+}
+
+/**
+ * Log a punch that broke a rule and, in review mode, file it as a pending punch correction.
+ * A transfer records two punches, which a correction cannot hold, so it is always rejected.
+ * Returns { outcome: "rejected" | "queued", correctionId }
+ */
+function handleAntiPassbackViolation(employee, violation, transition, attempt, settings, db = null) {
+  const database = getDatabaseConnection(db)
+  const { method = null, inputType = null, action = null, now } = attempt
+  const punch = transition.punches[0]
+  const businessDate = punch.businessDate || dateService.getCurrentDate()
+
+  let outcome = "rejected"
+  let correctionId = null
+
+  if (settings.anti_passback_action === "review" && transition.punches.length === 1) {
+    const correction = createCorrectionRequest(
+      {
+        employee_uid: employee.uid,
+        date: businessDate,
+        clock_type: punch.clockType,
+        requested_time: formatTimestamp(now),
+        reason: `Anti-passback: ${violation.message}`,
+        requested_by: "anti-passback",
+      },
+      database,
+    )
+
+    if (correction.success) {
+      outcome = "queued"
+      correctionId = correction.id
+    } else {
+      console.warn(`⚠️ Could not queue punch of employee ${employee.uid} for review: ${correction.error}`)
+    }
+  }
+
+  database.prepare(`
+    INSERT INTO anti_passback_log (
+      employee_uid, id_number, method, input_type, requested_action, clock_type, date,
+      rule, message, outcome, correction_id, attempted_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    employee.uid,
+    employee.id_number,
+    method,
+    inputType,
+    action,
+    punch.clockType,
+    businessDate,
+    violation.rule,
+    violation.message,
+    outcome,
+    correctionId,
+    formatTimestamp(now),
+  )
+
+  console.log(`⚠️ Anti-passback (${violation.rule}) ${outcome} punch of employee ${employee.uid}: ${violation.message}`)
+
+  return { outcome, correctionId }
+}
+
+/**
+ * Logged anti-passback attempts, newest first
+ */
+function getAntiPassbackLog({ startDate = null, endDate = null, employeeUid = null, limit = 200 } = {}, db = null) {
+  let query = `
+    SELECT l.*, e.first_name, e.last_name, e.department
+    FROM anti_passback_log l
+    LEFT JOIN employees e ON l.employee_uid = e.uid
+    WHERE 1=1
+  `
+  const params = []
+
+  if (startDate) {
+    query += " AND l.date >= ?"
+    params.push(startDate)
+  }
+
+  if (endDate) {
+    query += " AND l.date <= ?"
+    params.push(endDate)
+  }
+
+  if (employeeUid) {
+    query += " AND l.employee_uid = ?"
+    params.push(employeeUid)
+  }
+
+  query += " ORDER BY l.id DESC LIMIT ?"
+  params.push(limit)
+
+  return getDatabaseConnection(db).prepare(query).all(...params)
+}
+
+module.exports = {
+  ANTI_PASSBACK_ACTIONS,
+  ANTI_PASSBACK_SETTINGS,
+  ANTI_PASSBACK_SETTING_KEYS,
+  getAntiPassbackSettings,
+  validateAntiPassbackSettings,
+  checkAntiPassback,
+  getNextPunchAllowedAt,
+  handleAntiPassbackViolation,
+  getAntiPassbackLog,
+}
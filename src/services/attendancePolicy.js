@@ -0,0 +1,288 @@
+// Attendance policy engine - configurable rules over the late / undertime / absence totals
+// of a week or month (e.g. more than 3 lates in a month). A breached rule raises one incident
+// per employee and period in policy_incidents; the incident's value is kept current as the
+// daily summaries of the period change, for HR to review and export.
+const dateService = require("./dateService")
+const { addDays, getDayOfWeek } = require("./siteTime")
+
+// Seeded on first run (migration 20); editable in Settings > Attendance Policy
+const DEFAULT_POLICY_RULES = [
+  { name: "More than 3 lates in a month", metric: "late_count", threshold: 3, period: "month" },
+  { name: "More than 60 late minutes in a month", metric: "late_minutes", threshold: 60, period: "month" },
+]
+
+// What each metric adds up per daily summary row
+const POLICY_METRICS = {
+  late_count: { label: "Late arrivals (days)", dayValue: (row) => (row.has_late_entry ? 1 : 0) },
+  late_minutes: { label: "Late minutes", dayValue: (row) => row.late_minutes || 0 },
+  undertime_count: { label: "Undertime (days)", dayValue: (row) => ((row.undertime_minutes || 0) > 0 ? 1 : 0) },
+  undertime_minutes: { label: "Undertime minutes", dayValue: (row) => row.undertime_minutes || 0 },
+  absence_count: { label: "Absences (days)", dayValue: (row) => (row.is_absent ? 1 : 0) },
+}
+
+const POLICY_PERIODS = ["week", "month"]
+const INCIDENT_STATUSES = ["open", "reviewed", "dismissed", "void"]
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+/**
+ * First and last business date of the week (Monday to Sunday) or month containing a date
+ */
+function getPolicyPeriod(date, period) {
+  if (period === "week") {
+    const start = addDays(date, -((getDayOfWeek(date) + 6) % 7))
+    return { start, end: addDays(start, 6) }
+  }
+
+  const start = `${date.substring(0, 7)}-01`
+  const [year, month] = date.split("-").map(Number)
+  const nextMonth = month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, "0")}-01`
+  return { start, end: addDays(nextMonth, -1) }
+}
+
+function getPolicyRules({ activeOnly = false } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  const query = activeOnly
+    ? "SELECT * FROM attendance_policy_rules WHERE is_active = 1 ORDER BY id"
+    : "SELECT * FROM attendance_policy_rules ORDER BY id"
+
+  return database.prepare(query).all()
+}
+
+function validatePolicyRule(rule) {
+  const errors = []
+
+  if (!rule.name || !String(rule.name).trim()) errors.push("Name is required")
+  if (!POLICY_METRICS[rule.metric]) errors.push(`Metric must be one of ${Object.keys(POLICY_METRICS).join(", ")}`)
+  if (!POLICY_PERIODS.includes(rule.period)) errors.push(`Period must be one of ${POLICY_PERIODS.join(", ")}`)
+
+  const threshold = Number(rule.threshold)
+  if (rule.threshold === "" || rule.threshold === null || !Number.isFinite(threshold) || threshold < 0) {
+    errors.push("Threshold must be zero or more")
+  }
+
+  return errors
+}
+
+function savePolicyRule(rule, db = null) {
+  const errors = validatePolicyRule(rule || {})
+  if (errors.length > 0) {
+    return { success: false, error: errors.join(", ") }
+  }
+
+  const database = getDatabaseConnection(db)
+  const values = [
+    String(rule.name).trim(),
+    rule.metric,
+    Number(rule.threshold),
+    rule.period,
+    rule.is_active === undefined || rule.is_active ? 1 : 0,
+  ]
+
+  let id = rule.id
+  if (id) {
+    const result = database
+      .prepare(`
+        UPDATE attendance_policy_rules
+        SET name = ?, metric = ?, threshold = ?, period = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `)
+      .run(...values, id)
+
+    if (result.changes === 0) {
+      return { success: false, error: "Policy rule not found" }
+    }
+  } else {
+    id = database
+      .prepare("INSERT INTO attendance_policy_rules (name, metric, threshold, period, is_active) VALUES (?, ?, ?, ?, ?)")
+      .run(...values).lastInsertRowid
+  }
+
+  // Apply the changed rule to the current period straight away
+  const evaluated = reevaluatePolicyRules(dateService.getCurrentDate(), database)
+  console.log(`✓ Policy rule #${id} saved (${evaluated} employees re-evaluated)`)
+
+  return { success: true, id }
+}
+
+/**
+ * Check the active rules for an employee over the periods containing a date.
+ * Called by the daily summary builder, so incidents follow corrections, leave and absences.
+ */
+function evaluatePolicyRules(employeeUid, date, db = null) {
+  try {
+    const database = getDatabaseConnection(db)
+    const rules = getPolicyRules({ activeOnly: true }, database)
+    if (rules.length === 0) {
+      return []
+    }
+
+    const employee = database.prepare("SELECT uid, id_number FROM employees WHERE uid = ?").get(employeeUid)
+    if (!employee) {
+      return []
+    }
+
+    const now = dateService.getCurrentDateTime()
+    const summaryRows = database.prepare(`
+      SELECT date, has_late_entry, late_minutes, undertime_minutes, is_absent
+      FROM daily_attendance_summary
+      WHERE employee_uid = ? AND date BETWEEN ? AND ?
+      ORDER BY date
+    `)
+    const findIncident = database.prepare(
+      "SELECT * FROM policy_incidents WHERE rule_id = ? AND employee_uid = ? AND period_start = ?",
+    )
+    const rowsByPeriod = {}
+    const raised = []
+
+    rules.forEach((rule) => {
+      const period = getPolicyPeriod(date, rule.period)
+      const key = `${period.start}:${period.end}`
+      rowsByPeriod[key] = rowsByPeriod[key] || summaryRows.all(employeeUid, period.start, period.end)
+
+      const metric = POLICY_METRICS[rule.metric]
+      const counted = rowsByPeriod[key].filter((row) => metric.dayValue(row) > 0)
+      const value = counted.reduce((sum, row) => sum + metric.dayValue(row), 0)
+      const dates = JSON.stringify(counted.map((row) => row.date))
+      const breached = value > rule.threshold
+      const incident = findIncident.get(rule.id, employeeUid, period.start)
+
+      if (!incident) {
+        if (breached) {
+          database
+            .prepare(`
+              INSERT INTO policy_incidents (
+                rule_id, employee_uid, id_number, period_start, period_end, metric, threshold, value, dates,
+                status, created_at, updated_at
+              ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'open', ?, ?)
+            `)
+            .run(rule.id, employeeUid, employee.id_number, period.start, period.end, rule.metric, rule.threshold, value, dates, now, now)
+          console.log(`⚠️ Policy incident: employee ${employeeUid} - ${rule.name} (${value} > ${rule.threshold}, ${period.start} to ${period.end})`)
+          raised.push(rule.id)
+        }
+        return
+      }
+
+      // Open incidents that are no longer breached are voided, voided ones reopen when breached again;
+      // reviewed and dismissed incidents keep their status
+      let status = incident.status
+      if (status === "open" && !breached) status = "void"
+      if (status === "void" && breached) status = "open"
+
+      if (status !== incident.status || value !== incident.value || dates !== incident.dates) {
+        database
+          .prepare("UPDATE policy_incidents SET value = ?, dates = ?, status = ?, updated_at = ? WHERE id = ?")
+          .run(value, dates, status, now, incident.id)
+      }
+    })
+
+    return raised
+  } catch (error) {
+    console.error(`Error evaluating policy rules for employee ${employeeUid} on ${date}:`, error.message)
+    return []
+  }
+}
+
+/**
+ * Re-check every active employee for the periods containing a date (after a rule changes)
+ */
+function reevaluatePolicyRules(date = dateService.getCurrentDate(), db = null) {
+  const database = getDatabaseConnection(db)
+  const employees = database.prepare("SELECT uid FROM employees WHERE status = 'Active'").all()
+
+  database.transaction(() => {
+    employees.forEach((employee) => evaluatePolicyRules(employee.uid, date, database))
+  })()
+
+  return employees.length
+}
+
+function getPolicyIncidents({ status = null, employeeUid = null, startDate = null, endDate = null, limit = 500 } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  let query = `
+    SELECT pi.*, r.name AS rule_name, r.period,
+           e.first_name, e.last_name, e.department
+    FROM policy_incidents pi
+    JOIN attendance_policy_rules r ON pi.rule_id = r.id
+    LEFT JOIN employees e ON pi.employee_uid = e.uid
+    WHERE 1 = 1
+  `
+  const params = []
+
+  if (status && INCIDENT_STATUSES.includes(status)) {
+    query += " AND pi.status = ?"
+    params.push(status)
+  }
+  if (employeeUid) {
+    query += " AND pi.employee_uid = ?"
+    params.push(employeeUid)
+  }
+  if (startDate) {
+    query += " AND pi.period_end >= ?"
+    params.push(startDate)
+  }
+  if (endDate) {
+    query += " AND pi.period_start <= ?"
+    params.push(endDate)
+  }
+
+  query += " ORDER BY pi.period_start DESC, e.last_name, e.first_name LIMIT ?"
+  params.push(limit)
+
+  return database
+    .prepare(query)
+    .all(...params)
+    .map((incident) => ({
+      ...incident,
+      metric_label: POLICY_METRICS[incident.metric]?.label || incident.metric,
+      dates: JSON.parse(incident.dates || "[]"),
+    }))
+}
+
+function reviewPolicyIncident(id, status, { reviewedBy = null, notes = null } = {}, db = null) {
+  if (status !== "reviewed" && status !== "dismissed") {
+    return { success: false, error: "Incidents can only be marked reviewed or dismissed" }
+  }
+
+  const database = getDatabaseConnection(db)
+  const incident = database.prepare("SELECT * FROM policy_incidents WHERE id = ?").get(id)
+  if (!incident) {
+    return { success: false, error: "Incident not found" }
+  }
+  if (incident.status === "void") {
+    return { success: false, error: "Incident is void - the rule is no longer breached" }
+  }
+
+  const now = dateService.getCurrentDateTime()
+  database
+    .prepare(`
+      UPDATE policy_incidents
+      SET status = ?, reviewed_by = ?, review_notes = ?, reviewed_at = ?, updated_at = ?
+      WHERE id = ?
+    `)
+    .run(status, reviewedBy, notes, now, now, id)
+
+  console.log(`✓ Policy incident #${id} ${status}`)
+  return { success: true }
+}
+
+module.exports = {
+  DEFAULT_POLICY_RULES,
+  POLICY_METRICS,
+  POLICY_PERIODS,
+  INCIDENT_STATUSES,
+  getPolicyPeriod,
+  getPolicyRules,
+  savePolicyRule,
+  evaluatePolicyRules,
+  reevaluatePolicyRules,
+  getPolicyIncidents,
+  reviewPolicyIncident,
+}
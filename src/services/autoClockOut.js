@@ -0,0 +1,372 @@
+// Automatic clock-out - a session still open a set time after the shift ended (a forgotten
+// clock-out) is closed by a scheduled job, so it stops showing as currently clocked in and
+// the day gets its hours. The clock-out time follows the policy chosen in Settings: the
+// scheduled end of the shift, or the clock-in time itself (zero hours). Auto clock-outs are
+// marked on the punch (auto_clock_out) and keep the day incomplete until HR reviews them.
+const dateService = require("./dateService")
+const { calculateHoursWithStats } = require("./timeCalculator")
+const { getScheduleForEmployee } = require("./shiftSchedule")
+const { getRoundingPolicy, getRoundedClockTime } = require("./timeRounding")
+const { recordPunchAfterTheFact } = require("./sessionStateMachine")
+const { parseTimestamp, formatTimestamp, atSiteMinutes, toBusinessDate, addDays } = require("./siteTime")
+
+const AUTO_CLOCK_OUT_POLICIES = ["scheduled_end", "zero_hours"]
+
+// Off until enabled in Settings
+const AUTO_CLOCK_OUT_SETTINGS = {
+  auto_clock_out_enabled: "false",
+  auto_clock_out_after_hours: "4", // Hours after the shift end before a session is closed
+  auto_clock_out_policy: "scheduled_end",
+}
+
+const AUTO_CLOCK_OUT_SETTING_KEYS = Object.keys(AUTO_CLOCK_OUT_SETTINGS)
+
+// How far back open sessions are closed when the kiosk was off for a while
+const MAX_CATCH_UP_DAYS = 31
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function parseAfterHours(value) {
+  const hours = Number(value)
+  return Number.isFinite(hours) && hours >= 0 && hours <= 24 ? hours : null
+}
+
+/**
+ * Auto clock-out settings: { enabled, afterHours, policy }
+ */
+function getAutoClockOutSettings(db = null) {
+  const values = { ...AUTO_CLOCK_OUT_SETTINGS }
+
+  try {
+    getDatabaseConnection(db)
+      .prepare(`SELECT key, value FROM settings WHERE key IN (${AUTO_CLOCK_OUT_SETTING_KEYS.map(() => "?").join(", ")})`)
+      .all(...AUTO_CLOCK_OUT_SETTING_KEYS)
+      .forEach((row) => {
+        values[row.key] = row.value
+      })
+  } catch (error) {
+    console.error("Error reading auto clock-out settings, using defaults:", error.message)
+  }
+
+  return {
+    enabled: values.auto_clock_out_enabled === "true",
+    afterHours: parseAfterHours(values.auto_clock_out_after_hours) ?? Number(AUTO_CLOCK_OUT_SETTINGS.auto_clock_out_after_hours),
+    policy: AUTO_CLOCK_OUT_POLICIES.includes(values.auto_clock_out_policy)
+      ? values.auto_clock_out_policy
+      : AUTO_CLOCK_OUT_SETTINGS.auto_clock_out_policy,
+  }
+}
+
+/**
+ * Error message for invalid auto clock-out values in a settings update, or null
+ */
+function validateAutoClockOutSettings(settings) {
+  const afterHours = settings.auto_clock_out_after_hours
+  if (afterHours !== undefined && parseAfterHours(afterHours) === null) {
+    return "Auto clock-out delay must be 0 to 24 hours after the shift end"
+  }
+
+  const policy = settings.auto_clock_out_policy
+  if (policy !== undefined && !AUTO_CLOCK_OUT_POLICIES.includes(policy)) {
+    return `Auto clock-out policy must be one of ${AUTO_CLOCK_OUT_POLICIES.join(", ")}`
+  }
+
+  return null
+}
+
+/**
+ * When an open session counts as forgotten and what its clock-out time would be.
+ * A session started before the scheduled end ends with the shift; one started after it
+ * (evening / overtime work) has no scheduled end, so it is given until the end of the
+ * night window and is closed at its clock-in time under either policy.
+ */
+function getAutoClockOut(clockIn, settings, db) {
+  const clockInTime = parseTimestamp(clockIn.clock_time)
+  const schedule = getScheduleForEmployee(clockIn.employee_uid, clockIn.date, db)
+  const scheduledEnd = atSiteMinutes(clockIn.date, 0, schedule.endMinutes)
+  const afterScheduledEnd = clockInTime >= scheduledEnd
+
+  const shiftEnd = afterScheduledEnd ? atSiteMinutes(clockIn.date, 0, schedule.nightShiftEndMinutes) : scheduledEnd
+  const clockOutTime = settings.policy === "scheduled_end" && !afterScheduledEnd ? scheduledEnd : clockInTime
+
+  return {
+    shiftEnd,
+    dueAt: new Date(shiftEnd.getTime() + settings.afterHours * 60 * 60 * 1000),
+    clockOutTime,
+  }
+}
+
+// Clock-ins without a clock-out in their session, newest dates last
+function findOpenClockIns(database, startDate, endDate) {
+  return database
+    .prepare(`
+      SELECT a.*, e.id_number AS employee_id_number
+      FROM attendance a
+      JOIN employees e ON a.employee_uid = e.uid
+      WHERE a.direction = 'in' AND a.date BETWEEN ? AND ?
+        AND NOT EXISTS (
+          SELECT 1 FROM attendance o
+          WHERE o.employee_uid = a.employee_uid AND o.date = a.date AND o.sequence = a.sequence AND o.direction = 'out'
+        )
+      ORDER BY a.date, a.employee_uid, a.sequence
+    `)
+    .all(startDate, endDate)
+}
+
+// Only the latest session of a date can still be open - an earlier clock-in without a
+// clock-out was followed by another punch and is left for a punch correction
+function isLastSessionOfDay(database, clockIn) {
+  const last = database
+    .prepare("SELECT MAX(sequence) AS sequence FROM attendance WHERE employee_uid = ? AND date = ?")
+    .get(clockIn.employee_uid, clockIn.date)
+  return last && last.sequence === clockIn.sequence
+}
+
+// Calculate hours for a clock-out and store them (with statistics) on the record
+function recalculateSession(database, clockIn, clockOutId, clockOutType, clockOutTime) {
+  const hours = calculateHoursWithStats(
+    clockOutType,
+    clockOutTime,
+    parseTimestamp(clockIn.clock_time),
+    clockIn.employee_uid,
+    clockIn.id,
+    clockOutId,
+    database,
+  )
+
+  database
+    .prepare("UPDATE attendance SET regular_hours = ?, overtime_hours = ?, is_synced = 0 WHERE id = ?")
+    .run(hours.regularHours, hours.overtimeHours, clockOutId)
+
+  return { regularHours: hours.regularHours, overtimeHours: hours.overtimeHours }
+}
+
+/**
+ * Close one open session with an auto clock-out punch and rebuild the day.
+ * Null when the session state machine does not allow the clock-out at that time.
+ */
+function closeSession(database, clockIn, clockOutTime, settings) {
+  const { updateDailyAttendanceSummary } = require("../database/setup")
+  const employee = { uid: clockIn.employee_uid, id_number: clockIn.id_number || clockIn.employee_id_number }
+
+  const close = database.transaction(() => {
+    const punch = recordPunchAfterTheFact(
+      employee,
+      { event: "out", now: clockOutTime, date: clockIn.date },
+      { db: database, punchMethod: "auto_clock_out", autoClockOutPolicy: settings.policy },
+    )
+    if (!punch.success) {
+      console.log(`⚠️ Auto clock-out of attendance record ${clockIn.id} not recorded: ${punch.error}`)
+      return null
+    }
+
+    const [record] = punch.records
+    updateDailyAttendanceSummary(clockIn.employee_uid, clockIn.date, database)
+
+    return { attendanceId: record.id, regularHours: record.regular_hours, overtimeHours: record.overtime_hours }
+  })
+
+  return close()
+}
+
+/**
+ * Scheduled job: close every session still open past its shift end plus the configured
+ * delay. Safe to call repeatedly; does nothing while the feature is off.
+ */
+function runAutoClockOut(db = null) {
+  const database = getDatabaseConnection(db)
+  const settings = getAutoClockOutSettings(database)
+
+  if (!settings.enabled) {
+    return { success: true, skipped: true, closed: [] }
+  }
+
+  const now = dateService.now()
+  const today = dateService.getCurrentDate()
+  const closed = []
+
+  findOpenClockIns(database, addDays(today, -(MAX_CATCH_UP_DAYS - 1)), today).forEach((clockIn) => {
+    try {
+      if (!isLastSessionOfDay(database, clockIn)) {
+        return
+      }
+
+      const autoClockOut = getAutoClockOut(clockIn, settings, database)
+      if (now < autoClockOut.dueAt) {
+        return
+      }
+
+      const result = closeSession(database, clockIn, autoClockOut.clockOutTime, settings)
+      if (!result) {
+        return
+      }
+
+      closed.push({
+        employeeUid: clockIn.employee_uid,
+        date: clockIn.date,
+        sequence: clockIn.sequence,
+        clockIn: clockIn.clock_time,
+        clockOut: formatTimestamp(autoClockOut.clockOutTime),
+        ...result,
+      })
+      console.log(
+        `✓ Auto clock-out: employee ${clockIn.employee_uid} ${clockIn.date} session #${clockIn.sequence} closed at ${formatTimestamp(autoClockOut.clockOutTime)} (${settings.policy})`,
+      )
+    } catch (error) {
+      console.error(`Auto clock-out failed for attendance record ${clockIn.id}:`, error)
+    }
+  })
+
+  if (closed.length > 0) {
+    console.log(`✓ Auto clock-out closed ${closed.length} forgotten session(s)`)
+  }
+
+  return { success: true, closed }
+}
+
+/**
+ * Incomplete-punch report: sessions still missing their clock-out and sessions closed by
+ * the auto clock-out job. With pendingOnly, reviewed auto clock-outs are left out.
+ */
+function getIncompletePunches({ startDate = null, endDate = null, employeeUid = null, pendingOnly = true } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  const end = endDate || dateService.getCurrentDate()
+  const start = startDate || addDays(end, -(MAX_CATCH_UP_DAYS - 1))
+  const employeeFilter = employeeUid ? " AND a.employee_uid = ?" : ""
+  const params = employeeUid ? [start, end, employeeUid] : [start, end]
+
+  const openSessions = database
+    .prepare(`
+      SELECT a.id AS clock_in_id, a.employee_uid, a.id_number, a.date, a.sequence, a.clock_type,
+             a.clock_time AS clock_in, e.first_name, e.last_name, e.department
+      FROM attendance a
+      LEFT JOIN employees e ON a.employee_uid = e.uid
+      WHERE a.direction = 'in' AND a.date BETWEEN ? AND ?${employeeFilter}
+        AND NOT EXISTS (
+          SELECT 1 FROM attendance o
+          WHERE o.employee_uid = a.employee_uid AND o.date = a.date AND o.sequence = a.sequence AND o.direction = 'out'
+        )
+    `)
+    .all(...params)
+    .map((session) => ({ ...session, status: "open", clock_out: null, attendance_id: null }))
+
+  const autoClockOuts = database
+    .prepare(`
+      SELECT a.id AS attendance_id, a.employee_uid, a.id_number, a.date, a.sequence, a.clock_type,
+             a.clock_time AS clock_out, a.regular_hours, a.overtime_hours, a.auto_clock_out_policy,
+             a.auto_clock_out_reviewed_by, a.auto_clock_out_reviewed_at,
+             i.id AS clock_in_id, i.clock_time AS clock_in, e.first_name, e.last_name, e.department
+      FROM attendance a
+      LEFT JOIN attendance i
+        ON i.employee_uid = a.employee_uid AND i.date = a.date AND i.sequence = a.sequence AND i.direction = 'in'
+      LEFT JOIN employees e ON a.employee_uid = e.uid
+      WHERE a.auto_clock_out = 1 AND a.date BETWEEN ? AND ?${employeeFilter}
+        ${pendingOnly ? "AND a.auto_clock_out_reviewed_at IS NULL" : ""}
+    `)
+    .all(...params)
+    .map((session) => ({ ...session, status: session.auto_clock_out_reviewed_at ? "reviewed" : "auto_closed" }))
+
+  return [...openSessions, ...autoClockOuts].sort(
+    (a, b) => b.date.localeCompare(a.date) || (a.last_name || "").localeCompare(b.last_name || "") || a.sequence - b.sequence,
+  )
+}
+
+/**
+ * Mark an auto clock-out as reviewed. An actual clock-out time (site wall time, e.g. from a
+ * datetime-local input) replaces the automatic one and the session hours are recalculated.
+ */
+function reviewAutoClockOut(id, { reviewedBy = null, clockTime = null } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  const { updateDailyAttendanceSummary } = require("../database/setup")
+
+  const record = database.prepare("SELECT * FROM attendance WHERE id = ? AND auto_clock_out = 1").get(id)
+  if (!record) {
+    return { success: false, error: "Auto clock-out not found" }
+  }
+  if (record.auto_clock_out_reviewed_at) {
+    return { success: false, error: "Auto clock-out is already reviewed" }
+  }
+
+  const clockIn = database
+    .prepare("SELECT * FROM attendance WHERE employee_uid = ? AND date = ? AND sequence = ? AND direction = 'in'")
+    .get(record.employee_uid, record.date, record.sequence)
+
+  let actualTime = null
+  if (clockTime) {
+    actualTime = parseTimestamp(clockTime)
+    if (!actualTime || Number.isNaN(actualTime.getTime())) {
+      return { success: false, error: "Clock-out time is not a valid time" }
+    }
+    if (clockIn && actualTime < parseTimestamp(clockIn.clock_time)) {
+      return { success: false, error: "Clock-out time is before the clock-in" }
+    }
+    if (actualTime > dateService.now()) {
+      return { success: false, error: "Clock-out time is in the future" }
+    }
+    // Clock-outs may fall on the next day (overnight sessions)
+    if (![record.date, addDays(record.date, 1)].includes(toBusinessDate(actualTime))) {
+      return { success: false, error: `Clock-out time ${formatTimestamp(actualTime)} is not on ${record.date}` }
+    }
+
+    // The session has to close before the employee's next punch (the kiosk reopened it meanwhile)
+    const sessionStart = parseTimestamp(clockIn ? clockIn.clock_time : record.clock_time)
+    const next = database
+      .prepare("SELECT clock_type, clock_time FROM attendance WHERE employee_uid = ? AND date IN (?, ?) AND id != ?")
+      .all(record.employee_uid, record.date, addDays(record.date, 1), id)
+      .map((punch) => ({ ...punch, instant: parseTimestamp(punch.clock_time) }))
+      .filter((punch) => punch.instant > sessionStart)
+      .sort((a, b) => a.instant - b.instant)[0]
+    if (next && actualTime >= next.instant) {
+      return { success: false, error: `Clock-out time must be before the next punch (${next.clock_type} at ${next.clock_time})` }
+    }
+  }
+
+  const review = database.transaction(() => {
+    let hours = null
+    if (actualTime) {
+      const clockTimeText = formatTimestamp(actualTime)
+      database
+        .prepare("UPDATE attendance SET clock_time = ?, rounded_clock_time = ?, is_synced = 0 WHERE id = ?")
+        .run(clockTimeText, getRoundedClockTime(record.clock_type, clockTimeText, getRoundingPolicy(database)), id)
+
+      if (clockIn) {
+        hours = recalculateSession(database, clockIn, id, record.clock_type, actualTime)
+      }
+    }
+
+    database
+      .prepare(`
+        UPDATE attendance
+        SET auto_clock_out_reviewed_by = ?, auto_clock_out_reviewed_at = ?, is_synced = 0
+        WHERE id = ?
+      `)
+      .run(reviewedBy, dateService.getCurrentDateTime(), id)
+
+    updateDailyAttendanceSummary(record.employee_uid, record.date, database)
+    return hours
+  })
+
+  const hours = review()
+  console.log(`✓ Auto clock-out ${id} reviewed${actualTime ? ` - clock-out set to ${formatTimestamp(actualTime)}` : ""}`)
+
+  return { success: true, employeeUid: record.employee_uid, date: record.date, ...(hours || {}) }
+}
+
+module.exports = {
+  AUTO_CLOCK_OUT_POLICIES,
+  AUTO_CLOCK_OUT_SETTINGS,
+  AUTO_CLOCK_OUT_SETTING_KEYS,
+  getAutoClockOutSettings,
+  validateAutoClockOutSettings,
+  getAutoClockOut,
+  runAutoClockOut,
+  getIncompletePunches,
+  reviewAutoClockOut,
+}
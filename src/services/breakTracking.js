@@ -0,0 +1,197 @@
+// Break tracking - the gaps between a day's completed sessions are breaks: a break-out punch
+// (BREAK at the kiosk, or any clock-out followed by another session) and the break-in that
+// ends it. A gap overlapping the schedule's lunch window is a meal break, anything else a rest
+// break. When nobody punches lunch the calculator deducts the lunch window from the session,
+// and that time is reported as an unpunched meal break. Rest breaks are paid up to a daily
+// allowance; meal breaks are unpaid. A day is flagged when the minimum break was not taken or
+// a break ran longer than allowed.
+const { getScheduleBreaks } = require("./nightDifferential")
+const { parseTimestamp, formatTimestamp, atSiteMinutes } = require("./siteTime")
+
+// Settings keys and defaults; 0 turns a rule off
+const BREAK_SETTINGS = {
+  paid_break_minutes: 0, // Rest-break minutes per day that still count as worked time
+  maximum_break_minutes: 0, // Longest rest break before the day is flagged (meal breaks: the lunch window)
+  minimum_break_minutes: 0, // Break time a long day must include
+  minimum_break_after_hours: 6, // Worked hours after which the minimum break applies
+}
+
+const BREAK_SETTING_KEYS = Object.keys(BREAK_SETTINGS)
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function getBreakSettings(db = null) {
+  const settings = { ...BREAK_SETTINGS }
+
+  try {
+    getDatabaseConnection(db)
+      .prepare(`SELECT key, value FROM settings WHERE key IN (${BREAK_SETTING_KEYS.map(() => "?").join(", ")})`)
+      .all(...BREAK_SETTING_KEYS)
+      .forEach((row) => {
+        const value = Number(row.value)
+        if (row.value !== "" && Number.isFinite(value) && value >= 0) {
+          settings[row.key] = value
+        }
+      })
+  } catch (error) {
+    console.error("Error reading break settings, using defaults:", error.message)
+  }
+
+  return settings
+}
+
+/**
+ * Error message for invalid break values in a settings update, or null
+ */
+function validateBreakSettings(settings) {
+  const invalid = BREAK_SETTING_KEYS.find((key) => {
+    if (settings[key] === undefined) return false
+    const value = Number(settings[key])
+    return settings[key] === "" || !Number.isFinite(value) || value < 0
+  })
+
+  if (invalid) {
+    return "Break minutes and hours must be zero (off) or more"
+  }
+
+  const afterHours = settings.minimum_break_after_hours
+  if (afterHours !== undefined && Number(afterHours) > 24) {
+    return "Minimum break must apply after 24 hours or less"
+  }
+
+  return null
+}
+
+function minutesBetween(start, end) {
+  return Math.max(0, Math.round((end - start) / 60000))
+}
+
+function overlapMinutes(start, end, windowStart, windowEnd) {
+  return minutesBetween(Math.max(start, windowStart), Math.min(end, windowEnd))
+}
+
+/**
+ * Breaks of a day's sessions (see timeCalculator.pairSessions) under its schedule:
+ * { breaks, breakMinutes, mealBreakMinutes, restBreakMinutes, paidBreakMinutes, workedMinutes,
+ *   missedBreak, longBreak, messages }. A rest break carries its share of the paid minutes
+ * (paid_minutes) and the label of the session it interrupted (session)
+ */
+function analyzeBreaks(sessions, schedule, date, settings = BREAK_SETTINGS) {
+  const clockInstant = (record) => parseTimestamp(record.clock_time).getTime()
+  const completed = sessions.filter((session) => session.clockIn && session.clockOut)
+
+  const lunchStart = atSiteMinutes(date, 0, schedule.lunchStartMinutes).getTime()
+  const lunchEnd = atSiteMinutes(date, 0, schedule.lunchEndMinutes).getTime()
+  const lunchMinutes = minutesBetween(lunchStart, lunchEnd)
+  const scheduledEnd = atSiteMinutes(date, 0, schedule.endMinutes).getTime()
+
+  const breaks = []
+  let workedMinutes = 0
+  let unpunchedMealMinutes = 0
+  let previous = null
+
+  completed.forEach((session) => {
+    const clockIn = clockInstant(session.clockIn)
+    const clockOut = clockInstant(session.clockOut)
+
+    // The calculator leaves the lunch window out of a session that runs through it
+    const deducted = getScheduleBreaks(schedule, session.label).length > 0
+      ? overlapMinutes(clockIn, clockOut, lunchStart, lunchEnd)
+      : 0
+    workedMinutes += minutesBetween(clockIn, clockOut) - deducted
+    unpunchedMealMinutes += deducted
+
+    if (previous) {
+      const breakOut = clockInstant(previous.clockOut)
+      const isMeal = lunchMinutes > 0 && overlapMinutes(breakOut, clockIn, lunchStart, lunchEnd) > 0
+      // Leaving after the shift (before evening overtime), an explicit OUT outside lunch and
+      // a forgotten clock-out end the work, and a job transfer carries straight on - none of
+      // them are breaks
+      const isBreak = breakOut < scheduledEnd && !previous.clockOut.auto_clock_out &&
+        (isMeal || !["out", "transfer"].includes(previous.clockOut.kiosk_action))
+
+      if (isBreak) {
+        breaks.push({
+          type: isMeal ? "meal" : "rest",
+          session: previous.label,
+          break_out_id: previous.clockOut.id,
+          break_in_id: session.clockIn.id,
+          start: previous.clockOut.clock_time,
+          end: session.clockIn.clock_time,
+          minutes: minutesBetween(breakOut, clockIn),
+        })
+      }
+    }
+    previous = session
+  })
+
+  if (unpunchedMealMinutes > 0) {
+    breaks.push({
+      type: "meal",
+      unpunched: true,
+      start: formatTimestamp(new Date(lunchStart)),
+      end: formatTimestamp(new Date(lunchEnd)),
+      minutes: unpunchedMealMinutes,
+    })
+  }
+
+  const mealBreakMinutes = breaks.filter((entry) => entry.type === "meal").reduce((sum, entry) => sum + entry.minutes, 0)
+  const restBreakMinutes = breaks.filter((entry) => entry.type === "rest").reduce((sum, entry) => sum + entry.minutes, 0)
+  const breakMinutes = mealBreakMinutes + restBreakMinutes
+  const paidBreakMinutes = Math.min(restBreakMinutes, settings.paid_break_minutes)
+
+  // The paid allowance covers the day's rest breaks in order
+  let paidAllowance = paidBreakMinutes
+  breaks.forEach((entry) => {
+    if (entry.type !== "rest") return
+    entry.paid_minutes = Math.min(entry.minutes, paidAllowance)
+    paidAllowance -= entry.paid_minutes
+  })
+
+  const messages = []
+
+  breaks.forEach((entry) => {
+    if (entry.unpunched) return
+
+    const allowed = entry.type === "meal" ? lunchMinutes + schedule.gracePeriod : settings.maximum_break_minutes
+    if (allowed > 0 && entry.minutes > allowed) {
+      entry.long = true
+      messages.push(`${entry.type === "meal" ? "Meal" : "Rest"} break of ${entry.minutes} min is over the ${allowed} min allowed`)
+    }
+  })
+  const longBreak = breaks.some((entry) => entry.long)
+
+  const missedBreak = settings.minimum_break_minutes > 0 &&
+    workedMinutes > settings.minimum_break_after_hours * 60 &&
+    breakMinutes < settings.minimum_break_minutes
+  if (missedBreak) {
+    messages.push(`Only ${breakMinutes} min of break in ${Math.round(workedMinutes / 6) / 10}h worked, ${settings.minimum_break_minutes} min required`)
+  }
+
+  return {
+    breaks,
+    breakMinutes,
+    mealBreakMinutes,
+    restBreakMinutes,
+    paidBreakMinutes,
+    workedMinutes,
+    missedBreak,
+    longBreak,
+    messages,
+  }
+}
+
+module.exports = {
+  BREAK_SETTINGS,
+  BREAK_SETTING_KEYS,
+  getBreakSettings,
+  validateBreakSettings,
+  analyzeBreaks,
+}
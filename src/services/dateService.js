@@ -1,18 +1,20 @@
+const siteTime = require("./siteTime")
+
+// Current business date/time in the site timezone (see siteTime for the stored format)
 class DateService {
   constructor() {
     this.lastValidDate = null
     this.dateOffset = 0
   }
 
+  // Current instant, shifted by the trusted time correction when it is enabled
+  now() {
+    return new Date(Date.now() + this.dateOffset)
+  }
+
   getCurrentDate() {
-    const systemDate = new Date()
-    // Use local date string format YYYY-MM-DD
-    const currentDateString =
-      systemDate.getFullYear() +
-      "-" +
-      String(systemDate.getMonth() + 1).padStart(2, "0") +
-      "-" +
-      String(systemDate.getDate()).padStart(2, "0")
+    // Site-local date string format YYYY-MM-DD
+    const currentDateString = siteTime.toBusinessDate(this.now())
 
     // Initialize on first run
     if (!this.lastValidDate) {
@@ -34,27 +36,18 @@ class DateService {
   }
 
   getCurrentDateTime() {
-    const now = new Date()
+    const now = this.now()
     const currentDate = this.getCurrentDate()
 
-    // Get system local date string
-    const systemDateString =
-      now.getFullYear() +
-      "-" +
-      String(now.getMonth() + 1).padStart(2, "0") +
-      "-" +
-      String(now.getDate()).padStart(2, "0")
+    // Get system date in the site timezone
+    const systemDateString = siteTime.toBusinessDate(now)
 
     if (currentDate !== systemDateString) {
-      // System date went backward, create new date with cached date and current local time
-      const hours = now.getHours()
-      const minutes = now.getMinutes()
-      const seconds = now.getSeconds()
-      const milliseconds = now.getMilliseconds()
-
+      // System date went backward, create new date with cached date and current site time
+      const { hour, minute, second, millisecond } = siteTime.getZonedParts(now)
       const [year, month, day] = currentDate.split("-").map(Number)
-      const localDateTime = new Date(year, month - 1, day, hours, minutes, seconds, milliseconds)
-      return this.formatLocalDateTime(localDateTime)
+      const siteDateTime = siteTime.zonedTimeToDate({ year, month, day, hour, minute, second, millisecond })
+      return this.formatLocalDateTime(siteDateTime)
     }
 
     return this.formatLocalDateTime(now)
@@ -85,16 +78,9 @@ class DateService {
     this.dateOffset = 0
   }
 
+  // Stored timestamp format: site wall-clock time with its UTC offset
   formatLocalDateTime(date) {
-    const year = date.getFullYear()
-    const month = String(date.getMonth() + 1).padStart(2, "0")
-    const day = String(date.getDate()).padStart(2, "0")
-    const hours = String(date.getHours()).padStart(2, "0")
-    const minutes = String(date.getMinutes()).padStart(2, "0")
-    const seconds = String(date.getSeconds()).padStart(2, "0")
-    const milliseconds = String(date.getMilliseconds()).padStart(3, "0")
-
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.${milliseconds}`
+    return siteTime.formatTimestamp(date)
   }
 }
 
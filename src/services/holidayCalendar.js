@@ -0,0 +1,218 @@
+// Holiday calendar - resolves holidays per business date and splits worked hours
+// into holiday buckets so payroll can apply the premium rate.
+
+// Holiday types and their default pay multipliers (applied by payroll).
+// A holiday row can override the multipliers for a single date.
+const HOLIDAY_TYPES = {
+  regular: {
+    label: "Regular Holiday",
+    regularMultiplier: 2.0,
+    overtimeMultiplier: 2.6,
+  },
+  special_non_working: {
+    label: "Special Non-Working Day",
+    regularMultiplier: 1.3,
+    overtimeMultiplier: 1.69,
+  },
+  company_shutdown: {
+    label: "Company Shutdown",
+    regularMultiplier: 1.0,
+    overtimeMultiplier: 1.25,
+  },
+}
+
+// Spellings accepted in imported spreadsheets
+const HOLIDAY_TYPE_ALIASES = {
+  regular: "regular",
+  "regular holiday": "regular",
+  legal: "regular",
+  "legal holiday": "regular",
+  special: "special_non_working",
+  "special holiday": "special_non_working",
+  "special non-working": "special_non_working",
+  "special non-working day": "special_non_working",
+  special_non_working: "special_non_working",
+  shutdown: "company_shutdown",
+  "company shutdown": "company_shutdown",
+  company_shutdown: "company_shutdown",
+}
+
+function normalizeHolidayType(type) {
+  const key = String(type || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ")
+  return HOLIDAY_TYPE_ALIASES[key] || null
+}
+
+/**
+ * Normalize a date value to YYYY-MM-DD.
+ * Accepts YYYY-MM-DD strings, Date objects, MM/DD/YYYY strings and Excel serial numbers.
+ */
+function normalizeHolidayDate(value) {
+  if (value === null || value === undefined || value === "") {
+    return null
+  }
+
+  let date = null
+
+  if (value instanceof Date) {
+    date = value
+  } else if (typeof value === "number") {
+    // Excel serial date (days since 1899-12-30)
+    date = new Date(Math.round((value - 25569) * 86400 * 1000))
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().split("T")[0]
+  } else {
+    const text = String(value).trim()
+    const isoMatch = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text)
+    const usMatch = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text)
+
+    const parts = isoMatch
+      ? [isoMatch[1], isoMatch[2], isoMatch[3]]
+      : usMatch
+        ? [usMatch[3], usMatch[1], usMatch[2]]
+        : null
+
+    if (parts) {
+      const [year, month, day] = parts.map(Number)
+      date = new Date(year, month - 1, day)
+      // Reject dates that rolled over (e.g. 2026-02-30)
+      if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null
+      }
+    } else {
+      date = new Date(text)
+    }
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    return null
+  }
+
+  return (
+    date.getFullYear() +
+    "-" +
+    String(date.getMonth() + 1).padStart(2, "0") +
+    "-" +
+    String(date.getDate()).padStart(2, "0")
+  )
+}
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+/**
+ * Get the holiday for a business date (YYYY-MM-DD), or null.
+ * An exact date wins over a recurring (every year) holiday on the same month/day.
+ */
+function getHolidayForDate(date, db = null) {
+  const targetDate = normalizeHolidayDate(date)
+  if (!targetDate) {
+    return null
+  }
+
+  try {
+    const database = getDatabaseConnection(db)
+    const row = database
+      .prepare(`
+        SELECT * FROM holidays
+        WHERE is_active = 1
+          AND (date = ? OR (is_recurring = 1 AND substr(date, 6) = ?))
+        ORDER BY CASE WHEN date = ? THEN 0 ELSE 1 END
+        LIMIT 1
+      `)
+      .get(targetDate, targetDate.substring(5), targetDate)
+
+    if (!row) {
+      return null
+    }
+
+    const typeDefaults = HOLIDAY_TYPES[row.holiday_type] || HOLIDAY_TYPES.regular
+
+    return {
+      id: row.id,
+      date: targetDate,
+      name: row.name,
+      type: row.holiday_type,
+      label: typeDefaults.label,
+      regularMultiplier: row.regular_multiplier ?? typeDefaults.regularMultiplier,
+      overtimeMultiplier: row.overtime_multiplier ?? typeDefaults.overtimeMultiplier,
+    }
+  } catch (error) {
+    console.error(`Error looking up holiday for ${targetDate}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Split a day's hours into holiday buckets.
+ * Hours worked on a holiday stay in regular/overtime totals and are also reported
+ * as holiday regular / holiday OT together with the multipliers to pay them at.
+ */
+function bucketHolidayHours(regularHours, overtimeHours, holiday) {
+  if (!holiday) {
+    return {
+      holiday_name: null,
+      holiday_type: null,
+      holiday_regular_hours: 0,
+      holiday_overtime_hours: 0,
+      holiday_regular_multiplier: null,
+      holiday_overtime_multiplier: null,
+    }
+  }
+
+  return {
+    holiday_name: holiday.name,
+    holiday_type: holiday.type,
+    holiday_regular_hours: regularHours || 0,
+    holiday_overtime_hours: overtimeHours || 0,
+    holiday_regular_multiplier: holiday.regularMultiplier,
+    holiday_overtime_multiplier: holiday.overtimeMultiplier,
+  }
+}
+
+/**
+ * Validate a holiday payload from the settings screen or an import row.
+ * Returns an array of error messages (empty when valid).
+ */
+function validateHoliday(holiday) {
+  const errors = []
+
+  if (!holiday) {
+    errors.push("Holiday is required")
+    return errors
+  }
+
+  if (!normalizeHolidayDate(holiday.date)) errors.push("Date must be YYYY-MM-DD")
+  if (!String(holiday.name || "").trim()) errors.push("Holiday name is required")
+  if (!normalizeHolidayType(holiday.holiday_type)) {
+    errors.push(`Holiday type must be one of: ${Object.keys(HOLIDAY_TYPES).join(", ")}`)
+  }
+
+  for (const field of ["regular_multiplier", "overtime_multiplier"]) {
+    const value = holiday[field]
+    if (value !== null && value !== undefined && value !== "") {
+      const multiplier = Number(value)
+      if (!Number.isFinite(multiplier) || multiplier <= 0 || multiplier > 10) {
+        errors.push(`${field.replace("_", " ")} must be between 0 and 10`)
+      }
+    }
+  }
+
+  return errors
+}
+
+module.exports = {
+  HOLIDAY_TYPES,
+  normalizeHolidayType,
+  normalizeHolidayDate,
+  getHolidayForDate,
+  bucketHolidayHours,
+  validateHoliday,
+}
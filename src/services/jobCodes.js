@@ -0,0 +1,175 @@
+// Job codes - customer jobs / cost centers labor is billed to. The employee picks a job at the
+// kiosk (or scans a JOB+<code> card) when clocking in; picking another job while clocked in
+// is a transfer punch that closes the open session and starts the next one on the new job at
+// the same time. Every punch carries the job of its session (attendance.job_code), and the
+// summary builder keeps one row per completed session in job_time_segments for the
+// hours-per-job reports.
+const JOB_CODE_PATTERN = /^[A-Z0-9][A-Z0-9._-]{0,19}$/
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100
+}
+
+function normalizeJobCode(code) {
+  return String(code || "").trim().toUpperCase()
+}
+
+/**
+ * Validation errors for a job code form / import row (empty when valid)
+ */
+function validateJobCode(job) {
+  const errors = []
+
+  if (!job || !normalizeJobCode(job.code)) {
+    errors.push("Job code is required")
+  } else if (!JOB_CODE_PATTERN.test(normalizeJobCode(job.code))) {
+    errors.push("Job code must be up to 20 letters, digits, dots, dashes or underscores")
+  }
+
+  if (!job || !String(job.name || "").trim()) {
+    errors.push("Job name is required")
+  }
+
+  return errors
+}
+
+/**
+ * Active job by code, or null when it does not exist or was deactivated
+ */
+function getActiveJobCode(code, db = null) {
+  const jobCode = normalizeJobCode(code)
+  if (!jobCode) {
+    return null
+  }
+
+  return getDatabaseConnection(db)
+    .prepare("SELECT * FROM job_codes WHERE code = ? AND is_active = 1")
+    .get(jobCode) || null
+}
+
+/**
+ * Replace the job time segments of an employee's business date with its completed sessions
+ * (see timeCalculator.pairSessions). Sessions without a job are kept with a NULL job_code so
+ * the report still adds up to the day's hours.
+ */
+function updateJobTimeSegments(employeeUid, date, sessions, db = null) {
+  const database = getDatabaseConnection(db)
+  const insertSegment = database.prepare(`
+    INSERT INTO job_time_segments (
+      employee_uid, date, sequence, job_code, clock_in_id, clock_out_id,
+      start_time, end_time, regular_hours, overtime_hours, last_updated
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `)
+
+  database.prepare("DELETE FROM job_time_segments WHERE employee_uid = ? AND date = ?").run(employeeUid, date)
+
+  let segments = 0
+  sessions.forEach((session) => {
+    if (!session.clockIn || !session.clockOut) return
+
+    insertSegment.run(
+      employeeUid, date, session.sequence, session.clockIn.job_code || null,
+      session.clockIn.id, session.clockOut.id,
+      session.clockIn.clock_time, session.clockOut.clock_time,
+      session.clockOut.regular_hours || 0, session.clockOut.overtime_hours || 0,
+      new Date().toISOString(),
+    )
+    segments++
+  })
+
+  return segments
+}
+
+/**
+ * Hours per job between two business dates:
+ * { jobs: one total per job, rows: one row per job, employee and date }
+ */
+function getJobHours({ startDate = null, endDate = null, employeeUids = [], jobCode = null } = {}, db = null) {
+  let query = `
+    SELECT s.job_code, j.name AS job_name, j.customer, s.employee_uid, e.id_number,
+           e.first_name, e.last_name, e.department, s.date,
+           COUNT(*) AS segments,
+           SUM(s.regular_hours) AS regular_hours,
+           SUM(s.overtime_hours) AS overtime_hours
+    FROM job_time_segments s
+    JOIN employees e ON s.employee_uid = e.uid
+    LEFT JOIN job_codes j ON s.job_code = j.code
+    WHERE 1=1
+  `
+  const params = []
+
+  if (startDate) {
+    query += " AND s.date >= ?"
+    params.push(startDate)
+  }
+
+  if (endDate) {
+    query += " AND s.date <= ?"
+    params.push(endDate)
+  }
+
+  if (employeeUids && employeeUids.length > 0) {
+    query += ` AND s.employee_uid IN (${employeeUids.map(() => "?").join(", ")})`
+    params.push(...employeeUids)
+  }
+
+  if (jobCode) {
+    query += " AND s.job_code = ?"
+    params.push(normalizeJobCode(jobCode))
+  }
+
+  query += " GROUP BY s.job_code, s.employee_uid, s.date ORDER BY s.job_code IS NULL, s.job_code, e.last_name, e.first_name, s.date"
+
+  const rows = getDatabaseConnection(db)
+    .prepare(query)
+    .all(...params)
+    .map((row) => ({
+      ...row,
+      regular_hours: roundHours(row.regular_hours || 0),
+      overtime_hours: roundHours(row.overtime_hours || 0),
+      total_hours: roundHours((row.regular_hours || 0) + (row.overtime_hours || 0)),
+    }))
+
+  const totals = new Map()
+  rows.forEach((row) => {
+    const key = row.job_code || ""
+    if (!totals.has(key)) {
+      totals.set(key, {
+        job_code: row.job_code,
+        job_name: row.job_name,
+        customer: row.customer,
+        employees: new Set(),
+        regular_hours: 0,
+        overtime_hours: 0,
+        total_hours: 0,
+      })
+    }
+
+    const total = totals.get(key)
+    total.employees.add(row.employee_uid)
+    total.regular_hours = roundHours(total.regular_hours + row.regular_hours)
+    total.overtime_hours = roundHours(total.overtime_hours + row.overtime_hours)
+    total.total_hours = roundHours(total.total_hours + row.total_hours)
+  })
+
+  const jobs = [...totals.values()].map((total) => ({ ...total, employees: total.employees.size }))
+
+  return { jobs, rows }
+}
+
+module.exports = {
+  normalizeJobCode,
+  validateJobCode,
+  getActiveJobCode,
+  updateJobTimeSegments,
+  getJobHours,
+}
@@ -0,0 +1,54 @@
+// Kiosk actions - in "explicit" mode the employee picks IN, OUT or BREAK (on-screen buttons,
+// F1-F3 or an action prefix on the scanned barcode) before scanning, instead of
+// determineClockType guessing from the time of day and the last punch. The chosen action
+// is a transition of the employee's session state (see sessionStateMachine) and is checked
+// against it before anything is recorded.
+const KIOSK_ACTION_MODE_SETTING = "kiosk_action_mode"
+const KIOSK_ACTION_MODES = ["auto", "explicit"]
+const KIOSK_ACTIONS = ["in", "out", "break"]
+
+// "OUT+12345" clocks badge 12345 out; an action card holding only the prefix selects the action
+const ACTION_BARCODE_PREFIXES = {
+  "IN+": "in",
+  "OUT+": "out",
+  "BRK+": "break",
+}
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function getKioskActionMode(db = null) {
+  const database = getDatabaseConnection(db)
+  const row = database.prepare("SELECT value FROM settings WHERE key = ?").get(KIOSK_ACTION_MODE_SETTING)
+
+  return KIOSK_ACTION_MODES.includes(row?.value) ? row.value : "auto"
+}
+
+/**
+ * Split an action prefix off a scanned value: "BRK+12345" -> { action: "break", input: "12345" }
+ */
+function parseActionBarcode(input) {
+  const value = String(input || "").trim()
+  const prefix = Object.keys(ACTION_BARCODE_PREFIXES).find((key) => value.toUpperCase().startsWith(key))
+
+  if (!prefix) {
+    return { action: null, input: value }
+  }
+
+  return { action: ACTION_BARCODE_PREFIXES[prefix], input: value.substring(prefix.length).trim() }
+}
+
+module.exports = {
+  KIOSK_ACTION_MODE_SETTING,
+  KIOSK_ACTION_MODES,
+  KIOSK_ACTIONS,
+  ACTION_BARCODE_PREFIXES,
+  getKioskActionMode,
+  parseActionBarcode,
+}
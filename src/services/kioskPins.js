@@ -0,0 +1,286 @@
+// Kiosk PINs - the fallback for an employee without their badge: ID number plus a personal PIN
+// on the kiosk keypad. PINs are kept as salted scrypt hashes in employee_kiosk_pins (apart from
+// the employees table, which the server sync rewrites), and too many wrong PINs lock the
+// employee's PIN for a while. Punches record how they came in (attendance.punch_method) so HR
+// can see how often the fallback is used.
+const crypto = require("crypto")
+const dateService = require("./dateService")
+const { parseTimestamp, formatTimestamp } = require("./siteTime")
+
+const PIN_PATTERN = /^\d{4,8}$/
+const PIN_KEY_LENGTH = 32
+
+// Every value attendance.punch_method takes
+const PUNCH_METHODS = ["barcode", "pin", "camera", "correction", "auto_clock_out"]
+
+// The ones a kiosk reports for a scan - "pin" is only set once the PIN is checked, and
+// corrections and auto clock-outs are never punched at a kiosk
+const KIOSK_PUNCH_METHODS = PUNCH_METHODS.filter((method) => ["barcode", "camera"].includes(method))
+
+// Settings keys and defaults
+const KIOSK_PIN_SETTINGS = {
+  kiosk_pin_max_attempts: 5, // Wrong PINs in a row before the PIN is locked
+  kiosk_pin_lockout_minutes: 15, // How long a locked PIN stays locked
+}
+
+const KIOSK_PIN_SETTING_KEYS = Object.keys(KIOSK_PIN_SETTINGS)
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function getKioskPinSettings(db = null) {
+  const settings = { ...KIOSK_PIN_SETTINGS }
+
+  try {
+    getDatabaseConnection(db)
+      .prepare(`SELECT key, value FROM settings WHERE key IN (${KIOSK_PIN_SETTING_KEYS.map(() => "?").join(", ")})`)
+      .all(...KIOSK_PIN_SETTING_KEYS)
+      .forEach((row) => {
+        const value = Number.parseInt(row.value)
+        if (Number.isFinite(value) && value > 0) {
+          settings[row.key] = value
+        }
+      })
+  } catch (error) {
+    console.error("Error reading kiosk PIN settings, using defaults:", error.message)
+  }
+
+  return settings
+}
+
+/**
+ * Error message for invalid kiosk PIN values in a settings update, or null
+ */
+function validateKioskPinSettings(settings) {
+  const invalid = KIOSK_PIN_SETTING_KEYS.find((key) => {
+    if (settings[key] === undefined) return false
+    const value = Number(settings[key])
+    return !Number.isInteger(value) || value < 1
+  })
+
+  return invalid ? "Kiosk PIN attempts and lockout minutes must be whole numbers of 1 or more" : null
+}
+
+/**
+ * Error message for a PIN that cannot be used, or null
+ */
+function validatePin(pin) {
+  return PIN_PATTERN.test(String(pin ?? "")) ? null : "PIN must be 4 to 8 digits"
+}
+
+function hashPin(pin, salt) {
+  return crypto.scryptSync(String(pin), salt, PIN_KEY_LENGTH).toString("hex")
+}
+
+/**
+ * Set (or replace) an employee's PIN; clears any lockout
+ */
+function setEmployeePin(employeeUid, pin, db = null) {
+  const error = validatePin(pin)
+  if (error) {
+    return { success: false, error }
+  }
+
+  const database = getDatabaseConnection(db)
+  const employee = database.prepare("SELECT uid FROM employees WHERE uid = ?").get(employeeUid)
+  if (!employee) {
+    return { success: false, error: "Employee not found" }
+  }
+
+  const salt = crypto.randomBytes(16).toString("hex")
+  database.prepare(`
+    INSERT INTO employee_kiosk_pins (employee_uid, pin_hash, pin_salt, failed_attempts, locked_until, updated_at)
+    VALUES (?, ?, ?, 0, NULL, ?)
+    ON CONFLICT (employee_uid) DO UPDATE SET
+      pin_hash = excluded.pin_hash,
+      pin_salt = excluded.pin_salt,
+      failed_attempts = 0,
+      locked_until = NULL,
+      updated_at = excluded.updated_at
+  `).run(employeeUid, hashPin(pin, salt), salt, dateService.getCurrentDateTime())
+
+  console.log(`✓ Kiosk PIN set for employee ${employeeUid}`)
+  return { success: true }
+}
+
+function clearEmployeePin(employeeUid, db = null) {
+  const result = getDatabaseConnection(db)
+    .prepare("DELETE FROM employee_kiosk_pins WHERE employee_uid = ?")
+    .run(employeeUid)
+
+  return result.changes > 0 ? { success: true } : { success: false, error: "Employee has no kiosk PIN" }
+}
+
+function unlockEmployeePin(employeeUid, db = null) {
+  const result = getDatabaseConnection(db)
+    .prepare("UPDATE employee_kiosk_pins SET failed_attempts = 0, locked_until = NULL WHERE employee_uid = ?")
+    .run(employeeUid)
+
+  return result.changes > 0 ? { success: true } : { success: false, error: "Employee has no kiosk PIN" }
+}
+
+/**
+ * Check the PIN typed at the kiosk. A wrong PIN counts towards the lockout, a right one resets it.
+ * { success: true } or { success: false, error, locked, lockedUntil, attemptsLeft, noPin }
+ */
+function verifyEmployeePin(employeeUid, pin, settings = null, db = null) {
+  const database = getDatabaseConnection(db)
+  const { kiosk_pin_max_attempts: maxAttempts, kiosk_pin_lockout_minutes: lockoutMinutes } =
+    settings || getKioskPinSettings(database)
+  const now = parseTimestamp(dateService.getCurrentDateTime())
+
+  const record = database.prepare("SELECT * FROM employee_kiosk_pins WHERE employee_uid = ?").get(employeeUid)
+  if (!record) {
+    return {
+      success: false,
+      noPin: true,
+      error: "No kiosk PIN is set for this ID. Please use your badge or ask an administrator to set a PIN.",
+    }
+  }
+
+  if (record.locked_until && parseTimestamp(record.locked_until) > now) {
+    const minutes = Math.ceil((parseTimestamp(record.locked_until) - now) / 60000)
+    return {
+      success: false,
+      locked: true,
+      lockedUntil: record.locked_until,
+      error: `PIN locked after too many wrong attempts. Try again in ${minutes} minutes or ask an administrator.`,
+    }
+  }
+
+  const expected = Buffer.from(record.pin_hash, "hex")
+  const actual = Buffer.from(hashPin(pin ?? "", record.pin_salt), "hex")
+  if (crypto.timingSafeEqual(expected, actual)) {
+    database
+      .prepare("UPDATE employee_kiosk_pins SET failed_attempts = 0, locked_until = NULL, last_used_at = ? WHERE employee_uid = ?")
+      .run(formatTimestamp(now), employeeUid)
+    return { success: true }
+  }
+
+  // A lockout that has run out starts the count again
+  const failedAttempts = (record.locked_until ? 0 : record.failed_attempts) + 1
+  const locked = failedAttempts >= maxAttempts
+  const lockedUntil = locked ? formatTimestamp(new Date(now.getTime() + lockoutMinutes * 60000)) : null
+
+  database
+    .prepare("UPDATE employee_kiosk_pins SET failed_attempts = ?, locked_until = ?, last_failed_at = ? WHERE employee_uid = ?")
+    .run(failedAttempts, lockedUntil, formatTimestamp(now), employeeUid)
+
+  if (locked) {
+    console.log(`⚠️ Kiosk PIN of employee ${employeeUid} locked until ${lockedUntil}`)
+    return {
+      success: false,
+      locked: true,
+      lockedUntil,
+      error: `Wrong PIN. The PIN is locked for ${lockoutMinutes} minutes after ${maxAttempts} wrong attempts.`,
+    }
+  }
+
+  const attemptsLeft = maxAttempts - failedAttempts
+  return {
+    success: false,
+    attemptsLeft,
+    error: `Wrong PIN. ${attemptsLeft} ${attemptsLeft === 1 ? "attempt" : "attempts"} left before the PIN is locked.`,
+  }
+}
+
+/**
+ * Employees with their PIN status (never the hash)
+ */
+function getKioskPinStatus(db = null) {
+  const now = parseTimestamp(dateService.getCurrentDateTime())
+
+  return getDatabaseConnection(db)
+    .prepare(`
+      SELECT e.uid, e.id_number, e.first_name, e.last_name, e.department, e.status,
+             p.employee_uid IS NOT NULL AS has_pin, p.failed_attempts, p.locked_until,
+             p.last_used_at, p.updated_at AS pin_updated_at
+      FROM employees e
+      LEFT JOIN employee_kiosk_pins p ON p.employee_uid = e.uid
+      ORDER BY e.last_name, e.first_name
+    `)
+    .all()
+    .map((row) => ({
+      ...row,
+      has_pin: !!row.has_pin,
+      is_locked: !!row.locked_until && parseTimestamp(row.locked_until) > now,
+    }))
+}
+
+/**
+ * Punches per employee and method between two business dates, for auditing the PIN fallback.
+ * Punches from before the method was recorded are counted as "unknown"
+ */
+function getPunchMethodReport({ startDate = null, endDate = null } = {}, db = null) {
+  let query = `
+    SELECT a.employee_uid, e.id_number, e.first_name, e.last_name, e.department,
+           COALESCE(a.punch_method, 'unknown') AS punch_method, COUNT(*) AS punches
+    FROM attendance a
+    JOIN employees e ON a.employee_uid = e.uid
+    WHERE 1=1
+  `
+  const params = []
+
+  if (startDate) {
+    query += " AND a.date >= ?"
+    params.push(startDate)
+  }
+
+  if (endDate) {
+    query += " AND a.date <= ?"
+    params.push(endDate)
+  }
+
+  query += " GROUP BY a.employee_uid, punch_method ORDER BY e.last_name, e.first_name"
+
+  const employees = new Map()
+  getDatabaseConnection(db)
+    .prepare(query)
+    .all(...params)
+    .forEach((row) => {
+      if (!employees.has(row.employee_uid)) {
+        employees.set(row.employee_uid, {
+          employee_uid: row.employee_uid,
+          id_number: row.id_number,
+          first_name: row.first_name,
+          last_name: row.last_name,
+          department: row.department,
+          methods: {},
+          total: 0,
+        })
+      }
+
+      const employee = employees.get(row.employee_uid)
+      employee.methods[row.punch_method] = row.punches
+      employee.total += row.punches
+    })
+
+  const rows = [...employees.values()].map((employee) => ({
+    ...employee,
+    pin_share: employee.total > 0 ? Math.round(((employee.methods.pin || 0) / employee.total) * 1000) / 10 : 0,
+  }))
+
+  return { rows, methods: PUNCH_METHODS }
+}
+
+module.exports = {
+  PUNCH_METHODS,
+  KIOSK_PUNCH_METHODS,
+  KIOSK_PIN_SETTINGS,
+  KIOSK_PIN_SETTING_KEYS,
+  getKioskPinSettings,
+  validateKioskPinSettings,
+  validatePin,
+  setEmployeePin,
+  clearEmployeePin,
+  unlockEmployeePin,
+  verifyEmployeePin,
+  getKioskPinStatus,
+  getPunchMethodReport,
+}
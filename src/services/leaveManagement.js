@@ -0,0 +1,594 @@
+// Leave management - leave types, yearly balances and leave requests.
+// Approved leave is written into daily_attendance_summary (leave_type / leave_days /
+// leave_hours) so a day on leave is not mistaken for an absence. Paid leave credits the
+// scheduled hours of the day in leave_hours; worked hours are never changed.
+const fetch = require("node-fetch")
+const dateService = require("./dateService")
+const trustedTime = require("./trustedTime")
+const { addDays } = require("./siteTime")
+const { getScheduleForEmployee } = require("./shiftSchedule")
+const { getHolidayForDate } = require("./holidayCalendar")
+
+// Seeded on first run (migration 18); editable in Settings > Leave
+const DEFAULT_LEAVE_TYPES = [
+  { code: "VL", name: "Vacation Leave", is_paid: 1, annual_days: 15, max_carry_over_days: 5 },
+  { code: "SL", name: "Sick Leave", is_paid: 1, annual_days: 15, max_carry_over_days: 15 },
+  { code: "EL", name: "Emergency Leave", is_paid: 1, annual_days: 3, max_carry_over_days: 0 },
+  { code: "LWOP", name: "Leave Without Pay", is_paid: 0, annual_days: 0, max_carry_over_days: 0 },
+]
+
+const LEAVE_STATUSES = ["pending", "approved", "rejected", "cancelled"]
+
+// Longest leave that can be filed at once
+const MAX_LEAVE_DAYS = 366
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function isValidDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value
+}
+
+// Days on which the employee is scheduled to work (rest days and holidays are not charged)
+function isWorkingDay(employeeUid, date, db) {
+  const schedule = getScheduleForEmployee(employeeUid, date, db)
+  return !!schedule && !schedule.isRestDay && !getHolidayForDate(date, db)
+}
+
+/**
+ * Working days in a leave range, grouped by year for the balance check.
+ * Returns { dates, days, daysByYear }.
+ */
+function countLeaveDays(employeeUid, startDate, endDate, isHalfDay = false, db = null) {
+  const database = getDatabaseConnection(db)
+  const dates = []
+
+  for (let date = startDate, guard = 0; date <= endDate && guard < MAX_LEAVE_DAYS; date = addDays(date, 1), guard++) {
+    if (isWorkingDay(employeeUid, date, database)) {
+      dates.push(date)
+    }
+  }
+
+  const dayValue = isHalfDay ? 0.5 : 1
+  const daysByYear = {}
+  dates.forEach((date) => {
+    const year = date.substring(0, 4)
+    daysByYear[year] = (daysByYear[year] || 0) + dayValue
+  })
+
+  return { dates, days: dates.length * dayValue, daysByYear }
+}
+
+function getLeaveTypes({ activeOnly = false } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  const query = activeOnly
+    ? "SELECT * FROM leave_types WHERE is_active = 1 ORDER BY code"
+    : "SELECT * FROM leave_types ORDER BY is_active DESC, code"
+
+  return database.prepare(query).all()
+}
+
+function validateLeaveType(leaveType) {
+  const errors = []
+
+  if (!leaveType.code || !/^[A-Za-z0-9_]{1,10}$/.test(String(leaveType.code).trim())) {
+    errors.push("Code must be 1-10 letters or digits")
+  }
+  if (!leaveType.name || !String(leaveType.name).trim()) {
+    errors.push("Name is required")
+  }
+
+  for (const field of ["annual_days", "max_carry_over_days"]) {
+    const value = Number(leaveType[field] ?? 0)
+    if (!Number.isFinite(value) || value < 0 || value > 366) {
+      errors.push(`${field} must be between 0 and 366`)
+    }
+  }
+
+  return errors
+}
+
+function saveLeaveType(leaveType, db = null) {
+  const errors = validateLeaveType(leaveType || {})
+  if (errors.length > 0) {
+    return { success: false, error: errors.join(", ") }
+  }
+
+  const database = getDatabaseConnection(db)
+  const values = [
+    String(leaveType.code).trim().toUpperCase(),
+    String(leaveType.name).trim(),
+    leaveType.is_paid ? 1 : 0,
+    Number(leaveType.annual_days || 0),
+    Number(leaveType.max_carry_over_days || 0),
+    leaveType.is_active === undefined || leaveType.is_active ? 1 : 0,
+  ]
+
+  try {
+    if (leaveType.id) {
+      const result = database
+        .prepare(`
+          UPDATE leave_types
+          SET code = ?, name = ?, is_paid = ?, annual_days = ?, max_carry_over_days = ?, is_active = ?,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `)
+        .run(...values, leaveType.id)
+
+      if (result.changes === 0) {
+        return { success: false, error: "Leave type not found" }
+      }
+
+      return { success: true, id: leaveType.id }
+    }
+
+    const result = database
+      .prepare(`
+        INSERT INTO leave_types (code, name, is_paid, annual_days, max_carry_over_days, is_active)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `)
+      .run(...values)
+
+    return { success: true, id: result.lastInsertRowid }
+  } catch (error) {
+    if (error.message.includes("UNIQUE")) {
+      return { success: false, error: `Leave type ${values[0]} already exists` }
+    }
+    throw error
+  }
+}
+
+// Approved / pending days charged to a balance year
+function getChargedDays(database, employeeUid, leaveTypeId, year, status) {
+  const row = database
+    .prepare(`
+      SELECT COALESCE(SUM(json_extract(days_by_year, '$."' || ? || '"')), 0) AS days
+      FROM leave_requests
+      WHERE employee_uid = ? AND leave_type_id = ? AND status = ?
+    `)
+    .get(String(year), employeeUid, leaveTypeId, status)
+
+  return row ? row.days || 0 : 0
+}
+
+/**
+ * Balance row for an employee, leave type and year - created on first use with the
+ * yearly accrual and the unused days carried over from the year before
+ */
+function ensureLeaveBalance(employeeUid, leaveType, year, db = null) {
+  const database = getDatabaseConnection(db)
+  const existing = database
+    .prepare("SELECT * FROM leave_balances WHERE employee_uid = ? AND leave_type_id = ? AND year = ?")
+    .get(employeeUid, leaveType.id, year)
+
+  if (existing) {
+    return existing
+  }
+
+  let carriedOver = 0
+  if (leaveType.max_carry_over_days > 0) {
+    const previous = database
+      .prepare("SELECT * FROM leave_balances WHERE employee_uid = ? AND leave_type_id = ? AND year = ?")
+      .get(employeeUid, leaveType.id, year - 1)
+
+    if (previous) {
+      const unused =
+        previous.accrued_days + previous.carried_over_days - getChargedDays(database, employeeUid, leaveType.id, year - 1, "approved")
+      carriedOver = Math.max(0, Math.min(unused, leaveType.max_carry_over_days))
+    }
+  }
+
+  database
+    .prepare(`
+      INSERT OR IGNORE INTO leave_balances (employee_uid, leave_type_id, year, accrued_days, carried_over_days, is_synced)
+      VALUES (?, ?, ?, ?, ?, 0)
+    `)
+    .run(employeeUid, leaveType.id, year, leaveType.annual_days || 0, carriedOver)
+
+  return database
+    .prepare("SELECT * FROM leave_balances WHERE employee_uid = ? AND leave_type_id = ? AND year = ?")
+    .get(employeeUid, leaveType.id, year)
+}
+
+/**
+ * Credit the yearly accrual for every active employee (runs at startup; safe to repeat)
+ */
+function runYearlyAccrual(year = Number(dateService.getCurrentDate().substring(0, 4)), db = null) {
+  const database = getDatabaseConnection(db)
+  const leaveTypes = getLeaveTypes({ activeOnly: true }, database).filter((type) => type.annual_days > 0)
+  const employees = database.prepare("SELECT uid FROM employees WHERE status = 'Active'").all()
+
+  let created = 0
+  const accrue = database.transaction(() => {
+    employees.forEach((employee) => {
+      leaveTypes.forEach((leaveType) => {
+        const before = database
+          .prepare("SELECT id FROM leave_balances WHERE employee_uid = ? AND leave_type_id = ? AND year = ?")
+          .get(employee.uid, leaveType.id, year)
+        if (!before) {
+          ensureLeaveBalance(employee.uid, leaveType, year, database)
+          created++
+        }
+      })
+    })
+  })
+
+  accrue()
+
+  if (created > 0) {
+    console.log(`✓ Leave accrual for ${year}: ${created} balances created`)
+  }
+
+  return created
+}
+
+/**
+ * Balances per leave type for an employee and year: accrued, carried over, used, pending, available
+ */
+function getLeaveBalances(employeeUid, year = Number(dateService.getCurrentDate().substring(0, 4)), db = null) {
+  const database = getDatabaseConnection(db)
+
+  return getLeaveTypes({ activeOnly: true }, database).map((leaveType) => {
+    const balance = ensureLeaveBalance(employeeUid, leaveType, year, database)
+    const used = getChargedDays(database, employeeUid, leaveType.id, year, "approved")
+    const pending = getChargedDays(database, employeeUid, leaveType.id, year, "pending")
+    const entitled = balance.accrued_days + balance.carried_over_days
+
+    return {
+      leave_type_id: leaveType.id,
+      code: leaveType.code,
+      name: leaveType.name,
+      is_paid: leaveType.is_paid,
+      // Types without accrual (e.g. leave without pay) are not limited
+      is_limited: leaveType.annual_days > 0 || entitled > 0,
+      year,
+      accrued_days: balance.accrued_days,
+      carried_over_days: balance.carried_over_days,
+      used_days: used,
+      pending_days: pending,
+      available_days: entitled - used - pending,
+    }
+  })
+}
+
+// Requests that cover one of the dates and are still pending or approved
+function findOverlappingRequest(database, employeeUid, startDate, endDate, excludeId = null) {
+  return database
+    .prepare(`
+      SELECT id, start_date, end_date, status FROM leave_requests
+      WHERE employee_uid = ? AND status IN ('pending', 'approved') AND id != ?
+        AND start_date <= ? AND end_date >= ?
+      LIMIT 1
+    `)
+    .get(employeeUid, excludeId || 0, endDate, startDate)
+}
+
+/**
+ * Check a leave request; returns { errors, leaveType, count }
+ */
+function checkLeaveRequest(database, request, excludeId = null) {
+  const errors = []
+
+  if (!request.employee_uid) errors.push("Employee is required")
+  if (!isValidDate(request.start_date)) errors.push("Start date must be YYYY-MM-DD")
+  if (!isValidDate(request.end_date)) errors.push("End date must be YYYY-MM-DD")
+
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  if (request.end_date < request.start_date) errors.push("End date is before the start date")
+  if (request.is_half_day && request.start_date !== request.end_date) errors.push("Half-day leave must be a single day")
+  if (addDays(request.start_date, MAX_LEAVE_DAYS) <= request.end_date) errors.push(`Leave cannot exceed ${MAX_LEAVE_DAYS} days`)
+
+  const employee = database.prepare("SELECT uid, id_number FROM employees WHERE uid = ?").get(request.employee_uid)
+  if (!employee) errors.push(`Employee ${request.employee_uid} not found`)
+
+  const leaveType = database.prepare("SELECT * FROM leave_types WHERE id = ? AND is_active = 1").get(request.leave_type_id)
+  if (!leaveType) errors.push("Unknown leave type")
+
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  const overlap = findOverlappingRequest(database, request.employee_uid, request.start_date, request.end_date, excludeId)
+  if (overlap) {
+    errors.push(`Overlaps ${overlap.status} leave #${overlap.id} (${overlap.start_date} to ${overlap.end_date})`)
+  }
+
+  const count = countLeaveDays(request.employee_uid, request.start_date, request.end_date, !!request.is_half_day, database)
+  if (count.days === 0) {
+    errors.push("No working days in the selected range")
+  }
+
+  // Pending days of this request are already in the balance when it is re-checked on approval
+  Object.entries(count.daysByYear).forEach(([year, days]) => {
+    const balance = getLeaveBalances(request.employee_uid, Number(year), database).find((b) => b.leave_type_id === leaveType.id)
+    const available = balance.available_days + (excludeId ? days : 0)
+
+    if (balance.is_limited && days > available) {
+      errors.push(`Not enough ${leaveType.code} balance for ${year}: ${days} day(s) requested, ${available} available`)
+    }
+  })
+
+  return { errors, leaveType, employee, count }
+}
+
+function fileLeaveRequest(request, db = null) {
+  const database = getDatabaseConnection(db)
+  const leaveRequest = {
+    employee_uid: Number.parseInt(request.employee_uid) || null,
+    leave_type_id: Number.parseInt(request.leave_type_id) || null,
+    start_date: request.start_date,
+    end_date: request.end_date || request.start_date,
+    is_half_day: request.is_half_day ? 1 : 0,
+    reason: request.reason ? String(request.reason).trim() : null,
+    filed_by: request.filed_by ? String(request.filed_by).trim() : null,
+  }
+
+  const check = checkLeaveRequest(database, leaveRequest)
+  if (check.errors.length > 0) {
+    return { success: false, error: check.errors.join(", ") }
+  }
+
+  const now = dateService.getCurrentDateTime()
+  const result = database
+    .prepare(`
+      INSERT INTO leave_requests (
+        employee_uid, id_number, leave_type_id, start_date, end_date, is_half_day,
+        days, days_by_year, reason, status, filed_by, is_synced, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, 0, ?, ?)
+    `)
+    .run(
+      leaveRequest.employee_uid,
+      check.employee.id_number,
+      leaveRequest.leave_type_id,
+      leaveRequest.start_date,
+      leaveRequest.end_date,
+      leaveRequest.is_half_day,
+      check.count.days,
+      JSON.stringify(check.count.daysByYear),
+      leaveRequest.reason,
+      leaveRequest.filed_by,
+      now,
+      now,
+    )
+
+  console.log(
+    `✓ Leave request #${result.lastInsertRowid} filed: ${check.leaveType.code} ${leaveRequest.start_date} to ${leaveRequest.end_date} (${check.count.days} days)`,
+  )
+
+  return { success: true, id: result.lastInsertRowid, days: check.count.days }
+}
+
+// Rebuild the summaries of every day a request covers
+function refreshLeaveSummaries(database, request) {
+  const { updateDailyAttendanceSummary } = require("../database/setup")
+
+  let refreshed = 0
+  for (let date = request.start_date; date <= request.end_date; date = addDays(date, 1)) {
+    if (updateDailyAttendanceSummary(request.employee_uid, date, database)) {
+      refreshed++
+    }
+  }
+
+  return refreshed
+}
+
+function reviewLeaveRequest(id, status, { reviewedBy = null, notes = null } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  const request = database.prepare("SELECT * FROM leave_requests WHERE id = ?").get(id)
+
+  if (!request) {
+    return { success: false, error: "Leave request not found" }
+  }
+
+  // pending -> approved / rejected / cancelled, approved -> cancelled
+  const allowed = request.status === "pending" || (request.status === "approved" && status === "cancelled")
+  if (!allowed) {
+    return { success: false, error: `Leave request is already ${request.status}` }
+  }
+
+  if (status === "approved") {
+    // Schedules, holidays and balances may have changed since filing
+    const check = checkLeaveRequest(database, request, request.id)
+    if (check.errors.length > 0) {
+      return { success: false, error: check.errors.join(", ") }
+    }
+  }
+
+  const now = dateService.getCurrentDateTime()
+  const review = database.transaction(() => {
+    database
+      .prepare(`
+        UPDATE leave_requests
+        SET status = ?, reviewed_by = ?, review_notes = ?, reviewed_at = ?, is_synced = 0, updated_at = ?
+        WHERE id = ?
+      `)
+      .run(status, reviewedBy, notes, now, now, request.id)
+
+    // Balance rows of the affected years go to the server with the request
+    Object.keys(JSON.parse(request.days_by_year || "{}")).forEach((year) => {
+      database
+        .prepare("UPDATE leave_balances SET is_synced = 0 WHERE employee_uid = ? AND leave_type_id = ? AND year = ?")
+        .run(request.employee_uid, request.leave_type_id, Number(year))
+    })
+
+    return request.status === "approved" || status === "approved" ? refreshLeaveSummaries(database, request) : 0
+  })
+
+  const summariesUpdated = review()
+  console.log(`✓ Leave request #${request.id} ${status}${summariesUpdated ? ` (${summariesUpdated} summaries updated)` : ""}`)
+
+  return { success: true, summariesUpdated }
+}
+
+function getLeaveRequests({ status = null, employeeUid = null, startDate = null, endDate = null, limit = 200 } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  let query = `
+    SELECT lr.*, lt.code AS leave_code, lt.name AS leave_name, lt.is_paid,
+           e.first_name, e.last_name, e.department
+    FROM leave_requests lr
+    JOIN leave_types lt ON lr.leave_type_id = lt.id
+    LEFT JOIN employees e ON lr.employee_uid = e.uid
+    WHERE 1 = 1
+  `
+  const params = []
+
+  if (status && LEAVE_STATUSES.includes(status)) {
+    query += " AND lr.status = ?"
+    params.push(status)
+  }
+  if (employeeUid) {
+    query += " AND lr.employee_uid = ?"
+    params.push(employeeUid)
+  }
+  if (startDate) {
+    query += " AND lr.end_date >= ?"
+    params.push(startDate)
+  }
+  if (endDate) {
+    query += " AND lr.start_date <= ?"
+    params.push(endDate)
+  }
+
+  query += " ORDER BY lr.status = 'pending' DESC, lr.start_date DESC LIMIT ?"
+  params.push(limit)
+
+  return database.prepare(query).all(...params)
+}
+
+/**
+ * Approved leave on a business date for the daily summary, or null.
+ * Rest days and holidays inside a leave range are not leave days.
+ */
+function getLeaveForDate(employeeUid, date, db = null) {
+  try {
+    const database = getDatabaseConnection(db)
+    const row = database
+      .prepare(`
+        SELECT lr.*, lt.code, lt.name, lt.is_paid
+        FROM leave_requests lr
+        JOIN leave_types lt ON lr.leave_type_id = lt.id
+        WHERE lr.employee_uid = ? AND lr.status = 'approved' AND lr.start_date <= ? AND lr.end_date >= ?
+        ORDER BY lr.id DESC
+        LIMIT 1
+      `)
+      .get(employeeUid, date, date)
+
+    if (!row) {
+      return null
+    }
+
+    const schedule = getScheduleForEmployee(employeeUid, date, database)
+    if (!schedule || schedule.isRestDay || getHolidayForDate(date, database)) {
+      return null
+    }
+
+    const days = row.is_half_day ? 0.5 : 1
+    const lunchMinutes = Math.max(0, schedule.lunchEndMinutes - schedule.lunchStartMinutes)
+    const scheduledHours = Math.max(0, schedule.endMinutes - schedule.startMinutes - lunchMinutes) / 60
+
+    return {
+      requestId: row.id,
+      code: row.code,
+      name: row.name,
+      isPaid: !!row.is_paid,
+      days,
+      // Paid leave credits the hours the employee was scheduled to work
+      creditedHours: row.is_paid ? Math.round(scheduledHours * days * 100) / 100 : 0,
+    }
+  } catch (error) {
+    console.error(`Error looking up leave for employee ${employeeUid} on ${date}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Upload unsynced leave requests and the balances they changed
+ */
+async function syncLeaveToServer(db = null) {
+  const database = getDatabaseConnection(db)
+  const requests = database.prepare("SELECT * FROM leave_requests WHERE is_synced = 0 ORDER BY id").all()
+  const balances = database
+    .prepare(`
+      SELECT lb.*, lt.code AS leave_code
+      FROM leave_balances lb
+      JOIN leave_types lt ON lb.leave_type_id = lt.id
+      WHERE lb.is_synced = 0
+    `)
+    .all()
+    .map((balance) => ({
+      ...balance,
+      used_days: getChargedDays(database, balance.employee_uid, balance.leave_type_id, balance.year, "approved"),
+    }))
+
+  if (requests.length === 0 && balances.length === 0) {
+    return { success: true, message: "No leave records to sync", syncedCount: 0 }
+  }
+
+  const serverUrlRow = database.prepare("SELECT value FROM settings WHERE key = 'server_url'").get()
+  if (!serverUrlRow || !serverUrlRow.value) {
+    throw new Error("Server URL not configured in settings")
+  }
+
+  const baseUrl = serverUrlRow.value.replace("/api/employees", "")
+  const syncEndpoint = `${baseUrl}/api/leave`
+
+  console.log(`Syncing ${requests.length} leave requests and ${balances.length} balances to:`, syncEndpoint)
+
+  const response = await fetch(syncEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      leave_requests: requests,
+      leave_balances: balances,
+    }),
+  })
+
+  trustedTime.recordServerTime(response, "leave-sync")
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`Server responded with status ${response.status}: ${errorText}`)
+  }
+
+  const markRequest = database.prepare("UPDATE leave_requests SET is_synced = 1 WHERE id = ? AND updated_at = ?")
+  const markBalance = database.prepare("UPDATE leave_balances SET is_synced = 1 WHERE id = ?")
+
+  database.transaction(() => {
+    // Requests reviewed while the upload was running stay unsynced
+    requests.forEach((request) => markRequest.run(request.id, request.updated_at))
+    balances.forEach((balance) => markBalance.run(balance.id))
+  })()
+
+  return {
+    success: true,
+    message: `Synced ${requests.length} leave requests`,
+    syncedCount: requests.length,
+  }
+}
+
+module.exports = {
+  DEFAULT_LEAVE_TYPES,
+  LEAVE_STATUSES,
+  countLeaveDays,
+  getLeaveTypes,
+  saveLeaveType,
+  ensureLeaveBalance,
+  runYearlyAccrual,
+  getLeaveBalances,
+  fileLeaveRequest,
+  reviewLeaveRequest,
+  getLeaveRequests,
+  getLeaveForDate,
+  syncLeaveToServer,
+}
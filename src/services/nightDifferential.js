@@ -0,0 +1,158 @@
+// Night differential - time worked inside the night window (22:00-06:00 by default)
+// is reported as its own bucket so payroll can apply the night premium.
+const { parseTimeToMinutes, minutesToTime } = require("./shiftSchedule")
+const { parseTimestamp, atSiteMinutes } = require("./siteTime")
+
+const DEFAULT_NIGHT_DIFFERENTIAL = {
+  enabled: true,
+  start: "22:00",
+  end: "06:00",
+}
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function buildSettings(enabled, start, end) {
+  const startMinutes = parseTimeToMinutes(start)
+  const endMinutes = parseTimeToMinutes(end)
+
+  // Fall back to the default window when the stored times are unusable
+  if (startMinutes === null || endMinutes === null || startMinutes === endMinutes) {
+    return buildSettings(enabled, DEFAULT_NIGHT_DIFFERENTIAL.start, DEFAULT_NIGHT_DIFFERENTIAL.end)
+  }
+
+  return {
+    enabled,
+    start: minutesToTime(startMinutes),
+    end: minutesToTime(endMinutes),
+    startMinutes,
+    endMinutes,
+  }
+}
+
+/**
+ * Read the night window from settings (night_differential_enabled/start/end)
+ */
+function getNightDifferentialSettings(db = null) {
+  let enabled = DEFAULT_NIGHT_DIFFERENTIAL.enabled
+  let start = DEFAULT_NIGHT_DIFFERENTIAL.start
+  let end = DEFAULT_NIGHT_DIFFERENTIAL.end
+
+  try {
+    const rows = getDatabaseConnection(db)
+      .prepare(`
+        SELECT key, value FROM settings
+        WHERE key IN ('night_differential_enabled', 'night_differential_start', 'night_differential_end')
+      `)
+      .all()
+
+    rows.forEach((row) => {
+      if (row.key === "night_differential_enabled") enabled = row.value !== "false"
+      if (row.key === "night_differential_start") start = row.value
+      if (row.key === "night_differential_end") end = row.value
+    })
+  } catch (error) {
+    console.error("Error reading night differential settings, using defaults:", error.message)
+  }
+
+  return buildSettings(enabled, start, end)
+}
+
+function overlapMs(startA, endA, startB, endB) {
+  return Math.max(0, Math.min(endA, endB) - Math.max(startA, startB))
+}
+
+// Timestamp for a day offset from a date plus minutes past site midnight (DST safe)
+function atMinutes(date, dayOffset, minutes) {
+  return atSiteMinutes(date, dayOffset, minutes).getTime()
+}
+
+/**
+ * Minutes of a session that fall inside the night window.
+ * The window repeats daily and may cross midnight, so every window from the day
+ * before clock-in through the clock-out day is checked (a 20:00-07:00 session
+ * earns 8 hours, 22:00-06:00).
+ * `breaks` are unpaid breaks as minutes of day ({ startMinutes, endMinutes }) that are not counted.
+ */
+function calculateNightDifferentialMinutes(clockInTime, clockOutTime, settings = null, breaks = []) {
+  if (!clockInTime || !clockOutTime) {
+    return 0
+  }
+
+  const nightSettings =
+    settings || buildSettings(DEFAULT_NIGHT_DIFFERENTIAL.enabled, DEFAULT_NIGHT_DIFFERENTIAL.start, DEFAULT_NIGHT_DIFFERENTIAL.end)
+  if (!nightSettings.enabled) {
+    return 0
+  }
+
+  const clockIn = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const clockOut = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
+  const sessionStart = clockIn.getTime()
+  const sessionEnd = clockOut.getTime()
+
+  if (Number.isNaN(sessionStart) || Number.isNaN(sessionEnd) || sessionEnd <= sessionStart) {
+    return 0
+  }
+
+  const { startMinutes, endMinutes } = nightSettings
+  const crossesMidnight = endMinutes <= startMinutes
+  const clockOutDays = Math.round((atMinutes(clockOut, 0, 0) - atMinutes(clockIn, 0, 0)) / 86400000)
+
+  let nightMs = 0
+  for (let day = -1; day <= clockOutDays; day++) {
+    const windowStart = atMinutes(clockIn, day, startMinutes)
+    const windowEnd = atMinutes(clockIn, crossesMidnight ? day + 1 : day, endMinutes)
+    nightMs += overlapMs(sessionStart, sessionEnd, windowStart, windowEnd)
+
+    // Remove unpaid breaks that fall inside this night window
+    breaks.forEach((breakRange) => {
+      if (!breakRange || breakRange.endMinutes <= breakRange.startMinutes) return
+
+      for (let breakDay = day; breakDay <= day + 1; breakDay++) {
+        const breakStart = Math.max(sessionStart, windowStart, atMinutes(clockIn, breakDay, breakRange.startMinutes))
+        const breakEnd = Math.min(sessionEnd, windowEnd, atMinutes(clockIn, breakDay, breakRange.endMinutes))
+        nightMs -= Math.max(0, breakEnd - breakStart)
+      }
+    })
+  }
+
+  return Math.max(0, Math.round(nightMs / 60000))
+}
+
+/**
+ * Night differential hours for a session, rounded to 2 decimals like the other hour buckets
+ */
+function calculateNightDifferentialHours(clockInTime, clockOutTime, settings = null, breaks = []) {
+  const minutes = calculateNightDifferentialMinutes(clockInTime, clockOutTime, settings, breaks)
+  return Math.round((minutes / 60) * 100) / 100
+}
+
+/**
+ * Unpaid breaks of a schedule for a session type - only the continuous
+ * morning/afternoon sessions have the lunch window deducted from their hours
+ */
+function getScheduleBreaks(schedule, sessionType) {
+  if (!schedule || !["morning", "afternoon"].includes(sessionType)) {
+    return []
+  }
+
+  if (schedule.lunchEndMinutes <= schedule.lunchStartMinutes) {
+    return []
+  }
+
+  return [{ startMinutes: schedule.lunchStartMinutes, endMinutes: schedule.lunchEndMinutes }]
+}
+
+module.exports = {
+  DEFAULT_NIGHT_DIFFERENTIAL,
+  getNightDifferentialSettings,
+  calculateNightDifferentialMinutes,
+  calculateNightDifferentialHours,
+  getScheduleBreaks,
+}
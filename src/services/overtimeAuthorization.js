@@ -0,0 +1,325 @@
+// Overtime pre-approval - overtime is still calculated from the punches, but only the part
+// inside an authorized window (per employee and date, with an approver) counts as approved.
+// Sessions and daily summaries keep both buckets so unapproved overtime can be followed up.
+const dateService = require("./dateService")
+const { addDays, atSiteMinutes, parseTimestamp } = require("./siteTime")
+const { getScheduleForEmployee, parseTimeToMinutes } = require("./shiftSchedule")
+
+const AUTHORIZATION_STATUSES = ["approved", "revoked"]
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function isValidDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value
+}
+
+/**
+ * Start and end instants of an authorization; an end at or before the start is on the next day
+ */
+function getAuthorizationWindow(authorization) {
+  const startMinutes = parseTimeToMinutes(authorization.start_time)
+  const endMinutes = parseTimeToMinutes(authorization.end_time)
+
+  return {
+    start: atSiteMinutes(authorization.date, 0, startMinutes),
+    end: atSiteMinutes(authorization.date, endMinutes <= startMinutes ? 1 : 0, endMinutes),
+  }
+}
+
+function windowsOverlap(a, b) {
+  const first = getAuthorizationWindow(a)
+  const second = getAuthorizationWindow(b)
+  return first.start < second.end && second.start < first.end
+}
+
+function getApprovedAuthorizations(employeeUid, date, db = null) {
+  const database = getDatabaseConnection(db)
+  return database
+    .prepare("SELECT * FROM overtime_authorizations WHERE employee_uid = ? AND date = ? AND status = 'approved' ORDER BY start_time")
+    .all(employeeUid, date)
+}
+
+/**
+ * Parts of a session outside the shift's regular window - where the engine counts overtime
+ * (early arrival before the shift start, and everything after the shift end)
+ */
+function getOvertimeRanges(employeeUid, date, sessionStart, sessionEnd, db) {
+  const schedule = getScheduleForEmployee(employeeUid, date, db)
+  const shiftStart = atSiteMinutes(date, 0, schedule.startMinutes).getTime()
+  const shiftEnd = atSiteMinutes(date, 0, schedule.endMinutes).getTime()
+
+  return [
+    { start: sessionStart, end: Math.min(sessionEnd, shiftStart) },
+    { start: Math.max(sessionStart, shiftEnd), end: sessionEnd },
+  ].filter((range) => range.end > range.start)
+}
+
+/**
+ * Authorization windows with overlapping or touching ones merged, so no minute counts twice
+ */
+function mergeAuthorizationWindows(authorizations) {
+  const merged = []
+
+  authorizations
+    .map((authorization) => {
+      const window = getAuthorizationWindow(authorization)
+      return { start: window.start.getTime(), end: window.end.getTime(), ids: [authorization.id] }
+    })
+    .sort((a, b) => a.start - b.start)
+    .forEach((window) => {
+      const last = merged[merged.length - 1]
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end)
+        last.ids.push(...window.ids)
+      } else {
+        merged.push(window)
+      }
+    })
+
+  return merged
+}
+
+/**
+ * Split a session's overtime into approved and unapproved hours. Overtime is approved up to
+ * the time the session's overtime part spent inside authorized windows of its business date.
+ */
+function splitOvertimeHours(employeeUid, date, clockIn, clockOut, overtimeHours, db = null) {
+  if (!overtimeHours || overtimeHours <= 0 || !clockIn || !clockOut) {
+    return { approvedHours: 0, unapprovedHours: 0, authorizationIds: [] }
+  }
+
+  const database = getDatabaseConnection(db)
+  const overtimeRanges = getOvertimeRanges(
+    employeeUid,
+    date,
+    parseTimestamp(clockIn).getTime(),
+    parseTimestamp(clockOut).getTime(),
+    database,
+  )
+  const authorizationIds = []
+  let authorizedMinutes = 0
+
+  mergeAuthorizationWindows(getApprovedAuthorizations(employeeUid, date, database)).forEach((window) => {
+    let windowMinutes = 0
+    overtimeRanges.forEach((range) => {
+      const overlap = Math.min(range.end, window.end) - Math.max(range.start, window.start)
+      if (overlap > 0) {
+        windowMinutes += overlap / 60000
+      }
+    })
+
+    if (windowMinutes > 0) {
+      authorizedMinutes += windowMinutes
+      authorizationIds.push(...window.ids)
+    }
+  })
+
+  const approvedHours = Math.round(Math.min(overtimeHours, authorizedMinutes / 60) * 100) / 100
+  return {
+    approvedHours,
+    unapprovedHours: Math.round((overtimeHours - approvedHours) * 100) / 100,
+    authorizationIds,
+  }
+}
+
+function validateOvertimeAuthorization(authorization) {
+  const errors = []
+
+  if (!authorization.employee_uid) errors.push("Employee is required")
+  if (!isValidDate(authorization.date)) errors.push("Date must be YYYY-MM-DD")
+  if (parseTimeToMinutes(authorization.start_time) === null) errors.push("Start time must be HH:MM")
+  if (parseTimeToMinutes(authorization.end_time) === null) errors.push("End time must be HH:MM")
+  if (authorization.start_time && authorization.start_time === authorization.end_time) {
+    errors.push("Start and end time must differ")
+  }
+  if (!authorization.approved_by || !String(authorization.approved_by).trim()) errors.push("Approver is required")
+
+  return errors
+}
+
+// Rebuild the summaries of the dates an authorization touches so the OT split follows it
+function refreshSummaries(database, employeeUid, dates) {
+  const { updateDailyAttendanceSummary } = require("../database/setup")
+  return [...new Set(dates)].filter((date) => updateDailyAttendanceSummary(employeeUid, date, database)).length
+}
+
+function saveOvertimeAuthorization(authorization, db = null) {
+  const errors = validateOvertimeAuthorization(authorization || {})
+  if (errors.length > 0) {
+    return { success: false, error: errors.join(", ") }
+  }
+
+  const database = getDatabaseConnection(db)
+  const employeeUid = Number.parseInt(authorization.employee_uid)
+  const employee = database.prepare("SELECT uid, id_number FROM employees WHERE uid = ?").get(employeeUid)
+  if (!employee) {
+    return { success: false, error: "Employee not found" }
+  }
+
+  const authorizationId = authorization.id ? Number.parseInt(authorization.id) : null
+  const existing = authorizationId
+    ? database.prepare("SELECT * FROM overtime_authorizations WHERE id = ?").get(authorizationId)
+    : null
+  if (authorizationId && !existing) {
+    return { success: false, error: "Overtime authorization not found" }
+  }
+  if (existing && existing.status !== "approved") {
+    return { success: false, error: "Revoked authorizations cannot be edited" }
+  }
+
+  const record = {
+    employee_uid: employeeUid,
+    date: authorization.date,
+    start_time: authorization.start_time,
+    end_time: authorization.end_time,
+  }
+  const overlapping = getApprovedAuthorizations(employeeUid, record.date, database).find(
+    (other) => other.id !== authorizationId && windowsOverlap(record, other),
+  )
+  if (overlapping) {
+    return {
+      success: false,
+      error: `Overlaps authorization #${overlapping.id} (${overlapping.start_time}-${overlapping.end_time})`,
+    }
+  }
+
+  const now = dateService.getCurrentDateTime()
+  const values = [
+    employeeUid,
+    employee.id_number,
+    record.date,
+    record.start_time,
+    record.end_time,
+    authorization.reason ? String(authorization.reason).trim() : null,
+    String(authorization.approved_by).trim(),
+  ]
+
+  const save = database.transaction(() => {
+    let id = authorizationId
+    if (existing) {
+      database
+        .prepare(`
+          UPDATE overtime_authorizations
+          SET employee_uid = ?, id_number = ?, date = ?, start_time = ?, end_time = ?, reason = ?, approved_by = ?, updated_at = ?
+          WHERE id = ?
+        `)
+        .run(...values, now, id)
+    } else {
+      id = database
+        .prepare(`
+          INSERT INTO overtime_authorizations (
+            employee_uid, id_number, date, start_time, end_time, reason, approved_by, status, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, 'approved', ?, ?)
+        `)
+        .run(...values, now, now).lastInsertRowid
+    }
+
+    const dates = existing ? [existing.date, record.date] : [record.date]
+    if (existing && existing.employee_uid !== employeeUid) {
+      refreshSummaries(database, existing.employee_uid, [existing.date])
+    }
+    return { id, summariesUpdated: refreshSummaries(database, employeeUid, dates) }
+  })
+
+  const result = save()
+  console.log(`✓ Overtime authorization #${result.id} saved: employee ${employeeUid} on ${record.date} ${record.start_time}-${record.end_time}`)
+
+  return { success: true, ...result }
+}
+
+function revokeOvertimeAuthorization(id, { revokedBy = null } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  const authorization = database.prepare("SELECT * FROM overtime_authorizations WHERE id = ?").get(id)
+  if (!authorization) {
+    return { success: false, error: "Overtime authorization not found" }
+  }
+  if (authorization.status === "revoked") {
+    return { success: false, error: "Authorization is already revoked" }
+  }
+
+  const now = dateService.getCurrentDateTime()
+  const revoke = database.transaction(() => {
+    database
+      .prepare("UPDATE overtime_authorizations SET status = 'revoked', revoked_by = ?, revoked_at = ?, updated_at = ? WHERE id = ?")
+      .run(revokedBy, now, now, id)
+    return refreshSummaries(database, authorization.employee_uid, [authorization.date])
+  })
+
+  const summariesUpdated = revoke()
+  console.log(`✓ Overtime authorization #${id} revoked`)
+
+  return { success: true, summariesUpdated }
+}
+
+function getOvertimeAuthorizations({ status = null, employeeUid = null, startDate = null, endDate = null, limit = 500 } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  let query = `
+    SELECT oa.*, e.first_name, e.last_name, e.department
+    FROM overtime_authorizations oa
+    LEFT JOIN employees e ON oa.employee_uid = e.uid
+    WHERE 1 = 1
+  `
+  const params = []
+
+  if (status && AUTHORIZATION_STATUSES.includes(status)) {
+    query += " AND oa.status = ?"
+    params.push(status)
+  }
+  if (employeeUid) {
+    query += " AND oa.employee_uid = ?"
+    params.push(employeeUid)
+  }
+  if (startDate) {
+    query += " AND oa.date >= ?"
+    params.push(startDate)
+  }
+  if (endDate) {
+    query += " AND oa.date <= ?"
+    params.push(endDate)
+  }
+
+  query += " ORDER BY oa.date DESC, oa.start_time, e.last_name LIMIT ?"
+  params.push(limit)
+
+  return database.prepare(query).all(...params)
+}
+
+/**
+ * Days with overtime outside any authorization, for follow-up
+ */
+function getUnapprovedOvertime({ startDate, endDate, employeeUid = null } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  let query = `
+    SELECT employee_uid, id_number, employee_name, first_name, last_name, department, date,
+           overtime_hours, approved_overtime_hours, unapproved_overtime_hours, first_clock_in, last_clock_out
+    FROM daily_attendance_summary
+    WHERE unapproved_overtime_hours > 0 AND date BETWEEN ? AND ?
+  `
+  const params = [startDate, endDate]
+
+  if (employeeUid) {
+    query += " AND employee_uid = ?"
+    params.push(employeeUid)
+  }
+
+  query += " ORDER BY date DESC, last_name, first_name"
+  return database.prepare(query).all(...params)
+}
+
+module.exports = {
+  AUTHORIZATION_STATUSES,
+  getAuthorizationWindow,
+  getApprovedAuthorizations,
+  splitOvertimeHours,
+  saveOvertimeAuthorization,
+  revokeOvertimeAuthorization,
+  getOvertimeAuthorizations,
+  getUnapprovedOvertime,
+}
@@ -3,6 +3,9 @@
 const fetch = require('node-fetch');
 const EventEmitter = require('events');
 const { getDatabase, updateDailyAttendanceSummary } = require('../database/setup');
+const dateService = require('./dateService');
+const trustedTime = require('./trustedTime');
+const { recordDownloadedPunch } = require('./sessionStateMachine');
 
 class PollingManager extends EventEmitter {
   constructor() {
@@ -137,6 +140,7 @@ class PollingManager extends EventEmitter {
       });
       
       clearTimeout(timeoutId);
+      trustedTime.recordServerTime(response, 'polling');
       
       const responseText = await response.text();
       const contentType = response.headers.get('content-type');
@@ -292,6 +296,7 @@ class PollingManager extends EventEmitter {
       });
 
       clearTimeout(timeoutId);
+      trustedTime.recordServerTime(response, 'polling');
 
       const responseText = await response.text();
       
@@ -374,7 +379,7 @@ async syncCurrentlyClockedEmployees() {
     }
 
     const serverUrl = settings.data.server_url.replace('/api/employees', '');
-    const today = new Date().toISOString().split('T')[0];
+    const today = dateService.getCurrentDate();
     
     // ✅ STEP 1: Fetch currently clocked employees from server
     const clockedResponse = await fetch(`${serverUrl}/api/attendance/currently-clocked`, {
@@ -426,7 +431,7 @@ async syncCurrentlyClockedEmployees() {
     // ✅ STEP 3: Compare with local database
     const db = getDatabase();
     
-    // Get local currently clocked employees
+    // Get local currently clocked employees (latest punch of the day is a clock-in)
     const localClocked = db.prepare(`
       SELECT DISTINCT 
         employee_uid, 
@@ -440,8 +445,6 @@ async syncCurrentlyClockedEmployees() {
         SELECT 1 FROM attendance a2
         WHERE a2.employee_uid = attendance.employee_uid
         AND a2.date = attendance.date
-        AND a2.clock_type LIKE '%_out'
-        AND REPLACE(a2.clock_type, '_out', '') = REPLACE(attendance.clock_type, '_in', '')
         AND a2.clock_time > attendance.clock_time
       )
     `).all(today);
@@ -522,38 +525,15 @@ async syncCurrentlyClockedEmployees() {
                 }
                 
                 // ✅ FIX: Don't use server's ID - let local DB generate a new one
-                const insertStmt = db.prepare(`
-                  INSERT INTO attendance (
-                    employee_uid, id_number, clock_type, clock_time, 
-                    regular_hours, overtime_hours, date, is_late, is_synced, created_at
-                  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
-                `);
-
-                try {
-                  const insertResult = insertStmt.run(
-                    record.employee_uid,
-                    record.id_number,
-                    record.clock_type,
-                    formattedClockTime,
-                    record.regular_hours || 0,
-                    record.overtime_hours || 0,
-                    record.date,
-                    record.is_late || 0,
-                    record.created_at || new Date().toISOString()
-                  );
-
-                  if (insertResult.changes > 0) {
-                    console.log(`   ✓ Inserted ${record.clock_type} (Local ID: ${insertResult.lastInsertRowid}, Server ID: ${record.id}) at ${formattedClockTime}`);
-                    syncedAttendanceCount++;
-                  }
-                } catch (insertError) {
-                  // Check if it's a UNIQUE constraint violation
-                  if (insertError.message.includes('UNIQUE constraint failed')) {
-                    console.log(`   ⏭️ Duplicate detected during insert for ${record.clock_type} at ${record.clock_time}, skipping`);
-                  } else {
-                    throw insertError;
-                  }
+                // The punch goes through the session state machine like one made at this kiosk
+                const punch = recordDownloadedPunch(record, { clockTime: formattedClockTime, keepId: false, db });
+                if (!punch.success) {
+                  console.log(`   ⚠️ Skipped ${record.clock_type} at ${record.clock_time} (Server ID: ${record.id}): ${punch.error}`);
+                  continue;
                 }
+
+                console.log(`   ✓ Inserted ${record.clock_type} (Local ID: ${punch.records[0].id}, Server ID: ${record.id}) at ${formattedClockTime}`);
+                syncedAttendanceCount++;
               }
             } else {
               console.log(`   ⚠️ No attendance records found on server for ${employee.employee_uid}`);
@@ -1163,6 +1143,10 @@ async handleAttendanceDeletedFromServer(eventType, data, db) {
           afternoon_hours: record.afternoon_hours,
           evening_hours: record.evening_hours,
           overtime_session_hours: record.overtime_session_hours,
+          holiday_type: record.holiday_type,
+          holiday_regular_hours: record.holiday_regular_hours,
+          holiday_overtime_hours: record.holiday_overtime_hours,
+          night_differential_hours: record.night_differential_hours,
           is_incomplete: record.is_incomplete,
           has_late_entry: record.has_late_entry,
           has_overtime: record.has_overtime
@@ -1333,40 +1317,42 @@ async handleAttendanceDeletedFromServer(eventType, data, db) {
       formatted_clock_time: formattedClockTime
     });
 
-    // ✅ Insert or update in local database with formatted time
-    const insertStmt = db.prepare(`
-      INSERT INTO attendance (
-        id, employee_uid, id_number, scanned_barcode, clock_type, 
-        clock_time, regular_hours, overtime_hours, date, is_late, 
-        is_synced, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(id) DO UPDATE SET
-        employee_uid = excluded.employee_uid,
-        id_number = excluded.id_number,
-        scanned_barcode = excluded.scanned_barcode,
-        clock_type = excluded.clock_type,
-        clock_time = excluded.clock_time,
-        regular_hours = excluded.regular_hours,
-        overtime_hours = excluded.overtime_hours,
-        date = excluded.date,
-        is_late = excluded.is_late,
-        is_synced = excluded.is_synced
-    `);
-
-    insertStmt.run(
-      attendanceRecord.id,
-      attendanceRecord.employee_uid,
-      attendanceRecord.id_number,
-      attendanceRecord.scanned_barcode || attendanceRecord.id_barcode,
-      attendanceRecord.clock_type,
-      formattedClockTime,  // ✅ Use formatted time
-      attendanceRecord.regular_hours || 0,
-      attendanceRecord.overtime_hours || 0,
-      attendanceRecord.date,
-      attendanceRecord.is_late || 0,
-      1, // Mark as synced since it came from server
-      attendanceRecord.created_at || new Date().toISOString()
-    );
+    // ✅ Update in local database with formatted time, or record a new punch through the
+    // session state machine
+    const existing = db.prepare('SELECT id FROM attendance WHERE id = ?').get(attendanceRecord.id);
+
+    if (existing) {
+      db.prepare(`
+        UPDATE attendance SET
+          employee_uid = ?,
+          id_number = ?,
+          scanned_barcode = ?,
+          clock_type = ?,
+          clock_time = ?,
+          regular_hours = ?,
+          overtime_hours = ?,
+          date = ?,
+          is_late = ?,
+          is_synced = 1
+        WHERE id = ?
+      `).run(
+        attendanceRecord.employee_uid,
+        attendanceRecord.id_number,
+        attendanceRecord.scanned_barcode || attendanceRecord.id_barcode,
+        attendanceRecord.clock_type,
+        formattedClockTime,  // ✅ Use formatted time
+        attendanceRecord.regular_hours || 0,
+        attendanceRecord.overtime_hours || 0,
+        attendanceRecord.date,
+        attendanceRecord.is_late || 0,
+        attendanceRecord.id
+      );
+    } else {
+      const punch = recordDownloadedPunch(attendanceRecord, { clockTime: formattedClockTime, db });
+      if (!punch.success) {
+        throw new Error(`Attendance #${attendanceRecord.id} is not a valid punch here: ${punch.error}`);
+      }
+    }
 
     console.log(`✓ Inserted/updated attendance in local database with formatted clock_time`);
 
@@ -0,0 +1,456 @@
+// Missed-punch corrections - a request for a punch the kiosk never recorded (forgotten
+// clock-out, missed clock-in). An admin approves or rejects it; approval inserts the punch,
+// recalculates the session hours and the daily summary. Requests and every step taken on
+// them are kept in punch_correction_log, and both tables sync to the server.
+const fetch = require("node-fetch")
+const { getDatabase, updateDailyAttendanceSummary } = require("../database/setup")
+const {
+  calculateHoursWithStats,
+  getPunchDirection,
+  determineSessionType,
+} = require("./timeCalculator")
+const dateService = require("./dateService")
+const trustedTime = require("./trustedTime")
+const { recordPunchAfterTheFact } = require("./sessionStateMachine")
+const { parseTimestamp, formatTimestamp, zonedTimeToDate, toBusinessDate, addDays } = require("./siteTime")
+
+const CLOCK_TYPES = [
+  "morning_in",
+  "morning_out",
+  "afternoon_in",
+  "afternoon_out",
+  "evening_in",
+  "evening_out",
+  "overtime_in",
+  "overtime_out",
+]
+
+const CORRECTION_STATUSES = ["pending", "approved", "rejected"]
+
+// Punches this close to the requested time count as the same punch
+const DUPLICATE_WINDOW_MS = 60 * 1000
+
+/**
+ * Instant of the requested punch. "HH:MM" is on the request's business date;
+ * a full date-time (from a datetime-local input) is site wall time.
+ */
+function resolveRequestedTime(date, requestedTime) {
+  const text = String(requestedTime || "").trim()
+  const timeOnly = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text)
+
+  if (timeOnly) {
+    const [year, month, day] = date.split("-").map(Number)
+    return zonedTimeToDate({
+      year,
+      month,
+      day,
+      hour: Number(timeOnly[1]),
+      minute: Number(timeOnly[2]),
+      second: Number(timeOnly[3] || 0),
+    })
+  }
+
+  return parseTimestamp(text)
+}
+
+function logCorrectionAction(db, correctionId, action, actor, details = {}) {
+  db.prepare(`
+    INSERT INTO punch_correction_log (correction_id, action, actor, details, created_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(correctionId, action, actor || null, JSON.stringify(details), dateService.getCurrentDateTime())
+}
+
+/**
+ * Check a request against the employee's punches for the day.
+ * Returns { errors, punchTime, clockIn, clockOut } - clockIn is the open session an
+ * _out request closes, clockOut the existing clock-out (missing its clock-in) an _in request opens.
+ * Punches pair as generic IN/OUT sessions in time order, so only the neighbouring punches matter.
+ */
+function checkCorrection(db, correction, excludeId = null) {
+  const errors = []
+  const { employee_uid: employeeUid, date, clock_type: clockType } = correction
+
+  if (!employeeUid) errors.push("Employee is required")
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push("Date must be YYYY-MM-DD")
+  if (!CLOCK_TYPES.includes(clockType)) errors.push("Invalid punch type")
+  if (!correction.reason || !String(correction.reason).trim()) errors.push("Reason is required")
+
+  if (errors.length > 0) {
+    return { errors }
+  }
+
+  const punchTime = resolveRequestedTime(date, correction.requested_time)
+  if (!punchTime || Number.isNaN(punchTime.getTime())) {
+    return { errors: ["Requested time is not a valid time"] }
+  }
+
+  // Clock-outs may fall on the next day (overnight sessions), clock-ins may not
+  const punchDate = toBusinessDate(punchTime)
+  const allowedDates = clockType.endsWith("_out") ? [date, addDays(date, 1)] : [date]
+  if (!allowedDates.includes(punchDate)) {
+    errors.push(`Requested time ${formatTimestamp(punchTime)} is not on ${date}`)
+  }
+
+  if (punchTime.getTime() > dateService.now().getTime()) {
+    errors.push("Requested time is in the future")
+  }
+
+  const employee = db.prepare("SELECT uid FROM employees WHERE uid = ?").get(employeeUid)
+  if (!employee) {
+    errors.push(`Employee ${employeeUid} not found`)
+  }
+
+  const duplicateRequest = db
+    .prepare(`
+      SELECT id FROM punch_corrections
+      WHERE employee_uid = ? AND date = ? AND clock_type = ? AND status = 'pending' AND id != ?
+    `)
+    .get(employeeUid, date, clockType, excludeId || 0)
+  if (duplicateRequest) {
+    errors.push(`A pending request (#${duplicateRequest.id}) already exists for this punch`)
+  }
+
+  const punches = db
+    .prepare("SELECT * FROM attendance WHERE employee_uid = ? AND date = ?")
+    .all(employeeUid, date)
+    .map((record) => ({ ...record, instant: parseTimestamp(record.clock_time) }))
+    .sort((a, b) => a.instant - b.instant)
+
+  const direction = getPunchDirection(clockType)
+  if (punches.some((p) => getPunchDirection(p.clock_type) === direction && Math.abs(p.instant - punchTime) < DUPLICATE_WINDOW_MS)) {
+    errors.push(`A clock-${direction} punch already exists at that time`)
+  }
+
+  let clockIn = null
+  let clockOut = null
+  const previous = punches.filter((p) => p.instant < punchTime).pop() || null
+  const next = punches.find((p) => p.instant > punchTime) || null
+  const previousIsIn = !!previous && getPunchDirection(previous.clock_type) === "in"
+  const nextIsOut = !!next && getPunchDirection(next.clock_type) === "out"
+
+  if (direction === "out") {
+    // Closes the session opened by the punch right before the requested time
+    if (!previousIsIn) {
+      errors.push("No open clock-in before the requested clock-out")
+    } else if (nextIsOut) {
+      errors.push("That session already has a clock-out")
+    } else if (determineSessionType(previous.clock_type) !== determineSessionType(clockType)) {
+      errors.push(`The open session is a ${previous.clock_type.replace("_in", "")} session`)
+    } else {
+      clockIn = previous
+    }
+  } else if (previousIsIn) {
+    errors.push(`The session started at ${formatTimestamp(previous.instant)} is still open at that time - request its clock-out first`)
+  } else if (nextIsOut) {
+    // A clock-out recorded without its clock-in gets paired with the new punch
+    clockOut = next
+  }
+
+  return { errors, punchTime, clockIn, clockOut }
+}
+
+/**
+ * File a correction request (status pending)
+ */
+function createCorrectionRequest(request, db = getDatabase()) {
+  const correction = {
+    employee_uid: Number.parseInt(request.employee_uid) || null,
+    date: request.date,
+    clock_type: request.clock_type,
+    requested_time: request.requested_time,
+    reason: request.reason ? String(request.reason).trim() : "",
+    requested_by: request.requested_by ? String(request.requested_by).trim() : null,
+  }
+
+  const check = checkCorrection(db, correction)
+  if (check.errors.length > 0) {
+    return { success: false, error: check.errors.join(", ") }
+  }
+
+  const employee = db.prepare("SELECT id_number FROM employees WHERE uid = ?").get(correction.employee_uid)
+  const now = dateService.getCurrentDateTime()
+
+  const create = db.transaction(() => {
+    const result = db
+      .prepare(`
+        INSERT INTO punch_corrections (
+          employee_uid, id_number, date, clock_type, requested_time, reason,
+          status, requested_by, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?)
+      `)
+      .run(
+        correction.employee_uid,
+        employee.id_number,
+        correction.date,
+        correction.clock_type,
+        formatTimestamp(check.punchTime),
+        correction.reason,
+        correction.requested_by,
+        now,
+        now,
+      )
+
+    logCorrectionAction(db, result.lastInsertRowid, "requested", correction.requested_by, {
+      clock_type: correction.clock_type,
+      requested_time: formatTimestamp(check.punchTime),
+      reason: correction.reason,
+    })
+
+    return result.lastInsertRowid
+  })
+
+  const id = create()
+  console.log(`✓ Punch correction #${id} filed for employee ${correction.employee_uid} (${correction.clock_type} on ${correction.date})`)
+
+  return { success: true, id }
+}
+
+// Calculate hours for a clock-out and store them (with statistics) on the record
+function recalculateSession(db, clockOutType, clockInRecord, clockOutRecord, clockInTime, clockOutTime) {
+  const hours = calculateHoursWithStats(
+    clockOutType,
+    clockOutTime,
+    clockInTime,
+    clockOutRecord.employee_uid,
+    clockInRecord.id,
+    clockOutRecord.id,
+    db,
+  )
+
+  db.prepare("UPDATE attendance SET regular_hours = ?, overtime_hours = ?, is_synced = 0 WHERE id = ?").run(
+    hours.regularHours,
+    hours.overtimeHours,
+    clockOutRecord.id,
+  )
+
+  return { regularHours: hours.regularHours, overtimeHours: hours.overtimeHours }
+}
+
+/**
+ * Approve a pending request: record the punch through the session state machine,
+ * recalculate the session and the summary
+ */
+function approveCorrectionRequest(id, { reviewedBy = null, notes = null } = {}, db = getDatabase()) {
+  const correction = db.prepare("SELECT * FROM punch_corrections WHERE id = ?").get(id)
+  if (!correction) {
+    return { success: false, error: "Correction request not found" }
+  }
+  if (correction.status !== "pending") {
+    return { success: false, error: `Request is already ${correction.status}` }
+  }
+
+  // Punches may have changed since the request was filed
+  const check = checkCorrection(db, correction, correction.id)
+  if (check.errors.length > 0) {
+    return { success: false, error: check.errors.join(", ") }
+  }
+
+  const { punchTime, clockIn, clockOut } = check
+  const clockType = correction.clock_type
+  const now = dateService.getCurrentDateTime()
+
+  const employee = db.prepare("SELECT * FROM employees WHERE uid = ?").get(correction.employee_uid)
+
+  const approve = db.transaction(() => {
+    // Recorded the way the kiosk would have recorded it at that time
+    const punch = recordPunchAfterTheFact(
+      employee,
+      { event: getPunchDirection(clockType), now: punchTime, date: correction.date, clockType },
+      { db, punchMethod: "correction" },
+    )
+    if (!punch.success) {
+      return punch
+    }
+
+    const [record] = punch.records
+    const attendanceId = record.id
+
+    logCorrectionAction(db, correction.id, "punch_inserted", reviewedBy, {
+      attendance_id: attendanceId,
+      clock_type: clockType,
+      clock_time: record.clock_time,
+      is_late: record.is_late,
+      late_minutes: record.late_minutes,
+      undertime_minutes: record.undertime_minutes,
+    })
+
+    let recalculated = null
+    if (clockIn) {
+      recalculated = { regularHours: record.regular_hours, overtimeHours: record.overtime_hours }
+      logCorrectionAction(db, correction.id, "hours_recalculated", reviewedBy, {
+        attendance_id: attendanceId,
+        clock_in_id: clockIn.id,
+        ...recalculated,
+      })
+    } else if (clockOut) {
+      recalculated = recalculateSession(db, clockOut.clock_type, record, clockOut, punchTime, clockOut.instant)
+      logCorrectionAction(db, correction.id, "hours_recalculated", reviewedBy, {
+        attendance_id: clockOut.id,
+        clock_in_id: attendanceId,
+        previous_regular_hours: clockOut.regular_hours,
+        previous_overtime_hours: clockOut.overtime_hours,
+        ...recalculated,
+      })
+    }
+
+    db.prepare(`
+      UPDATE punch_corrections
+      SET status = 'approved', reviewed_by = ?, review_notes = ?, reviewed_at = ?,
+          attendance_id = ?, is_synced = 0, updated_at = ?
+      WHERE id = ?
+    `).run(reviewedBy, notes, now, attendanceId, now, correction.id)
+
+    logCorrectionAction(db, correction.id, "approved", reviewedBy, { notes })
+
+    updateDailyAttendanceSummary(correction.employee_uid, correction.date, db)
+
+    return { success: true, attendanceId, recalculated }
+  })
+
+  const result = approve()
+  if (!result.success) {
+    console.log(`⚠️ Punch correction #${correction.id} not approved: ${result.error}`)
+    return result
+  }
+
+  console.log(`✓ Punch correction #${correction.id} approved - attendance record ${result.attendanceId} added`)
+
+  return result
+}
+
+function rejectCorrectionRequest(id, { reviewedBy = null, notes = null } = {}, db = getDatabase()) {
+  const correction = db.prepare("SELECT * FROM punch_corrections WHERE id = ?").get(id)
+  if (!correction) {
+    return { success: false, error: "Correction request not found" }
+  }
+  if (correction.status !== "pending") {
+    return { success: false, error: `Request is already ${correction.status}` }
+  }
+
+  const now = dateService.getCurrentDateTime()
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE punch_corrections
+      SET status = 'rejected', reviewed_by = ?, review_notes = ?, reviewed_at = ?, is_synced = 0, updated_at = ?
+      WHERE id = ?
+    `).run(reviewedBy, notes, now, now, correction.id)
+
+    logCorrectionAction(db, correction.id, "rejected", reviewedBy, { notes })
+  })()
+
+  console.log(`✓ Punch correction #${correction.id} rejected`)
+  return { success: true }
+}
+
+function getCorrectionRequests({ status = null, employeeUid = null, limit = 200 } = {}, db = getDatabase()) {
+  let query = `
+    SELECT pc.*, e.first_name, e.last_name, e.department
+    FROM punch_corrections pc
+    LEFT JOIN employees e ON pc.employee_uid = e.uid
+    WHERE 1 = 1
+  `
+  const params = []
+
+  if (status && CORRECTION_STATUSES.includes(status)) {
+    query += " AND pc.status = ?"
+    params.push(status)
+  }
+
+  if (employeeUid) {
+    query += " AND pc.employee_uid = ?"
+    params.push(employeeUid)
+  }
+
+  query += " ORDER BY pc.status = 'pending' DESC, pc.created_at DESC LIMIT ?"
+  params.push(limit)
+
+  return db.prepare(query).all(...params)
+}
+
+function getCorrectionLog({ correctionId = null, limit = 200 } = {}, db = getDatabase()) {
+  let query = `
+    SELECT l.*, pc.employee_uid, pc.date, pc.clock_type
+    FROM punch_correction_log l
+    LEFT JOIN punch_corrections pc ON l.correction_id = pc.id
+  `
+  const params = []
+
+  if (correctionId) {
+    query += " WHERE l.correction_id = ?"
+    params.push(correctionId)
+  }
+
+  query += " ORDER BY l.id DESC LIMIT ?"
+  params.push(limit)
+
+  return db.prepare(query).all(...params)
+}
+
+/**
+ * Upload unsynced requests and log entries. The punches themselves go up with the
+ * regular attendance sync.
+ */
+async function syncPunchCorrectionsToServer(db = getDatabase()) {
+  const corrections = db.prepare("SELECT * FROM punch_corrections WHERE is_synced = 0 ORDER BY id").all()
+  const logEntries = db.prepare("SELECT * FROM punch_correction_log WHERE is_synced = 0 ORDER BY id").all()
+
+  if (corrections.length === 0 && logEntries.length === 0) {
+    return { success: true, message: "No punch corrections to sync", syncedCount: 0 }
+  }
+
+  const serverUrlRow = db.prepare("SELECT value FROM settings WHERE key = 'server_url'").get()
+  if (!serverUrlRow || !serverUrlRow.value) {
+    throw new Error("Server URL not configured in settings")
+  }
+
+  const baseUrl = serverUrlRow.value.replace("/api/employees", "")
+  const syncEndpoint = `${baseUrl}/api/punch-corrections`
+
+  console.log(`Syncing ${corrections.length} punch corrections and ${logEntries.length} log entries to:`, syncEndpoint)
+
+  const response = await fetch(syncEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      punch_corrections: corrections,
+      punch_correction_log: logEntries,
+    }),
+  })
+
+  trustedTime.recordServerTime(response, "punch-correction-sync")
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    throw new Error(`Server responded with status ${response.status}: ${errorText}`)
+  }
+
+  const markCorrection = db.prepare("UPDATE punch_corrections SET is_synced = 1 WHERE id = ? AND updated_at = ?")
+  const markLogEntry = db.prepare("UPDATE punch_correction_log SET is_synced = 1 WHERE id = ?")
+
+  db.transaction(() => {
+    // Requests reviewed while the upload was running stay unsynced
+    corrections.forEach((correction) => markCorrection.run(correction.id, correction.updated_at))
+    logEntries.forEach((entry) => markLogEntry.run(entry.id))
+  })()
+
+  return {
+    success: true,
+    message: `Synced ${corrections.length} punch corrections`,
+    syncedCount: corrections.length,
+  }
+}
+
+module.exports = {
+  CLOCK_TYPES,
+  CORRECTION_STATUSES,
+  resolveRequestedTime,
+  createCorrectionRequest,
+  approveCorrectionRequest,
+  rejectCorrectionRequest,
+  getCorrectionRequests,
+  getCorrectionLog,
+  syncPunchCorrectionsToServer,
+}
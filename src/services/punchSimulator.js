@@ -0,0 +1,344 @@
+// What-if punch simulator - replays hypothetical punches for one employee and date
+// through the kiosk's session state machine (getSessionState / planTransition /
+// recordTransition), its anti-passback rules and the daily summary against a throwaway
+// in-memory copy of the database.
+// Settings and schedule fields can be overridden to preview grace or OT changes
+// before they are saved; live attendance data is only ever read.
+const Database = require("better-sqlite3")
+const { getDatabase, updateDailyAttendanceSummary } = require("../database/setup")
+const { getSessionState, getSessionEvent, planTransition, recordTransition } = require("./sessionStateMachine")
+const { getAntiPassbackSettings, checkAntiPassback } = require("./antiPassback")
+const { validateSchedule } = require("./shiftSchedule")
+const dateService = require("./dateService")
+const { toBusinessDate, zonedTimeToDate } = require("./siteTime")
+const { ROUNDING_SETTING_KEYS } = require("./timeRounding")
+
+// Reference data the calculators read - copied into every simulation database
+const REFERENCE_TABLES = ["settings", "shift_schedules", "schedule_assignments", "holidays"]
+
+// Schedule fields that can be overridden for a what-if run
+const SCHEDULE_OVERRIDE_FIELDS = [
+  "start_time",
+  "end_time",
+  "lunch_start",
+  "lunch_end",
+  "grace_period",
+  "early_ot_start",
+  "overtime_cutoff",
+  "evening_grace",
+  "allow_overtime",
+]
+
+// Settings keys read by the hours engine
+const SETTING_OVERRIDE_KEYS = [
+  "overnight_shift_enabled",
+  "overnight_window_hours",
+  "night_differential_enabled",
+  "night_differential_start",
+  "night_differential_end",
+  ...ROUNDING_SETTING_KEYS,
+]
+
+function copyRows(source, target, table, where = "", params = []) {
+  const rows = source.prepare(`SELECT * FROM ${table} ${where}`).all(...params)
+  if (rows.length === 0) {
+    return 0
+  }
+
+  const columns = Object.keys(rows[0])
+  const insert = target.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+  )
+  rows.forEach((row) => insert.run(...columns.map((column) => row[column])))
+
+  return rows.length
+}
+
+/**
+ * Build an in-memory database with the live schema, the reference tables and
+ * the employee row. Attendance, statistics and summaries start empty.
+ */
+function createSimulationDatabase(sourceDb, employeeUid) {
+  const memoryDb = new Database(":memory:")
+
+  // Tables before indexes so every index has its table
+  const schema = sourceDb
+    .prepare(`
+      SELECT type, sql FROM sqlite_master
+      WHERE type IN ('table', 'index') AND sql IS NOT NULL AND name NOT LIKE 'sqlite_%'
+      ORDER BY CASE type WHEN 'table' THEN 0 ELSE 1 END
+    `)
+    .all()
+  schema.forEach((entry) => memoryDb.exec(entry.sql))
+
+  REFERENCE_TABLES.forEach((table) => copyRows(sourceDb, memoryDb, table))
+  copyRows(sourceDb, memoryDb, "employees", "WHERE uid = ?", [employeeUid])
+  // The employee's overtime authorizations decide which simulated OT counts as approved
+  copyRows(sourceDb, memoryDb, "overtime_authorizations", "WHERE employee_uid = ? AND status = 'approved'", [employeeUid])
+
+  return memoryDb
+}
+
+/**
+ * Apply what-if overrides to the simulation database.
+ * `settings` is a key/value map, `schedule` holds shift_schedules fields and is
+ * applied to every schedule unless `schedule.id` targets a single one.
+ * Returns an array of validation errors (empty when the overrides are usable).
+ */
+function applyOverrides(memoryDb, overrides = {}) {
+  const errors = []
+  const { settings = {}, schedule = {} } = overrides || {}
+
+  const upsertSetting = memoryDb.prepare(`
+    INSERT INTO settings (key, value) VALUES (?, ?)
+    ON CONFLICT(key) DO UPDATE SET value = excluded.value
+  `)
+  Object.entries(settings || {}).forEach(([key, value]) => {
+    if (!SETTING_OVERRIDE_KEYS.includes(key)) {
+      errors.push(`Setting ${key} cannot be simulated`)
+      return
+    }
+    upsertSetting.run(key, String(value))
+  })
+
+  const fields = SCHEDULE_OVERRIDE_FIELDS.filter((field) => schedule && schedule[field] !== undefined)
+  if (fields.length > 0) {
+    const assignments = fields.map((field) => `${field} = ?`).join(", ")
+    const values = fields.map((field) => {
+      const value = schedule[field]
+      if (field === "allow_overtime") return value ? 1 : 0
+      return value === "" ? null : value
+    })
+
+    if (schedule.id) {
+      memoryDb.prepare(`UPDATE shift_schedules SET ${assignments} WHERE id = ?`).run(...values, schedule.id)
+    } else {
+      memoryDb.prepare(`UPDATE shift_schedules SET ${assignments}`).run(...values)
+    }
+
+    memoryDb
+      .prepare("SELECT * FROM shift_schedules WHERE is_active = 1")
+      .all()
+      .forEach((row) => {
+        validateSchedule(row).forEach((error) => errors.push(`${row.name}: ${error}`))
+      })
+  }
+
+  return errors
+}
+
+/**
+ * Parse punch entries into Date objects.
+ * "HH:MM" entries are placed on `date` and roll over to the next day when they are
+ * not after the previous punch (so 22:00, 06:00 is an overnight session);
+ * "YYYY-MM-DD HH:MM" entries are used as given.
+ */
+function parsePunchTimes(date, punches) {
+  const times = []
+  const errors = []
+  const [year, month, day] = String(date).split("-").map(Number)
+  const entries = Array.isArray(punches) ? punches : String(punches || "").split(/[\n,]+/)
+  let dayOffset = 0
+
+  entries.forEach((entry, index) => {
+    const text = String(entry || "").trim()
+    if (!text) return
+
+    const fullMatch = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text)
+    const timeMatch = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(text)
+
+    let punchTime = null
+    if (fullMatch) {
+      const [, y, m, d, h, min, s] = fullMatch.map(Number)
+      punchTime = zonedTimeToDate({ year: y, month: m, day: d, hour: h, minute: min, second: s || 0 })
+    } else if (timeMatch && Number(timeMatch[1]) <= 23 && Number(timeMatch[2]) <= 59) {
+      const [, h, min, s] = timeMatch.map(Number)
+      punchTime = zonedTimeToDate({ year, month, day: day + dayOffset, hour: h, minute: min, second: s || 0 })
+
+      const previous = times[times.length - 1]
+      if (previous && punchTime <= previous) {
+        dayOffset++
+        punchTime = zonedTimeToDate({ year, month, day: day + dayOffset, hour: h, minute: min, second: s || 0 })
+      }
+    }
+
+    if (!punchTime || Number.isNaN(punchTime.getTime())) {
+      errors.push(`Punch ${index + 1} ("${text}") must be HH:MM or YYYY-MM-DD HH:MM`)
+      return
+    }
+
+    if (times.length > 0 && punchTime < times[times.length - 1]) {
+      errors.push(`Punch ${index + 1} ("${text}") is earlier than the punch before it`)
+      return
+    }
+
+    times.push(punchTime)
+  })
+
+  return { times, errors }
+}
+
+/**
+ * Replay one punch the way clockAttendance does (a badge scan with nothing picked) and
+ * describe the outcome
+ */
+function simulatePunch(memoryDb, employee, punchTime, antiPassback) {
+  const today = toBusinessDate(punchTime)
+  const outcome = {
+    clockTime: dateService.formatLocalDateTime(punchTime),
+    status: "recorded",
+    clockType: null,
+    sequence: null,
+    businessDate: today,
+    isLate: false,
+    regularHours: 0,
+    overtimeHours: 0,
+    calculationMethod: null,
+    specialNotes: null,
+    trace: [],
+    message: null,
+  }
+
+  const current = getSessionState(employee.uid, { date: today, now: punchTime }, memoryDb)
+  const transition = planTransition(
+    current,
+    getSessionEvent(current.state),
+    { employeeUid: employee.uid, now: punchTime },
+    memoryDb,
+  )
+
+  if (!transition.success) {
+    outcome.status = "rejected"
+    outcome.message = transition.error
+    return outcome
+  }
+
+  // The kiosk's anti-passback rules, read from the simulation database like everything else
+  const violation = checkAntiPassback(employee.uid, transition, { now: punchTime, date: today }, antiPassback, memoryDb)
+  if (violation) {
+    outcome.status = "rejected"
+    outcome.message = antiPassback.anti_passback_action === "review"
+      ? `${violation.message} The punch would be sent to an administrator for review.`
+      : violation.message
+    return outcome
+  }
+
+  const [record] = recordTransition(employee, transition, { now: punchTime, clockTime: punchTime, db: memoryDb })
+
+  if (!transition.closes) {
+    return {
+      ...outcome,
+      clockType: record.clock_type,
+      sequence: record.sequence,
+      isLate: record.is_late === 1,
+    }
+  }
+
+  const stats = memoryDb
+    .prepare(`
+      SELECT calculation_method, special_notes, calculation_trace FROM attendance_statistics
+      WHERE clock_out_id = ? ORDER BY id DESC LIMIT 1
+    `)
+    .get(record.id)
+
+  return {
+    ...outcome,
+    clockType: record.clock_type,
+    sequence: record.sequence,
+    businessDate: record.date,
+    regularHours: record.regular_hours,
+    overtimeHours: record.overtime_hours,
+    calculationMethod: stats ? stats.calculation_method : null,
+    specialNotes: stats ? stats.special_notes : null,
+    trace: stats && stats.calculation_trace ? JSON.parse(stats.calculation_trace) : [],
+    message: transition.closes.isOvernight ? `Closes overnight session from ${transition.closes.date}` : null,
+  }
+}
+
+function runScenario(sourceDb, employee, punchTimes, overrides = null) {
+  const memoryDb = createSimulationDatabase(sourceDb, employee.uid)
+
+  try {
+    const overrideErrors = overrides ? applyOverrides(memoryDb, overrides) : []
+    if (overrideErrors.length > 0) {
+      return { errors: overrideErrors }
+    }
+
+    const antiPassback = getAntiPassbackSettings(memoryDb)
+    const punches = punchTimes.map((punchTime) => simulatePunch(memoryDb, employee, punchTime, antiPassback))
+
+    // One summary row per business date the punches landed on
+    const dates = [...new Set(punches.filter((p) => p.status === "recorded").map((p) => p.businessDate))]
+    const summaries = dates.map((date) => {
+      updateDailyAttendanceSummary(employee.uid, date, memoryDb)
+      return memoryDb
+        .prepare("SELECT * FROM daily_attendance_summary WHERE employee_uid = ? AND date = ?")
+        .get(employee.uid, date)
+    }).filter(Boolean)
+
+    return { errors: [], punches, summaries }
+  } finally {
+    memoryDb.close()
+  }
+}
+
+/**
+ * Simulate punches for an employee on a date.
+ * Always runs with the current settings (`baseline`); when overrides are given the
+ * same punches are replayed with them applied (`whatIf`) for a side-by-side view.
+ */
+function simulatePunches({ employeeUid, date, punches, overrides = null } = {}, db = null) {
+  const sourceDb = db || getDatabase()
+
+  if (!employeeUid) {
+    return { success: false, error: "Employee is required" }
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ""))) {
+    return { success: false, error: "Date must be YYYY-MM-DD" }
+  }
+
+  const employee = sourceDb
+    .prepare("SELECT uid, id_number, first_name, last_name, department FROM employees WHERE uid = ?")
+    .get(employeeUid)
+  if (!employee) {
+    return { success: false, error: "Employee not found" }
+  }
+
+  const { times, errors } = parsePunchTimes(date, punches)
+  if (errors.length > 0) {
+    return { success: false, error: errors.join(", ") }
+  }
+  if (times.length === 0) {
+    return { success: false, error: "Enter at least one punch time" }
+  }
+
+  console.log(`=== SIMULATING ${times.length} PUNCHES FOR EMPLOYEE ${employee.uid} ON ${date} ===`)
+
+  const baseline = runScenario(sourceDb, employee, times)
+  const hasOverrides =
+    overrides &&
+    (Object.keys(overrides.settings || {}).length > 0 ||
+      SCHEDULE_OVERRIDE_FIELDS.some((field) => overrides.schedule && overrides.schedule[field] !== undefined))
+  const whatIf = hasOverrides ? runScenario(sourceDb, employee, times, overrides) : null
+
+  if (whatIf && whatIf.errors.length > 0) {
+    return { success: false, error: whatIf.errors.join(", ") }
+  }
+
+  return {
+    success: true,
+    data: {
+      employee,
+      date,
+      baseline,
+      whatIf,
+    },
+  }
+}
+
+module.exports = {
+  SCHEDULE_OVERRIDE_FIELDS,
+  SETTING_OVERRIDE_KEYS,
+  parsePunchTimes,
+  simulatePunches,
+}
@@ -2,7 +2,8 @@ const { getDatabase } = require("../database/setup")
 
 /**
  * Remove duplicate attendance records
- * Keeps the earliest record for each employee-date-clock_type combination
+ * Keeps the earliest record for each employee-date-clock_type-clock_time combination
+ * (a day can have several sessions with the same clock type, so the time is part of the key)
  */
 function removeDuplicateAttendanceRecords() {
   const db = getDatabase()
@@ -22,7 +23,7 @@ function removeDuplicateAttendanceRecords() {
         COUNT(*) as count,
         GROUP_CONCAT(id) as ids
       FROM attendance
-      GROUP BY employee_uid, date, clock_type
+      GROUP BY employee_uid, date, clock_type, clock_time
       HAVING count > 1
       ORDER BY employee_uid, date, clock_type
     `)
@@ -89,7 +90,7 @@ function previewDuplicates() {
       clock_type,
       COUNT(*) as count
     FROM attendance
-    GROUP BY employee_uid, date, clock_type
+    GROUP BY employee_uid, date, clock_type, clock_time
     HAVING count > 1
     ORDER BY count DESC, employee_uid, date
   `)
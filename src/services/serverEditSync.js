@@ -2,6 +2,9 @@
 const { getDatabase, updateDailyAttendanceSummary } = require('../database/setup');
 const { broadcastUpdate } = require('./websocket');
 const { AttendanceValidationService } = require('./validateTime');
+const { parseTimestamp, formatTimestamp } = require('./siteTime');
+const trustedTime = require('./trustedTime');
+const { recordDownloadedPunch } = require('./sessionStateMachine');
 
 class ServerEditSyncService {
   constructor() {
@@ -62,52 +65,35 @@ formatClockTime(clockTime, date = null) {
 }
 
 /**
- * NEW: Convert clock_time to ISO-like format WITHOUT timezone conversion
- * Stores as: 2025-11-28T06:00:00.000 (no Z suffix)
- * This preserves the exact time entered without UTC conversion
+ * Convert a server clock_time to the stored timestamp format (see siteTime):
+ * site wall-clock time with its UTC offset, e.g. 2025-11-28T06:00:00.000+08:00
+ * - "Z" values from the server are wall-clock times (the server keeps site time) and
+ *   are not shifted; values with an explicit offset are converted to site time
+ * - Time-only values (HH:MM:SS) are combined with the record date
  */
 parseClockTimeToISO(clockTimeString, dateString) {
   if (!clockTimeString) return null;
   
   try {
-    // If already in the correct format (with or without Z), clean it
-    if (clockTimeString.includes('T')) {
-      // Remove timezone indicators to get local time
-      let cleaned = clockTimeString.replace('Z', '').replace(/[+-]\d{2}:\d{2}$/, '');
-      // Ensure .000 milliseconds
-      if (!cleaned.includes('.')) {
-        cleaned += '.000';
-      }
-      return cleaned;
-    }
-    
-    // If it's a time-only format (HH:MM:SS)
+    let parsed;
+
     if (/^\d{2}:\d{2}:\d{2}$/.test(clockTimeString)) {
       // Must have a date to combine with
       if (!dateString) {
         throw new Error('Date required for time-only format');
       }
-      
-      // ✅ CRITICAL FIX: Create timezone-neutral datetime string
-      // Format: YYYY-MM-DDTHH:MM:SS.000 (no Z)
-      return `${dateString}T${clockTimeString}.000`;
+      parsed = parseTimestamp(`${dateString}T${clockTimeString}.000`);
+    } else if (clockTimeString.includes('T')) {
+      parsed = parseTimestamp(clockTimeString.replace(/Z$/i, ''));
+    } else {
+      parsed = parseTimestamp(clockTimeString);
     }
-    
-    // Try parsing as date/time and format without timezone
-    const parsed = new Date(clockTimeString);
-    if (isNaN(parsed.getTime())) {
+
+    if (!parsed || isNaN(parsed.getTime())) {
       throw new Error('Unable to parse date/time string');
     }
-    
-    // Format as YYYY-MM-DDTHH:MM:SS.000 (no timezone)
-    const year = parsed.getFullYear();
-    const month = String(parsed.getMonth() + 1).padStart(2, '0');
-    const day = String(parsed.getDate()).padStart(2, '0');
-    const hours = String(parsed.getHours()).padStart(2, '0');
-    const minutes = String(parsed.getMinutes()).padStart(2, '0');
-    const seconds = String(parsed.getSeconds()).padStart(2, '0');
-    
-    return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}.000`;
+
+    return formatTimestamp(parsed);
     
   } catch (error) {
     console.error('Error parsing clock time:', error);
@@ -210,6 +196,8 @@ parseClockTimeToISO(clockTimeString, dateString) {
       headers: { 'Content-Type': 'application/json' }
     });
 
+    trustedTime.recordServerTime(response, 'server-edit-sync');
+
     if (!response.ok) {
       throw new Error(`Server responded with ${response.status}`);
     }
@@ -844,8 +832,8 @@ addRecordLocally(record) {
     // ✅ CRITICAL: Ensure clock_time is in ISO format
     let clockTimeISO = record.clock_time;
     
-    // If clock_time is not in ISO format, convert it
-    if (clockTimeISO && !clockTimeISO.includes('T')) {
+    // Normalize to the stored timestamp format
+    if (clockTimeISO) {
       clockTimeISO = this.parseClockTimeToISO(clockTimeISO, record.date);
       console.log(`Converted clock_time from "${record.clock_time}" to "${clockTimeISO}"`);
     }
@@ -886,30 +874,12 @@ addRecordLocally(record) {
       
       console.log(`✓ Updated existing record #${record.id}`);
     } else {
-      // Insert new record
-      const insertStmt = this.db.prepare(`
-        INSERT INTO attendance (
-          id, employee_uid, id_number, scanned_barcode, clock_type, clock_time, 
-          date, regular_hours, overtime_hours, is_late, id_barcode, 
-          is_synced, created_at
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
-      `);
+      // New punch from another kiosk - recorded the way this kiosk would have recorded it
+      const punch = recordDownloadedPunch(record, { clockTime: clockTimeISO, db: this.db });
+      if (!punch.success) {
+        throw new Error(`Record #${record.id} is not a valid punch here: ${punch.error}`);
+      }
 
-      insertStmt.run(
-        record.id,
-        record.employee_uid,
-        record.id_number || null,
-        record.scanned_barcode || null,
-        record.clock_type,
-        clockTimeISO,  // ✅ Use ISO format
-        record.date,
-        record.regular_hours || 0,
-        record.overtime_hours || 0,
-        record.is_late || 0,
-        record.id_barcode || null,
-        record.created_at || new Date().toISOString()
-      );
-      
       console.log(`✓ Inserted new record #${record.id} with ISO clock_time`);
     }
   } catch (error) {
@@ -929,7 +899,7 @@ updateRecordLocally(record) {
     // ✅ CRITICAL: Ensure clock_time is in ISO format
     let clockTimeISO = record.clock_time;
     
-    if (clockTimeISO && !clockTimeISO.includes('T')) {
+    if (clockTimeISO) {
       clockTimeISO = this.parseClockTimeToISO(clockTimeISO, record.date);
       console.log(`Converted clock_time from "${record.clock_time}" to "${clockTimeISO}"`);
     }
@@ -1295,21 +1265,18 @@ updateRecordLocally(record) {
     const errors = [];
     const affectedEmployeeDates = new Set();
 
-    const upsertStmt = this.db.prepare(`
-      INSERT INTO attendance (
-        id, employee_uid, id_number, clock_type, clock_time, date,
-        regular_hours, overtime_hours, is_late, is_synced, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      ON CONFLICT(id) DO UPDATE SET
-        employee_uid = excluded.employee_uid,
-        id_number = excluded.id_number,
-        clock_type = excluded.clock_type,
-        clock_time = excluded.clock_time,
-        date = excluded.date,
-        regular_hours = excluded.regular_hours,
-        overtime_hours = excluded.overtime_hours,
-        is_late = excluded.is_late,
+    const updateStmt = this.db.prepare(`
+      UPDATE attendance SET
+        employee_uid = ?,
+        id_number = ?,
+        clock_type = ?,
+        clock_time = ?,
+        date = ?,
+        regular_hours = ?,
+        overtime_hours = ?,
+        is_late = ?,
         is_synced = 1
+      WHERE id = ?
     `);
 
     const deleteStmt = this.db.prepare(`DELETE FROM attendance WHERE id = ?`);
@@ -1378,8 +1345,24 @@ updateRecordLocally(record) {
 
       for (const record of editedRecords) {
         try {
-          const result = upsertStmt.run(
-            record.id,
+          const existing = this.db.prepare('SELECT id FROM attendance WHERE id = ?').get(record.id);
+
+          if (!existing) {
+            // A punch this kiosk does not have yet goes through the session state machine
+            const punch = recordDownloadedPunch(record, { clockTime: record.clock_time, db: this.db });
+            if (!punch.success) {
+              const msg = `Skipped new attendance #${record.id}: ${punch.error}`;
+              errors.push(msg);
+              console.log(`  ⚠️ ${msg}`);
+              continue;
+            }
+
+            applied++;
+            console.log(`  ✓ Added attendance #${record.id}: ${record.clock_type} at ${record.clock_time}`);
+            continue;
+          }
+
+          const result = updateStmt.run(
             record.employee_uid,
             record.id_number,
             record.clock_type,
@@ -1388,8 +1371,7 @@ updateRecordLocally(record) {
             record.regular_hours || 0,
             record.overtime_hours || 0,
             record.is_late || 0,
-            1,
-            record.created_at || new Date().toISOString()
+            record.id
           );
 
           if (result.changes > 0) {
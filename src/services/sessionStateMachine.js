@@ -0,0 +1,313 @@
+// Session state machine - an employee is always in one of three session states, worked out
+// from their punches, and every punch is one transition between them: the ones clockAttendance
+// records (badge scan, face recognition, job card) and the ones recorded after the fact
+// (punch corrections, auto clock-outs, punches downloaded from the server, the simulator):
+//
+//   off       --in-->        working    clock-in, labelled from the time of day
+//   on_break  --in/break-->  working    clock-in that ends the break
+//   working   --out-->       off        clock-out of the open session
+//   working   --break-->     on_break   clock-out marked as a break
+//   working   --transfer-->  working    clock-out and clock-in on another job at the same time
+//
+// "toggle" (auto kiosk mode, nothing picked) is in from off / on_break and out from working.
+// Every other pair is an invalid transition: it is rejected with an explicit error and
+// nothing is recorded.
+const Attendance = require("../database/models/attendancedb")
+const {
+  getSessionLabel,
+  getDaySessions,
+  getPendingClockOut,
+  getPunchDirection,
+  calculateHoursWithStats,
+} = require("./timeCalculator")
+const { minutesToTime } = require("./shiftSchedule")
+const { getMinutesOfDay, parseTimestamp } = require("./siteTime")
+
+const SESSION_STATES = {
+  OFF: "off",
+  WORKING: "working",
+  ON_BREAK: "on_break",
+}
+
+const SESSION_EVENTS = ["toggle", "in", "out", "break", "transfer"]
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+/**
+ * Session state of an employee on a business date:
+ * { state, openSession (see timeCalculator.getPendingClockOut - today's or an overnight one), sessions }
+ * `asOf` leaves out the punches after `now`, for a punch recorded after the fact.
+ */
+function getSessionState(employeeUid, { date, now, asOf = false }, db = null) {
+  const database = getDatabaseConnection(db)
+  const openSession = getPendingClockOut(employeeUid, date, database, now, asOf)
+  const sessions = getDaySessions(database, employeeUid, date, asOf ? now : null)
+  const lastSession = sessions[sessions.length - 1]
+
+  let state = SESSION_STATES.OFF
+  if (openSession) {
+    state = SESSION_STATES.WORKING
+  } else if (lastSession?.clockOut?.kiosk_action === "break") {
+    state = SESSION_STATES.ON_BREAK
+  }
+
+  return { state, openSession, sessions }
+}
+
+/**
+ * Event of a punch request: a job picked while working is a transfer, otherwise the action
+ * picked at the kiosk, or toggle when none was
+ */
+function getSessionEvent(state, { action = null, job = null } = {}) {
+  if (job && state === SESSION_STATES.WORKING && (!action || action === "in")) {
+    return "transfer"
+  }
+
+  return action || "toggle"
+}
+
+/**
+ * Punches a transition records, in order, or why it is not allowed:
+ * { success: true, from, to, event, closes, punches: [{ clockType, businessDate, kioskAction, jobCode }],
+ *   breakStarted, breakEnded }
+ * { success: false, invalidTransition: true, from, event, error }
+ * `closes` is the open session the first punch clocks out of (null for a clock-in).
+ */
+function planTransition(current, event, { employeeUid, now, job = null }, db = null) {
+  const { state, openSession, sessions } = current
+  const reject = (error) => ({ success: false, invalidTransition: true, from: state, event, error })
+
+  if (!SESSION_EVENTS.includes(event)) {
+    return reject(`Unknown action "${event}". Choose IN, OUT or BREAK.`)
+  }
+
+  // Only what the employee picked is stored on the punch; a toggle leaves kiosk_action empty
+  const kioskAction = event === "toggle" ? null : event
+  const resolved = event === "toggle" ? (state === SESSION_STATES.WORKING ? "out" : "in") : event
+
+  if (state === SESSION_STATES.WORKING) {
+    const clockOut = { clockType: openSession.expectedClockOut, businessDate: openSession.date, kioskAction }
+
+    if (resolved === "in") {
+      const since = minutesToTime(getMinutesOfDay(openSession.clockTime))
+      return reject(
+        `You are already clocked in (${openSession.clockType.replace("_in", "")} session since ${since}). Choose OUT or BREAK.`,
+      )
+    }
+
+    if (resolved === "transfer") {
+      if (!job) {
+        return reject("Pick the job to transfer to.")
+      }
+      if (openSession.jobCode === job.code) {
+        return reject(`You are already clocked in on job ${job.code} (${job.name}).`)
+      }
+
+      // The next session keeps the label of the one it continues, so it is neither late nor undertime
+      return {
+        success: true,
+        from: state,
+        to: SESSION_STATES.WORKING,
+        event: resolved,
+        closes: openSession,
+        punches: [
+          clockOut,
+          { clockType: openSession.clockType, businessDate: openSession.date, kioskAction, jobCode: job.code },
+        ],
+        breakStarted: false,
+        breakEnded: false,
+      }
+    }
+
+    return {
+      success: true,
+      from: state,
+      to: resolved === "break" ? SESSION_STATES.ON_BREAK : SESSION_STATES.OFF,
+      event: resolved,
+      closes: openSession,
+      punches: [clockOut],
+      breakStarted: resolved === "break",
+      breakEnded: false,
+    }
+  }
+
+  const onBreak = state === SESSION_STATES.ON_BREAK
+
+  if (resolved === "out") {
+    return reject(
+      onBreak
+        ? "You are already out on a break. Choose IN or BREAK to come back."
+        : "You are not clocked in. Choose IN to start a session. Missed a punch? Ask an administrator to file a punch correction.",
+    )
+  }
+
+  if (resolved === "transfer") {
+    return reject("You are not clocked in, so there is no session to transfer. Pick the job and choose IN.")
+  }
+
+  if (resolved === "break" && !onBreak) {
+    return reject("You are not clocked in, so a break cannot start. Choose IN first.")
+  }
+
+  const label = getSessionLabel(now, employeeUid, getDatabaseConnection(db), sessions.length > 0)
+
+  return {
+    success: true,
+    from: state,
+    to: SESSION_STATES.WORKING,
+    event: resolved,
+    closes: null,
+    punches: [{ clockType: `${label}_in`, businessDate: null, kioskAction, jobCode: job ? job.code : null }],
+    breakStarted: false,
+    breakEnded: onBreak,
+  }
+}
+
+/**
+ * Record the punches of a planned transition with Attendance.recordPunch. A clock-out also gets
+ * the hours and statistics of the session it closes (`transition.closes`), and those are the
+ * hours stored on it. `punchOptions` go to recordPunch (punchMethod, clockTime, ...).
+ * Returns the attendance records in order.
+ */
+function recordTransition(employee, transition, { now, db = null, ...punchOptions }) {
+  const database = getDatabaseConnection(db)
+
+  return transition.punches.map((punch) => {
+    const attendanceRecord = Attendance.recordPunch(employee, punch.clockType, {
+      ...punchOptions,
+      businessDate: punch.businessDate,
+      kioskAction: punch.kioskAction,
+      jobCode: punch.jobCode,
+      db: database,
+    })
+
+    if (attendanceRecord.direction !== "out") {
+      console.log(`✓ Recorded ${punch.clockType}${punch.jobCode ? ` on job ${punch.jobCode}` : ""}`)
+      return attendanceRecord
+    }
+
+    const openSession = transition.closes
+    const hoursResult = calculateHoursWithStats(
+      punch.clockType,
+      now,
+      openSession.clockTime,
+      employee.uid,
+      openSession.id,
+      attendanceRecord.id,
+      database
+    )
+
+    console.log(`Hours calculation result with statistics:`, hoursResult)
+
+    // The statistics calculation is the one saved with the session - the punch and the daily
+    // summary carry the same hours
+    if (attendanceRecord.regular_hours !== hoursResult.regularHours ||
+        attendanceRecord.overtime_hours !== hoursResult.overtimeHours) {
+      database.prepare("UPDATE attendance SET regular_hours = ?, overtime_hours = ? WHERE id = ?")
+        .run(hoursResult.regularHours, hoursResult.overtimeHours, attendanceRecord.id)
+
+      attendanceRecord.regular_hours = hoursResult.regularHours
+      attendanceRecord.overtime_hours = hoursResult.overtimeHours
+
+      console.log(`✓ Updated attendance record with Regular=${hoursResult.regularHours}, Overtime=${hoursResult.overtimeHours}`)
+    }
+
+    return attendanceRecord
+  })
+}
+
+/**
+ * Record a punch that happened at `now` but reaches the database later (punch correction,
+ * auto clock-out, downloaded punch). The employee's state just before it decides whether it
+ * is a valid `event` ("in", "out" or "break"), exactly as for a punch at the kiosk.
+ * `date` is the business date to look at (the session's date for a clock-out); `clockType`,
+ * when given, is the punch the caller expects and any other one is rejected; `job` is the job
+ * of a clock-in.
+ * `punchOptions` go to recordPunch, with `kioskAction` for a punch that brings the action picked.
+ * { success: true, transition, records } or { success: false, error }
+ */
+function recordPunchAfterTheFact(employee, { event, now, date, clockType = null, job = null }, { db = null, ...punchOptions } = {}) {
+  const database = getDatabaseConnection(db)
+  const current = getSessionState(employee.uid, { date, now, asOf: true }, database)
+  const transition = planTransition(current, event, { employeeUid: employee.uid, now, job }, database)
+
+  if (!transition.success) {
+    return { success: false, error: transition.error }
+  }
+
+  const planned = transition.punches[0].clockType
+  if (clockType && planned !== clockType) {
+    return { success: false, error: `A punch at that time would be ${planned}, not ${clockType}` }
+  }
+
+  // The punches already recorded after it must still alternate in and out
+  const lastDirection = getPunchDirection(transition.punches[transition.punches.length - 1].clockType)
+  const next = getDaySessions(database, employee.uid, date)
+    .flatMap((session) => [session.clockIn, session.clockOut])
+    .filter((punch) => punch && parseTimestamp(punch.clock_time) > parseTimestamp(now))
+    .sort((a, b) => parseTimestamp(a.clock_time) - parseTimestamp(b.clock_time))[0]
+  if (next && getPunchDirection(next.clock_type) === lastDirection) {
+    return { success: false, error: `The next punch (${next.clock_type} at ${next.clock_time}) is also a clock-${lastDirection}` }
+  }
+
+  // Nobody picked an action for these punches - only a downloaded kiosk punch brings its own
+  const { kioskAction = null, ...options } = punchOptions
+  const punches = transition.punches.map((punch) => ({ ...punch, kioskAction }))
+
+  const records = recordTransition(employee, { ...transition, punches }, { ...options, now, clockTime: now, db: database })
+  return { success: true, transition, records }
+}
+
+/**
+ * Record a punch downloaded from the server that is not in the local database yet (one made at
+ * another kiosk). It goes through the state machine like any punch recorded after the fact and
+ * keeps what the server has on it: id (unless `keepId` is false), action, job and barcode.
+ * `clockTime` is the punch time in the local format.
+ */
+function recordDownloadedPunch(record, { clockTime, keepId = true, db = null }) {
+  const database = getDatabaseConnection(db)
+  const employee = database.prepare("SELECT * FROM employees WHERE uid = ?").get(record.employee_uid)
+  if (!employee) {
+    return { success: false, error: `Employee ${record.employee_uid} not found` }
+  }
+
+  const direction = record.direction || getPunchDirection(record.clock_type)
+  const event = direction === "in" ? "in" : record.kiosk_action === "break" ? "break" : "out"
+
+  return recordPunchAfterTheFact(
+    employee,
+    {
+      event,
+      now: parseTimestamp(clockTime),
+      date: record.date,
+      job: direction === "in" && record.job_code ? { code: record.job_code } : null,
+    },
+    {
+      db: database,
+      id: keepId ? record.id : null,
+      isSynced: true,
+      createdAt: record.created_at || null,
+      scannedBarcode: record.scanned_barcode || record.id_barcode || null,
+      kioskAction: record.kiosk_action || null,
+      punchMethod: record.punch_method || null,
+    },
+  )
+}
+
+module.exports = {
+  SESSION_STATES,
+  SESSION_EVENTS,
+  getSessionState,
+  getSessionEvent,
+  planTransition,
+  recordTransition,
+  recordPunchAfterTheFact,
+  recordDownloadedPunch,
+}
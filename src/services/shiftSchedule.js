@@ -0,0 +1,356 @@
+// Shift schedule engine - single source of working hours for every calculator path.
+// Schedules live in the shift_schedules table and are resolved per date (day of week).
+// Schedule assignments (department or employee, with effective dates) take precedence
+// over the day-of-week defaults when an employee is known.
+
+const { toBusinessDate, getDayOfWeek } = require("./siteTime")
+
+// Built-in schedules: seeded by migration 10 and used as a fallback when the
+// database cannot be read. These reproduce the original hard-coded hours.
+const DEFAULT_SHIFT_SCHEDULES = [
+  {
+    name: "Weekday",
+    days_of_week: "1,2,3,4,5,6",
+    start_time: "08:00",
+    end_time: "17:00",
+    lunch_start: "12:00",
+    lunch_end: "13:00",
+    grace_period: 5,
+    early_ot_start: "06:00",
+    overtime_cutoff: "22:00",
+    evening_grace: 15,
+    allow_overtime: 1,
+    is_default: 1,
+    is_active: 1,
+  },
+  {
+    name: "Sunday",
+    days_of_week: "0",
+    start_time: "07:00",
+    end_time: "16:00",
+    lunch_start: "12:00",
+    lunch_end: "13:00",
+    grace_period: 5,
+    early_ot_start: null,
+    overtime_cutoff: null,
+    evening_grace: 15,
+    allow_overtime: 0,
+    is_default: 1,
+    is_active: 1,
+  },
+]
+
+// Cached normalized schedules for the main database connection
+let scheduleCache = null
+
+function parseTimeToMinutes(timeString) {
+  if (timeString === null || timeString === undefined || timeString === "") {
+    return null
+  }
+
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(timeString).trim())
+  if (!match) {
+    return null
+  }
+
+  const hours = Number.parseInt(match[1], 10)
+  const minutes = Number.parseInt(match[2], 10)
+
+  if (hours > 23 || minutes > 59) {
+    return null
+  }
+
+  return hours * 60 + minutes
+}
+
+function minutesToTime(totalMinutes) {
+  if (totalMinutes === null || totalMinutes === undefined) {
+    return null
+  }
+
+  const normalized = ((totalMinutes % (24 * 60)) + 24 * 60) % (24 * 60)
+  const hours = Math.floor(normalized / 60)
+  const minutes = normalized % 60
+  return `${hours.toString().padStart(2, "0")}:${minutes.toString().padStart(2, "0")}`
+}
+
+function parseDaysOfWeek(daysOfWeek) {
+  return String(daysOfWeek || "")
+    .split(",")
+    .map((day) => Number.parseInt(day.trim(), 10))
+    .filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+}
+
+/**
+ * Convert a shift_schedules row into the minute-based shape the calculators use
+ */
+function normalizeSchedule(row) {
+  const startMinutes = parseTimeToMinutes(row.start_time)
+  const endMinutes = parseTimeToMinutes(row.end_time)
+  const allowOvertime = row.allow_overtime === 1 || row.allow_overtime === true
+
+  // Without a lunch window the whole day counts as one block
+  let lunchStartMinutes = parseTimeToMinutes(row.lunch_start)
+  let lunchEndMinutes = parseTimeToMinutes(row.lunch_end)
+  if (lunchStartMinutes === null || lunchEndMinutes === null) {
+    lunchStartMinutes = endMinutes
+    lunchEndMinutes = endMinutes
+  }
+
+  const earlyOvertimeStartMinutes = allowOvertime ? parseTimeToMinutes(row.early_ot_start) : null
+  const overtimeCutoffMinutes = allowOvertime ? parseTimeToMinutes(row.overtime_cutoff) : null
+  const gracePeriod = Number.isFinite(Number(row.grace_period)) ? Number(row.grace_period) : 5
+  const eveningGrace = Number.isFinite(Number(row.evening_grace)) ? Number(row.evening_grace) : 15
+
+  return {
+    id: row.id || null,
+    name: row.name,
+    daysOfWeek: parseDaysOfWeek(row.days_of_week),
+    startMinutes,
+    endMinutes,
+    lunchStartMinutes,
+    lunchEndMinutes,
+    gracePeriod,
+    earlyOvertimeStartMinutes,
+    // Regular overtime runs from end of shift to the cut-off, night overtime after it
+    overtimeCutoffMinutes: overtimeCutoffMinutes === null ? 24 * 60 : overtimeCutoffMinutes,
+    eveningGrace,
+    eveningStartMinutes: endMinutes + eveningGrace,
+    // Night work is counted until the next day's earliest start
+    nightShiftEndMinutes: (earlyOvertimeStartMinutes ?? startMinutes) + 24 * 60,
+    allowOvertime,
+    isDefault: row.is_default === 1 || row.is_default === true,
+    isRestDay: false,
+  }
+}
+
+function getFallbackSchedules() {
+  return DEFAULT_SHIFT_SCHEDULES.map((schedule) => normalizeSchedule(schedule))
+}
+
+function loadSchedules(db) {
+  const rows = db
+    .prepare(`
+      SELECT * FROM shift_schedules
+      WHERE is_active = 1
+      ORDER BY is_default DESC, id ASC
+    `)
+    .all()
+
+  return rows.map((row) => normalizeSchedule(row))
+}
+
+/**
+ * Get all active schedules (normalized). Uses the cache for the main database.
+ */
+function getActiveSchedules(db = null) {
+  if (db) {
+    try {
+      const schedules = loadSchedules(db)
+      return schedules.length > 0 ? schedules : getFallbackSchedules()
+    } catch (error) {
+      console.error("Error loading shift schedules:", error.message)
+      return getFallbackSchedules()
+    }
+  }
+
+  if (scheduleCache) {
+    return scheduleCache
+  }
+
+  try {
+    const { getDatabase } = require("../database/setup")
+    const schedules = loadSchedules(getDatabase())
+    scheduleCache = schedules.length > 0 ? schedules : getFallbackSchedules()
+  } catch (error) {
+    console.error("Error loading shift schedules, using built-in defaults:", error.message)
+    return getFallbackSchedules()
+  }
+
+  return scheduleCache
+}
+
+/**
+ * Resolve the schedule in effect for a date or Date/time
+ */
+function getScheduleForDate(date = null, db = null) {
+  // Day of week of the business date in the site timezone
+  const dayOfWeek = getDayOfWeek(date) ?? getDayOfWeek()
+  const schedules = getActiveSchedules(db)
+
+  const schedule =
+    schedules.find((s) => s.daysOfWeek.includes(dayOfWeek)) ||
+    getFallbackSchedules().find((s) => s.daysOfWeek.includes(dayOfWeek))
+
+  return schedule
+}
+
+/**
+ * Resolve the schedule an employee works on a date.
+ * Employee-level assignments override department-level ones; only assignments whose
+ * effective range covers the date count, so historical dates use the assignment in
+ * effect back then. When the assigned schedules do not cover that day of the week it
+ * is a rest day - the employee's usual schedule is returned with isRestDay set.
+ * Without any assignment the day-of-week default applies.
+ */
+function getScheduleForEmployee(employeeUid, date = null, db = null) {
+  if (!employeeUid) {
+    return getScheduleForDate(date, db)
+  }
+
+  const targetDate = toBusinessDate(date)
+  if (!targetDate) {
+    return getScheduleForDate(date, db)
+  }
+
+  let rows = []
+
+  try {
+    let database = db
+    if (!database) {
+      const { getDatabase } = require("../database/setup")
+      database = getDatabase()
+    }
+
+    rows = database
+      .prepare(`
+        SELECT s.*, sa.id AS assignment_id, sa.employee_uid AS assigned_employee_uid
+        FROM schedule_assignments sa
+        JOIN shift_schedules s ON s.id = sa.schedule_id
+        JOIN employees e ON e.uid = ?
+        WHERE s.is_active = 1
+          AND sa.effective_from <= ?
+          AND (sa.effective_to IS NULL OR sa.effective_to >= ?)
+          AND (sa.employee_uid = e.uid OR (sa.employee_uid IS NULL AND sa.department = e.department))
+        ORDER BY CASE WHEN sa.employee_uid IS NULL THEN 1 ELSE 0 END, sa.effective_from DESC, sa.id DESC
+      `)
+      .all(employeeUid, targetDate, targetDate)
+  } catch (error) {
+    console.error(`Error loading schedule assignments for employee ${employeeUid}:`, error.message)
+    return getScheduleForDate(date, db)
+  }
+
+  if (rows.length === 0) {
+    return getScheduleForDate(date, db)
+  }
+
+  // Use only the most specific level that has assignments (employee beats department)
+  const employeeLevel = rows[0].assigned_employee_uid !== null
+  const candidates = rows
+    .filter((row) => (row.assigned_employee_uid !== null) === employeeLevel)
+    .map((row) => ({ ...normalizeSchedule(row), assignmentId: row.assignment_id }))
+
+  const dayOfWeek = getDayOfWeek(targetDate)
+  const schedule = candidates.find((s) => s.daysOfWeek.includes(dayOfWeek))
+
+  if (schedule) {
+    return schedule
+  }
+
+  return { ...candidates[0], isRestDay: true }
+}
+
+function clearScheduleCache() {
+  scheduleCache = null
+}
+
+/**
+ * Validate a schedule payload coming from the settings screen
+ * Returns an array of error messages (empty when valid)
+ */
+function validateSchedule(schedule) {
+  const errors = []
+
+  if (!schedule || !String(schedule.name || "").trim()) {
+    errors.push("Schedule name is required")
+    return errors
+  }
+
+  const start = parseTimeToMinutes(schedule.start_time)
+  const end = parseTimeToMinutes(schedule.end_time)
+  const lunchStart = parseTimeToMinutes(schedule.lunch_start)
+  const lunchEnd = parseTimeToMinutes(schedule.lunch_end)
+  const earlyOt = parseTimeToMinutes(schedule.early_ot_start)
+  const cutoff = parseTimeToMinutes(schedule.overtime_cutoff)
+
+  if (start === null) errors.push("Start time must be HH:MM")
+  if (end === null) errors.push("End time must be HH:MM")
+  if (start !== null && end !== null && end <= start) errors.push("End time must be after start time")
+
+  if ((schedule.lunch_start && lunchStart === null) || (schedule.lunch_end && lunchEnd === null)) {
+    errors.push("Lunch window must be HH:MM")
+  } else if (lunchStart !== null || lunchEnd !== null) {
+    if (lunchStart === null || lunchEnd === null) {
+      errors.push("Lunch window needs both start and end")
+    } else if (lunchEnd <= lunchStart || lunchStart < start || lunchEnd > end) {
+      errors.push("Lunch window must fall inside the shift")
+    }
+  }
+
+  if (schedule.early_ot_start && (earlyOt === null || earlyOt >= start)) {
+    errors.push("Early overtime start must be before the shift start")
+  }
+
+  if (schedule.overtime_cutoff && (cutoff === null || cutoff <= end)) {
+    errors.push("Overtime cut-off must be after the shift end")
+  }
+
+  const grace = Number(schedule.grace_period)
+  if (!Number.isFinite(grace) || grace < 0 || grace > 60) {
+    errors.push("Grace period must be 0-60 minutes")
+  }
+
+  if (parseDaysOfWeek(schedule.days_of_week).length === 0) {
+    errors.push("Select at least one day of the week")
+  }
+
+  return errors
+}
+
+/**
+ * Validate a schedule assignment payload (department or employee, effective range)
+ * Returns an array of error messages (empty when valid)
+ */
+function validateScheduleAssignment(assignment) {
+  const errors = []
+
+  if (!assignment) {
+    errors.push("Assignment is required")
+    return errors
+  }
+
+  if (!assignment.schedule_id) errors.push("Select a schedule")
+
+  const hasEmployee = !!assignment.employee_uid
+  const hasDepartment = !!String(assignment.department || "").trim()
+  if (hasEmployee === hasDepartment) {
+    errors.push("Assign to either a department or an employee")
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/
+  if (!datePattern.test(assignment.effective_from || "")) {
+    errors.push("Effective from must be YYYY-MM-DD")
+  }
+  if (assignment.effective_to) {
+    if (!datePattern.test(assignment.effective_to)) {
+      errors.push("Effective to must be YYYY-MM-DD")
+    } else if (assignment.effective_to < assignment.effective_from) {
+      errors.push("Effective to must be on or after effective from")
+    }
+  }
+
+  return errors
+}
+
+module.exports = {
+  DEFAULT_SHIFT_SCHEDULES,
+  parseTimeToMinutes,
+  minutesToTime,
+  normalizeSchedule,
+  getActiveSchedules,
+  getScheduleForDate,
+  getScheduleForEmployee,
+  clearScheduleCache,
+  validateSchedule,
+  validateScheduleAssignment,
+}
@@ -0,0 +1,272 @@
+// Site time - the one place business dates and minutes-of-day are derived.
+// Punches are read in the site's timezone (settings.site_timezone, IANA name such as
+// "Asia/Manila") instead of the zone the process happens to run in, and never in UTC.
+//
+// Stored timestamps (attendance.clock_time, created_at, summary first/last punches) use
+//   YYYY-MM-DDTHH:mm:ss.SSS±HH:MM   e.g. 2026-03-02T07:55:00.000+08:00
+// which is the site's wall-clock time followed by its UTC offset, so the string sorts
+// by wall time and still parses to the exact instant. Older rows without an offset
+// (2026-03-02T07:55:00.000) are site wall-clock time and are read as such.
+
+const SITE_TIMEZONE_SETTING = "site_timezone"
+
+const NAIVE_TIMESTAMP = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/
+const ZONED_TIMESTAMP = /(Z|[+-]\d{2}:?\d{2})$/i
+
+// Resolved site timezone for the main database (cleared when the setting changes)
+let cachedTimeZone = null
+const formatters = new Map()
+
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== "string") {
+    return false
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+/**
+ * The configured site timezone, or the system timezone when none is set
+ */
+function getSiteTimeZone() {
+  if (cachedTimeZone) {
+    return cachedTimeZone
+  }
+
+  try {
+    const { getDatabase } = require("../database/setup")
+    const row = getDatabase().prepare("SELECT value FROM settings WHERE key = ?").get(SITE_TIMEZONE_SETTING)
+
+    if (row && row.value && !isValidTimeZone(row.value)) {
+      console.warn(`Invalid site timezone "${row.value}" - using system timezone`)
+    }
+
+    cachedTimeZone = row && isValidTimeZone(row.value) ? row.value : getSystemTimeZone()
+    return cachedTimeZone
+  } catch (error) {
+    // Settings not readable yet (first start) - do not cache the fallback
+    return getSystemTimeZone()
+  }
+}
+
+function clearSiteTimeZoneCache() {
+  cachedTimeZone = null
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        weekday: "short",
+      }),
+    )
+  }
+
+  return formatters.get(timeZone)
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 }
+
+/**
+ * Wall-clock parts of an instant in the site timezone
+ */
+function getZonedParts(date, timeZone = getSiteTimeZone()) {
+  const parts = {}
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value
+    })
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    millisecond: ((date.getTime() % 1000) + 1000) % 1000,
+    dayOfWeek: WEEKDAYS[parts.weekday],
+  }
+}
+
+// Minutes the timezone is ahead of UTC at an instant (+480 for UTC+8)
+function getOffsetMinutes(date, timeZone = getSiteTimeZone()) {
+  const parts = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((asUtc - (date.getTime() - parts.millisecond)) / 60000)
+}
+
+/**
+ * Instant for a wall-clock time in the site timezone.
+ * Out-of-range fields roll over like Date.UTC (day + 1, minute 1500, ...).
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone = getSiteTimeZone()) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second, millisecond)
+
+  // Two passes settle the offset across DST changes
+  const firstOffset = getOffsetMinutes(new Date(wallTime), timeZone)
+  let instant = wallTime - firstOffset * 60000
+  const secondOffset = getOffsetMinutes(new Date(instant), timeZone)
+  if (secondOffset !== firstOffset) {
+    instant = wallTime - secondOffset * 60000
+  }
+
+  return new Date(instant)
+}
+
+/**
+ * Parse a stored timestamp. Values with Z or an offset are exact instants;
+ * values without one are site wall-clock time. Returns null for empty input.
+ */
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === "") {
+    return null
+  }
+
+  if (value instanceof Date) {
+    return new Date(value.getTime())
+  }
+
+  if (typeof value === "number") {
+    return new Date(value)
+  }
+
+  const text = String(value).trim()
+  const naive = ZONED_TIMESTAMP.test(text) ? null : NAIVE_TIMESTAMP.exec(text)
+  if (!naive) {
+    return new Date(text)
+  }
+
+  const [, year, month, day, hour, minute, second, millisecond] = naive
+  return zonedTimeToDate({
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    millisecond: Number((millisecond || "0").padEnd(3, "0")),
+  })
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0")
+}
+
+/**
+ * Format an instant in the stored timestamp format (site wall time + UTC offset)
+ */
+function formatTimestamp(date, timeZone = getSiteTimeZone()) {
+  const parts = getZonedParts(date, timeZone)
+  const offset = getOffsetMinutes(date, timeZone)
+  const sign = offset < 0 ? "-" : "+"
+  const absoluteOffset = Math.abs(offset)
+
+  return (
+    `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}.${pad(parts.millisecond, 3)}` +
+    `${sign}${pad(Math.floor(absoluteOffset / 60))}:${pad(absoluteOffset % 60)}`
+  )
+}
+
+/**
+ * Business date (YYYY-MM-DD) of an instant or timestamp in the site timezone.
+ * Plain YYYY-MM-DD strings are already business dates; no value means today.
+ */
+function toBusinessDate(value = null) {
+  if (typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return value
+  }
+
+  const date = value === null || value === undefined ? new Date() : parseTimestamp(value)
+  if (!date || Number.isNaN(date.getTime())) {
+    return null
+  }
+
+  const parts = getZonedParts(date)
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`
+}
+
+/**
+ * Minutes past midnight (0-1439) of an instant or timestamp in the site timezone
+ */
+function getMinutesOfDay(value) {
+  const date = parseTimestamp(value)
+  const parts = getZonedParts(date)
+  return parts.hour * 60 + parts.minute
+}
+
+/**
+ * Day of week (0 = Sunday) of a business date or instant
+ */
+function getDayOfWeek(value = null) {
+  const businessDate = toBusinessDate(value)
+  if (!businessDate) {
+    return null
+  }
+
+  const [year, month, day] = businessDate.split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+}
+
+/**
+ * Business date `days` away from a business date (calendar math, no DST drift)
+ */
+function addDays(businessDate, days) {
+  const [year, month, day] = String(businessDate).split("-").map(Number)
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split("T")[0]
+}
+
+/**
+ * Instant at `minutes` past site midnight, `dayOffset` days from the business date of `value`
+ */
+function atSiteMinutes(value, dayOffset, minutes) {
+  const [year, month, day] = toBusinessDate(value).split("-").map(Number)
+  return zonedTimeToDate({ year, month, day: day + dayOffset, minute: minutes })
+}
+
+/**
+ * Instant for a minutes-of-day value on a reference business date - for helpers that
+ * take clock times but only look at the time of day
+ */
+function fromMinutesOfDay(minutes, businessDate = "2000-01-01") {
+  return atSiteMinutes(businessDate, 0, minutes)
+}
+
+module.exports = {
+  SITE_TIMEZONE_SETTING,
+  getSystemTimeZone,
+  isValidTimeZone,
+  getSiteTimeZone,
+  clearSiteTimeZoneCache,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToDate,
+  parseTimestamp,
+  formatTimestamp,
+  toBusinessDate,
+  getMinutesOfDay,
+  getDayOfWeek,
+  addDays,
+  atSiteMinutes,
+  fromMinutesOfDay,
+}
@@ -2,6 +2,8 @@ const fetch = require("node-fetch")
 const Employee = require("../database/models/employee")
 const ProfileService = require("./profileService")
 const { getDatabase } = require("../database/setup")
+const dateService = require("./dateService")
+const trustedTime = require("./trustedTime")
 const { validateAndCorrectUnsyncedRecords, validateAttendanceData } = require("../services/validateTime")
 
 class SyncService {
@@ -41,6 +43,7 @@ class SyncService {
         })
 
         clearTimeout(timeoutId)
+        trustedTime.recordServerTime(response, "employee-sync")
       } catch (fetchError) {
         clearTimeout(timeoutId)
         throw fetchError
@@ -349,11 +352,25 @@ class SyncService {
           a.id_number,
           a.scanned_barcode,
           a.clock_type,
+          a.direction,
+          a.sequence,
+          a.kiosk_action,
           a.clock_time,
+          a.rounded_clock_time,
           a.regular_hours,
           a.overtime_hours,
           a.date,
           a.is_late,
+          a.late_minutes,
+          a.undertime_minutes,
+          a.clock_flagged,
+          a.clock_offset_ms,
+          a.device_clock_time,
+          a.auto_clock_out,
+          a.auto_clock_out_reviewed_at,
+          a.break_punch,
+          a.job_code,
+          a.punch_method,
           a.created_at,
           e.first_name,
           e.last_name,
@@ -481,11 +498,25 @@ class SyncService {
               id_barcode: record.id_barcode,
               scanned_barcode: record.scanned_barcode,
               clock_type: record.clock_type,
+              direction: record.direction,
+              sequence: record.sequence,
+              kiosk_action: record.kiosk_action,
               clock_time: record.clock_time,
+              rounded_clock_time: record.rounded_clock_time,
               regular_hours: record.regular_hours || 0,
               overtime_hours: record.overtime_hours || 0,
               date: record.date,
               is_late: record.is_late || 0,
+              late_minutes: record.late_minutes || 0,
+              undertime_minutes: record.undertime_minutes || 0,
+              clock_flagged: record.clock_flagged || 0,
+              clock_offset_ms: record.clock_offset_ms,
+              device_clock_time: record.device_clock_time,
+              auto_clock_out: record.auto_clock_out || 0,
+              auto_clock_out_reviewed_at: record.auto_clock_out_reviewed_at,
+              break_punch: record.break_punch,
+              job_code: record.job_code,
+              punch_method: record.punch_method,
               created_at: record.created_at,
               employee_info: {
                 first_name: record.first_name,
@@ -509,6 +540,7 @@ class SyncService {
           })
 
           clearTimeout(timeoutId)
+          trustedTime.recordServerTime(response, "attendance-sync")
 
           if (response.ok) {
             success = true
@@ -579,7 +611,7 @@ class SyncService {
    * NEW: Quick sync for today's attendance data
    */
   static async syncTodayAttendance(options = {}) {
-    const today = new Date().toISOString().split('T')[0]
+    const today = dateService.getCurrentDate()
 
     return await this.syncAttendanceData({
       ...options,
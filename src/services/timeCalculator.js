@@ -1,15 +1,57 @@
 const dateService = require("./dateService")
+const { getScheduleForDate, getScheduleForEmployee, minutesToTime } = require("./shiftSchedule")
+const { getHolidayForDate } = require("./holidayCalendar")
+const { getNightDifferentialSettings, calculateNightDifferentialMinutes, getScheduleBreaks } = require("./nightDifferential")
+const { splitOvertimeHours } = require("./overtimeAuthorization")
+const { getRoundingPolicy, roundSessionTimes, roundOvertimeHours } = require("./timeRounding")
+const {
+  parseTimestamp,
+  toBusinessDate,
+  getMinutesOfDay,
+  addDays,
+  fromMinutesOfDay,
+} = require("./siteTime")
+
+function calculateHours(clockType, clockTime, clockInTime = null, employeeUid = null, db = null) {
+  const result = calculateSessionHours(clockType, clockTime, clockInTime, employeeUid, db)
+
+  // A session split by job transfers pays what the whole session would
+  const transferShare = getTransferShare(clockType, clockTime, clockInTime, employeeUid, db)
+  if (transferShare) {
+    console.log(`Job transfer segment: Regular=${transferShare.regularHours}, Overtime=${transferShare.overtimeHours}`)
+    return { regularHours: transferShare.regularHours, overtimeHours: transferShare.overtimeHours }
+  }
+
+  return result
+}
 
-function calculateHours(clockType, clockTime, clockInTime = null) {
+// Hours of one session on its own. `forceContinuation` credits the minutes worked whatever the
+// session start rule says (a segment closed by a job transfer, see getTransferShare)
+function calculateSessionHours(clockType, clockTime, clockInTime = null, employeeUid = null, db = null, forceContinuation = false) {
   const overtimeSessionGracePeriod = 15 // 15 minutes grace for overtime sessions
 
   let regularHours = 0
   let overtimeHours = 0
 
+  // Schedule assigned to the employee on the day the session started
+  const schedule = getScheduleForEmployee(employeeUid, clockInTime || clockTime, db)
+
+  // Hours are calculated from the rounded punches; the raw times stay on the records
+  const rawClockInTime = clockInTime
+  const roundingPolicy = getRoundingPolicy(db)
+  const roundedTimes = roundSessionTimes(clockInTime, clockTime, roundingPolicy)
+  clockInTime = roundedTimes.clockIn
+  clockTime = roundedTimes.clockOut
+
   console.log(`=== CALCULATE HOURS ===`)
   console.log(`Clock type: ${clockType}`)
   console.log(`Clock out time: ${clockTime}`)
   console.log(`Clock in time: ${clockInTime}`)
+  console.log(`Schedule: ${schedule.name}`)
+
+  // Only the first session of a window is held to the schedule start
+  const sessionStart = clockType.endsWith("_out") ? getSessionStartRule(clockType, rawClockInTime, employeeUid, db) : null
+  const continuation = forceContinuation || !!sessionStart?.continuation
 
   switch (clockType) {
     case "morning_in":
@@ -24,7 +66,7 @@ function calculateHours(clockType, clockTime, clockInTime = null) {
     case "morning_out":
       if (clockInTime) {
         console.log(`Processing morning_out with continuous hours calculation`)
-        const result = calculateContinuousHours(clockInTime, clockTime, "morning")
+        const result = calculateContinuousHours(clockInTime, clockTime, "morning", schedule, null, continuation)
         regularHours = result.regularHours
         overtimeHours = result.overtimeHours
         console.log(`Morning session result: Regular=${regularHours}, Overtime=${overtimeHours}`)
@@ -36,7 +78,7 @@ function calculateHours(clockType, clockTime, clockInTime = null) {
     case "afternoon_out":
       if (clockInTime) {
         console.log(`Processing afternoon_out with continuous hours calculation`)
-        const result = calculateContinuousHours(clockInTime, clockTime, "afternoon")
+        const result = calculateContinuousHours(clockInTime, clockTime, "afternoon", schedule, null, continuation)
         regularHours = result.regularHours
         overtimeHours = result.overtimeHours
         console.log(`Afternoon session result: Regular=${regularHours}, Overtime=${overtimeHours}`)
@@ -49,7 +91,7 @@ function calculateHours(clockType, clockTime, clockInTime = null) {
       if (clockInTime) {
         console.log(`Processing evening_out with session hours calculation`)
         // Evening sessions are ALWAYS overtime - don't apply 8-hour rule
-        overtimeHours = calculateEveningSessionHours(clockInTime, clockTime, overtimeSessionGracePeriod)
+        overtimeHours = calculateEveningSessionHours(clockInTime, clockTime, overtimeSessionGracePeriod, schedule)
         console.log(`Evening session result: Overtime=${overtimeHours}`)
       } else {
         console.log(`WARNING: evening_out without clockInTime`)
@@ -84,7 +126,7 @@ function calculateHours(clockType, clockTime, clockInTime = null) {
 
   const finalResult = {
     regularHours: Math.round(adjustedHours.regularHours * 100) / 100,
-    overtimeHours: Math.round(adjustedHours.overtimeHours * 100) / 100,
+    overtimeHours: roundOvertimeHours(Math.round(adjustedHours.overtimeHours * 100) / 100, roundingPolicy),
   }
 
   console.log(`=== FINAL CALCULATION RESULT ===`)
@@ -109,8 +151,18 @@ function formatMinutes(minutes) {
   return `${hours.toString().padStart(2, "0")}:${mins.toString().padStart(2, "0")}`
 }
 
+/**
+ * Append a step to a calculation trace. Each step names the rule that was applied
+ * plus the boundaries, grace and rounding behind the number, so the result can be
+ * explained later. No-op when no trace is being collected.
+ */
+function traceStep(trace, rule, description, details = {}) {
+  if (!trace) return
+  trace.push({ step: trace.length + 1, rule, description, ...details })
+}
+
 // Applies to ALL clock types
-function apply8HourRegularRule(regularHours, overtimeHours, clockType = null, clockInTime = null) {
+function apply8HourRegularRule(regularHours, overtimeHours, clockType = null, clockInTime = null, trace = null) {
   const MAX_REGULAR_HOURS = 8
 
   console.log(`=== APPLYING 8-HOUR REGULAR CAP RULE ===`)
@@ -124,6 +176,11 @@ function apply8HourRegularRule(regularHours, overtimeHours, clockType = null, cl
     console.log(`✓ Regular hours within limit (${regularHours} <= ${MAX_REGULAR_HOURS})`)
     console.log(`Final result: Regular=${regularHours}, Overtime=${overtimeHours} (no adjustment needed)`)
     console.log(`=== END 8-HOUR CAP RULE (NO ADJUSTMENT) ===`)
+    traceStep(trace, "regular_cap", `Regular hours within the ${MAX_REGULAR_HOURS}-hour cap`, {
+      maxRegularHours: MAX_REGULAR_HOURS,
+      regularHours,
+      overtimeHours,
+    })
 
     return {
       regularHours: regularHours,
@@ -142,6 +199,12 @@ function apply8HourRegularRule(regularHours, overtimeHours, clockType = null, cl
   console.log(`Overtime hours: ${overtimeHours} + ${excessRegularHours} = ${newOvertimeHours}`)
   console.log(`Final result: Regular=${newRegularHours}, Overtime=${newOvertimeHours}`)
   console.log(`=== END 8-HOUR CAP RULE (MOVED ${excessRegularHours} HOURS TO OVERTIME) ===`)
+  traceStep(trace, "regular_cap", `Regular hours above ${MAX_REGULAR_HOURS} moved to overtime`, {
+    maxRegularHours: MAX_REGULAR_HOURS,
+    movedHours: excessRegularHours,
+    regularHours: newRegularHours,
+    overtimeHours: newOvertimeHours,
+  })
 
   return {
     regularHours: newRegularHours,
@@ -149,22 +212,30 @@ function apply8HourRegularRule(regularHours, overtimeHours, clockType = null, cl
   }
 }
 
-function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
+function calculateContinuousHours(
+  clockInTime,
+  clockOutTime,
+  startingSession,
+  assignedSchedule = null,
+  trace = null,
+  continuation = false,
+) {
   // FIXED: Ensure parameters are Date objects
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
      
-  let clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  let clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
+  let clockInMinutes = getMinutesOfDay(safeClockInTime)
+  let clockOutMinutes = getMinutesOfDay(safeClockOutTime)
 
-  // NEW: Check if this is Sunday (0 = Sunday in JavaScript)
-  const isSunday = safeClockInTime.getDay() === 0
+  // Working hours come from the shift schedule in effect on the clock-in date
+  const schedule = assignedSchedule || getScheduleForDate(safeClockInTime)
+  const noOvertime = !schedule.allowOvertime
   
   console.log(`=== SAME-DAY CONTINUOUS HOURS CALCULATION ===`)
   console.log(`Clock in: ${formatMinutes(clockInMinutes)} (${clockInMinutes} min)`)
   console.log(`Clock out: ${formatMinutes(clockOutMinutes)} (${clockOutMinutes} min)`)
   console.log(`Starting session: ${startingSession}`)
-  console.log(`Is Sunday: ${isSunday}`)
+  console.log(`Schedule: ${schedule.name} (overtime ${noOvertime ? "disabled" : "allowed"})`)
 
   // FIXED: Better overnight shift detection
   let isOvernightShift = false
@@ -180,9 +251,18 @@ function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
       clockOutMinutes = potentialNextDayTime
       isOvernightShift = true
       console.log(`CONFIRMED OVERNIGHT SHIFT: Adjusted clock out to ${formatMinutes(clockOutMinutes)}`)
+      traceStep(trace, "overnight", "Clock out is on the next day - counted as continuous work", {
+        clockIn: formatMinutes(clockInMinutes),
+        clockOut: formatMinutes(clockOutMinutes),
+      })
     } else {
       console.log(`INVALID OVERNIGHT SHIFT: Clock times don't make sense - treating as same day`)
       console.log(`ERROR: Clock out (${formatMinutes(clockOutMinutes)}) is before clock in (${formatMinutes(clockInMinutes)}) on same day`)
+      traceStep(trace, "invalid_times", "Clock out is before clock in and too far apart for an overnight shift - no hours", {
+        clockIn: formatMinutes(clockInMinutes),
+        clockOut: formatMinutes(clockOutMinutes),
+        maxOvernightMinutes: 16 * 60,
+      })
       return {
         regularHours: 0,
         overtimeHours: 0
@@ -190,86 +270,54 @@ function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
     }
   }
 
-  // SUNDAY-SPECIFIC WORKING HOURS
-  let morningStart, afternoonEnd, lunchStart, lunchEnd
-  
-  if (isSunday) {
-    console.log(`=== APPLYING SUNDAY RULES ===`)
-    morningStart = 7 * 60 // 7:00 AM (Sunday start)
-    afternoonEnd = 16 * 60 // 4:00 PM (Sunday end - NO OVERTIME AFTER THIS)
-    lunchStart = 12 * 60 // 12:00 PM
-    lunchEnd = 13 * 60 // 1:00 PM
-    console.log(`Sunday hours: 7:00 AM - 4:00 PM (no overtime)`)
-  } else {
-    // Regular weekday hours
-    morningStart = 8 * 60 // 8:00 AM
-    afternoonEnd = 17 * 60 // 5:00 PM
-    lunchStart = 12 * 60 // 12:00 PM
-    lunchEnd = 13 * 60 // 1:00 PM
-  }
-
-  const earlyMorningStart = 6 * 60 // 6:00 AM (only for weekdays)
-  const morningEnd = 12 * 60 // 12:00 PM
-  const afternoonStart = 13 * 60 // 1:00 PM
-  const overtimeEnd = 22 * 60 // 10:00 PM (weekdays only)
-  const regularGracePeriod = 5 // 5 minutes grace period
+  const morningStart = schedule.startMinutes
+  const afternoonEnd = schedule.endMinutes
+  const lunchStart = schedule.lunchStartMinutes
+  const lunchEnd = schedule.lunchEndMinutes
+  const earlyMorningStart = schedule.earlyOvertimeStartMinutes // null when early overtime is disabled
+  const morningEnd = lunchStart
+  const afternoonStart = lunchEnd
+  const overtimeEnd = schedule.overtimeCutoffMinutes
+  const regularGracePeriod = schedule.gracePeriod
   const earlyMorningGracePeriod = 60
 
+  console.log(`Shift hours: ${minutesToTime(morningStart)} - ${minutesToTime(afternoonEnd)}, lunch ${minutesToTime(lunchStart)} - ${minutesToTime(lunchEnd)}`)
+
   let totalRegularHours = 0
   let totalOvertimeHours = 0
 
-  // SUNDAY RULE: No early morning overtime calculation
-  if (!isSunday) {
-    // Regular weekday early morning overtime (6:00-8:00)
+  // Early morning overtime only when the schedule defines an early-OT window
+  if (earlyMorningStart !== null) {
     const earlyMorningGraceStart = earlyMorningStart - earlyMorningGracePeriod
     let earlyMorningOvertimeHours = 0
 
     if (startingSession === "morning" && clockInMinutes >= earlyMorningGraceStart && clockInMinutes < morningStart) {
-      console.log(`=== UPDATED EARLY MORNING OVERTIME CALCULATION (6:00-8:00) ===`)
+      console.log(`=== EARLY MORNING OVERTIME CALCULATION (${minutesToTime(earlyMorningStart)}-${minutesToTime(morningStart)}) ===`)
       console.log(`Clock in: ${formatMinutes(clockInMinutes)} (qualifies for early morning overtime)`)
 
-      if (clockInMinutes <= earlyMorningStart + regularGracePeriod) {
-        console.log(`=== EARLY MORNING OVERTIME: On-time for 6:00 AM ===`)
-        earlyMorningOvertimeHours = 2.0
-      } else {
-        console.log(`=== EARLY MORNING OVERTIME: Late arrival - STRICT RULE ===`)
-        let calculatedOvertimeHours = 0
-
-        // Hour 1: 6:00-7:00 AM
-        const hour1Start = 6 * 60
-        const hour1End = 7 * 60
-        const lateForHour1 = Math.max(0, clockInMinutes - hour1Start)
-
-        if (clockInMinutes < hour1End) {
-          if (lateForHour1 <= regularGracePeriod) {
-            calculatedOvertimeHours += 1
-          }
-        }
-
-        // Hour 2: 7:00-8:00 AM
-        const hour2Start = 7 * 60
-        const hour2End = 8 * 60
-        const lateForHour2 = Math.max(0, clockInMinutes - hour2Start)
-
-        if (clockInMinutes < hour2End) {
-          if (lateForHour2 <= regularGracePeriod) {
-            calculatedOvertimeHours += 1
-          }
-        }
-
-        earlyMorningOvertimeHours = calculatedOvertimeHours
-      }
+      earlyMorningOvertimeHours = calculateEarlyMorningOvertimeHours(clockInMinutes, schedule)
 
       totalOvertimeHours += earlyMorningOvertimeHours
       console.log(`Early morning overtime hours added: ${earlyMorningOvertimeHours}`)
-      console.log(`=== END UPDATED EARLY MORNING OVERTIME CALCULATION ===`)
+      console.log(`=== END EARLY MORNING OVERTIME CALCULATION ===`)
+      traceStep(trace, "early_morning_overtime", "Arrived inside the early overtime window", {
+        window: `${minutesToTime(earlyMorningStart)}-${minutesToTime(morningStart)}`,
+        clockIn: formatMinutes(clockInMinutes),
+        graceMinutes: regularGracePeriod,
+        rounding: "whole window when on time, otherwise each hourly slot reached within grace",
+        overtimeHours: earlyMorningOvertimeHours,
+      })
     }
   }
 
-  // SUNDAY: Cap clock out at 16:00 (4:00 PM) - no work counted after this
-  if (isSunday && clockOutMinutes > afternoonEnd) {
-    console.log(`⚠️  SUNDAY RULE: Clock out at ${formatMinutes(clockOutMinutes)} exceeds Sunday limit (16:00)`)
-    console.log(`Capping clock out at 16:00 - no hours counted after this time on Sunday`)
+  // No-overtime schedules: cap clock out at shift end - no work counted after this
+  if (noOvertime && clockOutMinutes > afternoonEnd) {
+    console.log(`⚠️  ${schedule.name.toUpperCase()} RULE: Clock out at ${formatMinutes(clockOutMinutes)} exceeds shift end (${minutesToTime(afternoonEnd)})`)
+    console.log(`Capping clock out at ${minutesToTime(afternoonEnd)} - no overtime on this schedule`)
+    traceStep(trace, "no_overtime_cap", `${schedule.name} schedule does not allow overtime - clock out capped at shift end`, {
+      clockOut: formatMinutes(clockOutMinutes),
+      cappedAt: minutesToTime(afternoonEnd),
+    })
     clockOutMinutes = afternoonEnd
   }
 
@@ -279,74 +327,88 @@ function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
     if (clockInMinutes < morningEnd && clockOutMinutes > morningStart) {
       const morningHours = calculateRegularHours(
         safeClockInTime,
-        new Date(0, 0, 0, Math.floor(Math.min(clockOutMinutes, morningEnd) / 60), Math.min(clockOutMinutes, morningEnd) % 60),
+        fromMinutesOfDay(Math.min(clockOutMinutes, morningEnd)),
         morningStart,
         morningEnd,
         regularGracePeriod,
+        trace,
+        "Morning regular hours",
+        continuation,
       )
       totalRegularHours += morningHours
       console.log(`Morning hours: ${morningHours}`)
     }
 
-    // Calculate afternoon hours
+    // Calculate afternoon hours (a morning session reopened after lunch by a job transfer starts later)
     if (clockOutMinutes > afternoonStart) {
-      const afternoonStartTime = afternoonStart
+      const afternoonStartTime = Math.max(clockInMinutes, afternoonStart)
       const afternoonEndTime = Math.min(clockOutMinutes, afternoonEnd)
 
       if (afternoonEndTime > afternoonStartTime) {
         const afternoonHours = calculateRegularHours(
-          new Date(0, 0, 0, Math.floor(afternoonStartTime / 60), afternoonStartTime % 60),
-          new Date(0, 0, 0, Math.floor(afternoonEndTime / 60), afternoonEndTime % 60),
+          fromMinutesOfDay(afternoonStartTime),
+          fromMinutesOfDay(afternoonEndTime),
           afternoonStart,
           afternoonEnd,
           regularGracePeriod,
+          trace,
+          "Afternoon regular hours",
+          continuation,
         )
         totalRegularHours += afternoonHours
         console.log(`Afternoon hours: ${afternoonHours}`)
       }
     }
 
-    // WEEKDAY ONLY: Calculate overtime after afternoon end
-    if (!isSunday && clockOutMinutes > afternoonEnd) {
+    // Overtime after shift end (schedules that allow it)
+    if (!noOvertime && clockOutMinutes > afternoonEnd) {
       const regularOvertimeStart = afternoonEnd
       const regularOvertimeEnd = Math.min(clockOutMinutes, overtimeEnd)
 
       if (regularOvertimeEnd > regularOvertimeStart) {
-        const regularOvertimeHours = calculateSimpleOvertimeHours(regularOvertimeStart, regularOvertimeEnd)
+        const regularOvertimeHours = calculateSimpleOvertimeHours(regularOvertimeStart, regularOvertimeEnd, trace, "Overtime after shift end")
         totalOvertimeHours += regularOvertimeHours
-        console.log(`Regular overtime hours (17:00-22:00): ${regularOvertimeHours}`)
+        console.log(`Regular overtime hours (${minutesToTime(afternoonEnd)}-${minutesToTime(overtimeEnd)}): ${regularOvertimeHours}`)
       }
     }
 
-    // WEEKDAY ONLY: Calculate night shift overtime
-    if (!isSunday && clockOutMinutes > overtimeEnd) {
+    // Night shift overtime after the schedule cut-off
+    if (!noOvertime && clockOutMinutes > overtimeEnd) {
       const nightShiftStart = overtimeEnd
       const nightShiftEnd = clockOutMinutes
 
       if (nightShiftEnd > nightShiftStart) {
-        const nightShiftHours = calculateSimpleOvertimeHours(nightShiftStart, nightShiftEnd)
+        const nightShiftHours = calculateSimpleOvertimeHours(nightShiftStart, nightShiftEnd, trace, "Overtime after the overtime cut-off")
         totalOvertimeHours += nightShiftHours
-        console.log(`Night shift overtime (22:00+): ${nightShiftHours}`)
+        console.log(`Night shift overtime (${minutesToTime(overtimeEnd)}+): ${nightShiftHours}`)
       }
     }
 
     // Lunch break logging
     if (clockInMinutes < lunchStart && clockOutMinutes > lunchEnd) {
-      console.log(`Lunch break excluded: ${formatMinutes(lunchStart)} - ${formatMinutes(lunchEnd)} (1 hour)`)
+      console.log(`Lunch break excluded: ${formatMinutes(lunchStart)} - ${formatMinutes(lunchEnd)} (${lunchEnd - lunchStart} min)`)
+      traceStep(trace, "lunch_break", "Lunch break not counted", {
+        window: `${minutesToTime(lunchStart)}-${minutesToTime(lunchEnd)}`,
+        minutes: lunchEnd - lunchStart,
+      })
     }
   } else if (startingSession === "afternoon") {
-    // Afternoon session logic (similar adjustments for Sunday)
+    // Afternoon session logic
     let effectiveAfternoonClockIn = clockInMinutes
     if (clockInMinutes < afternoonStart && clockInMinutes >= lunchStart) {
       effectiveAfternoonClockIn = afternoonStart
-      console.log(`Clock in during lunch break - treating as 13:00`)
+      console.log(`Clock in during lunch break - treating as ${minutesToTime(afternoonStart)}`)
+      traceStep(trace, "lunch_clock_in", "Clocked in during lunch - counted from the afternoon start", {
+        clockIn: formatMinutes(clockInMinutes),
+        countedFrom: minutesToTime(afternoonStart),
+      })
     }
 
-    // Early afternoon arrival overtime (weekdays only)
-    if (!isSunday && clockInMinutes < lunchStart) {
+    // Early afternoon arrival overtime (schedules that allow it)
+    if (!noOvertime && clockInMinutes < lunchStart) {
       const earlyAfternoonEnd = Math.min(clockOutMinutes, afternoonStart)
       if (earlyAfternoonEnd > clockInMinutes) {
-        const earlyAfternoonOvertime = calculateSimpleOvertimeHours(clockInMinutes, earlyAfternoonEnd)
+        const earlyAfternoonOvertime = calculateSimpleOvertimeHours(clockInMinutes, earlyAfternoonEnd, trace, "Early afternoon arrival overtime")
         totalOvertimeHours += earlyAfternoonOvertime
         console.log(`Early afternoon arrival overtime: ${earlyAfternoonOvertime} hours`)
       }
@@ -356,34 +418,37 @@ function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
     if (effectiveAfternoonClockIn < afternoonEnd && clockOutMinutes > afternoonStart) {
       const afternoonHours = calculateRegularHours(
         safeClockInTime,
-        new Date(0, 0, 0, Math.floor(Math.min(clockOutMinutes, afternoonEnd) / 60), Math.min(clockOutMinutes, afternoonEnd) % 60),
+        fromMinutesOfDay(Math.min(clockOutMinutes, afternoonEnd)),
         afternoonStart,
         afternoonEnd,
         regularGracePeriod,
+        trace,
+        "Afternoon regular hours",
+        continuation,
       )
       totalRegularHours += afternoonHours
       console.log(`Afternoon hours: ${afternoonHours}`)
     }
 
-    // WEEKDAY ONLY: Calculate overtime
-    if (!isSunday && clockOutMinutes > afternoonEnd) {
+    // Overtime after shift end (schedules that allow it)
+    if (!noOvertime && clockOutMinutes > afternoonEnd) {
       const regularOvertimeStart = afternoonEnd
       const regularOvertimeEnd = Math.min(clockOutMinutes, overtimeEnd)
 
       if (regularOvertimeEnd > regularOvertimeStart) {
-        const regularOvertimeHours = calculateSimpleOvertimeHours(regularOvertimeStart, regularOvertimeEnd)
+        const regularOvertimeHours = calculateSimpleOvertimeHours(regularOvertimeStart, regularOvertimeEnd, trace, "Overtime after shift end")
         totalOvertimeHours += regularOvertimeHours
         console.log(`Regular overtime hours: ${regularOvertimeHours}`)
       }
     }
 
-    // WEEKDAY ONLY: Night shift
-    if (!isSunday && clockOutMinutes > overtimeEnd) {
+    // Night shift overtime after the schedule cut-off
+    if (!noOvertime && clockOutMinutes > overtimeEnd) {
       const nightShiftStart = overtimeEnd
       const nightShiftEnd = clockOutMinutes
 
       if (nightShiftEnd > nightShiftStart) {
-        const nightShiftHours = calculateSimpleOvertimeHours(nightShiftStart, nightShiftEnd)
+        const nightShiftHours = calculateSimpleOvertimeHours(nightShiftStart, nightShiftEnd, trace, "Overtime after the overtime cut-off")
         totalOvertimeHours += nightShiftHours
         console.log(`Night shift overtime: ${nightShiftHours}`)
       }
@@ -391,9 +456,7 @@ function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
   }
 
   console.log(`=== CALCULATION SUMMARY ===`)
-  if (isSunday) {
-    console.log(`SUNDAY SHIFT: 7:00 AM - 4:00 PM (no overtime)`)
-  }
+  console.log(`${schedule.name.toUpperCase()} SHIFT: ${minutesToTime(morningStart)} - ${minutesToTime(afternoonEnd)}${noOvertime ? " (no overtime)" : ""}`)
   console.log(`Total regular hours: ${totalRegularHours}`)
   console.log(`Total overtime hours: ${totalOvertimeHours}`)
   console.log(`Grand total: ${totalRegularHours + totalOvertimeHours} hours`)
@@ -405,7 +468,7 @@ function calculateContinuousHours(clockInTime, clockOutTime, startingSession) {
   }
 }
 
-function calculateSimpleOvertimeHours(overtimeStartTime, clockOutMinutes) {
+function calculateSimpleOvertimeHours(overtimeStartTime, clockOutMinutes, trace = null, label = "Overtime") {
   const totalOvertimeMinutes = clockOutMinutes - overtimeStartTime
 
   console.log(`=== SIMPLE OVERTIME CALCULATION DEBUG ===`)
@@ -437,11 +500,18 @@ function calculateSimpleOvertimeHours(overtimeStartTime, clockOutMinutes) {
 
   console.log(`Final overtime hours: ${finalHours}`)
   console.log(`=== END SIMPLE OVERTIME CALCULATION ===`)
+  traceStep(trace, "overtime", label, {
+    from: formatMinutes(overtimeStartTime),
+    to: formatMinutes(clockOutMinutes),
+    minutes: totalOvertimeMinutes,
+    rounding: "whole hours, +0.5 for a remainder of 30 minutes or more",
+    overtimeHours: finalHours,
+  })
 
   return finalHours
 }
 
-function calculateContinuousOvertimeHours(startMinutes, endMinutes) {
+function calculateContinuousOvertimeHours(startMinutes, endMinutes, trace = null, label = "Evening overtime") {
   const totalMinutes = endMinutes - startMinutes
 
   console.log(`=== EVENING CONTINUOUS OVERTIME CALCULATION ===`)
@@ -476,57 +546,107 @@ function calculateContinuousOvertimeHours(startMinutes, endMinutes) {
 
   console.log(`Final evening continuous overtime hours: ${finalHours}`)
   console.log(`=== END EVENING CONTINUOUS OVERTIME CALCULATION ===`)
+  traceStep(trace, "overtime", label, {
+    from: formatMinutes(startMinutes),
+    to: formatMinutes(endMinutes),
+    minutes: totalMinutes,
+    rounding: "whole hours, +0.5 for a 25-44 minute remainder, +1 for 45 minutes or more",
+    overtimeHours: finalHours,
+  })
 
   return finalHours
 }
 
-function calculateEarlyMorningOvertimeFixed(clockInMinutes) {
-  const morningStart = 8 * 60 // 8:00 AM
-  const regularGracePeriod = 5 // 5 minutes
+// Split the early-OT window (early_ot_start to shift start) into hourly slots
+function getEarlyMorningSlots(schedule) {
+  const slots = []
+  if (schedule.earlyOvertimeStartMinutes === null) {
+    return slots
+  }
+
+  for (let slotStart = schedule.earlyOvertimeStartMinutes; slotStart < schedule.startMinutes; slotStart += 60) {
+    slots.push({ start: slotStart, end: Math.min(slotStart + 60, schedule.startMinutes) })
+  }
+  return slots
+}
+
+// Strict early morning rule: on time for the window start = whole window,
+// otherwise each hourly slot only counts when reached within the grace period
+function calculateEarlyMorningOvertimeHours(clockInMinutes, schedule) {
+  const slots = getEarlyMorningSlots(schedule)
+  const regularGracePeriod = schedule.gracePeriod
+
+  if (slots.length === 0) {
+    return 0
+  }
+
+  if (clockInMinutes <= schedule.earlyOvertimeStartMinutes + regularGracePeriod) {
+    const windowHours = (schedule.startMinutes - schedule.earlyOvertimeStartMinutes) / 60
+    console.log(`=== EARLY MORNING OVERTIME: On-time for ${minutesToTime(schedule.earlyOvertimeStartMinutes)} ===`)
+    return Math.floor(windowHours * 2) / 2
+  }
+
+  console.log(`=== EARLY MORNING OVERTIME: Late arrival - STRICT RULE ===`)
+  let calculatedOvertimeHours = 0
+
+  slots.forEach((slot, index) => {
+    const lateForSlot = Math.max(0, clockInMinutes - slot.start)
+
+    if (clockInMinutes < slot.end) {
+      if (lateForSlot <= regularGracePeriod) {
+        calculatedOvertimeHours += (slot.end - slot.start) / 60
+        console.log(`Hour ${index + 1}: ${(slot.end - slot.start) / 60} hour (on time)`)
+      } else {
+        console.log(`Hour ${index + 1}: 0 hours (late ${lateForSlot} min)`)
+      }
+    }
+  })
+
+  return calculatedOvertimeHours
+}
+
+function calculateEarlyMorningOvertimeFixed(clockInMinutes, schedule = getScheduleForDate()) {
+  const regularGracePeriod = schedule.gracePeriod
   
-  // Early morning rules (6:00-8:00 AM)
-  const hour1Start = 6 * 60 // 6:00 AM
-  const hour1End = 7 * 60   // 7:00 AM
-  const hour2Start = 7 * 60 // 7:00 AM
-  const hour2End = 8 * 60   // 8:00 AM
+  // Early morning rules (early_ot_start to shift start)
+  const slots = getEarlyMorningSlots(schedule)
   
   let totalOvertimeHours = 0
 
-  // Hour 1: 6:00-7:00 AM
-  const lateForHour1 = Math.max(0, clockInMinutes - hour1Start)
-  
-  if (clockInMinutes < hour1End) {
-    if (lateForHour1 <= regularGracePeriod) {
-      totalOvertimeHours += 1.0 // Full hour
-    } else if (lateForHour1 <= 30) {
-      totalOvertimeHours += 0.5 // Half hour
-    }
-    // > 30 minutes late = 0 hours (void)
-  }
+  slots.forEach((slot) => {
+    const lateForSlot = Math.max(0, clockInMinutes - slot.start)
+    const slotHours = (slot.end - slot.start) / 60
 
-  // Hour 2: 7:00-8:00 AM
-  const lateForHour2 = Math.max(0, clockInMinutes - hour2Start)
-  
-  if (clockInMinutes < hour2End) {
-    if (lateForHour2 <= regularGracePeriod) {
-      totalOvertimeHours += 1.0 // Full hour
-    } else if (lateForHour2 <= 30) {
-      totalOvertimeHours += 0.5 // Half hour
+    if (clockInMinutes < slot.end) {
+      if (lateForSlot <= regularGracePeriod) {
+        totalOvertimeHours += slotHours // Full slot
+      } else if (lateForSlot <= 30) {
+        totalOvertimeHours += slotHours / 2 // Half slot
+      }
+      // > 30 minutes late = 0 hours (void)
     }
-    // > 30 minutes late = 0 hours (void)
-  }
+  })
 
   console.log(`Early morning overtime (fixed): ${totalOvertimeHours} hours`)
   return totalOvertimeHours
 }
 
 
-function calculateRegularHours(clockInTime, clockOutTime, sessionStart, sessionEnd, gracePeriod) {
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
+function calculateRegularHours(
+  clockInTime,
+  clockOutTime,
+  sessionStart,
+  sessionEnd,
+  gracePeriod,
+  trace = null,
+  label = "Regular hours",
+  continuation = false,
+) {
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
 
-  const clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  const clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
+  const clockInMinutes = getMinutesOfDay(safeClockInTime)
+  const clockOutMinutes = getMinutesOfDay(safeClockOutTime)
 
   const actualStartTime = Math.max(clockInMinutes, sessionStart)
   const actualEndTime = Math.min(clockOutMinutes, sessionEnd)
@@ -544,39 +664,58 @@ function calculateRegularHours(clockInTime, clockOutTime, sessionStart, sessionE
   const totalMinutesWorked = actualEndTime - actualStartTime
   console.log(`- Total minutes worked: ${totalMinutesWorked}`)
 
-  // Calculate lateness from session start
-  const lateMinutes = Math.max(0, clockInMinutes - sessionStart)
+  // Calculate lateness from session start - a session that continues the day is never late
+  const lateMinutes = continuation ? 0 : Math.max(0, clockInMinutes - sessionStart)
   console.log(`- Late by: ${lateMinutes} minutes`)
 
   let finalHours = 0
-
-  if (lateMinutes <= gracePeriod) {
+  let rounding
+
+  if (continuation) {
+    // Not the first session of the window (see getSessionStartRule) - credit the minutes worked
+    finalHours = Math.round((totalMinutesWorked / 60) * 100) / 100
+    rounding = "continues the day - minutes worked, no lateness rule"
+    console.log(`- Continues the day: ${totalMinutesWorked} minutes = ${finalHours} hours`)
+  } else if (lateMinutes <= gracePeriod) {
     // On time (within grace period) - give full credit for time worked, rounded UP to nearest 0.5 hour
     finalHours = Math.ceil(totalMinutesWorked / 30) * 0.5
+    rounding = "on time - rounded UP to the nearest 0.5 hour"
     console.log(`- On time (≤${gracePeriod} min): ${totalMinutesWorked} minutes rounded UP to nearest 0.5hr = ${finalHours} hours`)
 } else if (lateMinutes <= 45) {
   // Late but within 45-minute threshold - give time worked rounded DOWN to nearest 0.5 hour (no benefit of doubt)
   finalHours = Math.floor(totalMinutesWorked / 30) * 0.5
+  rounding = "late up to 45 minutes - rounded DOWN to the nearest 0.5 hour"
   console.log(`- Late ${lateMinutes} min (6-45 min range): ${totalMinutesWorked} minutes rounded DOWN to nearest 0.5hr = ${finalHours} hours`)
 } else {
     // More than 45 minutes late - deduct 1 hour penalty from worked time
     const penalizedMinutes = Math.max(0, totalMinutesWorked - 60)
     finalHours = Math.round(penalizedMinutes / 30) * 0.5
+    rounding = "late more than 45 minutes - 1 hour deducted, rounded to the nearest 0.5 hour"
     console.log(`- Late ${lateMinutes} min (>45 min): ${totalMinutesWorked} - 60 penalty = ${penalizedMinutes} minutes = ${finalHours} hours`)
   }
 
   console.log(`- Final regular hours: ${finalHours}`)
+  traceStep(trace, "regular_hours", label, {
+    session: `${minutesToTime(sessionStart)}-${minutesToTime(sessionEnd)}`,
+    from: formatMinutes(actualStartTime),
+    to: formatMinutes(actualEndTime),
+    minutes: totalMinutesWorked,
+    lateMinutes,
+    graceMinutes: gracePeriod,
+    rounding,
+    regularHours: finalHours,
+  })
   return finalHours
 }
 
 
 function calculateOvertimeSessionHours(clockInTime, clockOutTime, sessionGracePeriod) {
   // FIXED: Ensure parameters are Date objects
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
      
-  const clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  const clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
+  const clockInMinutes = getMinutesOfDay(safeClockInTime)
+  const clockOutMinutes = getMinutesOfDay(safeClockOutTime)
 
   // REMOVED: No overnight shift handling
   const totalMinutesWorked = clockOutMinutes - clockInMinutes
@@ -594,12 +733,12 @@ function calculateOvertimeSessionHours(clockInTime, clockOutTime, sessionGracePe
   return effectiveMinutesWorked / 60
 }
 
-function calculateEveningSessionHours(clockInTime, clockOutTime, sessionGracePeriod) {
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
+function calculateEveningSessionHours(clockInTime, clockOutTime, sessionGracePeriod, assignedSchedule = null) {
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
 
-  const clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  const clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
+  const clockInMinutes = getMinutesOfDay(safeClockInTime)
+  const clockOutMinutes = getMinutesOfDay(safeClockOutTime)
 
   console.log(`Evening session calculation (same-day only) - INITIAL:`)
   console.log(`- Clock in: ${formatMinutes(clockInMinutes)} (${clockInMinutes} minutes)`)
@@ -616,8 +755,9 @@ function calculateEveningSessionHours(clockInTime, clockOutTime, sessionGracePer
 
   // Apply same-day evening session calculation only
   console.log(`=== APPLYING SAME-DAY EVENING SESSION CALCULATION ===`)
-  const eveningStart = 17 * 60 // 17:00
-  const eveningGraceEnd = eveningStart + sessionGracePeriod // 17:15
+  const schedule = assignedSchedule || getScheduleForDate(safeClockInTime)
+  const eveningStart = schedule.endMinutes // Evening starts when the shift ends
+  const eveningGraceEnd = eveningStart + sessionGracePeriod
 
   const totalHours = calculateOriginalEveningSession(
     clockInMinutes,
@@ -638,24 +778,24 @@ function calculateOriginalEveningSession(
   eveningGraceEnd,
   sessionGracePeriod,
 ) {
-  const firstHourEnd = eveningStart + 60 // 18:00
+  const firstHourEnd = eveningStart + 60
   let totalHours = 0
 
-  // Calculate first hour (17:00-18:00) with special grace period rule
+  // Calculate first evening hour with special grace period rule
   let firstHourCredit = 0
 
   if (clockInMinutes <= eveningGraceEnd) {
     // On time - gets full first hour credit
     firstHourCredit = 1
-    console.log(`- Clock in <= 17:15 (grace period) → First hour credit: 1.0`)
+    console.log(`- Clock in <= ${minutesToTime(eveningGraceEnd)} (grace period) → First hour credit: 1.0`)
   } else if (clockInMinutes < firstHourEnd) {
     // Late but within first hour - gets half credit
     firstHourCredit = 0.5
-    console.log(`- Clock in 17:16-17:59 (late but within first hour) → First hour credit: 0.5`)
+    console.log(`- Clock in before ${minutesToTime(firstHourEnd)} (late but within first hour) → First hour credit: 0.5`)
   } else {
-    // Clocked in after 18:00 - no first hour credit
+    // Clocked in after the first evening hour - no first hour credit
     firstHourCredit = 0
-    console.log(`- Clock in >= 18:00 (missed first hour) → First hour credit: 0`)
+    console.log(`- Clock in >= ${minutesToTime(firstHourEnd)} (missed first hour) → First hour credit: 0`)
   }
 
   totalHours += firstHourCredit
@@ -703,10 +843,11 @@ function calculateEveningContinuousHours(
   console.log(`=== EVENING CONTINUOUS HOURS WITH NEW ROUNDING RULE ===`)
   console.log(`This evening session extends to the next day - calculating as continuous work`)
 
-  // Time boundaries for continuous calculation
-  const eveningStart = 17 * 60 // 17:00
-  const regularOvertimeEnd = 22 * 60 // 22:00 (end of regular overtime)
-  const nightShiftEnd = 6 * 60 + 24 * 60 // 6:00 AM next day
+  // Time boundaries for continuous calculation (from the clock-in date's schedule)
+  const schedule = getScheduleForDate(clockInTime)
+  const eveningStart = schedule.endMinutes
+  const regularOvertimeEnd = schedule.overtimeCutoffMinutes // end of regular overtime
+  const nightShiftEnd = schedule.nightShiftEndMinutes // next day's earliest start
 
   let totalOvertimeHours = 0
   const calculationBreakdown = []
@@ -739,7 +880,7 @@ function calculateEveningContinuousHours(
     console.log(`- Evening overtime segment with NEW RULE: ${eveningOvertimeHours} hours`)
   }
 
-  // SEGMENT 2: Night shift overtime (22:00-06:00 next day) - keep original 30-minute rule
+  // SEGMENT 2: Night shift overtime (cut-off to next day's start) - keep original 30-minute rule
   if (clockOutMinutes > regularOvertimeEnd) {
     const nightShiftStart = Math.max(clockInMinutes, regularOvertimeEnd)
     const nightShiftEndTime = Math.min(clockOutMinutes, nightShiftEnd)
@@ -757,7 +898,7 @@ function calculateEveningContinuousHours(
     }
   }
 
-  // SEGMENT 3: Extended night work (06:00+ next day) - keep original 30-minute rule
+  // SEGMENT 3: Extended night work (past next day's start) - keep original 30-minute rule
   if (clockOutMinutes > nightShiftEnd) {
     const extendedNightStart = nightShiftEnd
     const extendedNightEnd = clockOutMinutes
@@ -771,7 +912,7 @@ function calculateEveningContinuousHours(
     )
 
     console.log(`- Extended night segment (original 30-min rule): ${extendedNightHours} hours`)
-    console.log(`- WARNING: Work extended beyond 6:00 AM - please verify this is correct`)
+    console.log(`- WARNING: Work extended beyond ${minutesToTime(nightShiftEnd)} - please verify this is correct`)
   }
 
   console.log(`=== EVENING CONTINUOUS CALCULATION SUMMARY WITH NEW RULE ===`)
@@ -782,239 +923,383 @@ function calculateEveningContinuousHours(
   return totalOvertimeHours
 }
 
-function isLate(clockType, clockTime) {
-  const hour = clockTime.getHours()
-  const minute = clockTime.getMinutes()
-  const totalMinutes = hour * 60 + minute
+/**
+ * Minutes a clock-in is late against the schedule. Counted from the scheduled start once the
+ * grace period is exceeded (0 when on time). Only morning and afternoon sessions can be late.
+ */
+function getLateMinutes(clockType, clockTime, employeeUid = null, db = null) {
+  if (clockType !== "morning_in" && clockType !== "afternoon_in") {
+    return 0
+  }
+
+  const totalMinutes = getMinutesOfDay(clockTime)
+  const hour = Math.floor(totalMinutes / 60)
+  const minute = totalMinutes % 60
 
-  const earlyMorningStart = 6 * 60 // 6:00 AM - new early morning boundary
-  const morningStart = 8 * 60 // 8:00 AM
-  const afternoonStart = 13 * 60 // 1:00 PM
-  const gracePeriod = 5 // 5 minutes
+  const schedule = getScheduleForEmployee(employeeUid, clockTime, db)
+  const earlyMorningStart = schedule.earlyOvertimeStartMinutes // null when early overtime is disabled
+  const morningStart = schedule.startMinutes
+  const afternoonStart = schedule.lunchEndMinutes
+  const gracePeriod = schedule.gracePeriod
 
-  console.log(`Late check: ${clockType} at ${hour}:${minute.toString().padStart(2, "0")} (${totalMinutes} minutes)`)
+  console.log(`Late check: ${clockType} at ${hour}:${minute.toString().padStart(2, "0")} (${totalMinutes} minutes), schedule: ${schedule.name}`)
 
   if (clockType === "morning_in") {
-    // Special case for early morning shift (6:00-12:00)
-    if (totalMinutes >= earlyMorningStart && totalMinutes <= earlyMorningStart + gracePeriod) {
+    // Special case for early morning shift (early-OT start until lunch)
+    if (earlyMorningStart !== null && totalMinutes >= earlyMorningStart && totalMinutes <= earlyMorningStart + gracePeriod) {
       console.log(
-        `Early morning threshold: ${earlyMorningStart + gracePeriod} minutes (6:05 AM), Result: ON TIME (early morning rule)`,
+        `Early morning threshold: ${earlyMorningStart + gracePeriod} minutes (${minutesToTime(earlyMorningStart + gracePeriod)}), Result: ON TIME (early morning rule)`,
       )
-      return false
+      return 0
     }
 
-    const isEmployeeLate = totalMinutes > morningStart + gracePeriod
+    const lateMinutes = totalMinutes > morningStart + gracePeriod ? totalMinutes - morningStart : 0
     console.log(
-      `Morning threshold: ${morningStart + gracePeriod} minutes (8:05 AM), Result: ${isEmployeeLate ? "LATE" : "ON TIME"}`,
+      `Morning threshold: ${morningStart + gracePeriod} minutes (${minutesToTime(morningStart + gracePeriod)}), Result: ${lateMinutes > 0 ? `LATE (${lateMinutes} min)` : "ON TIME"}`,
     )
-    return isEmployeeLate
-  } else if (clockType === "afternoon_in") {
-    const isEmployeeLate = totalMinutes > afternoonStart + gracePeriod
-    console.log(
-      `Afternoon threshold: ${afternoonStart + gracePeriod} minutes (1:05 PM), Result: ${isEmployeeLate ? "LATE" : "ON TIME"}`,
-    )
-    return isEmployeeLate
+    return lateMinutes
   }
 
-  return false
+  const lateMinutes = totalMinutes > afternoonStart + gracePeriod ? totalMinutes - afternoonStart : 0
+  console.log(
+    `Afternoon threshold: ${afternoonStart + gracePeriod} minutes (${minutesToTime(afternoonStart + gracePeriod)}), Result: ${lateMinutes > 0 ? `LATE (${lateMinutes} min)` : "ON TIME"}`,
+  )
+  return lateMinutes
 }
 
-function determineClockType(lastClockType, currentTime, lastClockTime = null, employeeUid = null, db = null) {
-  const safeCurrentTime = currentTime || new Date(dateService.getCurrentDateTime())
-  const hour = safeCurrentTime.getHours()
-  const minute = safeCurrentTime.getMinutes()
-  const totalMinutes = hour * 60 + minute
-  const eveningStart = 17 * 60 + 15 // 5:15 PM (after overtime grace period)
-
-  // Define afternoon end time (5:00 PM)
-  const afternoonEnd = 17 * 60 // 5:00 PM
+function isLate(clockType, clockTime, employeeUid = null, db = null) {
+  return getLateMinutes(clockType, clockTime, employeeUid, db) > 0
+}
 
-  // Night shift boundaries
-  const nightShiftStart = 22 * 60 // 10:00 PM
+/**
+ * Minutes a clock-out is earlier than the scheduled end of its session (0 when not early).
+ * A morning out before lunch is measured against the lunch start; a morning out after lunch
+ * (continuous day) and an afternoon out against the end of the shift. Leaving during the lunch
+ * window, on a rest day or after midnight is not undertime.
+ */
+function getUndertimeMinutes(clockType, clockTime, businessDate, employeeUid = null, db = null) {
+  if (clockType !== "morning_out" && clockType !== "afternoon_out") {
+    return 0
+  }
 
-  console.log(`=== CLOCK TYPE DETERMINATION ===`)
-  console.log(`Input time: ${safeCurrentTime.toISOString()}`)
-  console.log(`Parsed time: ${hour}:${minute.toString().padStart(2, "0")} (${totalMinutes} minutes from midnight)`)
-  console.log(`Last clock type: ${lastClockType}`)
-  console.log(`Evening start threshold: ${eveningStart} minutes (5:15 PM)`)
-  console.log(`Afternoon end: ${afternoonEnd} minutes (5:00 PM)`)
+  // Overnight clock-outs happen after the shift has ended
+  if (businessDate && toBusinessDate(clockTime) !== businessDate) {
+    return 0
+  }
 
-  // MODIFIED: Check if this is a different calendar date - if so, treat as fresh start
-  let isNewDay = false
-  if (lastClockTime) {
-    const lastClockDate = lastClockTime.toISOString().split("T")[0]
-    const currentClockDate = safeCurrentTime.toISOString().split("T")[0]
-    
-    isNewDay = lastClockDate !== currentClockDate
-    
-    console.log(`Last clock date: ${lastClockDate}, Current date: ${currentClockDate}`)
-    console.log(`Is new day: ${isNewDay}`)
+  const schedule = getScheduleForEmployee(employeeUid, businessDate || clockTime, db)
+  if (schedule.isRestDay) {
+    return 0
   }
 
-  // MODIFIED: If it's a new day, always treat as fresh start regardless of last clock type
-  if (isNewDay || !lastClockType) {
-    console.log(`${isNewDay ? "NEW DAY DETECTED - FRESH START" : "No previous clock"} - determining by time:`)
+  const outMinutes = getMinutesOfDay(clockTime)
+  let expectedEnd = schedule.endMinutes
 
-    // Add overtime check for late night hours (22:00+)
-    if (totalMinutes >= nightShiftStart) {
-      console.log(`Time >= 10:00 PM → overtime_in`)
-      return "overtime_in"
+  if (clockType === "morning_out") {
+    if (outMinutes <= schedule.lunchStartMinutes) {
+      expectedEnd = schedule.lunchStartMinutes
+    } else if (outMinutes < schedule.lunchEndMinutes) {
+      return 0
     }
+  }
+
+  const undertimeMinutes = Math.max(0, expectedEnd - outMinutes)
+  if (undertimeMinutes > 0) {
+    console.log(`Undertime: ${clockType} at ${minutesToTime(outMinutes)}, expected ${minutesToTime(expectedEnd)} - ${undertimeMinutes} min early`)
+  }
+
+  return undertimeMinutes
+}
+
+/**
+ * Direction of a punch from its clock type ("morning_in" -> "in")
+ */
+function getPunchDirection(clockType) {
+  return String(clockType || "").endsWith("_out") ? "out" : "in"
+}
+
+/**
+ * Session label for a new clock-in, from the time of day and the employee's schedule.
+ * Labels are not unique within a day - an employee who steps out and comes back starts
+ * another session, usually with the same label.
+ */
+function getSessionLabel(clockTime, employeeUid = null, db = null, hasPriorSessions = false) {
+  const totalMinutes = getMinutesOfDay(clockTime)
+  const schedule = getScheduleForEmployee(employeeUid, clockTime, db)
+
+  if (totalMinutes >= schedule.overtimeCutoffMinutes) return "overtime"
+  if (totalMinutes >= schedule.eveningStartMinutes) return "evening"
+  // Coming back between the end of the shift and the evening start continues as evening work
+  if (totalMinutes >= schedule.endMinutes && hasPriorSessions) return "evening"
+  return totalMinutes < schedule.lunchStartMinutes ? "morning" : "afternoon"
+}
 
-    if (totalMinutes >= eveningStart) {
-      console.log(`Time >= 5:15 PM → evening_in`)
-      return "evening_in"
+/**
+ * Pair a day's punches into IN/OUT sessions numbered 1..N in time order. An IN opens the
+ * next session and the OUT after it closes that session, whatever their labels; an OUT with
+ * no open session (missed clock-in) is a session of its own. Sets `direction` and `sequence`
+ * on every record and returns the sessions.
+ */
+function pairSessions(records) {
+  const ordered = [...records].sort((a, b) => parseTimestamp(a.clock_time) - parseTimestamp(b.clock_time) || a.id - b.id)
+  const sessions = []
+  let openSession = null
+
+  ordered.forEach((record) => {
+    record.direction = getPunchDirection(record.clock_type)
+
+    if (record.direction === "in") {
+      openSession = { sequence: sessions.length + 1, label: determineSessionType(record.clock_type), clockIn: record, clockOut: null }
+      sessions.push(openSession)
+    } else if (openSession) {
+      openSession.clockOut = record
+      openSession = null
+    } else {
+      sessions.push({ sequence: sessions.length + 1, label: determineSessionType(record.clock_type), clockIn: null, clockOut: record })
     }
 
-    const clockType = hour < 12 ? "morning_in" : "afternoon_in"
-    console.log(`Hour ${hour} < 12? ${hour < 12} → ${clockType}`)
-    return clockType
-  }
+    record.sequence = sessions[sessions.length - 1].sequence
+  })
+
+  return sessions
+}
+
+/**
+ * Sessions of an employee's business date (see pairSessions). With `asOf` only the punches
+ * up to that instant count - the day as it stood when a late-recorded punch happened.
+ */
+function getDaySessions(database, employeeUid, date, asOf = null) {
+  const records = database
+    .prepare(`
+      SELECT id, employee_uid, clock_type, clock_time, date, regular_hours, overtime_hours, direction, sequence,
+             kiosk_action, job_code
+      FROM attendance
+      WHERE employee_uid = ? AND date = ?
+    `)
+    .all(employeeUid, date)
+    .filter((record) => !asOf || parseTimestamp(record.clock_time) <= asOf)
+
+  return pairSessions(records)
+}
 
-  // NEW RULE: Special handling for 17:00 (5:00 PM) clock-ins when user hasn't had any sessions today
-  if (totalMinutes >= afternoonEnd && totalMinutes < eveningStart && employeeUid && db) {
-    // Exactly 17:00
-    console.log(`=== SPECIAL 17:00 RULE CHECK ===`)
-    console.log(`Clock-in at exactly 17:00 - checking for prior sessions today`)
+/**
+ * Which regular-hours rule a morning or afternoon session starting at clockInTime falls under.
+ * Only the first session of its window is measured against the schedule start (lateness and
+ * the rounding rules); a job transfer, coming back from a break, or to the same window later
+ * in the day continues the day and is credited with the minutes worked. { continuation, reason }, or null
+ * for other sessions.
+ */
+function getSessionStartRule(clockType, clockInTime, employeeUid = null, db = null) {
+  const label = determineSessionType(clockType)
+  if ((label !== "morning" && label !== "afternoon") || !clockInTime || !employeeUid) {
+    return null
+  }
 
+  let database = db
+  if (!database) {
     try {
-      const today = safeCurrentTime.toISOString().split("T")[0]
-
-      // Check if employee has any completed sessions today
-      const sessionCheckQuery = db.prepare(`
-        SELECT COUNT(*) as session_count
-        FROM attendance 
-        WHERE employee_uid = ?
-          AND date = ?
-          AND clock_type LIKE '%_out'
-      `)
+      const { getDatabase } = require("../database/setup")
+      database = getDatabase()
+    } catch (error) {
+      console.error("Cannot get database connection for the session start rule:", error)
+      return null
+    }
+  }
 
-      const sessionResult = sessionCheckQuery.get(employeeUid, today)
-      const hasCompletedSessions = sessionResult && sessionResult.session_count > 0
-
-      // Also check for any pending clock-ins today
-      const pendingCheckQuery = db.prepare(`
-        SELECT COUNT(*) as pending_count
-        FROM attendance 
-        WHERE employee_uid = ?
-          AND date = ?
-          AND clock_type LIKE '%_in'
-          AND id NOT IN (
-            SELECT a1.id FROM attendance a1
-            JOIN attendance a2 ON a1.employee_uid = a2.employee_uid
-            WHERE a1.clock_type LIKE '%_in'
-              AND a2.clock_type = REPLACE(a1.clock_type, '_in', '_out')
-              AND a2.clock_time > a1.clock_time
-              AND a1.employee_uid = ?
-              AND a1.date = ?
-          )
-      `)
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const earlierSessions = getDaySessions(database, employeeUid, toBusinessDate(safeClockInTime)).filter(
+    (session) => session.clockIn && session.clockOut && parseTimestamp(session.clockIn.clock_time) < safeClockInTime,
+  )
 
-      const pendingResult = pendingCheckQuery.get(employeeUid, today, employeeUid, today)
-      const hasPendingClockIns = pendingResult && pendingResult.pending_count > 0
+  const previousSession = earlierSessions[earlierSessions.length - 1]
+  if (previousSession && previousSession.clockOut.kiosk_action === "transfer") {
+    return { continuation: true, reason: "job transfer" }
+  }
 
-      console.log(`Sessions today: ${sessionResult?.session_count || 0}`)
-      console.log(`Pending clock-ins: ${pendingResult?.pending_count || 0}`)
-      console.log(`Has completed sessions: ${hasCompletedSessions}`)
-      console.log(`Has pending clock-ins: ${hasPendingClockIns}`)
+  if (previousSession && previousSession.clockOut.kiosk_action === "break") {
+    return { continuation: true, reason: "back from a break" }
+  }
 
-      // If no sessions today and no pending clock-ins, treat 17:00 as evening_in
-      if (!hasCompletedSessions && !hasPendingClockIns) {
-        console.log(`✓ SPECIAL RULE APPLIED: No prior sessions today - 17:00 clock-in treated as evening_in`)
-        console.log(`=== END SPECIAL 17:00 RULE CHECK ===`)
-        return "evening_in"
-      } else {
-        console.log(`✗ SPECIAL RULE NOT APPLIED: User has prior sessions/pending clock-ins today`)
-        console.log(`=== END SPECIAL 17:00 RULE CHECK ===`)
-        // Continue with normal logic below
-      }
+  if (earlierSessions.some((session) => session.label === label)) {
+    return { continuation: true, reason: `returned to the ${label} window` }
+  }
+
+  return { continuation: false, reason: `first ${label} session of the day` }
+}
+
+/**
+ * Share of a session split by job transfers (kiosk_action "transfer") for the segment from
+ * clockInTime to clockTime, or null when the segment is a whole session. The session is
+ * rounded once, from its first clock-in: a segment a transfer closes gets the minutes worked,
+ * up to what the session has earned so far, and the last segment gets the rest, so splitting
+ * a session across jobs never pays more than the session unsplit.
+ * { regularHours, overtimeHours, sessionClockIn, sessionRegularHours, sessionOvertimeHours,
+ *   creditedRegularHours, creditedOvertimeHours, closedByTransfer }
+ */
+function getTransferShare(clockType, clockTime, clockInTime, employeeUid, db = null) {
+  if (!clockType.endsWith("_out") || !clockInTime || !clockTime || !employeeUid) {
+    return null
+  }
+
+  let database = db
+  if (!database) {
+    try {
+      const { getDatabase } = require("../database/setup")
+      database = getDatabase()
     } catch (error) {
-      console.error("Error checking sessions for 17:00 rule:", error)
-      console.log(`Database error - falling back to normal 17:00 logic`)
-      // Fall back to normal logic if database check fails
+      console.error("Cannot get database connection for the job transfer split:", error)
+      return null
     }
   }
 
-  console.log(`Processing sequence based on last clock: ${lastClockType}`)
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockTime = clockTime instanceof Date ? clockTime : parseTimestamp(clockTime)
+  const instant = (punch) => parseTimestamp(punch.clock_time).getTime()
 
-  switch (lastClockType) {
-    case "morning_in":
-      console.log(`morning_in → morning_out`)
-      return "morning_out"
+  const sessions = getDaySessions(database, employeeUid, toBusinessDate(safeClockInTime))
+  const index = sessions.findIndex((session) => session.clockIn && instant(session.clockIn) === safeClockInTime.getTime())
+  if (index < 0) {
+    return null
+  }
 
-    case "morning_out":
-      console.log(`morning_out → afternoon_in (lunch break assumed)`)
-      return "afternoon_in"
+  // Earlier segments of the same session: the ones a transfer closed right before this one
+  let first = index
+  while (first > 0 && sessions[first - 1].clockIn && sessions[first - 1].clockOut?.kiosk_action === "transfer") {
+    first--
+  }
 
-    case "afternoon_in":
-      console.log(`afternoon_in → afternoon_out`)
-      return "afternoon_out"
+  const closing = sessions[index].clockOut
+  const closedByTransfer = !!closing && closing.kiosk_action === "transfer" && instant(closing) === safeClockTime.getTime()
+  if (first === index && !closedByTransfer) {
+    return null
+  }
 
-    case "afternoon_out":
-      console.log(`=== AFTERNOON_OUT LOGIC ===`)
+  const earlier = sessions.slice(first, index)
+  const creditedRegularHours = earlier.reduce((sum, session) => sum + (session.clockOut.regular_hours || 0), 0)
+  const creditedOvertimeHours = earlier.reduce((sum, session) => sum + (session.clockOut.overtime_hours || 0), 0)
+
+  const sessionClockIn = parseTimestamp(sessions[first].clockIn.clock_time)
+  const session = calculateSessionHours(clockType, safeClockTime, sessionClockIn, employeeUid, database)
+  const owedRegularHours = Math.max(0, Math.round((session.regularHours - creditedRegularHours) * 100) / 100)
+  const owedOvertimeHours = Math.max(0, Math.round((session.overtimeHours - creditedOvertimeHours) * 100) / 100)
+
+  let regularHours = owedRegularHours
+  let overtimeHours = owedOvertimeHours
+  if (closedByTransfer) {
+    const worked = calculateSessionHours(clockType, safeClockTime, safeClockInTime, employeeUid, database, true)
+    regularHours = Math.min(worked.regularHours, owedRegularHours)
+    overtimeHours = Math.min(worked.overtimeHours, owedOvertimeHours)
+  }
 
-      // Check if this is the same day as the last clock
-      const isSameDay =
-        lastClockTime && lastClockTime.toISOString().split("T")[0] === safeCurrentTime.toISOString().split("T")[0]
+  return {
+    regularHours,
+    overtimeHours,
+    sessionClockIn,
+    sessionRegularHours: session.regularHours,
+    sessionOvertimeHours: session.overtimeHours,
+    creditedRegularHours: Math.round(creditedRegularHours * 100) / 100,
+    creditedOvertimeHours: Math.round(creditedOvertimeHours * 100) / 100,
+    closedByTransfer,
+  }
+}
 
-      console.log(`Same day check: ${isSameDay}`)
-      console.log(`Last clock time: ${lastClockTime?.toISOString()}`)
-      console.log(`Current time: ${safeCurrentTime.toISOString()}`)
+/**
+ * Clock type of the next punch. A punch after an open clock-in closes that session with the
+ * same label; otherwise a new session starts, labelled from the time of day by getSessionLabel.
+ */
+function determineClockType(lastClockType, currentTime, lastClockTime = null, employeeUid = null, db = null) {
+  const safeCurrentTime = currentTime || parseTimestamp(dateService.getCurrentDateTime())
+  const totalMinutes = getMinutesOfDay(safeCurrentTime)
+  const hour = Math.floor(totalMinutes / 60)
+  const minute = totalMinutes % 60
 
-      if (isSameDay) {
-        // Same day - any clock in after afternoon_out should be evening_in
-        console.log(`Same day after afternoon_out → evening_in`)
-        return "evening_in"
-      } else {
-        // Different day - determine by current time
-        if (totalMinutes >= eveningStart) {
-          console.log(`Different day + evening time → evening_in`)
-          return "evening_in"
-        }
-        const nextClockType = hour < 12 ? "morning_in" : "afternoon_in"
-        console.log(`Different day + not evening time → ${nextClockType}`)
-        return nextClockType
-      }
+  // Session boundaries come from the employee's schedule in effect today
+  const schedule = getScheduleForEmployee(employeeUid, safeCurrentTime, db)
 
-    case "evening_in":
-      console.log(`evening_in → evening_out`)
-      return "evening_out"
+  console.log(`=== CLOCK TYPE DETERMINATION ===`)
+  console.log(`Input time: ${safeCurrentTime.toISOString()}`)
+  console.log(`Parsed time: ${hour}:${minute.toString().padStart(2, "0")} (${totalMinutes} minutes from midnight)`)
+  console.log(`Last clock type: ${lastClockType}`)
+  console.log(`Schedule: ${schedule.name}`)
+  console.log(`Evening start threshold: ${schedule.eveningStartMinutes} minutes (${minutesToTime(schedule.eveningStartMinutes)})`)
+  console.log(`Afternoon end: ${schedule.endMinutes} minutes (${minutesToTime(schedule.endMinutes)})`)
 
-    case "evening_out":
-      if (totalMinutes >= eveningStart) {
-        console.log(`evening_out + still evening time → evening_in`)
-        return "evening_in"
-      }
-      const nextAfterEvening = hour < 12 ? "morning_in" : "afternoon_in"
-      console.log(`evening_out + not evening time → ${nextAfterEvening}`)
-      return nextAfterEvening
+  // MODIFIED: Check if this is a different business date (site timezone) - if so, treat as fresh start
+  let isNewDay = false
+  if (lastClockTime) {
+    const lastClockDate = toBusinessDate(lastClockTime)
+    const currentClockDate = toBusinessDate(safeCurrentTime)
 
-    case "overtime_in":
-      console.log(`overtime_in → overtime_out`)
-      return "overtime_out"
+    isNewDay = lastClockDate !== currentClockDate
 
-    case "overtime_out":
-      // After overtime out, determine next clock type based on time
-      if (totalMinutes >= nightShiftStart) {
-        console.log(`overtime_out + late night time (>= 22:00) → overtime_in`)
-        return "overtime_in"
-      }
-      if (totalMinutes >= eveningStart) {
-        console.log(`overtime_out + evening time → evening_in`)
-        return "evening_in"
-      }
-      const nextAfterOvertime = hour < 12 ? "morning_in" : "afternoon_in"
-      console.log(`overtime_out + not evening time → ${nextAfterOvertime}`)
-      return nextAfterOvertime
+    console.log(`Last clock date: ${lastClockDate}, Current date: ${currentClockDate}`)
+    console.log(`Is new day: ${isNewDay}`)
+  }
 
-    default:
-      console.log(`Unknown last clock type: ${lastClockType} → defaulting to morning_in`)
-      return "morning_in"
+  // An open clock-in today is closed by this punch
+  if (!isNewDay && lastClockType && getPunchDirection(lastClockType) === "in") {
+    const clockType = lastClockType.replace("_in", "_out")
+    console.log(`${lastClockType} → ${clockType}`)
+    return clockType
   }
+
+  // Otherwise this punch starts a new session
+  const hasPriorSessions = !isNewDay && !!lastClockType
+  const clockType = `${getSessionLabel(safeCurrentTime, employeeUid, db, hasPriorSessions)}_in`
+  console.log(
+    `${isNewDay ? "NEW DAY DETECTED - FRESH START" : hasPriorSessions ? `After ${lastClockType}` : "No previous clock"} → ${clockType}`,
+  )
+  return clockType
 }
 
 // Helper function to check for pending clock-outs for an employee
-function getPendingClockOut(employeeUid, currentDate = null, db = null) {
+// Overnight shift settings - how far back an open clock-in can still be closed
+function getOvernightShiftSettings(db) {
+  const settings = { enabled: true, windowHours: 16 }
+
+  try {
+    const rows = db
+      .prepare("SELECT key, value FROM settings WHERE key IN ('overnight_shift_enabled', 'overnight_window_hours')")
+      .all()
+
+    rows.forEach((row) => {
+      if (row.key === "overnight_shift_enabled") {
+        settings.enabled = row.value !== "false"
+      } else if (row.key === "overnight_window_hours") {
+        const hours = Number.parseFloat(row.value)
+        if (Number.isFinite(hours) && hours > 0) {
+          settings.windowHours = hours
+        }
+      }
+    })
+  } catch (error) {
+    console.error("Error reading overnight shift settings, using defaults:", error.message)
+  }
+
+  return settings
+}
+
+// Previous calendar day for a YYYY-MM-DD business date
+function getPreviousDate(dateString) {
+  return addDays(dateString, -1)
+}
+
+// Only the latest session of a date can still be open - an earlier clock-in without a
+// clock-out was followed by another punch and stays a missed clock-out
+function findOpenClockIn(database, employeeUid, date, asOf = null) {
+  const lastSession = getDaySessions(database, employeeUid, date, asOf).pop()
+  return lastSession && lastSession.clockIn && !lastSession.clockOut ? lastSession.clockIn : null
+}
+
+/**
+ * Find the open clock-in an employee should clock out of.
+ * Looks at the current date first; with overnight shifts enabled it also accepts
+ * an open clock-in from the previous day as long as it started within the
+ * configured window. The returned `date` is the business date the session
+ * belongs to (the day it started), which the clock-out must be recorded under.
+ * With `asOf` the punches after `now` are ignored (see getDaySessions).
+ */
+function getPendingClockOut(employeeUid, currentDate = null, db = null, now = null, asOf = false) {
   let database = db
   if (!database) {
     try {
@@ -1027,45 +1312,54 @@ function getPendingClockOut(employeeUid, currentDate = null, db = null) {
   }
 
   // Use current date if not provided
-  const targetDate = currentDate || new Date().toISOString().split("T")[0]
+  const targetDate = currentDate || dateService.getCurrentDate()
+  const cutOff = asOf ? parseTimestamp(now || dateService.getCurrentDateTime()) : null
 
   try {
-    // MODIFIED: Only look for pending clock-ins from the same date
-    const pendingClockQuery = database.prepare(`
-      SELECT 
-        id, clock_type, clock_time, date,
-        regular_hours, overtime_hours
-      FROM attendance 
-      WHERE employee_uid = ?
-        AND date = ?
-        AND clock_type LIKE '%_in'
-        AND id NOT IN (
-          SELECT a1.id FROM attendance a1
-          JOIN attendance a2 ON a1.employee_uid = a2.employee_uid
-          WHERE a1.clock_type LIKE '%_in'
-            AND a2.clock_type = REPLACE(a1.clock_type, '_in', '_out')
-            AND a2.clock_time > a1.clock_time
-            AND a1.employee_uid = ?
-            AND a1.date = ?
-        )
-      ORDER BY clock_time DESC 
-      LIMIT 1
-    `)
-
-    const pendingClock = pendingClockQuery.get(employeeUid, targetDate, employeeUid, targetDate)
+    let pendingClock = findOpenClockIn(database, employeeUid, targetDate, cutOff)
+    let isOvernight = false
+
+    if (!pendingClock) {
+      const overnight = getOvernightShiftSettings(database)
+
+      if (overnight.enabled) {
+        const previousDate = getPreviousDate(targetDate)
+        const previousClock = findOpenClockIn(database, employeeUid, previousDate, cutOff)
+
+        if (previousClock) {
+          const referenceTime = parseTimestamp(now || dateService.getCurrentDateTime())
+          const hoursOpen = (referenceTime - parseTimestamp(previousClock.clock_time)) / (1000 * 60 * 60)
+
+          if (hoursOpen >= 0 && hoursOpen <= overnight.windowHours) {
+            pendingClock = previousClock
+            isOvernight = true
+            console.log(
+              `Overnight session: ${previousClock.clock_type} from ${previousDate} open for ${hoursOpen.toFixed(2)}h (window ${overnight.windowHours}h)`,
+            )
+          } else {
+            console.log(
+              `Open ${previousClock.clock_type} from ${previousDate} is outside the overnight window (${hoursOpen.toFixed(2)}h > ${overnight.windowHours}h)`,
+            )
+          }
+        }
+      }
+    }
 
     if (pendingClock) {
       console.log(
-        `Found pending clock-in for employee ${employeeUid} on ${targetDate}: ${pendingClock.clock_type} at ${pendingClock.clock_time}`,
+        `Found pending clock-in for employee ${employeeUid} on ${pendingClock.date}: ${pendingClock.clock_type} at ${pendingClock.clock_time}`,
       )
       return {
         id: pendingClock.id,
         clockType: pendingClock.clock_type,
-        clockTime: new Date(pendingClock.clock_time),
+        clockTime: parseTimestamp(pendingClock.clock_time),
         date: pendingClock.date,
         expectedClockOut: pendingClock.clock_type.replace("_in", "_out"),
+        sequence: pendingClock.sequence,
+        jobCode: pendingClock.job_code || null,
         regularHours: pendingClock.regular_hours || 0,
         overtimeHours: pendingClock.overtime_hours || 0,
+        isOvernight,
       }
     }
 
@@ -1090,7 +1384,7 @@ function getTodaysCompletedSessions(employeeUid, date = null, db = null) {
     }
   }
 
-  const targetDate = date || new Date().toISOString().split("T")[0]
+  const targetDate = date || dateService.getCurrentDate()
 
   try {
     const sessionsQuery = database.prepare(`
@@ -1109,7 +1403,7 @@ function getTodaysCompletedSessions(employeeUid, date = null, db = null) {
 
     return sessions.map((session) => ({
       clockType: session.clock_type,
-      clockTime: new Date(session.clock_time),
+      clockTime: parseTimestamp(session.clock_time),
       regularHours: session.regular_hours || 0,
       overtimeHours: session.overtime_hours || 0,
     }))
@@ -1123,11 +1417,11 @@ function getTodaysCompletedSessions(employeeUid, date = null, db = null) {
 
 function calculateEveningSessionHoursWithStats(clockInTime, clockOutTime, sessionGracePeriod, statisticsData) {
   // FIXED: Ensure parameters are Date objects
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
   
-  const clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  let clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
+  const clockInMinutes = getMinutesOfDay(safeClockInTime)
+  let clockOutMinutes = getMinutesOfDay(safeClockOutTime)
 
   console.log(`Evening session calculation with stats - INITIAL:`)
   console.log(`- Clock in: ${formatMinutes(clockInMinutes)} (${clockInMinutes} minutes)`)
@@ -1142,6 +1436,10 @@ function calculateEveningSessionHoursWithStats(clockInTime, clockOutTime, sessio
     console.log(
       `- OVERNIGHT DETECTED: Adjusted clock out to: ${formatMinutes(clockOutMinutes)} (${clockOutMinutes} minutes)`,
     )
+    traceStep(statisticsData.trace, "overnight", "Evening session ended the next day - counted as continuous overtime", {
+      clockIn: formatMinutes(clockInMinutes),
+      clockOut: formatMinutes(clockOutMinutes),
+    })
   }
 
   const totalMinutesWorked = clockOutMinutes - clockInMinutes
@@ -1205,9 +1503,10 @@ function calculateEveningContinuousHoursWithStats(
 ) {
   console.log(`=== EVENING CONTINUOUS HOURS WITH STATS ===`)
 
-  const eveningStart = 17 * 60 // 17:00
-  const regularOvertimeEnd = 22 * 60 // 22:00
-  const nightShiftEnd = 6 * 60 + 24 * 60 // 6:00 AM next day
+  const schedule = statisticsData.schedule || getScheduleForDate(clockInTime)
+  const eveningStart = schedule.endMinutes
+  const regularOvertimeEnd = schedule.overtimeCutoffMinutes
+  const nightShiftEnd = schedule.nightShiftEndMinutes
 
   let totalOvertimeHours = 0
   const segmentBreakdown = {
@@ -1216,7 +1515,7 @@ function calculateEveningContinuousHoursWithStats(
     extendedNightSegment: 0,
   }
 
-  // Evening overtime segment (17:00-22:00)
+  // Evening overtime segment (shift end to overtime cut-off)
   const eveningOvertimeStart = Math.max(clockInMinutes, eveningStart)
   const eveningOvertimeEnd = Math.min(clockOutMinutes, regularOvertimeEnd)
 
@@ -1231,22 +1530,37 @@ function calculateEveningContinuousHoursWithStats(
       gracePeriodApplied = true
       statisticsData.gracePeriodApplied = true
       console.log(`- Grace period applied: ${gracePeriodBenefit} minutes benefit`)
+      traceStep(statisticsData.trace, "evening_grace", "Arrived within the evening grace period", {
+        eveningStart: minutesToTime(eveningStart),
+        graceMinutes: sessionGracePeriod,
+        countedFrom: formatMinutes(effectiveEveningStart),
+      })
     }
 
-    const eveningSegmentHours = calculateContinuousOvertimeHours(effectiveEveningStart, eveningOvertimeEnd)
+    const eveningSegmentHours = calculateContinuousOvertimeHours(
+      effectiveEveningStart,
+      eveningOvertimeEnd,
+      statisticsData.trace,
+      "Evening overtime (shift end to overtime cut-off)",
+    )
     totalOvertimeHours += eveningSegmentHours
     segmentBreakdown.eveningSegment = eveningSegmentHours
 
     console.log(`- Evening segment: ${eveningSegmentHours} hours`)
   }
 
-  // Night shift segment (22:00-06:00)
+  // Night shift segment (cut-off to next day's start)
   if (clockOutMinutes > regularOvertimeEnd) {
     const nightShiftStart = Math.max(clockInMinutes, regularOvertimeEnd)
     const nightShiftEndTime = Math.min(clockOutMinutes, nightShiftEnd)
 
     if (nightShiftEndTime > nightShiftStart) {
-      const nightShiftHours = calculateContinuousOvertimeHours(nightShiftStart, nightShiftEndTime)
+      const nightShiftHours = calculateContinuousOvertimeHours(
+        nightShiftStart,
+        nightShiftEndTime,
+        statisticsData.trace,
+        "Night overtime (cut-off to next day's start)",
+      )
       totalOvertimeHours += nightShiftHours
       segmentBreakdown.nightShiftSegment = nightShiftHours
 
@@ -1255,17 +1569,22 @@ function calculateEveningContinuousHoursWithStats(
     }
   }
 
-  // Extended night segment (beyond 06:00)
+  // Extended night segment (beyond next day's start)
   if (clockOutMinutes > nightShiftEnd) {
     const extendedNightStart = nightShiftEnd
     const extendedNightEnd = clockOutMinutes
 
-    const extendedNightHours = calculateContinuousOvertimeHours(extendedNightStart, extendedNightEnd)
+    const extendedNightHours = calculateContinuousOvertimeHours(
+      extendedNightStart,
+      extendedNightEnd,
+      statisticsData.trace,
+      "Extended overtime (past next day's start - verify)",
+    )
     totalOvertimeHours += extendedNightHours
     segmentBreakdown.extendedNightSegment = extendedNightHours
 
     console.log(`- Extended night segment: ${extendedNightHours} hours`)
-    console.log(`- WARNING: Work extended beyond 6:00 AM`)
+    console.log(`- WARNING: Work extended beyond ${minutesToTime(nightShiftEnd)}`)
   }
 
   // Update detailed statistics
@@ -1281,9 +1600,10 @@ function calculateEveningContinuousHoursWithStats(
 }
 
 function calculateOriginalEveningSessionWithStats(clockInMinutes, clockOutMinutes, sessionGracePeriod, statisticsData) {
-  const eveningStart = 17 * 60 // 17:00
-  const eveningGraceEnd = eveningStart + sessionGracePeriod // 17:15
-  const firstHourEnd = eveningStart + 60 // 18:00
+  const schedule = statisticsData.schedule || getScheduleForDate(statisticsData.clockInTime)
+  const eveningStart = schedule.endMinutes
+  const eveningGraceEnd = eveningStart + sessionGracePeriod
+  const firstHourEnd = eveningStart + 60
 
   let totalHours = 0
   let firstHourCredit = 0
@@ -1293,27 +1613,35 @@ function calculateOriginalEveningSessionWithStats(clockInMinutes, clockOutMinute
   if (clockInMinutes <= eveningGraceEnd) {
     firstHourCredit = 1
     statisticsData.gracePeriodApplied = true
-    console.log(`- Clock in <= 17:15 (grace period) → First hour credit: 1.0`)
+    console.log(`- Clock in <= ${minutesToTime(eveningGraceEnd)} (grace period) → First hour credit: 1.0`)
   } else if (clockInMinutes < firstHourEnd) {
     firstHourCredit = 0.5
     latenessMinutes = clockInMinutes - eveningGraceEnd
-    console.log(`- Clock in 17:16-17:59 (late by ${latenessMinutes} min) → First hour credit: 0.5`)
+    console.log(`- Clock in before ${minutesToTime(firstHourEnd)} (late by ${latenessMinutes} min) → First hour credit: 0.5`)
   } else {
     firstHourCredit = 0
     latenessMinutes = clockInMinutes - eveningGraceEnd
-    console.log(`- Clock in >= 18:00 (late by ${latenessMinutes} min) → First hour credit: 0`)
+    console.log(`- Clock in >= ${minutesToTime(firstHourEnd)} (late by ${latenessMinutes} min) → First hour credit: 0`)
   }
 
   totalHours += firstHourCredit
-
-  // Calculate additional hours after 18:00 using EVENING-SPECIFIC ROUNDING RULE
+  traceStep(statisticsData.trace, "evening_first_hour", "First evening hour credit", {
+    eveningStart: minutesToTime(eveningStart),
+    graceMinutes: sessionGracePeriod,
+    clockIn: formatMinutes(clockInMinutes),
+    lateMinutes: latenessMinutes,
+    rounding: "1.0 within grace, 0.5 when late but before the hour ends, otherwise 0",
+    overtimeHours: firstHourCredit,
+  })
+
+  // Calculate additional hours after the first evening hour using EVENING-SPECIFIC ROUNDING RULE
   let additionalHours = 0
   if (clockOutMinutes > firstHourEnd) {
     const remainingStart = Math.max(clockInMinutes, firstHourEnd)
     const remainingMinutes = clockOutMinutes - remainingStart
 
     if (remainingMinutes > 0) {
-      console.log(`- Remaining time after 18:00: ${remainingMinutes} minutes`)
+      console.log(`- Remaining time after ${minutesToTime(firstHourEnd)}: ${remainingMinutes} minutes`)
 
       // EVENING SESSION SPECIFIC RULE:
       // 25-55 minutes = 0.5 hours
@@ -1335,7 +1663,14 @@ function calculateOriginalEveningSessionWithStats(clockInMinutes, clockOutMinute
       }
 
       totalHours += additionalHours
-      console.log(`- Additional hours after 18:00 with evening rule: ${additionalHours}`)
+      console.log(`- Additional hours after ${minutesToTime(firstHourEnd)} with evening rule: ${additionalHours}`)
+      traceStep(statisticsData.trace, "overtime", "Evening hours after the first hour", {
+        from: formatMinutes(remainingStart),
+        to: formatMinutes(clockOutMinutes),
+        minutes: remainingMinutes,
+        rounding: "whole hours, +0.5 for a 25-55 minute remainder, +1 for 56 minutes or more",
+        overtimeHours: additionalHours,
+      })
     }
   }
 
@@ -1380,14 +1715,14 @@ function saveAttendanceStatistics(employeeUid, attendanceId, clockOutId, calcula
         regular_hours, overtime_hours, total_hours,
         early_arrival_minutes, early_arrival_overtime_hours,
         morning_session_hours, afternoon_session_hours, evening_session_hours,
-        regular_overtime_hours, night_shift_hours,
+        regular_overtime_hours, night_shift_hours, approved_overtime_hours, unapproved_overtime_hours,
         early_morning_rule_applied, overnight_shift, grace_period_applied, lunch_break_excluded,
         session_start_minutes, session_end_minutes, 
         effective_clock_in_minutes, effective_clock_out_minutes,
-        lateness_minutes, grace_period_minutes, session_grace_period,
-        calculation_method, special_notes, date
+        lateness_minutes, undertime_minutes, grace_period_minutes, session_grace_period,
+        calculation_method, special_notes, date, calculation_trace
       ) VALUES (
-        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+        ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
       )
     `)
 
@@ -1409,6 +1744,8 @@ function saveAttendanceStatistics(employeeUid, attendanceId, clockOutId, calcula
       calculationData.eveningSessionHours || 0,
       calculationData.regularOvertimeHours || 0,
       calculationData.nightShiftHours || 0,
+      calculationData.approvedOvertimeHours || 0,
+      calculationData.unapprovedOvertimeHours || 0,
       calculationData.earlyMorningRuleApplied ? 1 : 0,
       calculationData.overnightShift ? 1 : 0,
       calculationData.gracePeriodApplied ? 1 : 0,
@@ -1418,11 +1755,13 @@ function saveAttendanceStatistics(employeeUid, attendanceId, clockOutId, calcula
       calculationData.effectiveClockInMinutes || null,
       calculationData.effectiveClockOutMinutes || null,
       calculationData.latenessMinutes || 0,
+      calculationData.undertimeMinutes || 0,
       calculationData.gracePeriodMinutes || 0,
       calculationData.sessionGracePeriod || 0,
       calculationData.calculationMethod || "unknown",
       calculationData.specialNotes || null,
-      calculationData.date || new Date().toISOString().split("T")[0],
+      calculationData.date || dateService.getCurrentDate(),
+      calculationData.trace ? JSON.stringify(calculationData.trace) : null,
     )
 
     console.log(`✓ Statistics saved with ID: ${result.lastInsertRowid}`)
@@ -1431,6 +1770,10 @@ function saveAttendanceStatistics(employeeUid, attendanceId, clockOutId, calcula
     return result.lastInsertRowid
   } catch (error) {
     console.error("Error saving attendance statistics:", error)
+    // A punch without its statistics must not commit (see the clocking pipeline)
+    if (database.inTransaction) {
+      throw error
+    }
     return null
   }
 }
@@ -1468,6 +1811,8 @@ function calculateHoursWithStats(
     eveningSessionHours: 0,
     regularOvertimeHours: 0,
     nightShiftHours: 0,
+    approvedOvertimeHours: 0,
+    unapprovedOvertimeHours: 0,
     earlyMorningRuleApplied: false,
     overnightShift: false,
     gracePeriodApplied: false,
@@ -1477,17 +1822,70 @@ function calculateHoursWithStats(
     effectiveClockInMinutes: null,
     effectiveClockOutMinutes: null,
     latenessMinutes: 0,
+    undertimeMinutes: 0,
     gracePeriodMinutes: 5, // Default grace period
     sessionGracePeriod: overtimeSessionGracePeriod,
     calculationMethod: "unknown",
     specialNotes: null,
-    date: new Date().toISOString().split("T")[0],
+    // Machine-readable steps behind the result (see traceStep)
+    trace: [],
+    // Sessions belong to the business date they started on (overnight shifts)
+    date: toBusinessDate(clockInTime || clockTime || new Date()),
   }
 
+  // Schedule assigned to the employee on the day the session started
+  statisticsData.schedule = getScheduleForEmployee(employeeUid, statisticsData.date, db)
+
   console.log(`=== CALCULATE HOURS WITH STATISTICS ===`)
   console.log(`Clock type: ${clockType}`)
   console.log(`Clock out time: ${clockTime}`)
   console.log(`Clock in time: ${clockInTime}`)
+  console.log(`Schedule: ${statisticsData.schedule.name}${statisticsData.schedule.isRestDay ? " (rest day)" : ""}`)
+
+  const schedule = statisticsData.schedule
+  traceStep(statisticsData.trace, "schedule", `${schedule.name} schedule in effect on ${statisticsData.date}`, {
+    schedule: schedule.name,
+    shift: `${minutesToTime(schedule.startMinutes)}-${minutesToTime(schedule.endMinutes)}`,
+    lunch: `${minutesToTime(schedule.lunchStartMinutes)}-${minutesToTime(schedule.lunchEndMinutes)}`,
+    earlyOvertimeStart: minutesToTime(schedule.earlyOvertimeStartMinutes),
+    overtimeCutoff: minutesToTime(schedule.overtimeCutoffMinutes),
+    graceMinutes: schedule.gracePeriod,
+    allowOvertime: schedule.allowOvertime,
+    isRestDay: !!schedule.isRestDay,
+  })
+
+  // Hours are calculated from the rounded punches; lateness and undertime use the raw times
+  const rawClockInTime = clockInTime
+  const rawClockTime = clockTime
+  const roundingPolicy = getRoundingPolicy(db)
+  const roundedTimes = roundSessionTimes(clockInTime, clockTime, roundingPolicy)
+  clockInTime = roundedTimes.clockIn
+  clockTime = roundedTimes.clockOut
+  if (roundingPolicy.clockIn.minutes || roundingPolicy.clockOut.minutes) {
+    const formatRule = (rule) => (rule.minutes ? `${rule.mode} to ${rule.minutes} min` : "off")
+    traceStep(statisticsData.trace, "rounding", "Punches rounded by the payroll rounding policy", {
+      clockInRule: formatRule(roundingPolicy.clockIn),
+      clockOutRule: formatRule(roundingPolicy.clockOut),
+      rawClockIn: rawClockInTime ? minutesToTime(getMinutesOfDay(rawClockInTime)) : null,
+      roundedClockIn: clockInTime ? minutesToTime(getMinutesOfDay(clockInTime)) : null,
+      rawClockOut: minutesToTime(getMinutesOfDay(rawClockTime)),
+      roundedClockOut: minutesToTime(getMinutesOfDay(clockTime)),
+    })
+  }
+
+  // Only the first session of a window is held to the schedule start
+  const sessionStart = clockType.endsWith("_out") ? getSessionStartRule(clockType, rawClockInTime, employeeUid, db) : null
+  const continuation = !!sessionStart?.continuation
+  if (sessionStart) {
+    traceStep(
+      statisticsData.trace,
+      "session_start",
+      continuation
+        ? "Session continues the day - credited with the minutes worked, no lateness rule"
+        : "First session of the window - lateness and rounding rules apply",
+      { session: determineSessionType(clockType), continuation, reason: sessionStart.reason },
+    )
+  }
 
   switch (clockType) {
     case "morning_in":
@@ -1503,7 +1901,7 @@ function calculateHoursWithStats(
     case "morning_out":
       if (clockInTime) {
         console.log(`Processing morning_out with continuous hours calculation`)
-        const result = calculateContinuousHoursWithStats(clockInTime, clockTime, "morning", statisticsData)
+        const result = calculateContinuousHoursWithStats(clockInTime, clockTime, "morning", statisticsData, continuation)
         regularHours = result.regularHours
         overtimeHours = result.overtimeHours
         console.log(`Morning session result: Regular=${regularHours}, Overtime=${overtimeHours}`)
@@ -1516,7 +1914,7 @@ function calculateHoursWithStats(
     case "afternoon_out":
       if (clockInTime) {
         console.log(`Processing afternoon_out with continuous hours calculation`)
-        const result = calculateContinuousHoursWithStats(clockInTime, clockTime, "afternoon", statisticsData)
+        const result = calculateContinuousHoursWithStats(clockInTime, clockTime, "afternoon", statisticsData, continuation)
         regularHours = result.regularHours
         overtimeHours = result.overtimeHours
         console.log(`Afternoon session result: Regular=${regularHours}, Overtime=${overtimeHours}`)
@@ -1573,8 +1971,8 @@ function calculateHoursWithStats(
   statisticsData.overtimeHours = overtimeHours
 
   if (clockInTime && clockTime) {
-    const clockInMinutes = clockInTime.getHours() * 60 + clockInTime.getMinutes()
-    let clockOutMinutes = clockTime.getHours() * 60 + clockTime.getMinutes()
+    const clockInMinutes = getMinutesOfDay(clockInTime)
+    let clockOutMinutes = getMinutesOfDay(clockTime)
 
     if (clockOutMinutes < clockInMinutes) {
       clockOutMinutes += 24 * 60
@@ -1584,6 +1982,42 @@ function calculateHoursWithStats(
     statisticsData.totalMinutesWorked = clockOutMinutes - clockInMinutes
     statisticsData.effectiveClockInMinutes = clockInMinutes
     statisticsData.effectiveClockOutMinutes = clockOutMinutes
+
+    // Night differential - time inside the night window, including after midnight
+    const nightSettings = getNightDifferentialSettings(db)
+    const nightMinutes = calculateNightDifferentialMinutes(
+      clockInTime,
+      clockTime,
+      nightSettings,
+      getScheduleBreaks(statisticsData.schedule, statisticsData.sessionType),
+    )
+    statisticsData.nightShiftHours = Math.round((nightMinutes / 60) * 100) / 100
+    traceStep(statisticsData.trace, "night_differential", "Time inside the night differential window", {
+      enabled: nightSettings.enabled,
+      window: `${nightSettings.start}-${nightSettings.end}`,
+      minutes: nightMinutes,
+      nightDifferentialHours: statisticsData.nightShiftHours,
+    })
+    if (nightMinutes > 0) {
+      statisticsData.specialNotes =
+        (statisticsData.specialNotes || "") +
+        ` Night differential: ${nightMinutes} min (${nightSettings.start}-${nightSettings.end})`
+      console.log(`Night differential: ${nightMinutes} minutes (${statisticsData.nightShiftHours}h)`)
+    }
+  }
+
+  // Late arrival and early departure of the session, aggregated into the daily summary
+  if (rawClockInTime && rawClockTime && clockType.endsWith("_out")) {
+    statisticsData.latenessMinutes = continuation
+      ? 0
+      : getLateMinutes(clockType.replace("_out", "_in"), rawClockInTime, employeeUid, db)
+    statisticsData.undertimeMinutes = getUndertimeMinutes(clockType, rawClockTime, statisticsData.date, employeeUid, db)
+    if (statisticsData.latenessMinutes > 0 || statisticsData.undertimeMinutes > 0) {
+      traceStep(statisticsData.trace, "tardiness", "Late arrival and early departure against the schedule", {
+        lateMinutes: statisticsData.latenessMinutes,
+        undertimeMinutes: statisticsData.undertimeMinutes,
+      })
+    }
   }
 
   // FIXED: Only apply 8-hour regular rule to morning/afternoon sessions
@@ -1591,18 +2025,92 @@ function calculateHoursWithStats(
   
   if (clockType === "morning_out" || clockType === "afternoon_out") {
     console.log(`Applying 8-hour regular rule for ${clockType}`)
-    adjustedHours = apply8HourRegularRule(regularHours, overtimeHours)
+    adjustedHours = apply8HourRegularRule(regularHours, overtimeHours, clockType, clockInTime, statisticsData.trace)
     statisticsData.specialNotes = (statisticsData.specialNotes || "") + " 8-hour regular rule applied"
   } else {
     console.log(`Skipping 8-hour regular rule for ${clockType} - keeping as overtime`)
+    traceStep(statisticsData.trace, "regular_cap", "8-hour regular cap skipped - evening/overtime sessions are all overtime", {
+      regularHours,
+      overtimeHours,
+    })
     statisticsData.specialNotes = (statisticsData.specialNotes || "") + " 8-hour rule skipped - pure overtime session"
   }
 
+  // Note holiday work on the session; the daily summary builds the holiday pay buckets
+  const holiday = getHolidayForDate(statisticsData.date, db)
+  if (holiday) {
+    statisticsData.specialNotes = (statisticsData.specialNotes || "") + ` Holiday: ${holiday.name} (${holiday.label})`
+    traceStep(statisticsData.trace, "holiday", `${holiday.label}: ${holiday.name} - hours also reported as holiday pay`, {
+      holiday: holiday.name,
+      type: holiday.type,
+      regularMultiplier: holiday.regularMultiplier,
+      overtimeMultiplier: holiday.overtimeMultiplier,
+    })
+  }
+
   const finalResult = {
     regularHours: Math.round(adjustedHours.regularHours * 100) / 100,
     overtimeHours: Math.round(adjustedHours.overtimeHours * 100) / 100,
+    trace: statisticsData.trace,
   }
 
+  // Overtime counted in whole blocks when an overtime rounding rule is set
+  const roundedOvertimeHours = roundOvertimeHours(finalResult.overtimeHours, roundingPolicy)
+  if (roundedOvertimeHours !== finalResult.overtimeHours) {
+    traceStep(statisticsData.trace, "overtime_rounding", `Overtime rounded ${roundingPolicy.overtime.mode} to ${roundingPolicy.overtime.minutes}-minute blocks`, {
+      overtimeHours: finalResult.overtimeHours,
+      roundedOvertimeHours,
+    })
+    finalResult.overtimeHours = roundedOvertimeHours
+  }
+
+  // A session split by job transfers pays what the whole session would
+  const transferShare = getTransferShare(clockType, rawClockTime, rawClockInTime, employeeUid, db)
+  if (transferShare) {
+    traceStep(
+      statisticsData.trace,
+      "job_transfer",
+      transferShare.closedByTransfer
+        ? "Segment closed by a job transfer - minutes worked, up to what the whole session has earned"
+        : "Last segment after a job transfer - the rest of the whole session's hours",
+      {
+        sessionClockIn: minutesToTime(getMinutesOfDay(transferShare.sessionClockIn)),
+        sessionRegularHours: transferShare.sessionRegularHours,
+        sessionOvertimeHours: transferShare.sessionOvertimeHours,
+        creditedRegularHours: transferShare.creditedRegularHours,
+        creditedOvertimeHours: transferShare.creditedOvertimeHours,
+        regularHours: transferShare.regularHours,
+        overtimeHours: transferShare.overtimeHours,
+      },
+    )
+    finalResult.regularHours = transferShare.regularHours
+    finalResult.overtimeHours = transferShare.overtimeHours
+  }
+
+  // Overtime only counts as approved inside an authorized window; the rest is kept for follow-up
+  if (finalResult.overtimeHours > 0) {
+    const overtimeSplit = splitOvertimeHours(employeeUid, statisticsData.date, clockInTime, clockTime, finalResult.overtimeHours, db)
+    statisticsData.approvedOvertimeHours = overtimeSplit.approvedHours
+    statisticsData.unapprovedOvertimeHours = overtimeSplit.unapprovedHours
+    traceStep(statisticsData.trace, "overtime_authorization", "Overtime inside an authorized window is approved", {
+      overtimeHours: finalResult.overtimeHours,
+      approvedOvertimeHours: overtimeSplit.approvedHours,
+      unapprovedOvertimeHours: overtimeSplit.unapprovedHours,
+      authorizationIds: overtimeSplit.authorizationIds,
+    })
+    if (overtimeSplit.unapprovedHours > 0) {
+      statisticsData.specialNotes = (statisticsData.specialNotes || "") + ` Unapproved OT: ${overtimeSplit.unapprovedHours}h`
+    }
+  }
+  finalResult.approvedOvertimeHours = statisticsData.approvedOvertimeHours
+  finalResult.unapprovedOvertimeHours = statisticsData.unapprovedOvertimeHours
+
+  traceStep(statisticsData.trace, "result", "Final hours rounded to 2 decimals", {
+    regularHours: finalResult.regularHours,
+    overtimeHours: finalResult.overtimeHours,
+    totalHours: finalResult.regularHours + finalResult.overtimeHours,
+  })
+
   // Update final statistics
   statisticsData.regularHours = finalResult.regularHours
   statisticsData.overtimeHours = finalResult.overtimeHours
@@ -1624,20 +2132,21 @@ function calculateHoursWithStats(
 /**
  * Enhanced continuous hours calculation that tracks statistics
  */
-function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSession, statisticsData) {
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
-  let clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  let clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
-
-  // NEW: Check if this is Sunday (0 = Sunday in JavaScript)
-  const isSunday = safeClockInTime.getDay() === 0
+function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSession, statisticsData, continuation = false) {
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
+  let clockInMinutes = getMinutesOfDay(safeClockInTime)
+  let clockOutMinutes = getMinutesOfDay(safeClockOutTime)
+
+  // Working hours come from the shift schedule in effect on the clock-in date
+  const schedule = statisticsData.schedule || getScheduleForDate(safeClockInTime)
+  const noOvertime = !schedule.allowOvertime
   
   console.log(`=== CONTINUOUS HOURS CALCULATION WITH STATS ===`)
   console.log(`Clock in: ${formatMinutes(clockInMinutes)} (${clockInMinutes} min)`)
   console.log(`Clock out: ${formatMinutes(clockOutMinutes)} (${clockOutMinutes} min)`)
   console.log(`Starting session: ${startingSession}`)
-  console.log(`Is Sunday: ${isSunday}`)
+  console.log(`Schedule: ${schedule.name} (overtime ${noOvertime ? "disabled" : "allowed"})`)
 
   // Handle overnight shifts
   if (clockOutMinutes < clockInMinutes) {
@@ -1651,35 +2160,26 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
   statisticsData.effectiveClockInMinutes = clockInMinutes
   statisticsData.effectiveClockOutMinutes = clockOutMinutes
   statisticsData.totalMinutesWorked = clockOutMinutes - clockInMinutes
-  statisticsData.calculationMethod = isSunday ? "Sunday Hours (7:00-16:00)" : "Regular Hours (Same-Day Only)"
-
-  // SUNDAY-SPECIFIC WORKING HOURS
-  let morningStart, afternoonEnd, lunchStart, lunchEnd
-  
-  if (isSunday) {
-    console.log(`=== APPLYING SUNDAY RULES ===`)
-    morningStart = 7 * 60 // 7:00 AM (Sunday start)
-    afternoonEnd = 16 * 60 // 4:00 PM (Sunday end - NO OVERTIME AFTER THIS)
-    lunchStart = 12 * 60 // 12:00 PM
-    lunchEnd = 13 * 60 // 1:00 PM
-    console.log(`Sunday hours: 7:00 AM - 4:00 PM (no overtime)`)
-    statisticsData.specialNotes = (statisticsData.specialNotes || "") + " Sunday shift: 7:00-16:00 (no overtime)"
-  } else {
-    // Regular weekday hours
-    morningStart = 8 * 60 // 8:00 AM
-    afternoonEnd = 17 * 60 // 5:00 PM
-    lunchStart = 12 * 60 // 12:00 PM
-    lunchEnd = 13 * 60 // 1:00 PM
-  }
-
-  const earlyMorningStart = 6 * 60 // 6:00 AM (only for weekdays)
-  const morningEnd = 12 * 60 // 12:00 PM
-  const afternoonStart = 13 * 60 // 1:00 PM
-  const overtimeEnd = 22 * 60 // 10:00 PM (weekdays only)
-  const nightShiftEnd = 6 * 60 + 24 * 60 // 6:00 AM next day
-  const regularGracePeriod = 5 // 5 minutes grace period
+  const shiftLabel = `${minutesToTime(schedule.startMinutes)}-${minutesToTime(schedule.endMinutes)}`
+  statisticsData.calculationMethod = `${schedule.name} Hours (${shiftLabel})`
+
+  const morningStart = schedule.startMinutes
+  const afternoonEnd = schedule.endMinutes
+  const lunchStart = schedule.lunchStartMinutes
+  const lunchEnd = schedule.lunchEndMinutes
+  const earlyMorningStart = schedule.earlyOvertimeStartMinutes // null when early overtime is disabled
+  const morningEnd = lunchStart
+  const afternoonStart = lunchEnd
+  const overtimeEnd = schedule.overtimeCutoffMinutes
+  const nightShiftEnd = schedule.nightShiftEndMinutes
+  const regularGracePeriod = schedule.gracePeriod
   const earlyMorningGracePeriod = 60
 
+  if (noOvertime) {
+    console.log(`${schedule.name} hours: ${shiftLabel} (no overtime)`)
+    statisticsData.specialNotes = (statisticsData.specialNotes || "") + ` ${schedule.name} shift: ${shiftLabel} (no overtime)`
+  }
+
   let totalRegularHours = 0
   let totalOvertimeHours = 0
 
@@ -1688,66 +2188,35 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
   statisticsData.sessionEndMinutes = startingSession === "morning" ? morningEnd : afternoonEnd
   statisticsData.gracePeriodMinutes = regularGracePeriod
 
-  // SUNDAY: Cap clock out at 16:00 (4:00 PM) - no work counted after this
-  if (isSunday && clockOutMinutes > afternoonEnd) {
-    console.log(`⚠️  SUNDAY RULE: Clock out at ${formatMinutes(clockOutMinutes)} exceeds Sunday limit (16:00)`)
-    console.log(`Capping clock out at 16:00 - no hours counted after this time on Sunday`)
-    statisticsData.specialNotes = (statisticsData.specialNotes || "") + ` Clock out capped at 16:00 (was ${formatMinutes(clockOutMinutes)})`
+  // No-overtime schedules: cap clock out at shift end - no work counted after this
+  if (noOvertime && clockOutMinutes > afternoonEnd) {
+    console.log(`⚠️  ${schedule.name.toUpperCase()} RULE: Clock out at ${formatMinutes(clockOutMinutes)} exceeds shift end (${minutesToTime(afternoonEnd)})`)
+    console.log(`Capping clock out at ${minutesToTime(afternoonEnd)} - no overtime on this schedule`)
+    statisticsData.specialNotes = (statisticsData.specialNotes || "") + ` Clock out capped at ${minutesToTime(afternoonEnd)} (was ${formatMinutes(clockOutMinutes)})`
     clockOutMinutes = afternoonEnd
     statisticsData.effectiveClockOutMinutes = clockOutMinutes
     statisticsData.totalMinutesWorked = clockOutMinutes - clockInMinutes
   }
 
-  // WEEKDAY ONLY: Early morning overtime calculation (6:00-8:00)
-  const earlyMorningGraceStart = earlyMorningStart - earlyMorningGracePeriod
+  // Early morning overtime only when the schedule defines an early-OT window
   let earlyMorningOvertimeHours = 0
 
-  if (!isSunday && startingSession === "morning" && clockInMinutes >= earlyMorningGraceStart && clockInMinutes < morningStart) {
-    console.log(`=== UPDATED EARLY MORNING OVERTIME CALCULATION (6:00-8:00) ===`)
+  if (
+    earlyMorningStart !== null &&
+    startingSession === "morning" &&
+    clockInMinutes >= earlyMorningStart - earlyMorningGracePeriod &&
+    clockInMinutes < morningStart
+  ) {
+    console.log(`=== EARLY MORNING OVERTIME CALCULATION (${minutesToTime(earlyMorningStart)}-${minutesToTime(morningStart)}) ===`)
     console.log(`Clock in: ${formatMinutes(clockInMinutes)} (qualifies for early morning overtime)`)
 
-    if (clockInMinutes <= earlyMorningStart + regularGracePeriod) {
-      console.log(`=== EARLY MORNING OVERTIME: On-time for 6:00 AM ===`)
-      earlyMorningOvertimeHours = 2.0
-    } else {
-      console.log(`=== EARLY MORNING OVERTIME: Late arrival - STRICT RULE ===`)
-      let calculatedOvertimeHours = 0
-
-      // Hour 1: 6:00-7:00 AM
-      const hour1Start = 6 * 60
-      const hour1End = 7 * 60
-      const lateForHour1 = Math.max(0, clockInMinutes - hour1Start)
-
-      if (clockInMinutes < hour1End) {
-        if (lateForHour1 <= regularGracePeriod) {
-          calculatedOvertimeHours += 1
-          console.log(`Hour 1: 1.0 hour (on time)`)
-        } else {
-          console.log(`Hour 1: 0 hours (late ${lateForHour1} min)`)
-        }
-      }
-
-      // Hour 2: 7:00-8:00 AM
-      const hour2Start = 7 * 60
-      const hour2End = 8 * 60
-      const lateForHour2 = Math.max(0, clockInMinutes - hour2Start)
-
-      if (clockInMinutes < hour2End) {
-        if (lateForHour2 <= regularGracePeriod) {
-          calculatedOvertimeHours += 1
-          console.log(`Hour 2: 1.0 hour (on time)`)
-        } else {
-          console.log(`Hour 2: 0 hours (late ${lateForHour2} min)`)
-        }
-      }
-
-      earlyMorningOvertimeHours = calculatedOvertimeHours
-    }
+    earlyMorningOvertimeHours = calculateEarlyMorningOvertimeHours(clockInMinutes, schedule)
 
     totalOvertimeHours += earlyMorningOvertimeHours
     statisticsData.earlyArrivalOvertimeHours = earlyMorningOvertimeHours
+    statisticsData.earlyMorningRuleApplied = earlyMorningOvertimeHours > 0
     console.log(`Early morning overtime hours added: ${earlyMorningOvertimeHours}`)
-    console.log(`=== END UPDATED EARLY MORNING OVERTIME CALCULATION ===`)
+    console.log(`=== END EARLY MORNING OVERTIME CALCULATION ===`)
   }
 
   // Continue with regular hours calculation
@@ -1759,11 +2228,14 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
 
       if (morningEndTime > morningStartTime) {
         const morningHours = calculateRegularHours(
-          new Date(0, 0, 0, Math.floor(morningStartTime / 60), morningStartTime % 60),
-          new Date(0, 0, 0, Math.floor(morningEndTime / 60), morningEndTime % 60),
+          fromMinutesOfDay(morningStartTime),
+          fromMinutesOfDay(morningEndTime),
           morningStart,
           morningEnd,
           regularGracePeriod,
+          null,
+          "Morning regular hours",
+          continuation,
         )
         totalRegularHours += morningHours
         statisticsData.morningSessionHours = morningHours
@@ -1771,18 +2243,21 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
       }
     }
 
-    // Calculate afternoon hours
+    // Calculate afternoon hours (a morning session reopened after lunch by a job transfer starts later)
     if (clockOutMinutes > afternoonStart) {
-      const afternoonStartTime = afternoonStart
+      const afternoonStartTime = Math.max(clockInMinutes, afternoonStart)
       const afternoonEndTime = Math.min(clockOutMinutes, afternoonEnd)
 
       if (afternoonEndTime > afternoonStartTime) {
         const afternoonHours = calculateRegularHours(
-          new Date(0, 0, 0, Math.floor(afternoonStartTime / 60), afternoonStartTime % 60),
-          new Date(0, 0, 0, Math.floor(afternoonEndTime / 60), afternoonEndTime % 60),
+          fromMinutesOfDay(afternoonStartTime),
+          fromMinutesOfDay(afternoonEndTime),
           afternoonStart,
           afternoonEnd,
           regularGracePeriod,
+          null,
+          "Afternoon regular hours",
+          continuation,
         )
         totalRegularHours += afternoonHours
         statisticsData.afternoonSessionHours = afternoonHours
@@ -1790,8 +2265,8 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
       }
     }
 
-    // WEEKDAY ONLY: Calculate overtime after afternoon end
-    if (!isSunday && clockOutMinutes > afternoonEnd) {
+    // Overtime after shift end (schedules that allow it)
+    if (!noOvertime && clockOutMinutes > afternoonEnd) {
       const regularOvertimeStart = afternoonEnd
       const regularOvertimeEnd = Math.min(clockOutMinutes, overtimeEnd)
 
@@ -1799,12 +2274,12 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
         const regularOvertimeHours = calculateSimpleOvertimeHours(regularOvertimeStart, regularOvertimeEnd)
         totalOvertimeHours += regularOvertimeHours
         statisticsData.regularOvertimeHours = regularOvertimeHours
-        console.log(`Regular overtime hours (17:00-22:00): ${regularOvertimeHours}`)
+        console.log(`Regular overtime hours (${minutesToTime(afternoonEnd)}-${minutesToTime(overtimeEnd)}): ${regularOvertimeHours}`)
       }
     }
 
-    // WEEKDAY ONLY: Calculate night shift overtime
-    if (!isSunday && clockOutMinutes > overtimeEnd) {
+    // Night shift overtime after the schedule cut-off
+    if (!noOvertime && clockOutMinutes > overtimeEnd) {
       const nightShiftStart = overtimeEnd
       const nightShiftEndTime = Math.min(clockOutMinutes, nightShiftEnd)
 
@@ -1812,26 +2287,26 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
         const nightShiftHours = calculateSimpleOvertimeHours(nightShiftStart, nightShiftEndTime)
         totalOvertimeHours += nightShiftHours
         statisticsData.nightShiftHours = nightShiftHours
-        console.log(`Night shift overtime (22:00+): ${nightShiftHours}`)
+        console.log(`Night shift overtime (${minutesToTime(overtimeEnd)}+): ${nightShiftHours}`)
       }
     }
 
     // Lunch break logging
     if (clockInMinutes < lunchStart && clockOutMinutes > lunchEnd) {
       statisticsData.lunchBreakExcluded = true
-      console.log(`Lunch break excluded: ${formatMinutes(lunchStart)} - ${formatMinutes(lunchEnd)} (1 hour)`)
+      console.log(`Lunch break excluded: ${formatMinutes(lunchStart)} - ${formatMinutes(lunchEnd)} (${lunchEnd - lunchStart} min)`)
     }
   } else if (startingSession === "afternoon") {
     // Afternoon session logic
     let effectiveAfternoonClockIn = clockInMinutes
     if (clockInMinutes < afternoonStart && clockInMinutes >= lunchStart) {
       effectiveAfternoonClockIn = afternoonStart
-      statisticsData.specialNotes = (statisticsData.specialNotes || "") + " Clock in during lunch - treated as 13:00"
-      console.log(`Clock in during lunch break - treating as 13:00`)
+      statisticsData.specialNotes = (statisticsData.specialNotes || "") + ` Clock in during lunch - treated as ${minutesToTime(afternoonStart)}`
+      console.log(`Clock in during lunch break - treating as ${minutesToTime(afternoonStart)}`)
     }
 
-    // WEEKDAY ONLY: Early afternoon arrival overtime
-    if (!isSunday && clockInMinutes < lunchStart) {
+    // Early afternoon arrival overtime (schedules that allow it)
+    if (!noOvertime && clockInMinutes < lunchStart) {
       const earlyAfternoonEnd = Math.min(clockOutMinutes, afternoonStart)
       if (earlyAfternoonEnd > clockInMinutes) {
         const earlyAfternoonOvertime = calculateSimpleOvertimeHours(clockInMinutes, earlyAfternoonEnd)
@@ -1849,11 +2324,14 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
 
       if (afternoonEndTime > afternoonStartTime) {
         const afternoonHours = calculateRegularHours(
-          new Date(0, 0, 0, Math.floor(effectiveAfternoonClockIn / 60), effectiveAfternoonClockIn % 60),
-          new Date(0, 0, 0, Math.floor(afternoonEndTime / 60), afternoonEndTime % 60),
+          fromMinutesOfDay(effectiveAfternoonClockIn),
+          fromMinutesOfDay(afternoonEndTime),
           afternoonStart,
           afternoonEnd,
           regularGracePeriod,
+          null,
+          "Afternoon regular hours",
+          continuation,
         )
         totalRegularHours += afternoonHours
         statisticsData.afternoonSessionHours = afternoonHours
@@ -1861,8 +2339,8 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
       }
     }
 
-    // WEEKDAY ONLY: Calculate overtime
-    if (!isSunday && clockOutMinutes > afternoonEnd) {
+    // Overtime after shift end (schedules that allow it)
+    if (!noOvertime && clockOutMinutes > afternoonEnd) {
       const regularOvertimeStart = afternoonEnd
       const regularOvertimeEnd = Math.min(clockOutMinutes, overtimeEnd)
 
@@ -1874,8 +2352,8 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
       }
     }
 
-    // WEEKDAY ONLY: Night shift
-    if (!isSunday && clockOutMinutes > overtimeEnd) {
+    // Night shift overtime after the schedule cut-off
+    if (!noOvertime && clockOutMinutes > overtimeEnd) {
       const nightShiftStart = overtimeEnd
       const nightShiftEndTime = Math.min(clockOutMinutes, nightShiftEnd)
 
@@ -1889,17 +2367,17 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
   }
 
   console.log(`=== CALCULATION SUMMARY ===`)
-  if (isSunday) {
-    console.log(`SUNDAY SHIFT: 7:00 AM - 4:00 PM (no overtime)`)
+  if (noOvertime) {
+    console.log(`${schedule.name.toUpperCase()} SHIFT: ${shiftLabel} (no overtime)`)
   } else {
-    console.log(`Early morning overtime (6:00-8:00): ${earlyMorningOvertimeHours} hours`)
+    console.log(`Early morning overtime: ${earlyMorningOvertimeHours} hours`)
   }
   console.log(`Regular hours: ${totalRegularHours}`)
   console.log(`Overtime hours: ${totalOvertimeHours}`)
   console.log(`Grand total: ${totalRegularHours + totalOvertimeHours} hours`)
   console.log(`=== END CONTINUOUS CALCULATION WITH STATS ===`)
 
-  return calculateContinuousHours(clockInTime, clockOutTime, startingSession)
+  return calculateContinuousHours(clockInTime, clockOutTime, startingSession, schedule, statisticsData.trace, continuation)
 }
 
 /**
@@ -1907,10 +2385,10 @@ function calculateContinuousHoursWithStats(clockInTime, clockOutTime, startingSe
  */
 function calculateOvertimeSessionHoursWithStats(clockInTime, clockOutTime, sessionGracePeriod, statisticsData) {
 
-  const safeClockInTime = clockInTime instanceof Date ? clockInTime : new Date(clockInTime)
-  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : new Date(clockOutTime)
-  const clockInMinutes = safeClockInTime.getHours() * 60 + safeClockInTime.getMinutes()
-  let clockOutMinutes = safeClockOutTime.getHours() * 60 + safeClockOutTime.getMinutes()
+  const safeClockInTime = clockInTime instanceof Date ? clockInTime : parseTimestamp(clockInTime)
+  const safeClockOutTime = clockOutTime instanceof Date ? clockOutTime : parseTimestamp(clockOutTime)
+  const clockInMinutes = getMinutesOfDay(safeClockInTime)
+  let clockOutMinutes = getMinutesOfDay(safeClockOutTime)
 
   // Handle overnight shifts
   if (clockOutMinutes < clockInMinutes) {
@@ -1928,6 +2406,13 @@ function calculateOvertimeSessionHoursWithStats(clockInTime, clockOutTime, sessi
 
   const totalHours = effectiveMinutesWorked / 60
   statisticsData.regularOvertimeHours = totalHours
+  traceStep(statisticsData.trace, "overtime_session", "Overtime session - grace minutes deducted, no rounding", {
+    from: formatMinutes(clockInMinutes),
+    to: formatMinutes(clockOutMinutes),
+    minutes: totalMinutesWorked,
+    graceMinutes: sessionGracePeriod,
+    overtimeHours: totalHours,
+  })
   statisticsData.specialNotes = `Overtime session with ${sessionGracePeriod}min grace period`
 
   console.log(`Overtime session calculation with stats complete: ${totalHours} hours`)
@@ -1935,6 +2420,99 @@ function calculateOvertimeSessionHoursWithStats(clockInTime, clockOutTime, sessi
   return totalHours
 }
 
+/**
+ * Explain how the hours on a clock-out record were produced.
+ * Uses the trace saved at clock-out; when there is none (older records) or the
+ * punches were edited since, the calculation is re-run without saving anything.
+ */
+function getCalculationTrace(clockOutId, db = null) {
+  let database = db
+  if (!database) {
+    try {
+      const { getDatabase } = require("../database/setup")
+      database = getDatabase()
+    } catch (error) {
+      console.error("Cannot get database connection for calculation trace:", error)
+      return null
+    }
+  }
+
+  const clockOut = database.prepare("SELECT * FROM attendance WHERE id = ?").get(clockOutId)
+  if (!clockOut || !clockOut.clock_type.endsWith("_out")) {
+    return null
+  }
+
+  const stats = database
+    .prepare("SELECT * FROM attendance_statistics WHERE clock_out_id = ? ORDER BY id DESC LIMIT 1")
+    .get(clockOutId)
+
+  // Matching clock-in: the one recorded with the statistics, else the latest before this clock-out
+  const clockInType = clockOut.clock_type.replace("_out", "_in")
+  const clockIn =
+    (stats && stats.attendance_id
+      ? database.prepare("SELECT * FROM attendance WHERE id = ? AND clock_type = ?").get(stats.attendance_id, clockInType)
+      : null) ||
+    database
+      .prepare(`
+        SELECT * FROM attendance
+        WHERE employee_uid = ? AND date = ? AND clock_type = ? AND clock_time < ?
+        ORDER BY clock_time DESC
+        LIMIT 1
+      `)
+      .get(clockOut.employee_uid, clockOut.date, clockInType, clockOut.clock_time)
+
+  let trace = null
+  if (stats && stats.calculation_trace) {
+    try {
+      trace = JSON.parse(stats.calculation_trace)
+    } catch (error) {
+      console.error(`Invalid calculation trace for clock-out ${clockOutId}:`, error.message)
+    }
+  }
+
+  const punchesChanged =
+    stats &&
+    clockIn &&
+    (stats.clock_out_time !== parseTimestamp(clockOut.clock_time).toISOString() ||
+      stats.clock_in_time !== parseTimestamp(clockIn.clock_time).toISOString())
+
+  let source = "saved"
+  let calculatedHours = stats ? { regularHours: stats.regular_hours, overtimeHours: stats.overtime_hours } : null
+
+  if ((!trace || punchesChanged) && clockIn) {
+    const recalculated = calculateHoursWithStats(
+      clockOut.clock_type,
+      parseTimestamp(clockOut.clock_time),
+      parseTimestamp(clockIn.clock_time),
+      clockOut.employee_uid,
+      null,
+      null,
+      database,
+    )
+    trace = recalculated.trace
+    calculatedHours = { regularHours: recalculated.regularHours, overtimeHours: recalculated.overtimeHours }
+    source = "recalculated"
+  }
+
+  const storedHours = { regularHours: clockOut.regular_hours || 0, overtimeHours: clockOut.overtime_hours || 0 }
+
+  return {
+    clockOut,
+    clockIn: clockIn || null,
+    source,
+    trace: trace || [],
+    calculatedHours,
+    storedHours,
+    // Hours on the record no longer match the calculation (manual edit in the Data Editor)
+    manuallyAdjusted:
+      !!calculatedHours &&
+      (Math.abs(storedHours.regularHours - (calculatedHours.regularHours || 0)) > 0.001 ||
+        Math.abs(storedHours.overtimeHours - (calculatedHours.overtimeHours || 0)) > 0.001),
+    calculationMethod: stats ? stats.calculation_method : null,
+    specialNotes: stats ? stats.special_notes : null,
+  }
+}
+
 /**
  * Helper function to determine session type from clock type
  */
@@ -1961,7 +2539,7 @@ function getEmployeeStatistics(employeeUid, date = null, db = null) {
     }
   }
 
-  const targetDate = date || new Date().toISOString().split("T")[0]
+  const targetDate = date || dateService.getCurrentDate()
 
   try {
     const statsQuery = database.prepare(`
@@ -1987,6 +2565,7 @@ function getEmployeeStatistics(employeeUid, date = null, db = null) {
       (acc, stat) => {
         acc.totalRegularHours += stat.regular_hours || 0
         acc.totalOvertimeHours += stat.overtime_hours || 0
+        acc.totalNightDifferentialHours += stat.night_shift_hours || 0
         acc.totalMinutesWorked += stat.total_minutes_worked || 0
         acc.sessionsCount += 1
 
@@ -1999,6 +2578,7 @@ function getEmployeeStatistics(employeeUid, date = null, db = null) {
       {
         totalRegularHours: 0,
         totalOvertimeHours: 0,
+        totalNightDifferentialHours: 0,
         totalMinutesWorked: 0,
         sessionsCount: 0,
         earlyMorningRuleCount: 0,
@@ -2029,16 +2609,25 @@ function getEmployeeStatistics(employeeUid, date = null, db = null) {
 module.exports = {
   calculateHours,
   determineClockType,
+  getPunchDirection,
+  getSessionLabel,
+  pairSessions,
+  getDaySessions,
+  getSessionStartRule,
   isLate,
+  getLateMinutes,
+  getUndertimeMinutes,
   calculateContinuousHours,
   formatMinutes,
   calculateSimpleOvertimeHours,
   getPendingClockOut,
+  getOvernightShiftSettings,
   getTodaysCompletedSessions,
   apply8HourRegularRule,
   //statistic
   calculateHoursWithStats,
   saveAttendanceStatistics,
+  getCalculationTrace,
   calculateContinuousHoursWithStats,
   calculateEveningSessionHoursWithStats,
   calculateOvertimeSessionHoursWithStats,
@@ -0,0 +1,155 @@
+// Time rounding - payroll rounding rules per punch direction (e.g. clock-ins up to the next
+// 15 minutes, clock-outs down to 15 minutes) and for overtime (30-minute blocks). Punches keep
+// their raw clock_time; the rounded time is stored next to it (rounded_clock_time) and is what
+// the hours engine works from, so both can be audited.
+const { parseTimestamp, getZonedParts, zonedTimeToDate, formatTimestamp } = require("./siteTime")
+
+const ROUNDING_MODES = ["up", "down", "nearest"]
+
+// Rounding is off (0 minutes) until configured in Settings
+const ROUNDING_RULES = {
+  clockIn: { minutesKey: "rounding_clock_in_minutes", modeKey: "rounding_clock_in_mode", defaultMode: "up" },
+  clockOut: { minutesKey: "rounding_clock_out_minutes", modeKey: "rounding_clock_out_mode", defaultMode: "down" },
+  overtime: { minutesKey: "rounding_overtime_minutes", modeKey: "rounding_overtime_mode", defaultMode: "down" },
+}
+
+const ROUNDING_SETTING_KEYS = Object.values(ROUNDING_RULES).flatMap((rule) => [rule.minutesKey, rule.modeKey])
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function parseRoundingMinutes(value) {
+  const minutes = Number(value)
+  return Number.isInteger(minutes) && minutes >= 0 && minutes <= 60 ? minutes : null
+}
+
+/**
+ * Read the rounding rules from settings: { clockIn, clockOut, overtime } of { minutes, mode }
+ */
+function getRoundingPolicy(db = null) {
+  const values = {}
+
+  try {
+    getDatabaseConnection(db)
+      .prepare(`SELECT key, value FROM settings WHERE key IN (${ROUNDING_SETTING_KEYS.map(() => "?").join(", ")})`)
+      .all(...ROUNDING_SETTING_KEYS)
+      .forEach((row) => {
+        values[row.key] = row.value
+      })
+  } catch (error) {
+    console.error("Error reading rounding settings, rounding disabled:", error.message)
+  }
+
+  const policy = {}
+  Object.entries(ROUNDING_RULES).forEach(([name, rule]) => {
+    policy[name] = {
+      minutes: parseRoundingMinutes(values[rule.minutesKey]) || 0,
+      mode: ROUNDING_MODES.includes(values[rule.modeKey]) ? values[rule.modeKey] : rule.defaultMode,
+    }
+  })
+
+  return policy
+}
+
+function roundToInterval(value, rule) {
+  if (!rule || !rule.minutes) {
+    return value
+  }
+
+  const round = rule.mode === "up" ? Math.ceil : rule.mode === "down" ? Math.floor : Math.round
+  return round(value / rule.minutes) * rule.minutes
+}
+
+/**
+ * Round a punch to the clock-in or clock-out rule on the site wall clock. Seconds are
+ * dropped first, so 08:00:40 rounded up to 15 minutes stays 08:00.
+ */
+function roundPunchTime(clockTime, direction, policy) {
+  const punch = parseTimestamp(clockTime)
+  const rule = direction === "in" ? policy.clockIn : policy.clockOut
+  if (!punch || !rule.minutes) {
+    return punch
+  }
+
+  const parts = getZonedParts(punch)
+  const minutes = roundToInterval(parts.hour * 60 + parts.minute, rule)
+  return zonedTimeToDate({ year: parts.year, month: parts.month, day: parts.day, minute: minutes })
+}
+
+/**
+ * Rounded clock-in and clock-out of a session. A clock-out rounded before the rounded
+ * clock-in (in and out inside one interval) is kept at the clock-in: no time worked.
+ */
+function roundSessionTimes(clockInTime, clockOutTime, policy) {
+  const clockIn = clockInTime ? roundPunchTime(clockInTime, "in", policy) : null
+  let clockOut = clockOutTime ? roundPunchTime(clockOutTime, "out", policy) : null
+
+  if (clockIn && clockOut && clockOut < clockIn) {
+    clockOut = new Date(clockIn.getTime())
+  }
+
+  return { clockIn, clockOut }
+}
+
+/**
+ * Stored value for attendance.rounded_clock_time - the raw clock_time when the rule is off
+ */
+function getRoundedClockTime(clockType, clockTime, policy) {
+  const direction = String(clockType).endsWith("_in") ? "in" : "out"
+  const rule = direction === "in" ? policy.clockIn : policy.clockOut
+  if (!rule.minutes) {
+    return clockTime
+  }
+
+  return formatTimestamp(roundPunchTime(clockTime, direction, policy))
+}
+
+/**
+ * Round overtime hours to whole blocks (e.g. 1.7h in 30-minute blocks down -> 1.5h)
+ */
+function roundOvertimeHours(overtimeHours, policy) {
+  if (!overtimeHours || overtimeHours <= 0 || !policy.overtime.minutes) {
+    return overtimeHours
+  }
+
+  // Hours arrive rounded to 2 decimals, so snap to the minute before rounding to blocks
+  const minutes = roundToInterval(Math.round(overtimeHours * 60), policy.overtime)
+  return Math.round((minutes / 60) * 100) / 100
+}
+
+/**
+ * Error message for invalid rounding values in a settings update, or null
+ */
+function validateRoundingSettings(settings) {
+  for (const rule of Object.values(ROUNDING_RULES)) {
+    const minutes = settings[rule.minutesKey]
+    if (minutes !== undefined && parseRoundingMinutes(minutes) === null) {
+      return "Rounding intervals must be whole minutes from 0 (off) to 60"
+    }
+
+    const mode = settings[rule.modeKey]
+    if (mode !== undefined && !ROUNDING_MODES.includes(mode)) {
+      return `Rounding mode must be one of ${ROUNDING_MODES.join(", ")}`
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  ROUNDING_MODES,
+  ROUNDING_RULES,
+  ROUNDING_SETTING_KEYS,
+  getRoundingPolicy,
+  roundPunchTime,
+  roundSessionTimes,
+  getRoundedClockTime,
+  roundOvertimeHours,
+  validateRoundingSettings,
+}
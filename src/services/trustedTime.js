@@ -0,0 +1,302 @@
+// Trusted time - detects kiosk clock tampering.
+// The system clock can be moved by anyone with access to the kiosk, so punch times are
+// checked against two references:
+// - server time: the HTTP Date header of every sync/polling response
+// - monotonic time: performance.now() cannot be changed by the user, so a jump of the
+//   wall clock relative to it means the system clock was moved
+// Punches made while the kiosk clock is off by more than the threshold are flagged and,
+// when correction is enabled, stamped with the trusted time instead.
+const { performance } = require("perf_hooks")
+const dateService = require("./dateService")
+const { formatTimestamp } = require("./siteTime")
+
+const DEFAULT_CLOCK_SETTINGS = {
+  thresholdSeconds: 120,
+  correctionEnabled: false,
+}
+
+// Wall-clock moves smaller than this are NTP slewing, not a clock change
+const CLOCK_JUMP_TOLERANCE_MS = 5000
+
+const MAX_SERVER_SAMPLES = 20
+
+// Wall clock and monotonic clock read together at the last check
+let systemAnchor = { wallMs: Date.now(), monotonicMs: performance.now() }
+// Last server Date header with the monotonic time it was received at
+let serverAnchor = null
+// Sum of detected wall-clock jumps since start (used until a server time is seen)
+let accumulatedDriftMs = 0
+// Whether the last check was over the threshold (events are recorded on changes)
+let lastExceeded = false
+const serverSamples = []
+
+function getDatabaseConnection() {
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+/**
+ * Read clock_drift_threshold_seconds / clock_correction_enabled from settings
+ */
+function getClockSettings() {
+  const settings = { ...DEFAULT_CLOCK_SETTINGS }
+
+  try {
+    const rows = getDatabaseConnection()
+      .prepare("SELECT key, value FROM settings WHERE key IN ('clock_drift_threshold_seconds', 'clock_correction_enabled')")
+      .all()
+
+    rows.forEach((row) => {
+      if (row.key === "clock_drift_threshold_seconds") {
+        const seconds = Number.parseFloat(row.value)
+        if (Number.isFinite(seconds) && seconds > 0) {
+          settings.thresholdSeconds = seconds
+        }
+      } else if (row.key === "clock_correction_enabled") {
+        settings.correctionEnabled = row.value === "true"
+      }
+    })
+  } catch (error) {
+    console.error("Error reading clock settings, using defaults:", error.message)
+  }
+
+  return settings
+}
+
+/**
+ * Save a drift event to the audit table (clock_drift_events)
+ */
+function recordDriftEvent(eventType, details = {}) {
+  try {
+    getDatabaseConnection()
+      .prepare(`
+        INSERT INTO clock_drift_events (
+          event_type, source, device_time, trusted_time, offset_ms, drift_ms,
+          attendance_id, employee_uid, details
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `)
+      .run(
+        eventType,
+        details.source || null,
+        details.deviceTime || formatTimestamp(new Date()),
+        details.trustedTime || null,
+        details.offsetMs === undefined ? null : Math.round(details.offsetMs),
+        details.driftMs === undefined ? null : Math.round(details.driftMs),
+        details.attendanceId || null,
+        details.employeeUid || null,
+        details.note || null,
+      )
+  } catch (error) {
+    console.error(`Error recording clock drift event (${eventType}):`, error.message)
+  }
+}
+
+/**
+ * Trusted current time in ms and how it was derived
+ */
+function getTrustedNow() {
+  const monotonicNow = performance.now()
+
+  if (serverAnchor) {
+    return {
+      trustedMs: serverAnchor.serverMs + (monotonicNow - serverAnchor.monotonicMs),
+      source: "server",
+    }
+  }
+
+  return { trustedMs: Date.now() - accumulatedDriftMs, source: "monotonic" }
+}
+
+// Keep dateService on trusted time while correction is enabled
+function applyCorrection(offsetMs, settings) {
+  dateService.dateOffset = settings.correctionEnabled ? Math.round(offsetMs) : 0
+}
+
+/**
+ * Current kiosk clock status: offset is trusted minus device time (positive = kiosk slow)
+ */
+function getClockStatus() {
+  const settings = getClockSettings()
+  const deviceMs = Date.now()
+  const { trustedMs, source } = getTrustedNow()
+  const offsetMs = trustedMs - deviceMs
+
+  return {
+    deviceTime: formatTimestamp(new Date(deviceMs)),
+    trustedTime: formatTimestamp(new Date(trustedMs)),
+    offsetMs: Math.round(offsetMs),
+    source,
+    thresholdSeconds: settings.thresholdSeconds,
+    exceedsThreshold: Math.abs(offsetMs) > settings.thresholdSeconds * 1000,
+    correctionEnabled: settings.correctionEnabled,
+    appliedCorrectionMs: dateService.dateOffset,
+    lastServerTime: serverSamples.length > 0 ? serverSamples[serverSamples.length - 1] : null,
+    serverSamples: [...serverSamples],
+  }
+}
+
+/**
+ * Compare the wall clock with the monotonic clock since the last check.
+ * A difference means the system clock was moved; it is recorded and carried in the
+ * accumulated drift until a server time replaces it.
+ */
+function checkClockDrift() {
+  const wallNow = Date.now()
+  const monotonicNow = performance.now()
+  const expectedWall = systemAnchor.wallMs + (monotonicNow - systemAnchor.monotonicMs)
+  const jumpMs = wallNow - expectedWall
+
+  systemAnchor = { wallMs: wallNow, monotonicMs: monotonicNow }
+
+  if (Math.abs(jumpMs) > CLOCK_JUMP_TOLERANCE_MS) {
+    accumulatedDriftMs += jumpMs
+    console.warn(`[TrustedTime] System clock moved ${jumpMs > 0 ? "forward" : "back"} by ${Math.round(Math.abs(jumpMs) / 1000)}s`)
+    recordDriftEvent("clock_jump", {
+      source: "monotonic",
+      driftMs: jumpMs,
+      offsetMs: getTrustedNow().trustedMs - wallNow,
+      note: `System clock moved ${jumpMs > 0 ? "forward" : "back"} relative to the monotonic clock`,
+    })
+  }
+
+  return updateThresholdState("monotonic")
+}
+
+// Record threshold crossings and keep the correction current
+function updateThresholdState(source) {
+  const status = getClockStatus()
+
+  if (status.exceedsThreshold !== lastExceeded) {
+    lastExceeded = status.exceedsThreshold
+    recordDriftEvent(status.exceedsThreshold ? "drift_exceeded" : "drift_recovered", {
+      source,
+      trustedTime: status.trustedTime,
+      offsetMs: status.offsetMs,
+      note: `Kiosk clock is ${Math.round(Math.abs(status.offsetMs) / 1000)}s ${status.offsetMs > 0 ? "behind" : "ahead of"} trusted time (threshold ${status.thresholdSeconds}s)`,
+    })
+  }
+
+  applyCorrection(status.offsetMs, { correctionEnabled: status.correctionEnabled })
+  return status
+}
+
+/**
+ * Record the server time from a fetch response's Date header.
+ * The header is written when the server starts the response, so it is matched to the
+ * moment the response arrived.
+ */
+function recordServerTime(response, source) {
+  try {
+    const dateHeader = response && response.headers && response.headers.get("date")
+    if (!dateHeader) {
+      return null
+    }
+
+    const serverMs = Date.parse(dateHeader)
+    if (Number.isNaN(serverMs)) {
+      return null
+    }
+
+    const monotonicMs = performance.now()
+    const deviceMs = Date.now()
+
+    // Date headers have 1s resolution - keep the anchor unless it is off by more than that
+    const previousEstimate = serverAnchor ? serverAnchor.serverMs + (monotonicMs - serverAnchor.monotonicMs) : null
+    if (previousEstimate === null || Math.abs(previousEstimate - serverMs) > 1500) {
+      serverAnchor = { serverMs, monotonicMs }
+    }
+
+    // Server time supersedes the monotonic estimate
+    accumulatedDriftMs = deviceMs - serverMs
+
+    serverSamples.push({
+      source,
+      serverTime: new Date(serverMs).toISOString(),
+      deviceTime: formatTimestamp(new Date(deviceMs)),
+      offsetMs: Math.round(serverMs - deviceMs),
+    })
+    if (serverSamples.length > MAX_SERVER_SAMPLES) {
+      serverSamples.shift()
+    }
+
+    return updateThresholdState(source)
+  } catch (error) {
+    console.error("Error recording server time:", error.message)
+    return null
+  }
+}
+
+/**
+ * After system sleep the monotonic clock has stopped while the wall clock kept going,
+ * so both anchors are reset instead of reporting a clock jump.
+ */
+function handleSystemResume() {
+  systemAnchor = { wallMs: Date.now(), monotonicMs: performance.now() }
+  serverAnchor = null
+  recordDriftEvent("system_resume", {
+    source: "monotonic",
+    note: "System resumed from sleep - waiting for the next server time",
+  })
+}
+
+/**
+ * Check the clock for a punch being recorded now.
+ * Returns { flagged, offsetMs, corrected, deviceTime, trustedTime } - deviceTime is the
+ * untouched kiosk time, kept on the record when the punch was flagged or corrected.
+ */
+function assessPunchTime() {
+  const status = checkClockDrift()
+
+  return {
+    flagged: status.exceedsThreshold,
+    offsetMs: status.offsetMs,
+    corrected: status.correctionEnabled && status.appliedCorrectionMs !== 0,
+    deviceTime: status.deviceTime,
+    trustedTime: status.trustedTime,
+    source: status.source,
+  }
+}
+
+/**
+ * Audit a flagged punch once its attendance record exists
+ */
+function recordFlaggedPunch(attendanceId, employeeUid, assessment) {
+  recordDriftEvent(assessment.corrected ? "punch_corrected" : "punch_flagged", {
+    source: assessment.source,
+    deviceTime: assessment.deviceTime,
+    trustedTime: assessment.trustedTime,
+    offsetMs: assessment.offsetMs,
+    attendanceId,
+    employeeUid,
+    note: assessment.corrected
+      ? "Punch time corrected to trusted time"
+      : "Punch recorded while the kiosk clock was outside the drift threshold",
+  })
+}
+
+function getDriftEvents({ limit = 100, eventType = null } = {}) {
+  let query = "SELECT * FROM clock_drift_events"
+  const params = []
+
+  if (eventType) {
+    query += " WHERE event_type = ?"
+    params.push(eventType)
+  }
+
+  query += " ORDER BY id DESC LIMIT ?"
+  params.push(limit)
+
+  return getDatabaseConnection().prepare(query).all(...params)
+}
+
+module.exports = {
+  DEFAULT_CLOCK_SETTINGS,
+  getClockSettings,
+  getClockStatus,
+  checkClockDrift,
+  recordServerTime,
+  handleSystemResume,
+  assessPunchTime,
+  recordFlaggedPunch,
+  getDriftEvents,
+}
@@ -1,5 +1,8 @@
 const timeCalculator = require("./timeCalculator")
 const { getDatabase, updateDailyAttendanceSummary } = require("../database/setup")
+const dateService = require("./dateService")
+const { parseTimestamp } = require("./siteTime")
+const { getRoundingPolicy, getRoundedClockTime } = require("./timeRounding")
 
 /**
  * Attendance Data Validation Service
@@ -69,7 +72,7 @@ async validateAttendanceData(startDate = null, endDate = null, employeeUid = nul
       console.log(`Rebuilding daily attendance summary for corrected records...`)
       const { successCount } = require('../database/setup').rebuildDailyAttendanceSummary(
         startDate || '2024-01-01', 
-        endDate || new Date().toISOString().split('T')[0], 
+        endDate || dateService.getCurrentDate(), 
         this.db
       )
       console.log(`Rebuilt ${successCount} daily summary records`)
@@ -96,43 +99,17 @@ async validateEmployeeDailyAttendance(employeeUid, date, records, options = {})
   console.log(`\n--- Processing ${records.length} records for employee ${employeeUid} on ${date} ---`)
 
   // Sort records by clock time
-  const sortedRecords = records.sort((a, b) => new Date(a.clock_time) - new Date(b.clock_time))
+  const sortedRecords = records.sort((a, b) => parseTimestamp(a.clock_time) - parseTimestamp(b.clock_time))
   
-  // Group records into pairs (clock_in + clock_out)
-  const sessions = []
-  const clockInMap = new Map()
+  // Rounded punch times must follow the current rounding policy, like the hours calculated from them
+  const roundingPolicy = getRoundingPolicy(this.db)
+  for (const record of sortedRecords) {
+    this.validateRoundedClockTime(record, roundingPolicy, { autoCorrect, updateSyncStatus })
+  }
   
-  // First pass: organize all clock-ins
-  sortedRecords.forEach(record => {
-    if (record.clock_type.endsWith('_in')) {
-      const sessionType = record.clock_type.replace('_in', '')
-      if (!clockInMap.has(sessionType)) {
-        clockInMap.set(sessionType, [])
-      }
-      clockInMap.get(sessionType).push(record)
-    }
-  })
-  
-  // Second pass: match clock-outs with clock-ins
-  sortedRecords.forEach(record => {
-    if (record.clock_type.endsWith('_out')) {
-      const sessionType = record.clock_type.replace('_out', '')
-      const clockIns = clockInMap.get(sessionType) || []
-      
-      // Find the most recent clock-in before this clock-out
-      const clockIn = clockIns
-        .filter(ci => new Date(ci.clock_time) <= new Date(record.clock_time))
-        .sort((a, b) => new Date(b.clock_time) - new Date(a.clock_time))[0]
-      
-      if (clockIn) {
-        sessions.push({
-          clockIn,
-          clockOut: record,
-          sessionType
-        })
-      }
-    }
-  })
+  // Group records into numbered IN/OUT sessions - only complete ones can be validated
+  const sessions = timeCalculator.pairSessions(sortedRecords)
+    .filter(session => session.clockIn && session.clockOut)
   
   console.log(`Found ${sessions.length} complete sessions to validate`)
   
@@ -208,7 +185,7 @@ async validateEmployeeDailyAttendanceWithDuplicateCheck(employeeUid, date, recor
   }
   
   // Now proceed with normal validation
-  const sortedRecords = records.sort((a, b) => new Date(a.clock_time) - new Date(b.clock_time))
+  const sortedRecords = records.sort((a, b) => parseTimestamp(a.clock_time) - parseTimestamp(b.clock_time))
   
   // Get only clock-out records for validation
   const clockOutRecords = sortedRecords.filter(r => r.clock_type.endsWith('_out'))
@@ -237,8 +214,7 @@ async validateEmployeeDailyAttendanceWithDuplicateCheck(employeeUid, date, recor
       console.log(`\nValidating clock-out: ${clockOutRecord.clock_type} at ${clockOutRecord.clock_time}`)
       
       // Find the corresponding clock-in record
-      const clockInType = clockOutRecord.clock_type.replace('_out', '_in')
-      const clockInRecord = this.findCorrespondingClockIn(clockOutRecord, allRecords, clockInType)
+      const clockInRecord = this.findCorrespondingClockIn(clockOutRecord, allRecords)
       
       if (!clockInRecord) {
         console.log(`WARNING: No corresponding clock-in found for ${clockOutRecord.clock_type}`)
@@ -248,11 +224,13 @@ async validateEmployeeDailyAttendanceWithDuplicateCheck(employeeUid, date, recor
 
       console.log(`Found clock-in: ${clockInRecord.clock_type} at ${clockInRecord.clock_time}`)
 
-      // Calculate expected hours using timeCalculator
+      // Calculate expected hours using timeCalculator (with the schedule assigned on that day)
       const expectedHours = timeCalculator.calculateHours(
         clockOutRecord.clock_type,
-        new Date(clockOutRecord.clock_time),
-        new Date(clockInRecord.clock_time)
+        parseTimestamp(clockOutRecord.clock_time),
+        parseTimestamp(clockInRecord.clock_time),
+        clockOutRecord.employee_uid,
+        this.db
       )
 
       console.log(`Expected: Regular=${expectedHours.regularHours}, Overtime=${expectedHours.overtimeHours}`)
@@ -311,23 +289,46 @@ async validateEmployeeDailyAttendanceWithDuplicateCheck(employeeUid, date, recor
   }
 
   /**
-   * Find the corresponding clock-in record for a clock-out
+   * Check a punch's stored rounded time against the rounding policy
    */
-  findCorrespondingClockIn(clockOutRecord, allRecords, clockInType) {
-    const clockOutTime = new Date(clockOutRecord.clock_time)
-    
-    // Find all clock-in records of the expected type before this clock-out
-    const candidateClockIns = allRecords.filter(record => 
-      record.clock_type === clockInType &&
-      new Date(record.clock_time) <= clockOutTime
-    ).sort((a, b) => new Date(b.clock_time) - new Date(a.clock_time))
-
-    if (candidateClockIns.length === 0) {
-      return null
+  validateRoundedClockTime(record, roundingPolicy, options = {}) {
+    const { autoCorrect = true, updateSyncStatus = true } = options
+    const expected = getRoundedClockTime(record.clock_type, record.clock_time, roundingPolicy)
+    const stored = parseTimestamp(record.rounded_clock_time)
+
+    if (stored && stored.getTime() === parseTimestamp(expected).getTime()) {
+      return true
     }
 
-    // Return the most recent clock-in of the correct type
-    return candidateClockIns[0]
+    console.log(`❌ ROUNDING MISMATCH: record ${record.id} ${record.clock_type} at ${record.clock_time} - stored ${record.rounded_clock_time || 'none'}, expected ${expected}`)
+    this.validationResults.corrections.push({
+      employeeUid: record.employee_uid,
+      date: record.date,
+      recordId: record.id,
+      clockType: record.clock_type,
+      clockTime: record.clock_time,
+      originalRoundedClockTime: record.rounded_clock_time || null,
+      correctedRoundedClockTime: expected
+    })
+
+    if (autoCorrect) {
+      this.db.prepare(`UPDATE attendance SET rounded_clock_time = ?, is_synced = ? WHERE id = ?`)
+        .run(expected, updateSyncStatus ? 0 : 1, record.id)
+      record.rounded_clock_time = expected
+      console.log(`✅ CORRECTED: Rounded time of record ID ${record.id} set to ${expected}`)
+    }
+
+    return false
+  }
+
+  /**
+   * Find the corresponding clock-in record for a clock-out (the IN of its session)
+   */
+  findCorrespondingClockIn(clockOutRecord, allRecords) {
+    const session = timeCalculator.pairSessions(allRecords)
+      .find(candidate => candidate.clockOut && candidate.clockOut.id === clockOutRecord.id)
+
+    return session ? session.clockIn : null
   }
 
   /**
@@ -456,7 +457,7 @@ async validateEmployeeDailyAttendanceWithDuplicateCheck(employeeUid, date, recor
   getAttendanceRecordsToValidate(startDate, endDate, employeeUid) {
     let query = `
       SELECT 
-        id, employee_uid, clock_type, clock_time, 
+        id, employee_uid, clock_type, clock_time, rounded_clock_time,
         regular_hours, overtime_hours, date, is_synced
       FROM attendance 
       WHERE 1=1
@@ -565,7 +566,7 @@ async validateEmployeeDailyAttendanceWithDuplicateCheck(employeeUid, date, recor
    * Validate specific employee's attendance for today
    */
   async validateTodayAttendance(employeeUid, options = {}) {
-    const today = new Date().toISOString().split('T')[0]
+    const today = dateService.getCurrentDate()
     return await this.validateAttendanceData(today, today, employeeUid, options)
   }
 
@@ -608,7 +609,7 @@ async function validateAttendanceData(startDate = null, endDate = null, employee
  * Validate today's attendance for all employees
  */
 async function validateTodayAttendance(options = {}) {
-  const today = new Date().toISOString().split('T')[0]
+  const today = dateService.getCurrentDate()
   return await validateAttendanceData(today, today, null, options)
 }
 
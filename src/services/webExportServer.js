@@ -168,6 +168,57 @@ class WebExportServer {
       }
     })
 
+    // Export daily summaries (payroll buckets: regular, OT, night differential, holiday)
+    this.app.get('/export/summary', async (req, res) => {
+      try {
+        const {
+          format = 'json',
+          startDate,
+          endDate,
+          idNumber,
+          download = 'false'
+        } = req.query
+
+        const forceDownload = download === 'true'
+
+        const result = await this.exportDailySummaryData({
+          format,
+          startDate,
+          endDate,
+          idNumber
+        })
+
+        if (!result.success) {
+          return res.status(400).json({
+            error: result.message,
+            success: false
+          })
+        }
+
+        if (format === 'csv') {
+          res.setHeader('Content-Type', 'text/csv')
+          if (forceDownload) {
+            res.setHeader('Content-Disposition', `attachment; filename="summary_export_${new Date().toISOString().split('T')[0]}.csv"`)
+          }
+          res.send(result.data)
+        } else {
+          res.setHeader('Content-Type', 'application/json')
+          if (forceDownload) {
+            res.setHeader('Content-Disposition', `attachment; filename="summary_export_${new Date().toISOString().split('T')[0]}.json"`)
+          }
+          res.json(result.data)
+        }
+
+      } catch (error) {
+        console.error('Summary export API error:', error)
+        res.status(500).json({
+          error: 'Internal server error',
+          message: error.message,
+          success: false
+        })
+      }
+    })
+
     // Export statistics endpoint
     this.app.get('/export/stats', async (req, res) => {
       try {
@@ -302,6 +353,23 @@ class WebExportServer {
               `${baseUrl}/export/data?format=json&includeEmployees=true&includeProfiles=true`
             ]
           },
+          {
+            method: 'GET',
+            path: '/export/summary',
+            description: 'Export daily attendance summaries with payroll buckets (regular, overtime, night differential, holiday hours)',
+            parameters: {
+              format: 'csv | json (default: json)',
+              startDate: 'YYYY-MM-DD (optional)',
+              endDate: 'YYYY-MM-DD (optional)',
+              idNumber: 'employee ID number (optional)',
+              download: 'true | false (default: false) - forces download headers'
+            },
+            examples: [
+              `${baseUrl}/export/summary`,
+              `${baseUrl}/export/summary?format=csv&download=true`,
+              `${baseUrl}/export/summary?startDate=2024-01-01&endDate=2024-01-15`
+            ]
+          },
           {
             method: 'GET',
             path: '/export/stats',
@@ -332,6 +400,7 @@ class WebExportServer {
           '/employees/:idNumber',
           '/employees/stats',
           '/export/data',
+          '/export/summary',
           '/export/stats',
           '/export/formats',
           '/api/docs'
@@ -562,6 +631,12 @@ class WebExportServer {
         FROM attendance
       `).get()
 
+      // Night differential is only tracked per day on the summary table
+      const nightDifferential = db.prepare(`
+        SELECT SUM(night_differential_hours) as totalNightDifferentialHours
+        FROM daily_attendance_summary
+      `).get()
+
       const stats = {
         totalEmployees: employees.length,
         departments: {},
@@ -577,6 +652,7 @@ class WebExportServer {
           employeesWithoutAttendance: employees.length - (attendanceStats.employeesWithAttendance || 0),
           totalRegularHours: attendanceStats.totalRegularHours || 0,
           totalOvertimeHours: attendanceStats.totalOvertimeHours || 0,
+          totalNightDifferentialHours: nightDifferential.totalNightDifferentialHours || 0,
           totalLateInstances: attendanceStats.totalLateInstances || 0,
           dateRange: {
             earliest: attendanceStats.earliestAttendanceDate,
@@ -750,6 +826,93 @@ class WebExportServer {
     }
   }
 
+  /**
+   * Export daily attendance summaries - one row per employee per business date
+   */
+  async exportDailySummaryData(options = {}) {
+    try {
+      const db = getDatabase()
+      const { format = 'json', startDate = null, endDate = null, idNumber = null } = options
+
+      let query = `
+        SELECT
+          employee_uid, id_number, employee_name, first_name, last_name, department, date,
+          first_clock_in, last_clock_out,
+          morning_in, morning_out, afternoon_in, afternoon_out,
+          evening_in, evening_out, overtime_in, overtime_out,
+          regular_hours, overtime_hours, total_hours, night_differential_hours,
+          holiday_name, holiday_type, holiday_regular_hours, holiday_overtime_hours,
+          schedule_name, is_rest_day,
+          is_incomplete, has_late_entry, total_minutes_worked, break_time_minutes, last_updated
+        FROM daily_attendance_summary
+      `
+      const params = []
+      const whereConditions = []
+
+      if (startDate) {
+        whereConditions.push('date >= ?')
+        params.push(startDate)
+      }
+
+      if (endDate) {
+        whereConditions.push('date <= ?')
+        params.push(endDate)
+      }
+
+      if (idNumber) {
+        whereConditions.push('id_number = ?')
+        params.push(idNumber)
+      }
+
+      if (whereConditions.length > 0) {
+        query += ' WHERE ' + whereConditions.join(' AND ')
+      }
+
+      query += ' ORDER BY date DESC, last_name ASC, first_name ASC'
+
+      const summaries = db.prepare(query).all(...params)
+
+      if (summaries.length === 0) {
+        return {
+          success: false,
+          message: 'No summary data found for the specified criteria'
+        }
+      }
+
+      const exportData = format === 'csv'
+        ? this.convertToCSV(summaries)
+        : {
+            exportDate: new Date().toISOString(),
+            recordCount: summaries.length,
+            filters: {
+              startDate: startDate || 'all',
+              endDate: endDate || 'all',
+              idNumber: idNumber || 'all'
+            },
+            totals: {
+              regularHours: summaries.reduce((sum, row) => sum + (row.regular_hours || 0), 0),
+              overtimeHours: summaries.reduce((sum, row) => sum + (row.overtime_hours || 0), 0),
+              nightDifferentialHours: summaries.reduce((sum, row) => sum + (row.night_differential_hours || 0), 0)
+            },
+            data: summaries
+          }
+
+      return {
+        success: true,
+        data: exportData,
+        recordCount: summaries.length,
+        format: format
+      }
+
+    } catch (error) {
+      console.error('Error exporting daily summary data:', error)
+      return {
+        success: false,
+        message: `Summary export failed: ${error.message}`
+      }
+    }
+  }
+
   convertToCSV(rows) {
     if (rows.length === 0) return ''
 
@@ -0,0 +1,315 @@
+// Weekly overtime - rules that look across days, on top of the daily overtime from the
+// hours engine: regular hours beyond a weekly threshold become overtime, work on the 7th
+// consecutive day earns a premium, and daily / weekly overtime caps raise warnings.
+// One row per employee and week (Monday to Sunday) in weekly_overtime_summary, rebuilt from
+// daily_attendance_summary whenever a day of the week (or the day before it) changes.
+const dateService = require("./dateService")
+const { addDays } = require("./siteTime")
+const { getPolicyPeriod } = require("./attendancePolicy")
+
+// Settings keys and defaults; 0 turns a rule off
+const WEEKLY_OVERTIME_SETTINGS = {
+  weekly_overtime_after_hours: 48, // Regular hours per week before the rest counts as overtime
+  consecutive_day_premium_day: 7, // Nth consecutive working day that earns the premium
+  daily_overtime_cap_hours: 4, // Warn when a day has more overtime than this
+  weekly_overtime_cap_hours: 12, // Warn when a week has more overtime than this
+}
+
+const WEEKLY_OVERTIME_SETTING_KEYS = Object.keys(WEEKLY_OVERTIME_SETTINGS)
+
+function getDatabaseConnection(db) {
+  if (db) {
+    return db
+  }
+
+  const { getDatabase } = require("../database/setup")
+  return getDatabase()
+}
+
+function roundHours(hours) {
+  return Math.round(hours * 100) / 100
+}
+
+function getWeeklyOvertimeSettings(db = null) {
+  const settings = { ...WEEKLY_OVERTIME_SETTINGS }
+
+  try {
+    getDatabaseConnection(db)
+      .prepare(`SELECT key, value FROM settings WHERE key IN (${WEEKLY_OVERTIME_SETTING_KEYS.map(() => "?").join(", ")})`)
+      .all(...WEEKLY_OVERTIME_SETTING_KEYS)
+      .forEach((row) => {
+        const value = Number(row.value)
+        if (row.value !== "" && Number.isFinite(value) && value >= 0) {
+          settings[row.key] = value
+        }
+      })
+  } catch (error) {
+    console.error("Error reading weekly overtime settings, using defaults:", error.message)
+  }
+
+  return settings
+}
+
+/**
+ * Error message for invalid weekly overtime values in a settings update, or null
+ */
+function validateWeeklyOvertimeSettings(settings) {
+  const invalid = WEEKLY_OVERTIME_SETTING_KEYS.find((key) => {
+    if (settings[key] === undefined) return false
+    const value = Number(settings[key])
+    return settings[key] === "" || !Number.isFinite(value) || value < 0
+  })
+
+  if (invalid) {
+    return "Weekly overtime thresholds and caps must be zero (off) or more"
+  }
+
+  const premiumDay = settings.consecutive_day_premium_day
+  if (premiumDay !== undefined && Number(premiumDay) !== 0 && (!Number.isInteger(Number(premiumDay)) || Number(premiumDay) < 2)) {
+    return "Consecutive day premium must start on day 2 or later (0 turns it off)"
+  }
+
+  return null
+}
+
+function isWorkedDay(row) {
+  return !!row && (!!row.first_clock_in || (row.total_hours || 0) > 0)
+}
+
+/**
+ * Build the weekly totals, premium days and warnings for one employee and week.
+ * Returns null when the employee has no summaries that week.
+ */
+function buildWeeklyOvertime(employeeUid, weekStart, settings, db) {
+  const weekEnd = addDays(weekStart, 6)
+  const premiumDay = settings.consecutive_day_premium_day
+  // A streak reaching into the week started up to premiumDay - 1 days before it
+  const lookbackStart = addDays(weekStart, -Math.max(premiumDay - 1, 0))
+
+  const rows = db
+    .prepare(`
+      SELECT date, regular_hours, overtime_hours, total_hours, first_clock_in
+      FROM daily_attendance_summary
+      WHERE employee_uid = ? AND date BETWEEN ? AND ?
+      ORDER BY date
+    `)
+    .all(employeeUid, lookbackStart, weekEnd)
+  const rowsByDate = new Map(rows.map((row) => [row.date, row]))
+  const weekRows = rows.filter((row) => row.date >= weekStart)
+
+  if (weekRows.length === 0) {
+    return null
+  }
+
+  let streak = 0
+  let maxConsecutiveDays = 0
+  const premiumDates = []
+  let premiumHours = 0
+  for (let date = lookbackStart; date <= weekEnd; date = addDays(date, 1)) {
+    const row = rowsByDate.get(date)
+    streak = isWorkedDay(row) ? streak + 1 : 0
+    if (date < weekStart) continue
+
+    maxConsecutiveDays = Math.max(maxConsecutiveDays, streak)
+    if (premiumDay > 0 && streak >= premiumDay) {
+      premiumDates.push({ date, day: streak })
+      premiumHours += row.total_hours || 0
+    }
+  }
+
+  const regularHours = roundHours(weekRows.reduce((sum, row) => sum + (row.regular_hours || 0), 0))
+  const dailyOvertimeHours = roundHours(weekRows.reduce((sum, row) => sum + (row.overtime_hours || 0), 0))
+  const weeklyThreshold = settings.weekly_overtime_after_hours
+  const weeklyOvertimeHours = weeklyThreshold > 0 ? roundHours(Math.max(0, regularHours - weeklyThreshold)) : 0
+  const totalOvertimeHours = roundHours(dailyOvertimeHours + weeklyOvertimeHours)
+
+  const warnings = []
+  if (settings.daily_overtime_cap_hours > 0) {
+    weekRows
+      .filter((row) => (row.overtime_hours || 0) > settings.daily_overtime_cap_hours)
+      .forEach((row) => {
+        warnings.push({
+          type: "daily_overtime_cap",
+          date: row.date,
+          hours: row.overtime_hours,
+          cap: settings.daily_overtime_cap_hours,
+          message: `${row.overtime_hours}h overtime on ${row.date} (cap ${settings.daily_overtime_cap_hours}h)`,
+        })
+      })
+  }
+  if (settings.weekly_overtime_cap_hours > 0 && totalOvertimeHours > settings.weekly_overtime_cap_hours) {
+    warnings.push({
+      type: "weekly_overtime_cap",
+      hours: totalOvertimeHours,
+      cap: settings.weekly_overtime_cap_hours,
+      message: `${totalOvertimeHours}h overtime this week (cap ${settings.weekly_overtime_cap_hours}h)`,
+    })
+  }
+  premiumDates.forEach(({ date, day }) => {
+    warnings.push({
+      type: "consecutive_days",
+      date,
+      days: day,
+      message: `Day ${day} in a row worked on ${date}`,
+    })
+  })
+
+  return {
+    week_start: weekStart,
+    week_end: weekEnd,
+    days_worked: weekRows.filter(isWorkedDay).length,
+    regular_hours: regularHours,
+    daily_overtime_hours: dailyOvertimeHours,
+    weekly_overtime_hours: weeklyOvertimeHours,
+    payable_regular_hours: roundHours(regularHours - weeklyOvertimeHours),
+    total_overtime_hours: totalOvertimeHours,
+    max_consecutive_days: maxConsecutiveDays,
+    premium_dates: premiumDates.map(({ date }) => date),
+    premium_hours: roundHours(premiumHours),
+    weekly_threshold_hours: weeklyThreshold,
+    warnings,
+  }
+}
+
+function saveWeek(employeeUid, weekStart, settings, database) {
+  const week = buildWeeklyOvertime(employeeUid, weekStart, settings, database)
+
+  if (!week) {
+    database.prepare("DELETE FROM weekly_overtime_summary WHERE employee_uid = ? AND week_start = ?").run(employeeUid, weekStart)
+    return null
+  }
+
+  const employee = database.prepare("SELECT id_number FROM employees WHERE uid = ?").get(employeeUid)
+  database
+    .prepare(`
+      INSERT INTO weekly_overtime_summary (
+        employee_uid, id_number, week_start, week_end, days_worked, regular_hours, daily_overtime_hours,
+        weekly_overtime_hours, payable_regular_hours, total_overtime_hours, max_consecutive_days,
+        premium_dates, premium_hours, weekly_threshold_hours, warnings, warning_count, last_updated
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(employee_uid, week_start) DO UPDATE SET
+        id_number = excluded.id_number,
+        week_end = excluded.week_end,
+        days_worked = excluded.days_worked,
+        regular_hours = excluded.regular_hours,
+        daily_overtime_hours = excluded.daily_overtime_hours,
+        weekly_overtime_hours = excluded.weekly_overtime_hours,
+        payable_regular_hours = excluded.payable_regular_hours,
+        total_overtime_hours = excluded.total_overtime_hours,
+        max_consecutive_days = excluded.max_consecutive_days,
+        premium_dates = excluded.premium_dates,
+        premium_hours = excluded.premium_hours,
+        weekly_threshold_hours = excluded.weekly_threshold_hours,
+        warnings = excluded.warnings,
+        warning_count = excluded.warning_count,
+        last_updated = excluded.last_updated
+    `)
+    .run(
+      employeeUid, employee?.id_number || null, week.week_start, week.week_end, week.days_worked,
+      week.regular_hours, week.daily_overtime_hours, week.weekly_overtime_hours, week.payable_regular_hours,
+      week.total_overtime_hours, week.max_consecutive_days, JSON.stringify(week.premium_dates), week.premium_hours,
+      week.weekly_threshold_hours, JSON.stringify(week.warnings), week.warnings.length, dateService.getCurrentDateTime(),
+    )
+
+  return week
+}
+
+/**
+ * Rebuild the week containing a date, and every later week whose consecutive-day lookback
+ * (premiumDay - 1 days) reaches back to it. Called by the daily summary builder.
+ */
+function updateWeeklyOvertimeSummary(employeeUid, date, db = null) {
+  try {
+    const database = getDatabaseConnection(db)
+    const settings = getWeeklyOvertimeSettings(database)
+    const { start } = getPolicyPeriod(date, "week")
+    const lastWeek = getPolicyPeriod(addDays(date, Math.max(settings.consecutive_day_premium_day - 1, 0)), "week").start
+
+    const week = saveWeek(employeeUid, start, settings, database)
+    for (let weekStart = addDays(start, 7); weekStart <= lastWeek; weekStart = addDays(weekStart, 7)) {
+      saveWeek(employeeUid, weekStart, settings, database)
+    }
+
+    if (week && week.warnings.length > 0) {
+      console.log(`⚠️ Weekly overtime: employee ${employeeUid}, week of ${start} - ${week.warnings.map((w) => w.message).join("; ")}`)
+    }
+
+    return week
+  } catch (error) {
+    console.error(`Error updating weekly overtime for employee ${employeeUid} on ${date}:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Rebuild every employee's weeks overlapping a date range (after the rules change)
+ */
+function rebuildWeeklyOvertime(startDate, endDate = dateService.getCurrentDate(), db = null) {
+  const database = getDatabaseConnection(db)
+  const settings = getWeeklyOvertimeSettings(database)
+  const firstWeek = getPolicyPeriod(startDate, "week").start
+  const employees = database
+    .prepare("SELECT DISTINCT employee_uid FROM daily_attendance_summary WHERE date BETWEEN ? AND ?")
+    .all(firstWeek, endDate)
+
+  let weeks = 0
+  database.transaction(() => {
+    employees.forEach(({ employee_uid: employeeUid }) => {
+      for (let weekStart = firstWeek; weekStart <= endDate; weekStart = addDays(weekStart, 7)) {
+        if (saveWeek(employeeUid, weekStart, settings, database)) weeks++
+      }
+    })
+  })()
+
+  console.log(`✓ Weekly overtime rebuilt: ${weeks} employee weeks from ${firstWeek} to ${endDate}`)
+  return weeks
+}
+
+function getWeeklyOvertimeSummaries({ startDate = null, endDate = null, employeeUid = null, warningsOnly = false } = {}, db = null) {
+  const database = getDatabaseConnection(db)
+  let query = `
+    SELECT w.*, e.first_name, e.last_name, e.department
+    FROM weekly_overtime_summary w
+    LEFT JOIN employees e ON w.employee_uid = e.uid
+    WHERE 1 = 1
+  `
+  const params = []
+
+  if (startDate) {
+    query += " AND w.week_end >= ?"
+    params.push(startDate)
+  }
+  if (endDate) {
+    query += " AND w.week_start <= ?"
+    params.push(endDate)
+  }
+  if (employeeUid) {
+    query += " AND w.employee_uid = ?"
+    params.push(employeeUid)
+  }
+  if (warningsOnly) {
+    query += " AND w.warning_count > 0"
+  }
+
+  query += " ORDER BY w.week_start DESC, e.last_name, e.first_name"
+
+  return database
+    .prepare(query)
+    .all(...params)
+    .map((week) => ({
+      ...week,
+      premium_dates: JSON.parse(week.premium_dates || "[]"),
+      warnings: JSON.parse(week.warnings || "[]"),
+    }))
+}
+
+module.exports = {
+  WEEKLY_OVERTIME_SETTINGS,
+  WEEKLY_OVERTIME_SETTING_KEYS,
+  getWeeklyOvertimeSettings,
+  validateWeeklyOvertimeSettings,
+  buildWeeklyOvertime,
+  updateWeeklyOvertimeSummary,
+  rebuildWeeklyOvertime,
+  getWeeklyOvertimeSummaries,
+}
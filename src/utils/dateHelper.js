@@ -1,3 +1,5 @@
+const { getScheduleForEmployee } = require("../services/shiftSchedule")
+
 function formatDate(date) {
   return date.toISOString().split("T")[0]
 }
@@ -26,12 +28,18 @@ function isToday(date) {
   return formatDate(today) === formatDate(checkDate)
 }
 
-function getWorkingHours() {
+// Working hours (in decimal hours) from the shift schedule in effect on the given date
+// (the employee's assigned schedule when an employee uid is given)
+function getWorkingHours(date = new Date(), employeeUid = null) {
+  const schedule = getScheduleForEmployee(employeeUid, date)
   return {
-    start: 8, // 8:00 AM
-    end: 17, // 5:00 PM
-    lunchStart: 12, // 12:00 PM
-    lunchEnd: 13, // 1:00 PM
+    name: schedule.name,
+    isRestDay: schedule.isRestDay,
+    start: schedule.startMinutes / 60,
+    end: schedule.endMinutes / 60,
+    lunchStart: schedule.lunchStartMinutes / 60,
+    lunchEnd: schedule.lunchEndMinutes / 60,
+    gracePeriod: schedule.gracePeriod,
   }
 }
 
@@ -30,10 +30,8 @@ function validateAttendance(attendance) {
     errors.push("Employee UID is required")
   }
 
-  if (
-    !attendance.clock_type ||
-    !["morning_in", "morning_out", "afternoon_in", "afternoon_out"].includes(attendance.clock_type)
-  ) {
+  // Session label + direction; a day may have any number of sessions
+  if (!attendance.clock_type || !/^(morning|afternoon|evening|overtime)_(in|out)$/.test(attendance.clock_type)) {
     errors.push("Invalid clock type")
   }
 